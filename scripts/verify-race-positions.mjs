@@ -2,137 +2,99 @@
 /**
  * Verify race checkpoint positions
  * Run with: node scripts/verify-race-positions.mjs
+ *
+ * Uses the same data and math as the game (src/data/landmarks.js and
+ * CheckpointManager.getGates / getStartPose). Exits non-zero if a route
+ * references an unknown landmark, a gate sits below minAltitude, a
+ * gate/start is outside the play area, or the server's copy of a start
+ * (server/config.js race.starts, used to approve race teleports) is off.
  */
 
-// Replicate the coordinate conversion from CheckpointManager
-const CONFIG = {
-  startPosition: {
-    lat: 37.8199,
-    lon: -122.4783
-  }
-};
-
-const EARTH_RADIUS = 6371000;
-
-function latLonToLocal(lat, lon) {
-  const REF_LAT = CONFIG.startPosition.lat;
-  const REF_LON = CONFIG.startPosition.lon;
+import { CONFIG } from '../src/config.js';
+import { LANDMARKS, ROUTES } from '../src/data/landmarks.js';
+import { CheckpointManager } from '../src/race/CheckpointManager.js';
+import { latLonToLocal } from '../src/utils/coordinates.js';
+import { CONFIG as SERVER_CONFIG } from '../server/config.js';
 
-  const latRad = lat * Math.PI / 180;
-  const lonRad = lon * Math.PI / 180;
-  const refLatRad = REF_LAT * Math.PI / 180;
-  const refLonRad = REF_LON * Math.PI / 180;
-
-  const x = EARTH_RADIUS * (lonRad - refLonRad) * Math.cos(refLatRad);
-  const z = -EARTH_RADIUS * (latRad - refLatRad);  // Negative because +Z is south
-
-  return { x, z };
-}
-
-// Landmarks data (from src/data/landmarks.js)
-const LANDMARKS = {
-  goldenGateSouth: { lat: 37.8107, lon: -122.4738, altitude: 227, shortName: 'GG South' },
-  goldenGateCenter: { lat: 37.8199, lon: -122.4783, altitude: 40, shortName: 'GG Under' },
-  goldenGateNorth: { lat: 37.8291, lon: -122.4824, altitude: 227, shortName: 'GG North' },
-  alcatraz: { lat: 37.8267, lon: -122.4233, altitude: 50, shortName: 'Alcatraz' },
-  coitTower: { lat: 37.8024, lon: -122.4059, altitude: 100, shortName: 'Coit' },
-  transamerica: { lat: 37.7952, lon: -122.4029, altitude: 280, shortName: 'Pyramid' },
-  salesforceTower: { lat: 37.7899, lon: -122.3969, altitude: 350, shortName: 'Salesforce' },
-  ferryBuilding: { lat: 37.7955, lon: -122.3937, altitude: 80, shortName: 'Ferry' },
-  oraclePark: { lat: 37.7786, lon: -122.3897, altitude: 60, shortName: 'Oracle' },
-  treasureIsland: { lat: 37.8236, lon: -122.3706, altitude: 50, shortName: 'Treasure' },
-  bayBridge: { lat: 37.7983, lon: -122.3778, altitude: 40, shortName: 'Bay Bridge' },
-  palaceOfFineArts: { lat: 37.8029, lon: -122.4486, altitude: 60, shortName: 'Palace' }
-};
-
-// Routes data
-const ROUTES = {
-  goldenGateChallenge: {
-    name: 'Golden Gate Challenge',
-    checkpoints: ['alcatraz', 'goldenGateCenter', 'palaceOfFineArts']
-  },
-  bayTour: {
-    name: 'Bay Area Tour',
-    checkpoints: ['goldenGateSouth', 'alcatraz', 'coitTower', 'ferryBuilding', 'oraclePark', 'bayBridge', 'treasureIsland']
-  },
-  downtownDash: {
-    name: 'Downtown Dash',
-    checkpoints: ['ferryBuilding', 'transamerica', 'salesforceTower', 'oraclePark']
-  },
-  bridgeRun: {
-    name: 'Bridge Run',
-    checkpoints: ['goldenGateCenter', 'alcatraz', 'treasureIsland', 'bayBridge']
-  }
-};
+const MAX_DISTANCE = 20000;  // meters from origin - tiles stream, but keep races local
+const problems = [];
 
 console.log('=== Race Position Verification ===\n');
-console.log('Reference point (origin): Golden Gate Bridge Center');
+console.log('Reference point (origin): Ponte D. Luís I');
 console.log(`  Lat: ${CONFIG.startPosition.lat}, Lon: ${CONFIG.startPosition.lon}\n`);
 
 // Print all landmark positions
-console.log('=== Landmark Positions (local coordinates) ===\n');
+console.log('=== Landmark Positions (local coordinates: X west, Z north) ===\n');
 for (const [key, landmark] of Object.entries(LANDMARKS)) {
-  const local = latLonToLocal(landmark.lat, landmark.lon);
-  const distance = Math.sqrt(local.x * local.x + local.z * local.z);
+  const { x, z } = latLonToLocal(landmark.lat, landmark.lon, CONFIG.startPosition.lat, CONFIG.startPosition.lon);
+  const y = landmark.altitude;
+  const gate = { radius: landmark.radius ?? CONFIG.race.gateRadius };
+  const distance = Math.sqrt(x * x + z * z);
   console.log(`${landmark.shortName.padEnd(12)} (${key})`);
   console.log(`  Lat/Lon: ${landmark.lat}, ${landmark.lon}`);
-  console.log(`  Local:   X=${local.x.toFixed(0).padStart(6)}m, Z=${local.z.toFixed(0).padStart(6)}m, Y=${landmark.altitude}m`);
+  console.log(`  Local:   X=${x.toFixed(0).padStart(6)}m, Z=${z.toFixed(0).padStart(6)}m, Y=${y}m, radius ${gate.radius}m`);
   console.log(`  Distance from origin: ${distance.toFixed(0)}m`);
   console.log();
+
+  if (y < CONFIG.physics.minAltitude + gate.radius * 0.5) {
+    problems.push(`${key}: gate center ${y}m is too low for a ${gate.radius}m ring`);
+  }
+  if (distance > MAX_DISTANCE) {
+    problems.push(`${key}: ${distance.toFixed(0)}m from origin`);
+  }
 }
 
-// Verify each route's start positioning
-console.log('\n=== Route Start Position Verification ===\n');
+// Verify each route's gates and start positioning
+console.log('\n=== Route Verification ===\n');
 
-for (const [routeKey, route] of Object.entries(ROUTES)) {
-  console.log(`Route: ${route.name}`);
+for (const [routeId, route] of Object.entries(ROUTES)) {
+  console.log(`Route: ${route.name} (${routeId})`);
   console.log(`Checkpoints: ${route.checkpoints.join(' -> ')}\n`);
 
-  // Get checkpoint positions
-  const positions = route.checkpoints.map(key => {
-    const landmark = LANDMARKS[key];
-    const local = latLonToLocal(landmark.lat, landmark.lon);
-    return {
-      key,
-      name: landmark.shortName,
-      x: local.x,
-      y: landmark.altitude,
-      z: local.z
-    };
-  });
-
-  const cp1 = positions[0];
-  const cp2 = positions[1];
-
-  console.log(`  Checkpoint 1 (Start Gate): ${cp1.name}`);
-  console.log(`    Position: X=${cp1.x.toFixed(0)}, Y=${cp1.y}, Z=${cp1.z.toFixed(0)}`);
-
-  if (cp2) {
-    console.log(`  Checkpoint 2: ${cp2.name}`);
-    console.log(`    Position: X=${cp2.x.toFixed(0)}, Y=${cp2.y}, Z=${cp2.z.toFixed(0)}`);
+  const unknown = route.checkpoints.filter(key => !LANDMARKS[key]);
+  if (unknown.length > 0) {
+    problems.push(`${routeId}: unknown landmarks ${unknown.join(', ')}`);
+    console.log('  SKIPPED - unknown landmarks\n');
+    continue;
+  }
+  if (route.checkpoints.length < 2) {
+    problems.push(`${routeId}: needs at least two gates`);
+    continue;
+  }
 
-    // Calculate correct approach direction (from cp1 toward cp2)
-    const dx = cp2.x - cp1.x;
-    const dz = cp2.z - cp1.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-    const dirX = dx / dist;
-    const dirZ = dz / dist;
+  const gates = CheckpointManager.getGates(routeId);
+  let length = 0;
+  gates.forEach((gate, i) => {
+    const leg = i > 0 ? gate.position.distanceTo(gates[i - 1].position) : 0;
+    length += leg;
+    const n = gate.normal;
+    console.log(`  ${String(i + 1).padStart(2)}. ${gate.shortName.padEnd(12)} leg ${leg.toFixed(0).padStart(5)}m  facing (${n.x.toFixed(2)}, ${n.y.toFixed(2)}, ${n.z.toFixed(2)})`);
+  });
 
-    // Start position: 400m BEFORE cp1, in the opposite direction of cp2
-    const startDist = 400;
-    const startX = cp1.x - dirX * startDist;
-    const startZ = cp1.z - dirZ * startDist;
-    const startY = Math.max(cp1.y, Math.min(cp1.y + 100, 500));
+  const start = CheckpointManager.getStartPose(gates);
+  const toGate = start.lookAt.clone().sub(start.position);
+  const alignment = toGate.clone().setY(0).normalize().dot(gates[0].normal.clone().setY(0).normalize());
+  console.log(`\n  Start: X=${start.position.x.toFixed(0)}, Y=${start.position.y.toFixed(0)}, Z=${start.position.z.toFixed(0)}`);
+  console.log(`  Run-up: ${toGate.length().toFixed(0)}m to the start gate, alignment with route ${alignment.toFixed(3)}`);
+  console.log(`  Total length: ${(length / 1000).toFixed(2)}km`);
 
-    console.log(`\n  CORRECT Start Position (400m before CP1, aligned toward CP2):`);
-    console.log(`    Position: X=${startX.toFixed(0)}, Y=${startY}, Z=${startZ.toFixed(0)}`);
+  if (alignment < 0.99) {
+    problems.push(`${routeId}: start is not lined up with the first gate`);
+  }
 
-    // Verify the logic matches main.js teleportToRaceStart
-    console.log(`\n  Verification:`);
-    console.log(`    Approach direction (CP1 -> CP2): (${dirX.toFixed(3)}, ${dirZ.toFixed(3)})`);
-    console.log(`    Start is 400m BEFORE CP1, facing toward CP1`);
-    console.log(`    Player will fly through CP1 toward CP2 ✓`);
+  const serverStart = SERVER_CONFIG.race.starts[routeId];
+  if (!serverStart) {
+    problems.push(`${routeId}: missing from server/config.js race.starts`);
+  } else if (start.position.distanceTo(serverStart) > 5) {
+    problems.push(`${routeId}: server/config.js race.starts is ${start.position.distanceTo(serverStart).toFixed(0)}m from the start`);
   }
 
   console.log('\n' + '='.repeat(50) + '\n');
 }
+
+if (problems.length > 0) {
+  console.log('PROBLEMS:');
+  problems.forEach(problem => console.log(`  - ${problem}`));
+  process.exit(1);
+}
+console.log('All routes OK');
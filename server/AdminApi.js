@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) {
+        resolve({});
+        return;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (e) {
+        reject(new Error('Body is not valid JSON'));
+        return;
+      }
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(new Error('Body must be a JSON object'));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * AdminApi - authenticated HTTP API for running the game server
+ *
+ * Enabled only when ADMIN_TOKEN is set; every request must send
+ * `Authorization: Bearer <token>`. Routes (JSON in and out):
+ *   GET  /admin/players                      - connected players
+ *   POST /admin/kick      { id, reason? }    - disconnect a player
+ *   GET  /admin/bans                         - active bans
+ *   POST /admin/ban       { ip?, id?, reason?, minutes?, includeIp? }
+ *                                            - ban an IP and/or player ID (permanent without
+ *                                              minutes); includeIp also bans the player's address
+ *   POST /admin/unban     { ip } | { id }    - lift a ban
+ *   POST /admin/announce  { message, room? } - show a message to every player (or one room)
+ *   POST /admin/mute      { id, minutes? }   - stop a player's chat (until restart without minutes)
+ *   POST /admin/unmute    { id }             - let them chat again
+ */
+export class AdminApi {
+  /**
+   * @param {GameServer} server
+   * @param {string|null} token - Shared secret; the API is off without one
+   */
+  constructor(server, token) {
+    this.server = server;
+    this.token = token || null;
+  }
+
+  get enabled() {
+    return this.token !== null;
+  }
+
+  /**
+   * Constant-time check of the Authorization header
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Handle a request under /admin
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   */
+  async handle(req, res, url) {
+    const send = (status, body) => this.server.sendJson(res, status, body);
+    if (!this.enabled) {
+      send(404, { error: 'Not found' });
+      return;
+    }
+    if (!this.isAuthorized(req)) {
+      console.log(`[Admin] Unauthorized ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+      send(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    if (route === 'GET /admin/players') {
+      send(200, { players: this.server.listPlayers() });
+      return;
+    }
+    if (route === 'GET /admin/bans') {
+      const now = Date.now();
+      send(200, {
+        bans: this.server.bans.list().map(ban => ({
+          ...ban,
+          remaining: ban.expiresAt === null ? null : Math.round((ban.expiresAt - now) / 1000)
+        }))
+      });
+      return;
+    }
+
+    let body;
+    try {
+      body = req.method === 'POST' ? await readJsonBody(req) : null;
+    } catch (e) {
+      send(400, { error: e.message });
+      return;
+    }
+
+    switch (route) {
+      case 'POST /admin/kick': {
+        if (typeof body.id !== 'string') {
+          send(400, { error: 'id is required' });
+          return;
+        }
+        const kicked = this.server.kickPlayer(body.id, typeof body.reason === 'string' ? body.reason : 'Kicked by admin');
+        if (kicked) this.logAction('kick', body.id);
+        send(kicked ? 200 : 404, kicked ? { kicked: body.id } : { error: 'No such player' });
+        return;
+      }
+
+      case 'POST /admin/ban': {
+        const id = typeof body.id === 'string' && body.id ? body.id : null;
+        let ip = typeof body.ip === 'string' && body.ip ? body.ip : null;
+        if (!id && !ip) {
+          send(400, { error: 'ip or id is required' });
+          return;
+        }
+        if (body.minutes !== undefined && !(Number(body.minutes) > 0)) {
+          send(400, { error: 'minutes must be a positive number (omit it for a permanent ban)' });
+          return;
+        }
+        if (id && body.includeIp) {
+          ip = this.server.players.get(id)?.ip ?? null;
+          if (!ip) {
+            send(404, { error: 'includeIp needs the player to be connected' });
+            return;
+          }
+        }
+
+        const options = {
+          reason: typeof body.reason === 'string' ? body.reason.slice(0, 200) : '',
+          source: 'admin',
+          duration: body.minutes !== undefined ? Number(body.minutes) * 60 * 1000 : null
+        };
+        const bans = [];
+        if (id) bans.push(this.server.ban({ ...options, type: 'player', value: id }));
+        if (ip) bans.push(this.server.ban({ ...options, type: 'ip', value: ip }));
+        for (const ban of bans) {
+          this.logAction('ban', `${ban.type} ${ban.value}${options.reason ? ` (${options.reason})` : ''}`);
+        }
+        send(200, { bans });
+        return;
+      }
+
+      case 'POST /admin/unban': {
+        const type = typeof body.id === 'string' ? 'player' : 'ip';
+        const value = type === 'player' ? body.id : body.ip;
+        if (typeof value !== 'string') {
+          send(400, { error: 'ip or id is required' });
+          return;
+        }
+        const lifted = this.server.unban(type, value);
+        if (lifted) this.logAction('unban', `${type} ${value}`);
+        send(lifted ? 200 : 404, lifted ? { unbanned: { type, value } } : { error: 'No such ban' });
+        return;
+      }
+
+      case 'POST /admin/announce': {
+        const message = typeof body.message === 'string' ? body.message.trim().slice(0, MAX_ANNOUNCEMENT_LENGTH) : '';
+        if (!message) {
+          send(400, { error: 'message is required' });
+          return;
+        }
+        const recipients = this.server.announce(message, typeof body.room === 'string' ? body.room : null);
+        this.logAction('announce', message);
+        send(200, { recipients });
+        return;
+      }
+
+      case 'POST /admin/mute': {
+        if (typeof body.id !== 'string' || !body.id) {
+          send(400, { error: 'id is required' });
+          return;
+        }
+        if (body.minutes !== undefined && !(Number(body.minutes) > 0)) {
+          send(400, { error: 'minutes must be a positive number (omit it to mute until restart)' });
+          return;
+        }
+        this.server.muteChat(body.id, body.minutes !== undefined ? Number(body.minutes) * 60 * 1000 : null);
+        this.logAction('mute', `${body.id}${body.minutes !== undefined ? ` for ${Number(body.minutes)}min` : ''}`);
+        send(200, { muted: body.id });
+        return;
+      }
+
+      case 'POST /admin/unmute': {
+        if (typeof body.id !== 'string') {
+          send(400, { error: 'id is required' });
+          return;
+        }
+        const unmuted = this.server.unmuteChat(body.id);
+        if (unmuted) this.logAction('unmute', body.id);
+        send(unmuted ? 200 : 404, unmuted ? { unmuted: body.id } : { error: 'Player is not muted' });
+        return;
+      }
+    }
+
+    send(404, { error: 'Not found' });
+  }
+
+  logAction(action, detail) {
+    this.server.metrics.inc('admin_actions_total', { action });
+    console.log(`[Admin] ${action}: ${detail}`);
+  }
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+
+const BAN_TYPES = ['ip', 'player'];
+
+/**
+ * BanList - IP and player ID bans with reasons and optional expiry
+ *
+ * Bans are saved to a JSON file as soon as they change (they change
+ * rarely) so they survive restarts. On Fly they only survive redeploys
+ * because fly.toml mounts a volume over server/data. Bans passed in from the
+ * BLOCKED_IPS env var are never written to the file: they come back with
+ * the config on every start.
+ *
+ * Ban: { type: 'ip'|'player', value, reason, source: 'config'|'auto'|'admin',
+ *        createdAt, expiresAt (ms, null = permanent) }
+ */
+export class BanList {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.path - JSON file; bans are in memory only without one
+   * @param {string[]} [options.configIPs] - Permanent IP bans from config
+   */
+  constructor({ path: filePath, configIPs = [] } = {}) {
+    this.path = filePath || null;
+    this.bans = new Map(); // 'type:value' -> ban
+
+    for (const ip of configIPs) {
+      this.bans.set(`ip:${ip}`, {
+        type: 'ip', value: ip, reason: 'BLOCKED_IPS', source: 'config', createdAt: Date.now(), expiresAt: null
+      });
+    }
+    this.load();
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      let loaded = 0;
+      for (const ban of data.bans || []) {
+        if (!BAN_TYPES.includes(ban.type) || typeof ban.value !== 'string') continue;
+        this.bans.set(`${ban.type}:${ban.value}`, ban);
+        loaded++;
+      }
+      this.prune();
+      console.log(`[Bans] Loaded ${loaded} bans from ${this.path}`);
+    } catch (e) {
+      console.error(`[Bans] Could not read ${this.path}: ${e.message}`);
+    }
+  }
+
+  save() {
+    if (!this.path) return;
+    const bans = [...this.bans.values()].filter(ban => ban.source !== 'config');
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      const tmp = `${this.path}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, bans }, null, 2));
+      fs.renameSync(tmp, this.path);
+    } catch (e) {
+      console.error(`[Bans] Save failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Drop expired bans
+   * @returns {boolean} Whether any were removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = false;
+    for (const [key, ban] of this.bans) {
+      if (ban.expiresAt !== null && ban.expiresAt <= now) {
+        this.bans.delete(key);
+        console.log(`[Bans] ${ban.type} ${ban.value} expired`);
+        removed = true;
+      }
+    }
+    if (removed) this.save();
+    return removed;
+  }
+
+  /**
+   * Ban an IP or player ID (replaces any existing ban on it)
+   * @param {Object} ban
+   * @param {string} ban.type - 'ip' or 'player'
+   * @param {string} ban.value - Address or player ID
+   * @param {string} [ban.reason]
+   * @param {string} [ban.source] - 'auto' or 'admin'
+   * @param {number|null} [ban.duration] - ms, or null for permanent
+   * @returns {Object} The ban
+   */
+  add({ type, value, reason = '', source = 'admin', duration = null }) {
+    if (!BAN_TYPES.includes(type)) {
+      throw new Error(`Unknown ban type ${type}`);
+    }
+    const now = Date.now();
+    const ban = {
+      type,
+      value,
+      reason,
+      source,
+      createdAt: now,
+      expiresAt: duration ? now + duration : null
+    };
+    this.bans.set(`${type}:${value}`, ban);
+    this.save();
+    return ban;
+  }
+
+  /**
+   * Lift a ban
+   * @param {string} type - 'ip' or 'player'
+   * @param {string} value
+   * @returns {boolean} Whether there was a ban
+   */
+  remove(type, value) {
+    const removed = this.bans.delete(`${type}:${value}`);
+    if (removed) this.save();
+    return removed;
+  }
+
+  /**
+   * Active ban on an IP or player ID
+   * @param {string} type - 'ip' or 'player'
+   * @param {string} value
+   * @returns {Object|null}
+   */
+  find(type, value) {
+    const ban = this.bans.get(`${type}:${value}`);
+    if (!ban) return null;
+    if (ban.expiresAt !== null && ban.expiresAt <= Date.now()) {
+      this.prune();
+      return null;
+    }
+    return ban;
+  }
+
+  /**
+   * Active ban on a client address
+   * @param {string} ip
+   * @returns {Object|null}
+   */
+  findIP(ip) {
+    if (!ip) return null;
+    return this.find('ip', ip);
+  }
+
+  /**
+   * Active bans, newest first
+   * @returns {Object[]}
+   */
+  list() {
+    this.prune();
+    return [...this.bans.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Number of active bans of a type
+   * @param {string} type
+   * @returns {number}
+   */
+  count(type) {
+    let count = 0;
+    for (const ban of this.bans.values()) {
+      if (ban.type === type) count++;
+    }
+    return count;
+  }
+}
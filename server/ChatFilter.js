@@ -0,0 +1,69 @@
+import fs from 'fs';
+
+// Characters people swap in to slip words past a filter
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+/**
+ * ChatFilter - cleans up chat text and masks filtered words
+ *
+ * Words come from CHAT_FILTER_WORDS (comma-separated) and/or a file at
+ * CHAT_FILTER_PATH (one per line, # comments). Matching ignores case and
+ * common lookalike characters, and only whole words are masked so
+ * "class" survives a filter on "ass".
+ */
+export class ChatFilter {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.words]
+   * @param {string|null} [options.path] - Word list file
+   */
+  constructor({ words = [], path = null } = {}) {
+    this.words = new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean));
+    if (path) {
+      try {
+        for (const line of fs.readFileSync(path, 'utf8').split('\n')) {
+          const word = line.trim().toLowerCase();
+          if (word && !word.startsWith('#')) this.words.add(word);
+        }
+      } catch (e) {
+        console.error(`[Chat] Could not read word filter ${path}: ${e.message}`);
+      }
+    }
+  }
+
+  get size() {
+    return this.words.size;
+  }
+
+  /**
+   * Collapse whitespace, drop control characters and cap the length
+   * @param {*} text
+   * @param {number} maxLength
+   * @returns {string} Empty when there's nothing to send
+   */
+  static clean(text, maxLength) {
+    if (typeof text !== 'string') return '';
+    return text
+      .replace(/\s+/g, ' ')
+      .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f\ufeff]/g, '')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  /**
+   * Mask filtered words with asterisks
+   * @param {string} text
+   * @returns {{ text: string, filtered: boolean }}
+   */
+  apply(text) {
+    if (this.words.size === 0) return { text, filtered: false };
+    let filtered = false;
+    const result = text.replace(/[\p{L}\p{N}@$!]+/gu, (word) => {
+      const normalized = word.toLowerCase().replace(/[013457@$!]/g, c => LOOKALIKES[c]);
+      if (!this.words.has(normalized) && !this.words.has(word.toLowerCase())) return word;
+      filtered = true;
+      return '*'.repeat(word.length);
+    });
+    return { text: result, filtered };
+  }
+}
@@ -1,4 +1,67 @@
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
+import { CONFIG } from './config.js';
+import { PositionHistory } from './PositionHistory.js';
+import { HitValidator } from './HitValidator.js';
+import { Room } from './Room.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { MatchLog } from './MatchLog.js';
+import { ProfileStore, LEADERBOARD_PERIODS, LEADERBOARD_METRICS } from './ProfileStore.js';
+import { Metrics } from './Metrics.js';
+import { AdminApi } from './AdminApi.js';
+import { BanList } from './BanList.js';
+import { ChatFilter } from './ChatFilter.js';
+import { TeamMatch } from './TeamMatch.js';
+import {
+  negotiateVersion,
+  decodeMessage,
+  encodePlayers,
+  encodePlayerShoot,
+  encodeHitConfirmed
+} from './protocol.js';
+
+// Default home of the stats and ban files: server/data, where fly.toml mounts
+// the persistent volume (the rest of the Fly filesystem is wiped on deploy)
+const DATA_DIR = fileURLToPath(new URL('./data/', import.meta.url));
+
+/**
+ * Absolute path of a data file from an env var: unset means the default in
+ * DATA_DIR, empty means no file (in memory only)
+ * @param {string|undefined} value - Env var value
+ * @param {string} fileName - Default file name in DATA_DIR
+ * @returns {string|null}
+ */
+function dataPath(value, fileName) {
+  if (value === '') return null;
+  return value ? path.resolve(value) : path.join(DATA_DIR, fileName);
+}
+
+/**
+ * The connecting client's address. Fly's proxy sets fly-client-ip; other
+ * proxies append the address they saw to x-forwarded-for, so only its last
+ * hop is trusted - the hops before it come from the client.
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function getClientIP(req) {
+  const flyIP = req.headers['fly-client-ip'];
+  if (typeof flyIP === 'string' && flyIP.trim()) {
+    return flyIP.trim();
+  }
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded.trim()) {
+    return forwarded.split(',').pop().trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Message types counted by name in /metrics (anything else counts as 'other')
+const CLIENT_MESSAGE_TYPES = new Set([
+  'join', 'position', 'shoot', 'hit', 'crash', 'ping', 'profile_request', 'leaderboard_request',
+  'chat', 'chat_block', 'lock', 'missile_launch', 'missile_hit', 'flares', 'reload', 'race_start'
+]);
 
 /**
  * GameServer - WebSocket server for multiplayer flight simulator
@@ -8,28 +71,97 @@ import { WebSocketServer } from 'ws';
  * - 10Hz broadcast loop (every 100ms)
  * - Rate limiting (20 messages/second per connection)
  * - Player timeout (10 seconds of inactivity)
- * - Position validation (bounds checking)
+ * - Position validation (bounds checking, per-aircraft speed limits)
+ * - Server-authoritative hit validation with lag compensation
+ * - Health, destruction and respawn with spawn protection
+ * - Public rooms (auto-filled, capped) and private rooms joined by code
+ * - Negotiated binary protocol for high-frequency messages (JSON fallback)
+ * - Spatial interest management (full rate nearby, reduced rate at range)
+ * - Optional per-room match log on disk (MATCH_LOG_DIR)
+ * - Persistent lifetime stats per player ID (PROFILE_STORE_PATH)
+ * - Daily, weekly and all-time leaderboards (message and GET /leaderboard)
+ * - HTTP /healthz, Prometheus /metrics and an authenticated /admin API (ADMIN_TOKEN)
+ * - Persistent, expiring IP and player ID bans (BAN_LIST_PATH)
+ * - Room-scoped text chat with rate limiting, a word filter, player blocks and admin mutes
+ * - Team deathmatch rooms: assigned teams and colors, friendly-fire rules, timed rounds
+ * - Homing missiles (lock relayed to the target, launch and impact validated) and flares
+ * - Hitscan or ballistic guns per room (ballistic hits checked along the round's arc)
+ * - Per-aircraft gun magazines, reloads and barrel heat (shots past the limits are dropped)
+ * - Kill streak and shutdown announcements
  */
 export class GameServer {
   constructor(port) {
-    this.wss = new WebSocketServer({ port });
+    // Read-only HTTP routes share the port with the WebSocket server
+    this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
+    this.wss = new WebSocketServer({ server: this.httpServer });
+    this.httpServer.listen(port);
+    this.startedAt = Date.now();
+    this.metrics = new Metrics();
+    this.adminApi = new AdminApi(this, process.env.ADMIN_TOKEN);
     this.players = new Map(); // id -> { ws, name, position, rotation, velocity, throttle, lastUpdate }
     this.joinRateLimits = new Map(); // ip -> { windowStart, count, lastJoinAt }
+    this.roomCodeFailures = new Map(); // ip -> { windowStart, count } (see allowRoomCodeFailure)
     this.assignedNames = new WeakMap(); // ws -> assigned callsign (pre-join)
     this.assignedNameSet = new Set(); // track pre-join names to avoid duplicates
 
-    // IP blocking - load from environment variable (comma-separated)
-    this.blockedIPs = new Set(
-      (process.env.BLOCKED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
-    );
-    // Auto-block threshold: IPs that exceed rate limits this many times get blocked
+    // IP and player ID bans - BLOCKED_IPS (comma-separated) are permanent,
+    // auto and admin bans are saved to BAN_LIST_PATH
+    this.bans = new BanList({
+      path: dataPath(process.env.BAN_LIST_PATH, 'bans.json'),
+      configIPs: (process.env.BLOCKED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+    });
+    // Auto-block: IPs that exceed rate limits this many times get banned for a
+    // while. Each violation is forgiven after violationDecayMs.
     this.autoBlockThreshold = Number(process.env.AUTO_BLOCK_THRESHOLD || 10);
-    this.rateLimitViolations = new Map(); // ip -> count
+    this.autoBlockDuration = Number(process.env.AUTO_BLOCK_MINUTES || 60) * 60 * 1000;
+    this.violationDecayMs = Number(process.env.VIOLATION_DECAY_MINUTES || 5) * 60 * 1000;
+    this.rateLimitViolations = new Map(); // ip -> { count, updatedAt }
+
+    // Hit validation (rewinds targets using per-player position history)
+    this.hitValidator = new HitValidator();
+    this.maxRecentShots = 20; // shots remembered per player for hit matching
+
+    // Rooms - every player belongs to exactly one; broadcasts are room-scoped
+    this.rooms = new Map(); // roomId -> Room
+    this.maxPlayersPerRoom = Number(process.env.ROOM_MAX_PLAYERS || 30);
+
+    // Team deathmatch rounds and what a hit on a teammate does
+    this.teamSettings = {
+      roundDuration: Number(process.env.TEAM_ROUND_MINUTES || CONFIG.teams.roundDuration / 60000) * 60 * 1000,
+      scoreLimit: Number(process.env.TEAM_SCORE_LIMIT || CONFIG.teams.scoreLimit),
+      intermission: CONFIG.teams.intermission
+    };
+    this.friendlyFire = process.env.TEAM_FRIENDLY_FIRE === 'penalize' ? 'penalize' : CONFIG.teams.friendlyFire;
 
     // Join rate limit settings (per IP)
     this.joinWindowMs = Number(process.env.JOIN_WINDOW_MS || 10 * 60 * 1000); // 10 min
     this.joinMaxPerWindow = Number(process.env.JOIN_MAX_PER_WINDOW || 5);
     this.joinCooldownMs = Number(process.env.JOIN_COOLDOWN_MS || 10000); // 10 sec
+    // Wrong private room codes allowed per join window before it counts as guessing
+    this.maxRoomCodeFailures = Number(process.env.ROOM_CODE_MAX_FAILURES || 5);
+
+    // Optional append-only match log for dispute review (MATCH_LOG_DIR enables it)
+    this.matchLog = new MatchLog({
+      dir: process.env.MATCH_LOG_DIR || null,
+      maxBytes: Number(process.env.MATCH_LOG_MAX_MB || 50) * 1024 * 1024,
+      maxAge: Number(process.env.MATCH_LOG_MAX_MINUTES || 60) * 60 * 1000,
+      describeRoom: (roomId) => this.describeRoomForLog(roomId)
+    });
+
+    // Chat: filtered words from CHAT_FILTER_WORDS / CHAT_FILTER_PATH, and
+    // players muted by an admin (player ID -> expiry ms, null = permanent)
+    this.chatFilter = new ChatFilter({
+      words: (process.env.CHAT_FILTER_WORDS || '').split(','),
+      path: process.env.CHAT_FILTER_PATH || null
+    });
+    this.chatMutes = new Map();
+
+    // Lifetime pilot stats by player ID (empty PROFILE_STORE_PATH keeps them in memory only)
+    this.profiles = new ProfileStore({ path: dataPath(process.env.PROFILE_STORE_PATH, 'profiles.json') });
+
+    // Interest management - grid rebuilt per room every broadcast tick
+    this.grid = new SpatialGrid(CONFIG.interest.cellSize);
+    this.broadcastTick = 0;
 
     // 10Hz broadcast loop
     this.broadcastInterval = setInterval(() => this.broadcast(), 100);
@@ -44,19 +176,27 @@ export class GameServer {
     console.log(`[GameServer] Player timeout: 10 seconds`);
     console.log(`[GameServer] Rate limit: 30 messages/second (combat enabled)`);
     console.log(`[GameServer] Join rate limit: ${this.joinMaxPerWindow}/${Math.round(this.joinWindowMs / 60000)}min, cooldown ${Math.round(this.joinCooldownMs / 1000)}s`);
-    console.log(`[GameServer] Auto-block threshold: ${this.autoBlockThreshold} violations`);
-    if (this.blockedIPs.size > 0) {
-      console.log(`[GameServer] Blocked IPs: ${this.blockedIPs.size} loaded from config`);
+    console.log(`[GameServer] Room capacity: ${this.maxPlayersPerRoom} players`);
+    console.log(`[GameServer] Team rounds: ${Math.round(this.teamSettings.roundDuration / 60000)}min or ${this.teamSettings.scoreLimit} kills, friendly fire: ${this.friendlyFire}`);
+    console.log(`[GameServer] Auto-block: ${this.autoBlockThreshold} violations (each forgiven after ${Math.round(this.violationDecayMs / 60000)}min) -> ${Math.round(this.autoBlockDuration / 60000)}min ban`);
+    console.log(`[GameServer] Bans: ${this.bans.count('ip')} IP, ${this.bans.count('player')} player (${this.bans.path || 'in memory only'})`);
+    console.log(`[GameServer] Profiles: ${this.profiles.path || 'in memory only'}`);
+    console.log(`[GameServer] Chat: ${CONFIG.chat.maxLength} chars, ${CONFIG.chat.burst} burst then 1/${CONFIG.chat.refillMs / 1000}s, ${this.chatFilter.size} filtered words`);
+    console.log(`[GameServer] Admin API: ${this.adminApi.enabled ? 'enabled' : 'disabled (set ADMIN_TOKEN)'}`);
+    if (this.matchLog.enabled) {
+      console.log(`[GameServer] Match log: ${this.matchLog.dir} (rotate at ${Math.round(this.matchLog.maxBytes / 1048576)}MB or ${Math.round(this.matchLog.maxAge / 60000)}min)`);
     }
   }
 
   handleConnection(ws, req) {
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-
-    // Check if IP is blocked
-    if (this.isIPBlocked(ip)) {
-      console.log(`[Blocked] Rejected connection from blocked IP: ${ip}`);
-      ws.close(1008, 'Connection refused');
+    // One address for bans, join limits, room code limits and violations
+    const ip = getClientIP(req);
+
+    // Check if IP is banned
+    const ban = this.bans.findIP(ip);
+    if (ban) {
+      console.log(`[Blocked] Rejected connection from banned IP: ${ip}`);
+      this.refuseBanned(ws, ban);
       return;
     }
 
@@ -72,7 +212,7 @@ export class GameServer {
       ws.send(JSON.stringify({ type: 'assign_name', name: assignedName }));
     }
 
-    ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
       // Rate limiting
       const now = Date.now();
       if (now - lastReset > 1000) {
@@ -81,13 +221,19 @@ export class GameServer {
       }
       messageCount++;
       if (messageCount > 30) {
+        this.metrics.inc('rate_limit_rejections_total', { kind: 'messages' });
         console.log(`[RateLimit] Disconnecting ${ip} - exceeded 30 msg/sec`);
         ws.close(1008, 'Rate limit exceeded');
         return;
       }
 
       try {
-        const msg = JSON.parse(data);
+        const msg = isBinary ? decodeMessage(data) : JSON.parse(data);
+        if (!msg) {
+          console.error(`[Error] Malformed binary message from ${ip}`);
+          return;
+        }
+        this.metrics.inc('messages_total', { type: CLIENT_MESSAGE_TYPES.has(msg.type) ? msg.type : 'other' });
         this.handleMessage(ws, msg, playerId, (id) => { playerId = id; }, ip);
       } catch (e) {
         console.error(`[Error] Invalid message from ${ip}:`, e.message);
@@ -103,8 +249,7 @@ export class GameServer {
       if (playerId) {
         const player = this.players.get(playerId);
         const name = player?.name || 'Unknown';
-        this.players.delete(playerId);
-        this.broadcastPlayerLeft(playerId);
+        this.removePlayer(playerId);
         console.log(`[Leave] ${name} (${playerId}) disconnected. Players: ${this.players.size}`);
       }
     });
@@ -116,8 +261,28 @@ export class GameServer {
 
   handleMessage(ws, msg, playerId, setPlayerId, ip) {
     if (msg.type === 'join') {
+      // Bad room codes are rejected before the join rate limit so the
+      // client can fall back to a public room straight away. Wrong codes
+      // have their own per-IP limit so codes can't be guessed.
+      const roomError = playerId ? null : this.checkRoomRequest(msg.room);
+      if (roomError === 'room_not_found' && !this.allowRoomCodeFailure(ip)) {
+        console.log(`[JoinRateLimit] Too many wrong room codes from ${ip}`);
+        this.metrics.inc('rate_limit_rejections_total', { kind: 'room_code' });
+        this.sendError(ws, 'join_rate_limited', 'Too many wrong room codes. Please wait and try again.');
+        ws.close(1008, 'Too many wrong room codes');
+        return;
+      }
+      if (roomError) {
+        console.log(`[Join] Room request '${msg.room}' rejected: ${roomError}`);
+        this.sendError(ws, roomError, roomError === 'room_full'
+          ? 'That room is full.'
+          : 'No room with that code.');
+        return;
+      }
+
       if (!this.allowJoin(ip)) {
         console.log(`[JoinRateLimit] Rejecting join from ${ip}`);
+        this.metrics.inc('rate_limit_rejections_total', { kind: 'join' });
         try {
           ws.send(JSON.stringify({
             type: 'error',
@@ -143,6 +308,20 @@ export class GameServer {
         return;
       }
 
+      const playerBan = this.bans.find('player', msg.id);
+      if (playerBan) {
+        console.log(`[Blocked] Rejected join from banned player ${msg.id}`);
+        this.refuseBanned(ws, playerBan);
+        return;
+      }
+
+      // Pick a room before claiming the ID so a failed join can be retried
+      const room = this.resolveRoom(
+        msg.room,
+        msg.mode === 'teams' ? 'teams' : 'ffa',
+        msg.weapons === 'ballistic' ? 'ballistic' : 'hitscan'
+      );
+
       // Check if ID is already in use by another connection
       const existingPlayer = this.players.get(msg.id);
       if (existingPlayer && existingPlayer.ws !== ws) {
@@ -163,29 +342,83 @@ export class GameServer {
 
       // Extract aircraft customization
       const planeType = this.sanitizePlaneType(msg.planeType) || 'jet1';
-      const planeColor = this.sanitizePlaneColor(msg.planeColor) || 'blue';
+      // Team rooms paint everyone in their team's color
+      const team = room.match ? room.match.chooseTeam(room.players.values()) : null;
+      const planeColor = team ?? (this.sanitizePlaneColor(msg.planeColor) || 'blue');
 
-      this.players.set(playerId, {
+      const player = {
+        id: playerId,
         ws,
+        ip,
+        joinedAt: Date.now(),
         name,
+        roomId: room.id,
+        protocolVersion: negotiateVersion(msg.binary), // 0 = JSON only
+        interest: msg.interest === true, // client handles partial snapshots
         planeType,
         planeColor,
+        team,
         position: { x: 0, y: 500, z: 0 },
         rotation: { x: 0, y: 0, z: 0 },
+        quaternion: null,  // Full orientation (aerobatic mode); rotation stays the Euler fallback
         velocity: { x: 0, y: 0, z: 0 },
         throttle: 0.5,
         lastUpdate: Date.now(),
+        // Lag compensation
+        history: new PositionHistory(),
+        movement: null, // speed validation state (see validateMovement)
+        raceStart: null, // approved race teleport { position, expiresAt } (see handleRaceStart)
+        lastFlight: null, // last accepted sample for time/distance flown (see recordFlight)
+        speedViolations: 0,
+        rtt: 0,
+        recentShots: [],
+        // Gun magazine and barrel heat (see fireGun)
+        gun: this.createGunState(planeType),
+        // Missiles: lock { targetId, trackingSince, lockedAt }, missiles in flight by ID
+        lock: null,
+        missiles: new Map(),
+        missilesLeft: CONFIG.missiles.perLife,
+        lastLaunchAt: 0,
+        flaresLeft: CONFIG.missiles.flares,
+        lastFlareAt: 0,
+        // Chat: rate limit tokens and players whose chat we never exchange
+        chatTokens: CONFIG.chat.burst,
+        chatRefilledAt: Date.now(),
+        blocked: this.sanitizeBlockList(msg.blocked),
         // Combat stats
         score: 0,
-        lastHitTime: 0
-      });
+        lastHitTime: 0,
+        lastDamagedAt: 0,
+        hitStats: { accepted: 0, rejected: 0, reasons: {} },
+        // Health / respawn
+        health: CONFIG.combat.maxHealth,
+        alive: true,
+        respawnAt: 0,
+        protectedUntil: Date.now() + CONFIG.combat.spawnProtection,
+        deaths: 0,
+        streak: 0          // kills since the last death (see updateStreaks)
+      };
+      this.players.set(playerId, player);
+      room.add(playerId, player);
+      this.matchLog.logJoin(room.id, playerId, player, ip);
+      const profile = this.profiles.startSortie(playerId, name);
 
-      console.log(`[Join] ${name} (${playerId}) joined. Players: ${this.players.size}`);
+      console.log(`[Join] ${name} (${playerId}) joined ${room.id} (${room.size}/${room.maxPlayers}). Players: ${this.players.size}`);
       if (ws.readyState === 1) {
         ws.send(JSON.stringify({
           type: 'join_accepted',
           id: playerId,
-          name
+          name,
+          room: room.toJSON(),
+          protocol: player.protocolVersion,
+          // Static player info (binary snapshots reference players by slot;
+          // interest-managed snapshots may omit distant players entirely)
+          roster: room.getRoster(),
+          // Lifetime stats as of this join
+          profile,
+          // Team rooms: our team and the round in progress
+          team,
+          match: room.match?.toJSON() ?? null
         }));
       }
       this.broadcastPlayerJoined(playerId, name);
@@ -197,64 +430,396 @@ export class GameServer {
         // Always update lastUpdate to prevent timeout - player is still connected
         player.lastUpdate = Date.now();
 
-        // Only update position data if validation passes
-        if (this.validatePosition(msg)) {
+        // Only update position data if validation passes (ignored while destroyed)
+        if (player.alive && this.validatePosition(msg) && this.validateMovement(ws, player, msg, player.lastUpdate)) {
           player.position = msg.position;
           player.rotation = msg.rotation;
+          player.quaternion = this.sanitizeQuaternion(msg.quaternion);
           player.velocity = msg.velocity || { x: 0, y: 0, z: 0 };
           player.throttle = typeof msg.throttle === 'number' ? msg.throttle : 0.5;
+          player.history.push(player.lastUpdate, player.position, player.velocity);
+          this.matchLog.logPosition(player.roomId, playerId, player);
+          this.recordFlight(player, msg, player.lastUpdate);
         }
       }
     }
 
+    // Lifetime stats for the entry screen's pilot card (before joining)
+    if (msg.type === 'profile_request' && !playerId) {
+      if (typeof msg.id === 'string' && msg.id.length >= 5 && msg.id.length <= 50 && ws.readyState === 1) {
+        ws.send(JSON.stringify({ type: 'profile', profile: this.profiles.describe(msg.id) }));
+      }
+    }
+
+    if (msg.type === 'leaderboard_request') {
+      const board = this.getLeaderboard(msg.period, msg.metric, { playerId });
+      if (board && ws.readyState === 1) {
+        ws.send(JSON.stringify({ type: 'leaderboard', ...board }));
+      }
+    }
+
     if (msg.type === 'ping') {
       // Update lastUpdate to act as keepalive
       if (playerId) {
         const player = this.players.get(playerId);
         if (player) {
           player.lastUpdate = Date.now();
+          // Client-measured round-trip time, used to rewind targets for hit checks
+          if (typeof msg.rtt === 'number' && Number.isFinite(msg.rtt) && msg.rtt >= 0) {
+            player.rtt = Math.min(msg.rtt, 5000);
+          }
         }
       }
       ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
     }
 
+    if (msg.type === 'chat' && playerId) {
+      this.handleChat(playerId, msg.text);
+    }
+
+    // Block or unblock chat with another player (both directions)
+    if (msg.type === 'chat_block' && playerId) {
+      const player = this.players.get(playerId);
+      if (player && typeof msg.id === 'string' && msg.id.length <= 60 && msg.id !== playerId) {
+        if (msg.blocked === false) {
+          player.blocked.delete(msg.id);
+        } else if (player.blocked.size < CONFIG.chat.maxBlocks) {
+          player.blocked.add(msg.id);
+        }
+      }
+    }
+
     // Combat: Player shooting
     if (msg.type === 'shoot' && playerId) {
-      if (this.validateShootData(msg)) {
+      const player = this.players.get(playerId);
+      if (player?.alive && this.validateShootData(msg) && this.fireGun(player)) {
+        // Opening fire ends spawn protection
+        player.protectedUntil = 0;
+        this.recordShot(playerId, msg);
+        this.matchLog.logShoot(player.roomId, playerId, msg);
         this.broadcastShoot(playerId, msg.position, msg.direction);
       }
     }
 
-    // Combat: Hit registered
+    // Combat: Reload before the magazine runs dry
+    if (msg.type === 'reload' && playerId) {
+      const player = this.players.get(playerId);
+      if (player?.alive) {
+        this.reloadGun(player, Date.now());
+      }
+    }
+
+    // Combat: Hit registered (shots the gun refused were never recorded, so their hits fail)
     if (msg.type === 'hit' && playerId) {
-      this.handleHit(playerId, msg.targetId);
+      this.handleHit(playerId, msg.targetId, msg.shotId);
+    }
+
+    // Missiles: seeker lock, launch, impact and flares
+    if (msg.type === 'lock' && playerId) {
+      this.handleLock(playerId, msg);
+    }
+    if (msg.type === 'missile_launch' && playerId) {
+      this.handleMissileLaunch(playerId, msg);
+    }
+    if (msg.type === 'missile_hit' && playerId) {
+      this.handleMissileHit(playerId, msg);
+    }
+    if (msg.type === 'flares' && playerId) {
+      this.handleFlares(playerId);
+    }
+
+    // Checkpoint race: the client teleports to the start once approved
+    if (msg.type === 'race_start' && playerId) {
+      this.handleRaceStart(ws, playerId, msg);
+    }
+
+    // Flew into terrain or a building (client-side collision against 3D Tiles)
+    if (msg.type === 'crash' && playerId) {
+      this.destroyPlayer(playerId, null, 'crash');
     }
   }
 
   /**
-   * Check if an IP is blocked (handles x-forwarded-for with multiple IPs)
+   * Check if an IP is banned
    */
   isIPBlocked(ip) {
-    if (!ip) return false;
-    // x-forwarded-for can contain multiple IPs, check all of them
-    const ips = ip.split(',').map(i => i.trim());
-    return ips.some(i => this.blockedIPs.has(i));
+    return this.bans.findIP(ip) !== null;
   }
 
   /**
    * Record a rate limit violation and potentially auto-block
+   *
+   * Violations decay: each one is forgiven violationDecayMs after the
+   * last, so only sustained abuse reaches the threshold.
    */
   recordViolation(ip) {
     if (!ip) return;
-    // Get first IP from x-forwarded-for (the client IP)
-    const clientIP = ip.split(',')[0].trim();
-    const count = (this.rateLimitViolations.get(clientIP) || 0) + 1;
-    this.rateLimitViolations.set(clientIP, count);
+    // ip is the proxy-reported client address (getClientIP), never a
+    // client-supplied forwarding hop
+    const now = Date.now();
+    const count = this.getViolationCount(ip, now) + 1;
+    this.rateLimitViolations.set(ip, { count, updatedAt: now });
+
+    if (count >= this.autoBlockThreshold && !this.bans.find('ip', ip)) {
+      this.rateLimitViolations.delete(ip);
+      this.ban({
+        type: 'ip',
+        value: ip,
+        reason: `${Math.floor(count)} rate limit violations`,
+        source: 'auto',
+        duration: this.autoBlockDuration
+      });
+      this.metrics.inc('auto_blocks_total');
+      console.log(`[AutoBlock] IP ${ip} banned for ${Math.round(this.autoBlockDuration / 60000)}min after ${Math.floor(count)} violations`);
+    }
+  }
+
+  /**
+   * An IP's violation count after decay
+   * @param {string} ip
+   * @param {number} now
+   * @returns {number}
+   */
+  getViolationCount(ip, now) {
+    const entry = this.rateLimitViolations.get(ip);
+    if (!entry) return 0;
+    return Math.max(0, entry.count - (now - entry.updatedAt) / this.violationDecayMs);
+  }
+
+  /**
+   * Ban an IP or player ID and disconnect whoever it matches
+   * @param {Object} ban - { type: 'ip'|'player', value, reason, source, duration } (see BanList.add)
+   * @returns {Object} The ban
+   */
+  ban(ban) {
+    if (ban.type === 'ip') {
+      ban = { ...ban, value: ban.value.split(',')[0].trim() };
+    }
+    const added = this.bans.add(ban);
+    for (const [id, player] of this.players) {
+      const matches = added.type === 'ip' ? this.isIPBlocked(player.ip) : id === added.value;
+      if (matches) {
+        this.kickPlayer(id, this.describeBan(added), 4001);
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Lift a ban (and forget an IP's rate limit violations)
+   * @param {string} type - 'ip' or 'player'
+   * @param {string} value
+   * @returns {boolean} Whether there was a ban
+   */
+  unban(type, value) {
+    if (type === 'ip') {
+      this.rateLimitViolations.delete(value);
+    }
+    return this.bans.remove(type, value);
+  }
+
+  /**
+   * Message shown to a banned player
+   * @param {Object} ban
+   * @returns {string}
+   */
+  describeBan(ban) {
+    const until = ban.expiresAt
+      ? ` until ${new Date(ban.expiresAt).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+      : '';
+    return `Banned from this server${until}.${ban.reason ? ` Reason: ${ban.reason}` : ''}`;
+  }
+
+  /**
+   * Tell a banned client why and close the connection (4001 - no auto-reconnect)
+   */
+  refuseBanned(ws, ban) {
+    this.sendError(ws, 'banned', this.describeBan(ban));
+    ws.close(4001, 'Banned');
+  }
+
+  /**
+   * Disconnect a player, telling them why. Kicked clients don't reconnect
+   * on their own (close code 4000, or 4001 for bans).
+   * @param {string} playerId
+   * @param {string} reason - Shown to the player
+   * @param {number} [code=4000]
+   * @returns {boolean} Whether the player was connected
+   */
+  kickPlayer(playerId, reason, code = 4000) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+    this.sendError(player.ws, code === 4001 ? 'banned' : 'kicked', reason);
+    player.ws.close(code, code === 4001 ? 'Banned' : 'Kicked');
+    console.log(`[Kick] ${player.name} (${playerId}): ${reason}`);
+    return true;
+  }
+
+  /**
+   * Show a server announcement to every player, or to one room
+   * @param {string} message
+   * @param {string|null} [roomId]
+   * @returns {number} Players it was sent to
+   */
+  announce(message, roomId = null) {
+    const data = JSON.stringify({ type: 'announcement', message, timestamp: Date.now() });
+    let sent = 0;
+    for (const player of this.players.values()) {
+      if (roomId && player.roomId !== roomId) continue;
+      if (player.ws.readyState === 1) {
+        player.ws.send(data);
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Chat message from a player: rate limited, cleaned, filtered and sent to
+   * everyone in their room (including the sender, who sees the filtered
+   * text) except players on either side of a block
+   * @param {string} playerId
+   * @param {*} rawText
+   */
+  handleChat(playerId, rawText) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    const text = ChatFilter.clean(rawText, CONFIG.chat.maxLength);
+    if (!text) return;
+
+    if (this.isChatMuted(playerId)) {
+      this.metrics.inc('chat_messages_total', { result: 'muted' });
+      this.sendError(player.ws, 'chat_muted', 'You have been muted by a moderator.');
+      return;
+    }
+    if (!this.takeChatToken(player, Date.now())) {
+      this.metrics.inc('chat_messages_total', { result: 'rate_limited' });
+      this.sendError(player.ws, 'chat_rate_limited', 'You are sending messages too quickly.');
+      return;
+    }
+
+    const filtered = this.chatFilter.apply(text);
+    this.metrics.inc('chat_messages_total', { result: filtered.filtered ? 'filtered' : 'sent' });
+    this.matchLog.logChat(player.roomId, playerId, filtered.text);
+
+    const data = JSON.stringify({
+      type: 'chat',
+      id: playerId,
+      name: player.name,
+      text: filtered.text,
+      timestamp: Date.now()
+    });
+    const room = this.rooms.get(player.roomId);
+    for (const [id, recipient] of room?.players ?? []) {
+      if (recipient.ws.readyState !== 1) continue;
+      if (recipient.blocked.has(playerId) || player.blocked.has(id)) continue;
+      recipient.ws.send(data);
+    }
+  }
+
+  /**
+   * Token bucket: CONFIG.chat.burst messages, refilled one per refillMs
+   * @returns {boolean} Whether the player may send a message now
+   */
+  takeChatToken(player, now) {
+    const { burst, refillMs } = CONFIG.chat;
+    const refilled = Math.floor((now - player.chatRefilledAt) / refillMs);
+    if (refilled > 0) {
+      player.chatTokens = Math.min(burst, player.chatTokens + refilled);
+      player.chatRefilledAt = player.chatTokens === burst ? now : player.chatRefilledAt + refilled * refillMs;
+    }
+    if (player.chatTokens <= 0) return false;
+    player.chatTokens--;
+    return true;
+  }
+
+  /**
+   * Blocked player IDs sent with join (remembered by the client)
+   * @returns {Set<string>}
+   */
+  sanitizeBlockList(list) {
+    if (!Array.isArray(list)) return new Set();
+    return new Set(list
+      .filter(id => typeof id === 'string' && id.length <= 60)
+      .slice(0, CONFIG.chat.maxBlocks));
+  }
+
+  isChatMuted(playerId) {
+    if (!this.chatMutes.has(playerId)) return false;
+    const until = this.chatMutes.get(playerId);
+    if (until !== null && until <= Date.now()) {
+      this.chatMutes.delete(playerId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Stop a player's chat reaching anyone (admin). Mutes last until they
+   * expire or the server restarts.
+   * @param {string} playerId
+   * @param {number|null} duration - ms, or null until restart
+   */
+  muteChat(playerId, duration = null) {
+    this.chatMutes.set(playerId, duration ? Date.now() + duration : null);
+    const player = this.players.get(playerId);
+    if (player) {
+      this.sendError(player.ws, 'chat_muted', 'You have been muted by a moderator.');
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the player was muted
+   */
+  unmuteChat(playerId) {
+    return this.chatMutes.delete(playerId);
+  }
+
+  /**
+   * Connected players for the admin API
+   * @returns {Object[]}
+   */
+  listPlayers() {
+    const now = Date.now();
+    return [...this.players.values()].map(player => ({
+      id: player.id,
+      name: player.name,
+      room: player.roomId,
+      ip: player.ip,
+      planeType: player.planeType,
+      team: player.team,
+      score: player.score,
+      deaths: player.deaths,
+      alive: player.alive,
+      rtt: player.rtt,
+      connectedFor: Math.round((now - player.joinedAt) / 1000),
+      hits: player.hitStats.accepted,
+      rejectedHits: player.hitStats.rejected,
+      speedViolations: player.speedViolations,
+      chatMuted: this.isChatMuted(player.id)
+    }));
+  }
+
+  /**
+   * Count a wrong room code from an IP
+   * @param {string} ip
+   * @returns {boolean} False once the IP is over maxRoomCodeFailures in the join window
+   */
+  allowRoomCodeFailure(ip) {
+    if (!ip) return true;
+    const now = Date.now();
+    let entry = this.roomCodeFailures.get(ip);
+    if (!entry || now - entry.windowStart > this.joinWindowMs) {
+      entry = { windowStart: now, count: 0 };
+      this.roomCodeFailures.set(ip, entry);
+    }
 
-    if (count >= this.autoBlockThreshold) {
-      this.blockedIPs.add(clientIP);
-      console.log(`[AutoBlock] IP ${clientIP} blocked after ${count} violations`);
+    entry.count += 1;
+    const allowed = entry.count <= this.maxRoomCodeFailures;
+    if (!allowed) {
+      this.recordViolation(ip);
     }
+    return allowed;
   }
 
   /**
@@ -344,6 +909,109 @@ export class GameServer {
     return false;
   }
 
+  /**
+   * Full magazine and a cold barrel
+   * @param {string} planeType
+   */
+  createGunState(planeType) {
+    return {
+      ammo: this.getGunSpec(planeType).magazine,
+      heat: 0,
+      heatAt: Date.now(),
+      overheated: false,
+      reloadUntil: 0,    // 0 when not reloading
+      lastShotAt: 0,     // time the last shot is credited to (see fireGun)
+      correctedAt: 0     // last gun_state sent back after a refused shot
+    };
+  }
+
+  getGunSpec(planeType) {
+    return CONFIG.guns.types[planeType] ?? CONFIG.guns.types.jet1;
+  }
+
+  /**
+   * Cool the barrel and finish a reload up to now
+   */
+  updateGun(player, now) {
+    const spec = this.getGunSpec(player.planeType);
+    const gun = player.gun;
+    gun.heat = Math.max(0, gun.heat - spec.coolRate * (now - gun.heatAt) / 1000);
+    gun.heatAt = now;
+    // Our heat runs up to heatSlack above the client's, so it resumes that much earlier
+    if (gun.overheated && gun.heat <= CONFIG.guns.overheatResume + CONFIG.guns.heatSlack) {
+      gun.overheated = false;
+    }
+    if (gun.reloadUntil && now >= gun.reloadUntil) {
+      gun.ammo = spec.magazine;
+      gun.reloadUntil = 0;
+    }
+  }
+
+  /**
+   * Spend a round, mirroring the client's gun so a modified client can't
+   * fire faster than its cadence, or without reloading or cooling down
+   *
+   * Shots arrive bunched by the network, so each is credited one
+   * fireCooldown after the previous one rather than at its arrival (but no
+   * further back than fireBurst cooldowns); a shot credited to the future
+   * came too fast.
+   * @returns {boolean} Whether the shot is allowed
+   */
+  fireGun(player) {
+    const now = Date.now();
+    const spec = this.getGunSpec(player.planeType);
+    const gun = player.gun;
+    this.updateGun(player, now);
+
+    const rules = CONFIG.guns;
+    const shotAt = Math.max(gun.lastShotAt + rules.fireCooldown, now - rules.fireBurst * rules.fireCooldown);
+    if (shotAt > now + rules.fireSlack) {
+      this.metrics.inc('gun_rejections_total', { reason: 'too_fast' });
+      return false;
+    }
+
+    const reason = gun.reloadUntil ? 'reloading' : gun.overheated ? 'overheated' : gun.ammo <= 0 ? 'empty' : null;
+    if (reason) {
+      this.metrics.inc('gun_rejections_total', { reason });
+      // Put the client's gauge right (once a second at most)
+      if (now - gun.correctedAt >= 1000) {
+        gun.correctedAt = now;
+        this.sendTo(player, {
+          type: 'gun_state',
+          ammo: gun.ammo,
+          heat: Math.min(1, gun.heat),
+          overheated: gun.overheated,
+          reloadLeft: gun.reloadUntil ? gun.reloadUntil - now : 0
+        });
+      }
+      return false;
+    }
+
+    gun.lastShotAt = shotAt;
+    gun.ammo -= 1;
+    gun.heat += spec.heatPerShot;
+    const maxHeat = 1 + CONFIG.guns.heatSlack;
+    if (gun.heat >= maxHeat) {
+      gun.heat = maxHeat;
+      gun.overheated = true;
+    }
+    if (gun.ammo <= 0) {
+      this.reloadGun(player, now);
+    }
+    return true;
+  }
+
+  /**
+   * Start reloading (no-op while reloading or with a full magazine)
+   */
+  reloadGun(player, now) {
+    const spec = this.getGunSpec(player.planeType);
+    const gun = player.gun;
+    this.updateGun(player, now);
+    if (gun.reloadUntil || gun.ammo >= spec.magazine) return;
+    gun.reloadUntil = now + Math.max(0, spec.reloadTime - CONFIG.guns.reloadSlack);
+  }
+
   /**
    * Validate shoot message data
    */
@@ -371,29 +1039,93 @@ export class GameServer {
     return true;
   }
 
+  /**
+   * Remember a validated shot so a later `hit` can be checked against it
+   */
+  recordShot(playerId, msg) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    const { x: dx, y: dy, z: dz } = msg.direction;
+    // Ballistic rounds inherit the shooter's last reported velocity
+    const muzzle = CONFIG.ballistics.muzzleVelocity;
+    const velocity = this.rooms.get(player.roomId)?.weapons === 'ballistic'
+      ? {
+          x: player.velocity.x + dx * muzzle,
+          y: player.velocity.y + dy * muzzle,
+          z: player.velocity.z + dz * muzzle
+        }
+      : null;
+
+    player.recentShots.push({
+      shotId: typeof msg.shotId === 'number' ? msg.shotId : null,
+      receivedAt: Date.now(),
+      position: { x: msg.position.x, y: msg.position.y, z: msg.position.z },
+      direction: { x: dx, y: dy, z: dz },
+      velocity,  // null for hitscan
+      hit: false
+    });
+    while (player.recentShots.length > this.maxRecentShots) {
+      player.recentShots.shift();
+    }
+  }
+
+  /**
+   * Find the shot a hit refers to (latest shot for clients without shot IDs)
+   */
+  findShot(player, shotId) {
+    const shots = player.recentShots;
+    if (typeof shotId === 'number') {
+      for (let i = shots.length - 1; i >= 0; i--) {
+        if (shots[i].shotId === shotId) return shots[i];
+      }
+      return null;
+    }
+    return shots.length > 0 ? shots[shots.length - 1] : null;
+  }
+
+  /**
+   * Count a rejected hit against the shooter (logged to spot cheaters)
+   */
+  recordRejectedHit(shooter, target, reason) {
+    const stats = shooter.hitStats;
+    stats.rejected += 1;
+    stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+    this.metrics.inc('hits_total', { result: reason });
+    this.matchLog.logRejectedHit(shooter.roomId, shooter.id, target.id, reason);
+
+    // Log the first rejection and then every 10th to keep logs readable
+    if (stats.rejected === 1 || stats.rejected % 10 === 0) {
+      console.log(`[HitRejected] ${shooter.name} -> ${target.name}: ${reason} (rejected ${stats.rejected}, accepted ${stats.accepted})`);
+    }
+  }
+
   /**
    * Broadcast shoot event to all other players (for visual effects)
    */
   broadcastShoot(shooterId, position, direction) {
+    const shooter = this.players.get(shooterId);
+    if (!shooter) return;
+    const timestamp = Date.now();
     const message = JSON.stringify({
       type: 'player_shoot',
       shooterId,
       position,
       direction,
-      timestamp: Date.now()
+      timestamp
     });
 
-    for (const [id, player] of this.players) {
-      if (id !== shooterId && player.ws.readyState === 1) {
-        player.ws.send(message);
-      }
-    }
+    this.rooms.get(shooter.roomId)?.broadcast(message, shooterId, (version) =>
+      encodePlayerShoot(version, shooter.slot, position, direction, timestamp));
   }
 
   /**
    * Handle hit event - validate and update scores
+   * @param {string} shooterId
+   * @param {string} targetId
+   * @param {number} [shotId] - ID of the `shoot` message the hit belongs to
    */
-  handleHit(shooterId, targetId) {
+  handleHit(shooterId, targetId, shotId) {
     const shooter = this.players.get(shooterId);
     const target = this.players.get(targetId);
 
@@ -402,60 +1134,585 @@ export class GameServer {
       return;
     }
 
-    // Can't shoot yourself
-    if (shooterId === targetId) {
+    // Can't shoot yourself, and dead players can't score
+    if (shooterId === targetId || !shooter.alive) {
       return;
     }
 
     // Rate limiting: max 10 hits per second per player
     const now = Date.now();
-    if (now - shooter.lastHitTime < 100) {
+    if (now - shooter.lastHitTime < CONFIG.combat.hitRateLimit) {
+      return;
+    }
+    const rejected = this.checkHitRules(shooter, target, now);
+    if (rejected) {
+      this.recordRejectedHit(shooter, target, rejected);
       return;
     }
-    shooter.lastHitTime = now;
 
-    // Increment score
-    shooter.score = (shooter.score || 0) + 1;
+    // Lag-compensated geometry check against the matching shot
+    const shot = this.findShot(shooter, shotId);
+    const result = this.hitValidator.validate(shooter, target, shot, now);
+    if (!result.valid) {
+      this.recordRejectedHit(shooter, target, result.reason);
+      return;
+    }
+    shot.hit = true;
+    shooter.lastHitTime = now;
+    this.applyHit(shooter, target, CONFIG.combat.hitDamage, result.distance, shot.shotId);
+  }
 
-    console.log(`[Hit] ${shooter.name} hit ${target.name}. Score: ${shooter.score}`);
+  /**
+   * Rules every hit claim must pass, whatever the weapon
+   * @param {Object} shooter
+   * @param {Object} target
+   * @param {number} now
+   * @returns {string|null} Rejection reason
+   */
+  checkHitRules(shooter, target, now) {
+    // No one outside your room, and destroyed or protected targets can't be hit
+    if (shooter.roomId !== target.roomId) return 'wrong_room';
+    if (!target.alive) return 'target_destroyed';
+    if (now < target.protectedUntil) return 'spawn_protected';
+
+    // Team rooms: nothing scores between rounds, and teammates are off
+    // limits unless friendly fire is penalized instead
+    const match = this.rooms.get(shooter.roomId)?.match;
+    if (match && !match.playing) return 'intermission';
+    if (this.isTeammate(shooter, target) && this.friendlyFire === 'reject') return 'friendly_fire';
+    return null;
+  }
 
-    // Broadcast hit confirmation to all players
-    this.broadcastHitConfirmed(shooterId, targetId, shooter.score);
+  /**
+   * Whether two players are on the same team in a team room
+   */
+  isTeammate(a, b) {
+    return this.rooms.get(a.roomId)?.match != null && a.team === b.team;
   }
 
   /**
-   * Broadcast hit confirmation to all players
+   * Score, damage and broadcast a validated hit
+   * @param {Object} shooter
+   * @param {Object} target
+   * @param {number} damage - Health removed
+   * @param {number} distance - Validated range in meters
+   * @param {number|string|null} shotId - Shot or missile the hit came from
+   * @param {string} [weapon='gun'] - 'gun' or 'missile'
    */
-  broadcastHitConfirmed(shooterId, targetId, shooterScore) {
-    const message = JSON.stringify({
-      type: 'hit_confirmed',
-      shooterId,
-      targetId,
-      shooterScore,
-      timestamp: Date.now()
-    });
+  applyHit(shooter, target, damage, distance, shotId, weapon = 'gun') {
+    shooter.hitStats.accepted += 1;
+    this.metrics.inc('hits_total', { result: 'accepted' });
+
+    // Increment score (a penalized friendly hit costs points instead)
+    const friendly = this.isTeammate(shooter, target);
+    if (friendly) {
+      shooter.score = Math.max(0, (shooter.score || 0) - CONFIG.teams.friendlyFirePenalty);
+    } else {
+      shooter.score = (shooter.score || 0) + 1;
+      this.profiles.add(shooter.id, { hits: 1 });
+    }
 
-    for (const [id, player] of this.players) {
-      if (player.ws.readyState === 1) {
-        player.ws.send(message);
-      }
+    const using = weapon === 'gun' ? '' : ` with a ${weapon}`;
+    console.log(`[Hit] ${shooter.name} hit ${friendly ? 'teammate ' : ''}${target.name}${using} at ${Math.round(distance)}m. Score: ${shooter.score}`);
+
+    // Apply damage before broadcasting so clients get the new health
+    target.health = Math.max(0, target.health - damage);
+    target.lastDamagedAt = Date.now();
+
+    this.matchLog.logHit(shooter.roomId, shooter.id, target.id, shotId, distance, target.health, weapon);
+
+    // Broadcast hit confirmation to all players
+    this.broadcastHitConfirmed(shooter.id, target.id, shooter.score, target.health, weapon);
+
+    if (target.health <= 0) {
+      this.destroyPlayer(target.id, shooter.id, 'shot_down', weapon);
     }
   }
 
   /**
-   * Validate position and rotation data
+   * Approve a teleport to a race route's start. Refused while the player is
+   * in a fight, so a race can't be used to escape one.
+   * @param {WebSocket} ws
+   * @param {string} playerId
+   * @param {Object} msg - { routeId }
    */
-  validatePosition(msg) {
-    if (!msg.position || !msg.rotation) return false;
-
-    const { x, y, z } = msg.position;
+  handleRaceStart(ws, playerId, msg) {
+    const player = this.players.get(playerId);
+    if (!player) return;
 
-    // Check position for NaN or undefined
-    if (typeof x !== 'number' || typeof y !== 'number' || typeof z !== 'number') {
-      return false;
+    const now = Date.now();
+    const starts = CONFIG.race.starts;
+    let reason = null;
+    if (typeof msg.routeId !== 'string' || !Object.hasOwn(starts, msg.routeId)) {
+      reason = 'Unknown race route.';
+    } else if (!player.alive) {
+      reason = 'Wait for respawn to start a race.';
+    } else if (this.isInCombat(player, now)) {
+      reason = "Can't start a race in the middle of a fight.";
     }
-    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
-      return false;
+    if (reason) {
+      this.sendError(ws, 'race_refused', reason);
+      return;
+    }
+
+    player.raceStart = { position: starts[msg.routeId], expiresAt: now + CONFIG.race.approvalTime };
+    this.sendTo(player, { type: 'race_start', routeId: msg.routeId });
+  }
+
+  /**
+   * Whether a player was damaged within race.combatCooldown, or is locked
+   * or chased by a missile right now
+   * @param {Object} player
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isInCombat(player, now) {
+    if (now - player.lastDamagedAt < CONFIG.race.combatCooldown) return true;
+    for (const other of this.players.values()) {
+      if (other === player || other.roomId !== player.roomId) continue;
+      if (other.lock?.targetId === player.id) return true;
+      for (const missile of other.missiles.values()) {
+        if (missile.state === 'flying' && missile.targetId === player.id) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Seeker lock: 'tracking' starts the lock timer on a target, 'locked'
+   * (after lockTime) warns the target, a null target releases it
+   * @param {string} playerId
+   * @param {Object} msg - { targetId, state }
+   */
+  handleLock(playerId, msg) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    const target = typeof msg.targetId === 'string' ? this.players.get(msg.targetId) : null;
+    if (!player.alive || !target || target === player || target.roomId !== player.roomId) {
+      this.releaseLock(player);
+      return;
+    }
+
+    const now = Date.now();
+    if (player.lock?.targetId !== target.id) {
+      this.releaseLock(player);
+      if (msg.state === 'tracking') {
+        player.lock = { targetId: target.id, trackingSince: now, lockedAt: null };
+      }
+      return;
+    }
+    const tracked = now - player.lock.trackingSince;
+    if (msg.state === 'locked' && player.lock.lockedAt === null &&
+        tracked >= CONFIG.missiles.lockTime - CONFIG.missiles.lockTimeSlack) {
+      player.lock.lockedAt = now;
+      this.sendTo(target, { type: 'lock_warning', shooterId: playerId, state: 'locked' });
+    }
+  }
+
+  /**
+   * Drop a player's lock, telling the target if it had been warned
+   * @param {Object} player
+   */
+  releaseLock(player) {
+    const lock = player.lock;
+    player.lock = null;
+    if (lock?.lockedAt) {
+      const target = this.players.get(lock.targetId);
+      if (target) {
+        this.sendTo(target, { type: 'lock_warning', shooterId: player.id, state: 'released' });
+      }
+    }
+  }
+
+  /**
+   * Missile launch at the locked target
+   * @param {string} playerId
+   * @param {Object} msg - { missileId, targetId, position, direction }
+   */
+  handleMissileLaunch(playerId, msg) {
+    const shooter = this.players.get(playerId);
+    const target = this.players.get(msg.targetId);
+    if (!shooter?.alive || !Number.isInteger(msg.missileId) || !this.validateShootData(msg)) return;
+    if (shooter.missiles.has(msg.missileId)) return;
+
+    const now = Date.now();
+    const rules = CONFIG.missiles;
+    let reason = null;
+    let result = null;
+    if (!target || target === shooter) {
+      reason = 'no_target';
+    } else if (shooter.missilesLeft <= 0) {
+      reason = 'no_missiles';
+    } else if (now - shooter.lastLaunchAt < rules.launchCooldown ||
+               [...shooter.missiles.values()].filter(m => m.state === 'flying').length >= rules.maxInFlight) {
+      reason = 'rate_limited';
+    } else if (shooter.lock?.targetId !== target.id || !shooter.lock.lockedAt) {
+      reason = 'no_lock';
+    } else {
+      reason = this.checkHitRules(shooter, target, now);
+      if (!reason) {
+        result = this.hitValidator.validateLaunch(shooter, target, msg, now);
+        reason = result.valid ? null : result.reason;
+      }
+    }
+    if (reason) {
+      this.metrics.inc('missiles_total', { result: reason });
+      // Take the shooter's missile out of the air again
+      this.sendTo(shooter, { type: 'missile_detonated', shooterId: playerId, missileId: msg.missileId, reason: 'rejected' });
+      return;
+    }
+
+    const missile = {
+      id: msg.missileId,
+      targetId: target.id,
+      launchedAt: now,
+      position: { x: msg.position.x, y: msg.position.y, z: msg.position.z },
+      state: 'flying'  // 'flying', 'hit' or 'spoofed'
+    };
+    shooter.missiles.set(missile.id, missile);
+    shooter.missilesLeft -= 1;
+    shooter.lastLaunchAt = now;
+    // Opening fire ends spawn protection
+    shooter.protectedUntil = 0;
+    this.metrics.inc('missiles_total', { result: 'launched' });
+    this.matchLog.logMissile(shooter.roomId, playerId, missile, result.distance);
+    console.log(`[Missile] ${shooter.name} fired at ${target.name} from ${Math.round(result.distance)}m (${shooter.missilesLeft} left)`);
+
+    this.rooms.get(shooter.roomId)?.broadcast(JSON.stringify({
+      type: 'missile_launched',
+      shooterId: playerId,
+      missileId: missile.id,
+      targetId: target.id,
+      position: missile.position,
+      direction: msg.direction,
+      timestamp: now
+    }), playerId);
+  }
+
+  /**
+   * Missile reached its target (the shooter's client flies it)
+   * @param {string} playerId
+   * @param {Object} msg - { missileId, targetId }
+   */
+  handleMissileHit(playerId, msg) {
+    const shooter = this.players.get(playerId);
+    const target = this.players.get(msg.targetId);
+    if (!shooter || !target || target === shooter || !shooter.alive) return;
+
+    const now = Date.now();
+    const missile = shooter.missiles.get(msg.missileId) ?? null;
+    const rejected = this.checkHitRules(shooter, target, now);
+    if (rejected) {
+      this.recordRejectedHit(shooter, target, rejected);
+      return;
+    }
+    const result = this.hitValidator.validateMissile(shooter, target, missile, now);
+    if (!result.valid) {
+      this.recordRejectedHit(shooter, target, result.reason);
+      return;
+    }
+
+    missile.state = 'hit';
+    this.broadcastMissileDetonated(shooter, missile, 'hit');
+    this.applyHit(shooter, target, CONFIG.missiles.damage, result.distance, `m${missile.id}`, 'missile');
+  }
+
+  /**
+   * Flare burst: each missile tracking the player that is close enough to
+   * see the flares may be decoyed. Missiles further out than flareRange
+   * (estimated from the distance a missile could have closed since launch)
+   * ignore them, so flares dropped too early are wasted.
+   * @param {string} playerId
+   */
+  handleFlares(playerId) {
+    const player = this.players.get(playerId);
+    const now = Date.now();
+    const rules = CONFIG.missiles;
+    if (!player?.alive || player.flaresLeft <= 0 || now - player.lastFlareAt < rules.flareCooldown) return;
+    player.flaresLeft -= 1;
+    player.lastFlareAt = now;
+
+    const room = this.rooms.get(player.roomId);
+    let spoofed = 0;
+    for (const shooter of room?.players.values() ?? []) {
+      for (const missile of shooter.missiles.values()) {
+        if (missile.targetId !== playerId || missile.state !== 'flying') continue;
+        const dx = player.position.x - missile.position.x;
+        const dy = player.position.y - missile.position.y;
+        const dz = player.position.z - missile.position.z;
+        const flown = rules.speed * (now - missile.launchedAt) / 1000;
+        const remaining = Math.sqrt(dx * dx + dy * dy + dz * dz) - flown;
+        if (remaining > rules.flareRange || Math.random() >= rules.flareSpoofChance) continue;
+        missile.state = 'spoofed';
+        spoofed++;
+        this.metrics.inc('missiles_total', { result: 'spoofed' });
+        this.broadcastMissileDetonated(shooter, missile, 'spoofed');
+      }
+    }
+    this.matchLog.logFlares(player.roomId, playerId, spoofed);
+    room?.broadcast(JSON.stringify({ type: 'flares', id: playerId, timestamp: now }), playerId);
+  }
+
+  /**
+   * Tell the room a missile is done ('hit' or 'spoofed' by flares)
+   */
+  broadcastMissileDetonated(shooter, missile, reason) {
+    this.rooms.get(shooter.roomId)?.broadcast(JSON.stringify({
+      type: 'missile_detonated',
+      shooterId: shooter.id,
+      missileId: missile.id,
+      targetId: missile.targetId,
+      reason,
+      timestamp: Date.now()
+    }));
+  }
+
+  /**
+   * Send a JSON message to one player
+   * @param {Object} player
+   * @param {Object} message
+   */
+  sendTo(player, message) {
+    if (player.ws?.readyState === 1) {
+      player.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Mark a player as destroyed and schedule their respawn
+   * @param {string} playerId - Destroyed player
+   * @param {string|null} killerId - Player credited with the kill
+   * @param {string} [cause='shot_down'] - 'shot_down' or 'crash'
+   */
+  destroyPlayer(playerId, killerId, cause = 'shot_down', weapon = null) {
+    const player = this.players.get(playerId);
+    if (!player || !player.alive) return;
+
+    const now = Date.now();
+    const endedStreak = player.streak;
+    player.alive = false;
+    player.health = 0;
+    player.deaths += 1;
+    player.streak = 0;
+    player.respawnAt = now + CONFIG.combat.respawnDelay;
+    player.recentShots = [];
+    player.history.clear();
+    this.releaseLock(player);
+
+    const killer = killerId ? this.players.get(killerId) : null;
+    if (cause === 'crash') {
+      console.log(`[Destroyed] ${player.name} crashed into terrain`);
+    } else {
+      console.log(`[Destroyed] ${player.name} destroyed by ${killer?.name || 'unknown'}`);
+    }
+    this.matchLog.logDestroyed(player.roomId, playerId, killerId, cause);
+    this.profiles.add(playerId, { deaths: 1 });
+    const teamKill = killer != null && killer.team !== null && killer.team === player.team;
+    if (killer && killerId !== playerId && !teamKill) {
+      this.profiles.add(killerId, { kills: 1 });
+    }
+
+    this.broadcastPlayerDestroyed(playerId, killerId, cause, weapon);
+    if (killer && killerId !== playerId && !teamKill) {
+      this.updateStreaks(killer, player, endedStreak);
+    }
+
+    // Team rooms: the kill scores for the killer's team (a team kill costs it a point)
+    const room = this.rooms.get(player.roomId);
+    if (room?.match && killer && killer.roomId === room.id) {
+      if (teamKill) {
+        room.match.addPenalty(killer.team);
+        this.broadcastMatchState(room, 'score');
+      } else {
+        const ended = room.match.addKill(killer.team, now);
+        this.broadcastMatchState(room, ended ? 'round_end' : 'score');
+      }
+    }
+  }
+
+  /**
+   * Count a kill toward the killer's streak and announce streaks and
+   * shutdowns to the room (as 'streak' messages - 'announcement' is the
+   * admin broadcast)
+   * @param {Object} killer
+   * @param {Object} victim
+   * @param {number} endedStreak - The victim's streak before this death
+   */
+  updateStreaks(killer, victim, endedStreak) {
+    killer.streak += 1;
+    const room = this.rooms.get(killer.roomId);
+    if (!room) return;
+
+    const timestamp = Date.now();
+    if (endedStreak >= CONFIG.streaks.shutdownFrom) {
+      console.log(`[Streak] ${killer.name} ended ${victim.name}'s streak of ${endedStreak}`);
+      room.broadcast(JSON.stringify({
+        type: 'streak',
+        event: 'shutdown',
+        playerId: killer.id,
+        victimId: victim.id,
+        streak: endedStreak,
+        timestamp
+      }));
+    }
+    if (killer.streak >= CONFIG.streaks.announceFrom) {
+      console.log(`[Streak] ${killer.name}: ${killer.streak} in a row`);
+      room.broadcast(JSON.stringify({
+        type: 'streak',
+        event: 'streak',
+        playerId: killer.id,
+        streak: killer.streak,
+        timestamp
+      }));
+    }
+  }
+
+  /**
+   * Advance team rounds (called from the broadcast loop). Personal scores
+   * reset with the team scores when a new round starts.
+   */
+  updateMatches() {
+    const now = Date.now();
+    for (const room of this.rooms.values()) {
+      const event = room.match?.update(now);
+      if (!event) continue;
+      if (event === 'round_start') {
+        for (const player of room.players.values()) {
+          player.score = 0;
+          player.streak = 0;
+        }
+      }
+      this.broadcastMatchState(room, event);
+    }
+  }
+
+  /**
+   * Send a team room its match state
+   * @param {Room} room
+   * @param {'score'|'round_end'|'round_start'} event
+   */
+  broadcastMatchState(room, event) {
+    const state = { type: 'match_state', event, ...room.match.toJSON() };
+    if (event === 'round_start') {
+      console.log(`[Match] ${room.id} round ${room.match.round} started`);
+    }
+    if (event === 'round_end') {
+      const scores = Object.entries(state.scores).map(([team, score]) => `${team} ${score}`).join(', ');
+      console.log(`[Match] ${room.id} round ${room.match.round} over (${scores}), winner: ${state.winner ?? 'draw'}`);
+      // Best three pilots of the round for the win screen
+      state.top = [...room.players.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3)
+        .map(player => ({ name: player.name, team: player.team, score: player.score }));
+    }
+    room.broadcast(JSON.stringify(state));
+  }
+
+  /**
+   * Respawn players whose respawn delay has elapsed (called from broadcast loop)
+   */
+  updateRespawns() {
+    const now = Date.now();
+    for (const [id, player] of this.players) {
+      if (!player.alive && now >= player.respawnAt) {
+        player.alive = true;
+        player.health = CONFIG.combat.maxHealth;
+        player.protectedUntil = now + CONFIG.combat.spawnProtection;
+        player.movement = null; // respawn teleports - don't speed-check the jump
+        player.lastFlight = null;
+        player.missilesLeft = CONFIG.missiles.perLife;
+        player.flaresLeft = CONFIG.missiles.flares;
+        player.gun = this.createGunState(player.planeType);
+        console.log(`[Respawn] ${player.name} (${id}) respawned`);
+        this.matchLog.logRespawn(player.roomId, id);
+        this.broadcastPlayerRespawned(id);
+      }
+    }
+  }
+
+  /**
+   * Notify all players that a player was destroyed
+   */
+  broadcastPlayerDestroyed(playerId, killerId, cause, weapon) {
+    const message = JSON.stringify({
+      type: 'player_destroyed',
+      id: playerId,
+      killerId: killerId || null,
+      cause,
+      weapon: weapon || null,
+      respawnIn: CONFIG.combat.respawnDelay,
+      timestamp: Date.now()
+    });
+
+    this.getRoomOf(playerId)?.broadcast(message);
+  }
+
+  /**
+   * Notify all players that a player respawned (with spawn protection)
+   */
+  broadcastPlayerRespawned(playerId) {
+    const message = JSON.stringify({
+      type: 'player_respawned',
+      id: playerId,
+      health: CONFIG.combat.maxHealth,
+      protectedFor: CONFIG.combat.spawnProtection,
+      timestamp: Date.now()
+    });
+
+    this.getRoomOf(playerId)?.broadcast(message);
+  }
+
+  /**
+   * Broadcast hit confirmation to all players
+   */
+  broadcastHitConfirmed(shooterId, targetId, shooterScore, targetHealth, weapon) {
+    const shooter = this.players.get(shooterId);
+    const target = this.players.get(targetId);
+    if (!shooter || !target) return;
+    const timestamp = Date.now();
+    const message = JSON.stringify({
+      type: 'hit_confirmed',
+      shooterId,
+      targetId,
+      shooterScore,
+      targetHealth,
+      weapon,
+      timestamp
+    });
+
+    this.rooms.get(target.roomId)?.broadcast(message, null, (version) =>
+      encodeHitConfirmed(version, shooter.slot, target.slot, shooterScore, targetHealth, timestamp, weapon));
+  }
+
+  /**
+   * Normalize an orientation quaternion from a client
+   * @param {Object} q - { x, y, z, w }
+   * @returns {Object|null} Unit quaternion, or null if missing/malformed
+   */
+  sanitizeQuaternion(q) {
+    if (!q || typeof q !== 'object') return null;
+    const { x, y, z, w } = q;
+    if (![x, y, z, w].every(Number.isFinite)) return null;
+    const length = Math.sqrt(x * x + y * y + z * z + w * w);
+    // Quantized quaternions are slightly off unit length; anything further is garbage
+    if (length < 0.9 || length > 1.1) return null;
+    return { x: x / length, y: y / length, z: z / length, w: w / length };
+  }
+
+  /**
+   * Validate position and rotation data
+   */
+  validatePosition(msg) {
+    if (!msg.position || !msg.rotation) return false;
+
+    const { x, y, z } = msg.position;
+
+    // Check position for NaN or undefined
+    if (typeof x !== 'number' || typeof y !== 'number' || typeof z !== 'number') {
+      return false;
+    }
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+      return false;
     }
 
     // Basic bounds check (within reasonable flying area)
@@ -484,48 +1741,309 @@ export class GameServer {
   }
 
   /**
-   * Broadcast all player positions to all clients (10Hz)
+   * Reject position updates that move faster than the player's aircraft can fly
+   *
+   * Speed is measured against the last accepted position. The only jumps
+   * accepted are server respawns, which clear player.movement, and race
+   * starts the server approved (see handleRaceStart). A client that
+   * stays out of step for `dropAfter` updates in a row is disconnected (and
+   * rejoins from scratch if it was an honest desync).
+   * @param {WebSocket} ws - Player's connection
+   * @param {Object} player - Player record
+   * @param {Object} msg - Validated position message
+   * @param {number} now - Server receive time
+   * @returns {boolean} Whether the update is plausible
+   */
+  validateMovement(ws, player, msg, now) {
+    const limits = CONFIG.movement;
+    const maxSpeed = this.getSpeedLimit(player);
+    const sample = { position: msg.position, serverTime: now, clientTime: msg.timestamp };
+
+    // Reported airspeed above the aircraft's limit is never plausible
+    if (typeof msg.speed === 'number' && msg.speed > maxSpeed) {
+      this.recordSpeedViolation(player, msg.speed, maxSpeed);
+      return false;
+    }
+
+    // Approved race start: the first update at the route's start takes the jump
+    const raceStart = player.raceStart;
+    if (raceStart && now <= raceStart.expiresAt && !this.isInCombat(player, now)) {
+      const dx = msg.position.x - raceStart.position.x;
+      const dy = msg.position.y - raceStart.position.y;
+      const dz = msg.position.z - raceStart.position.z;
+      if (Math.sqrt(dx * dx + dy * dy + dz * dz) <= CONFIG.race.startTolerance) {
+        player.raceStart = null;
+        player.movement = { accepted: sample, rejected: 0 };
+        player.lastFlight = null;
+        return true;
+      }
+    }
+
+    const movement = player.movement;
+    if (!movement) {
+      player.movement = { accepted: sample, rejected: 0 };
+      return true;
+    }
+
+    const fromAccepted = this.measureSpeed(movement.accepted, sample);
+    if (fromAccepted <= maxSpeed) {
+      movement.accepted = sample;
+      movement.rejected = 0;
+      return true;
+    }
+
+    movement.rejected += 1;
+    this.recordSpeedViolation(player, fromAccepted, maxSpeed);
+    if (movement.rejected >= limits.dropAfter) {
+      console.log(`[SpeedRejected] Dropping ${player.name} (${player.id}) after ${movement.rejected} rejected updates in a row`);
+      this.metrics.inc('rate_limit_rejections_total', { kind: 'movement' });
+      this.recordViolation(player.ip);
+      ws.close(1008, 'Position rejected');
+    }
+    return false;
+  }
+
+  /**
+   * Highest plausible speed in m/s for the player's aircraft
+   * @param {Object} player - Player record
+   * @returns {number}
+   */
+  getSpeedLimit(player) {
+    const limits = CONFIG.movement;
+    return (CONFIG.aircraft[player.planeType]?.maxSpeed ?? CONFIG.aircraft.jet1.maxSpeed)
+      * limits.speedTolerance + limits.speedSlack;
+  }
+
+  /**
+   * Add an accepted position update to the player's lifetime time and
+   * distance flown. Gaps (lag spikes) and jumps (respawns) aren't counted
+   * as flying.
+   * @param {Object} player - Player record
+   * @param {Object} msg - Accepted position message
+   * @param {number} now - Server receive time
+   */
+  recordFlight(player, msg, now) {
+    const sample = { position: msg.position, serverTime: now, clientTime: msg.timestamp };
+    const last = player.lastFlight;
+    player.lastFlight = sample;
+    if (!last) return;
+
+    const dt = (now - last.serverTime) / 1000;
+    if (dt < 0 || dt > 2) return;
+    if (this.measureSpeed(last, sample) > this.getSpeedLimit(player)) return;
+
+    const dx = sample.position.x - last.position.x;
+    const dy = sample.position.y - last.position.y;
+    const dz = sample.position.z - last.position.z;
+    this.profiles.add(player.id, {
+      timeFlown: dt,
+      distanceFlown: Math.sqrt(dx * dx + dy * dy + dz * dz)
+    });
+  }
+
+  /**
+   * Speed in m/s between two position samples
+   *
+   * Uses the client's timestamps so network bunching doesn't look like a
+   * burst of speed, but never trusts them for more than the server-observed
+   * gap plus maxClientDtSlack.
+   */
+  measureSpeed(from, to) {
+    const serverDt = to.serverTime - from.serverTime;
+    let dt = serverDt;
+    if (typeof to.clientTime === 'number' && typeof from.clientTime === 'number') {
+      const clientDt = to.clientTime - from.clientTime;
+      if (clientDt > 0) {
+        dt = Math.min(clientDt, serverDt + CONFIG.movement.maxClientDtSlack);
+      }
+    }
+    const dx = to.position.x - from.position.x;
+    const dy = to.position.y - from.position.y;
+    const dz = to.position.z - from.position.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz) / (Math.max(dt, 1) / 1000);
+  }
+
+  /**
+   * Count and log a rejected (too fast) position update
+   */
+  recordSpeedViolation(player, speed, limit) {
+    player.speedViolations += 1;
+    this.matchLog.logRejectedPosition(player.roomId, player.id, speed, limit);
+    // Log the first rejection and then every 10th to keep logs readable
+    if (player.speedViolations === 1 || player.speedViolations % 10 === 0) {
+      console.log(`[SpeedRejected] ${player.name} (${player.planeType}): ${Math.round(speed)} m/s, limit ${Math.round(limit)} (rejected ${player.speedViolations})`);
+    }
+  }
+
+  /**
+   * Broadcast player positions to every room (10Hz)
    */
   broadcast() {
     if (this.players.size === 0) return;
 
-    // Build players data (without ws references) and scores
-    const playersData = {};
+    this.updateRespawns();
+    this.updateMatches();
+    this.broadcastTick++;
+
+    let sentCount = 0;
+    for (const room of this.rooms.values()) {
+      sentCount += this.broadcastRoom(room);
+    }
+
+    // Log player count periodically (every 10 seconds)
+    if (Date.now() % 10000 < 100 && this.players.size > 0) {
+      console.log(`[Broadcast] ${this.players.size} players in ${this.rooms.size} rooms, ${sentCount} messages sent`);
+    }
+  }
+
+  /**
+   * Broadcast one room's player positions and scores to its members
+   *
+   * Clients that opted into interest management get a snapshot filtered to
+   * what's around them; older clients get every player every tick.
+   * @param {Room} room
+   * @returns {number} Number of messages sent
+   */
+  broadcastRoom(room) {
+    if (room.size === 0) return 0;
+    const now = Date.now();
+
+    // Snapshot entries (without ws references) and scores, built once per room
+    const entries = {};
     const scoresData = {};
-    for (const [id, player] of this.players) {
-      playersData[id] = {
+    for (const [id, player] of room.players) {
+      entries[id] = {
         name: player.name,
         planeType: player.planeType,
         planeColor: player.planeColor,
+        team: player.team,
         position: player.position,
         rotation: player.rotation,
+        quaternion: player.quaternion,
         velocity: player.velocity,
         throttle: player.throttle,
-        lastUpdate: player.lastUpdate
+        lastUpdate: player.lastUpdate,
+        health: player.health,
+        alive: player.alive,
+        protected: now < player.protectedUntil
       };
       scoresData[id] = player.score || 0;
     }
 
-    const message = JSON.stringify({
-      type: 'players',
-      players: playersData,
-      scores: scoresData,
-      count: this.players.size,
-      timestamp: Date.now()
-    });
+    this.grid.clear();
+    for (const [id, player] of room.players) {
+      this.grid.insert(id, player.position);
+    }
 
+    let fullJson = null;
+    const fullBinary = new Map(); // version -> frame
     let sentCount = 0;
-    for (const [id, player] of this.players) {
-      if (player.ws.readyState === 1) { // WebSocket.OPEN
-        player.ws.send(message);
+
+    for (const [id, recipient] of room.players) {
+      if (recipient.ws.readyState !== 1) continue;
+      const version = recipient.protocolVersion;
+
+      if (!recipient.interest) {
+        if (version) {
+          if (!fullBinary.has(version)) {
+            fullBinary.set(version, encodePlayers(version, [...room.players.values()], room.size, now));
+          }
+          this.sendSnapshot(recipient.ws, fullBinary.get(version));
+        } else {
+          fullJson ??= JSON.stringify({
+            type: 'players',
+            players: entries,
+            scores: scoresData,
+            count: room.size,
+            timestamp: now
+          });
+          this.sendSnapshot(recipient.ws, fullJson);
+        }
         sentCount++;
+        continue;
+      }
+
+      const { included, others } = this.getInterestSets(room, id, recipient);
+      if (version) {
+        this.sendSnapshot(recipient.ws, encodePlayers(
+          version,
+          included.map(otherId => room.players.get(otherId)),
+          room.size,
+          now,
+          others.map(({ id: otherId, far }) => ({ player: room.players.get(otherId), far }))
+        ));
+      } else {
+        const players = {};
+        for (const otherId of included) {
+          players[otherId] = entries[otherId];
+        }
+        this.sendSnapshot(recipient.ws, JSON.stringify({
+          type: 'players',
+          players,
+          scores: scoresData,
+          far: others.filter(o => o.far).map(o => o.id),
+          count: room.size,
+          timestamp: now
+        }));
       }
+      sentCount++;
     }
+    return sentCount;
+  }
 
-    // Log player count periodically (every 10 seconds)
-    if (Date.now() % 10000 < 100 && this.players.size > 0) {
-      console.log(`[Broadcast] ${this.players.size} players, ${sentCount} messages sent`);
+  /**
+   * Send a players snapshot, counting its size for /metrics
+   * @param {WebSocket} ws
+   * @param {string|ArrayBuffer|Buffer} frame - JSON text or binary frame
+   */
+  sendSnapshot(ws, frame) {
+    ws.send(frame);
+    const json = typeof frame === 'string';
+    this.metrics.inc('broadcast_bytes_total', { encoding: json ? 'json' : 'binary' },
+      json ? Buffer.byteLength(frame) : frame.byteLength);
+    this.metrics.inc('broadcast_messages_total');
+  }
+
+  /**
+   * Decide which players a recipient gets full state for this tick
+   *
+   * Within nearRadius: every tick. Up to farRadius: every midInterval ticks
+   * (staggered by slot so the load spreads across ticks). Beyond farRadius:
+   * only listed as out of range. Uses this.grid, built by broadcastRoom.
+   * @param {Room} room
+   * @param {string} recipientId
+   * @param {Object} recipient - Player record
+   * @returns {{included: string[], others: {id: string, far: boolean}[]}}
+   */
+  getInterestSets(room, recipientId, recipient) {
+    const { nearRadius, farRadius, midInterval } = CONFIG.interest;
+    const midTick = (this.broadcastTick + recipient.slot) % midInterval === 0;
+    const p = recipient.position;
+
+    const distances = new Map();
+    for (const id of this.grid.query(p, farRadius)) {
+      const q = room.players.get(id).position;
+      const dx = q.x - p.x;
+      const dy = q.y - p.y;
+      const dz = q.z - p.z;
+      distances.set(id, Math.sqrt(dx * dx + dy * dy + dz * dz));
     }
+
+    const included = [];
+    const others = [];
+    for (const id of room.players.keys()) {
+      if (id === recipientId) {
+        others.push({ id, far: false }); // own score only
+        continue;
+      }
+      const distance = distances.get(id) ?? Infinity;
+      if (distance <= nearRadius || (distance <= farRadius && midTick)) {
+        included.push(id);
+      } else {
+        others.push({ id, far: distance > farRadius });
+      }
+    }
+    return { included, others };
   }
 
   /**
@@ -536,55 +2054,343 @@ export class GameServer {
     const message = JSON.stringify({
       type: 'player_joined',
       id: playerId,
+      slot: player?.slot,
       name: name,
       planeType: player?.planeType || 'jet1',
       planeColor: player?.planeColor || 'blue',
+      team: player?.team ?? null,
       timestamp: Date.now()
     });
 
-    for (const [id, player] of this.players) {
-      if (id !== playerId && player.ws.readyState === 1) {
-        player.ws.send(message);
-      }
-    }
+    this.getRoomOf(playerId)?.broadcast(message, playerId);
   }
 
   /**
-   * Notify all players that a player left
+   * Notify the rest of a room that a player left
+   * @param {string} playerId
+   * @param {Room} room - Room the player was in (they're already removed)
    */
-  broadcastPlayerLeft(playerId) {
+  broadcastPlayerLeft(playerId, room) {
     const message = JSON.stringify({
       type: 'player_left',
       id: playerId,
       timestamp: Date.now()
     });
 
-    for (const [id, player] of this.players) {
-      if (player.ws.readyState === 1) {
-        player.ws.send(message);
+    room?.broadcast(message);
+  }
+
+  /**
+   * Remove a player from the server and their room, notifying the room
+   * @param {string} playerId
+   * @param {string} [reason='disconnect'] - For the match log ('disconnect', 'timeout')
+   */
+  removePlayer(playerId, reason = 'disconnect') {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    this.players.delete(playerId);
+    this.releaseLock(player);
+    const room = this.rooms.get(player.roomId);
+    if (!room) return;
+
+    room.remove(playerId);
+    this.matchLog.logLeave(room.id, playerId, reason);
+    this.broadcastPlayerLeft(playerId, room);
+
+    // Empty rooms are discarded (public-1 is kept as the default lobby)
+    if (room.size === 0 && room.id !== 'public-1') {
+      this.rooms.delete(room.id);
+      this.matchLog.close(room.id);
+      console.log(`[Room] ${room.id} closed (empty)`);
+    }
+  }
+
+  /**
+   * Roster written at the top of each match log file
+   * @param {string} roomId
+   * @returns {Object[]} [{ id, name, type }]
+   */
+  describeRoomForLog(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    return [...room.players.entries()].map(([id, player]) => ({
+      id,
+      name: player.name,
+      type: player.planeType
+    }));
+  }
+
+  /**
+   * Look up the room a player is in
+   * @param {string} playerId
+   * @returns {Room|undefined}
+   */
+  getRoomOf(playerId) {
+    const player = this.players.get(playerId);
+    return player ? this.rooms.get(player.roomId) : undefined;
+  }
+
+  /**
+   * Resolve the room requested in a join message
+   * - missing/'public': first public room of the mode and guns with space
+   *   (creating one if needed)
+   * - 'new': a fresh private room of the mode and guns with a random code
+   * - anything else: an existing room by code/id (checked by checkRoomRequest),
+   *   whatever its mode and guns
+   * @param {string} [request]
+   * @param {'ffa'|'teams'} [mode='ffa']
+   * @param {'hitscan'|'ballistic'} [weapons='hitscan']
+   * @returns {Room}
+   */
+  resolveRoom(request, mode = 'ffa', weapons = 'hitscan') {
+    if (!request || request === 'public') {
+      for (const room of this.rooms.values()) {
+        if (!room.isPrivate() && room.mode === mode && room.weapons === weapons && !room.isFull()) {
+          return room;
+        }
       }
+      const prefix = [mode === 'teams' ? 'teams' : 'public', weapons === 'ballistic' ? 'ballistic' : null]
+        .filter(Boolean).join('-');
+      let n = 1;
+      while (this.rooms.has(`${prefix}-${n}`)) n++;
+      return this.createRoom(`${prefix}-${n}`, 'public', mode, weapons);
+    }
+
+    if (request === 'new') {
+      let code;
+      do {
+        code = this.generateRoomCode();
+      } while (this.rooms.has(code));
+      return this.createRoom(code, 'private', mode, weapons);
+    }
+
+    return this.findRoom(request);
+  }
+
+  /**
+   * Find an existing room by private code or public id
+   * @param {string} request
+   * @returns {Room|undefined}
+   */
+  findRoom(request) {
+    if (typeof request !== 'string' || request.length > 20) {
+      return undefined;
+    }
+    // Private codes are case-insensitive; public ids are lowercase
+    return this.rooms.get(request.toUpperCase()) || this.rooms.get(request.toLowerCase());
+  }
+
+  /**
+   * Check that a requested room code can be joined
+   * @param {string} [request] - `room` field of a join message
+   * @returns {string|null} Error code, or null if the join can proceed
+   */
+  checkRoomRequest(request) {
+    if (!request || request === 'public' || request === 'new') {
+      return null;
+    }
+    const room = this.findRoom(request);
+    if (!room) return 'room_not_found';
+    if (room.isFull()) return 'room_full';
+    return null;
+  }
+
+  /**
+   * Create and register a room
+   * @param {string} id
+   * @param {'public'|'private'} type
+   * @param {'ffa'|'teams'} [mode='ffa']
+   * @param {'hitscan'|'ballistic'} [weapons='hitscan']
+   * @returns {Room}
+   */
+  createRoom(id, type, mode = 'ffa', weapons = 'hitscan') {
+    const room = new Room(id, {
+      type,
+      mode,
+      weapons,
+      maxPlayers: this.maxPlayersPerRoom,
+      match: mode === 'teams' ? new TeamMatch(this.teamSettings) : null
+    });
+    this.rooms.set(id, room);
+    console.log(`[Room] Created ${type}${mode === 'teams' ? ' team' : ''}${weapons === 'ballistic' ? ' ballistic' : ''} room ${id}`);
+    return room;
+  }
+
+  /**
+   * Generate a short, unambiguous private room code (no 0/O, 1/I/L)
+   */
+  generateRoomCode() {
+    const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 5; i++) {
+      code += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Send a non-fatal error to a connection (the connection stays open)
+   */
+  sendError(ws, code, message) {
+    if (ws.readyState !== 1) return;
+    try {
+      ws.send(JSON.stringify({ type: 'error', code, message }));
+    } catch (e) {
+      // Ignore send errors - connection may already be closing
     }
   }
 
+  /**
+   * A leaderboard, or null for an unknown period or metric
+   * @param {string} period - 'daily', 'weekly' or 'alltime'
+   * @param {string} metric - 'hits' or 'hpm'
+   * @param {Object} [options] - { limit, playerId } (see ProfileStore.getLeaderboard)
+   * @returns {Object|null}
+   */
+  getLeaderboard(period, metric, options) {
+    if (!LEADERBOARD_PERIODS.includes(period) || !LEADERBOARD_METRICS.includes(metric)) {
+      return null;
+    }
+    return this.profiles.getLeaderboard(period, metric, options);
+  }
+
+  /**
+   * HTTP routes:
+   *   GET /healthz - liveness for the Fly.io health check
+   *   GET /metrics - Prometheus text format
+   *   GET /leaderboard?period=daily|weekly|alltime&metric=hits|hpm&limit=N
+   *   /admin/... - see AdminApi
+   */
+  handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/admin' || url.pathname.startsWith('/admin/')) {
+      this.adminApi.handle(req, res, url).catch((err) => {
+        console.error('[Admin] Request failed:', err.message);
+        if (!res.headersSent) this.sendJson(res, 500, { error: 'Internal error' });
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/healthz') {
+      this.sendJson(res, 200, {
+        status: 'ok',
+        uptime: Math.round((Date.now() - this.startedAt) / 1000),
+        players: this.players.size,
+        rooms: this.rooms.size
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4', 'Cache-Control': 'no-store' });
+      res.end(this.metrics.render(this.getGauges()));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/leaderboard') {
+      const limit = Math.max(1, Math.min(
+        Math.floor(Number(url.searchParams.get('limit'))) || CONFIG.leaderboard.size,
+        CONFIG.leaderboard.maxHttpSize
+      ));
+      const board = this.getLeaderboard(
+        url.searchParams.get('period') || 'alltime',
+        url.searchParams.get('metric') || 'hits',
+        { limit }
+      );
+      if (!board) {
+        this.sendJson(res, 400, {
+          error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}; metric one of ${LEADERBOARD_METRICS.join(', ')}`
+        });
+        return;
+      }
+      this.sendJson(res, 200, board);
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Point-in-time values for /metrics
+   * @returns {Object[]} [{ name, help, values }]
+   */
+  getGauges() {
+    // /metrics is unauthenticated and a private room's ID is its join code,
+    // so private rooms are summed under one label
+    let privatePlayers = 0;
+    const roomPlayers = [];
+    for (const room of this.rooms.values()) {
+      if (room.isPrivate()) {
+        privatePlayers += room.size;
+      } else {
+        roomPlayers.push({ labels: { room: room.id }, value: room.size });
+      }
+    }
+    roomPlayers.push({ labels: { room: 'private' }, value: privatePlayers });
+
+    return [
+      { name: 'players', help: 'Joined players', values: [{ value: this.players.size }] },
+      { name: 'connections', help: 'Open WebSocket connections (joined or not)', values: [{ value: this.wss.clients.size }] },
+      { name: 'rooms', help: 'Open rooms', values: [{ value: this.rooms.size }] },
+      {
+        name: 'room_players',
+        help: 'Players per public room (private rooms summed as room="private")',
+        values: roomPlayers
+      },
+      {
+        name: 'bans',
+        help: 'Active bans, by type',
+        values: ['ip', 'player'].map(type => ({ labels: { type }, value: this.bans.count(type) }))
+      },
+      { name: 'uptime_seconds', help: 'Seconds since the server started', values: [{ value: Math.round((Date.now() - this.startedAt) / 1000) }] }
+    ];
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
   /**
    * Remove players who haven't sent updates in 10 seconds
    */
   cleanup() {
+    this.metrics.tick();
     const now = Date.now();
     const timeout = 10000; // 10 seconds
 
+    this.bans.prune();
+    for (const [id, until] of this.chatMutes) {
+      if (until !== null && until <= now) this.chatMutes.delete(id);
+    }
+    for (const ip of this.rateLimitViolations.keys()) {
+      if (this.getViolationCount(ip, now) === 0) {
+        this.rateLimitViolations.delete(ip);
+      }
+    }
+
+    const missileLifetime = CONFIG.missiles.maxFlightTime + CONFIG.combat.maxRewind;
     for (const [id, player] of this.players) {
+      for (const [missileId, missile] of player.missiles) {
+        if (now - missile.launchedAt > missileLifetime) player.missiles.delete(missileId);
+      }
       if (now - player.lastUpdate > timeout) {
         console.log(`[Timeout] ${player.name} (${id}) timed out after 10s`);
         player.ws.close(1000, 'Timeout');
-        this.players.delete(id);
-        this.broadcastPlayerLeft(id);
+        this.removePlayer(id, 'timeout');
       }
     }
   }
 
   /**
    * Graceful shutdown
+   * @returns {Promise<void>} Resolves once the match logs are flushed
    */
   shutdown() {
     console.log('[GameServer] Shutting down...');
@@ -593,11 +2399,16 @@ export class GameServer {
 
     // Close all connections
     for (const [id, player] of this.players) {
+      this.matchLog.logLeave(player.roomId, id, 'shutdown');
       player.ws.close(1001, 'Server shutting down');
     }
+    const logsFlushed = this.matchLog.stop();
+    this.profiles.close();
 
     this.wss.close(() => {
+      this.httpServer.close();
       console.log('[GameServer] Shutdown complete');
     });
+    return logsFlushed;
   }
 }
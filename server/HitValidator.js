@@ -0,0 +1,256 @@
+import { CONFIG } from './config.js';
+
+const COMBAT = CONFIG.combat;
+const MISSILES = CONFIG.missiles;
+const BALLISTICS = CONFIG.ballistics;
+
+/**
+ * HitValidator - server-authoritative check for client-reported hits
+ *
+ * Rewinds the target to the moment the shooter fired (lag compensation),
+ * then tests the shot ray from the matching `shoot` message against the
+ * target's hitbox sphere, limited to the bullet range. Ballistic shots
+ * (rooms with ballistic guns) are tested along the round's arc instead:
+ * the target is rewound to where the shooter saw it when the round got
+ * there, and the tolerance widens with flight time.
+ *
+ * Missiles are flown by the shooter's client, so their hits are checked
+ * for plausibility instead: the launch must point at a target inside the
+ * lock cone and range, and at impact the target must be within the
+ * distance the missile could have covered since launch.
+ */
+export class HitValidator {
+  /**
+   * Validate a hit claim
+   * @param {Object} shooter - Shooter player record (needs history, rtt)
+   * @param {Object} target - Target player record (needs history)
+   * @param {Object|null} shot - Matching shot { receivedAt, position, direction, velocity }
+   * @param {number} now - Current server time (ms)
+   * @returns {{ valid: boolean, reason?: string, distance?: number }}
+   */
+  validate(shooter, target, shot, now) {
+    if (!shot) {
+      return { valid: false, reason: 'no_shot' };
+    }
+    if (shot.hit) {
+      return { valid: false, reason: 'shot_reused' };
+    }
+    const flightTime = shot.velocity ? BALLISTICS.maxFlightTime : 0;
+    if (now - shot.receivedAt > COMBAT.maxShotAge + flightTime) {
+      return { valid: false, reason: 'shot_expired' };
+    }
+
+    // Direction must be a unit vector (client sends getForwardVector())
+    const dir = shot.direction;
+    const dirLength = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z);
+    if (dirLength < 0.95 || dirLength > 1.05) {
+      return { valid: false, reason: 'bad_direction' };
+    }
+
+    // Shot must originate near where the server last saw the shooter
+    const shooterPos = shooter.history.sampleAt(shot.receivedAt);
+    if (!shooterPos) {
+      return { valid: false, reason: 'no_shooter_history' };
+    }
+    if (distance(shooterPos, shot.position) > COMBAT.originTolerance) {
+      return { valid: false, reason: 'origin_mismatch' };
+    }
+
+    // Rewind: shooter saw the target ~1 RTT + interpolation delay in the past
+    const seenAt = shot.receivedAt - rewindFor(shooter);
+
+    // Check a small window around the estimate (broadcast jitter is up to 100ms)
+    const hitboxRadius = CONFIG.aircraft[target.planeType]?.hitboxRadius ?? COMBAT.hitboxRadius;
+    const radius = hitboxRadius + COMBAT.hitTolerance;
+    if (shot.velocity) {
+      return validateArc(shot, target, seenAt, radius);
+    }
+
+    let best = null;
+    for (const offset of [-50, 0, 50]) {
+      const targetPos = target.history.sampleAt(seenAt + offset);
+      if (!targetPos) continue;
+      const result = rayToSphere(shot.position, dir, dirLength, targetPos);
+      if (!best || result.miss < best.miss) {
+        best = result;
+      }
+    }
+
+    if (!best) {
+      return { valid: false, reason: 'no_target_history' };
+    }
+    if (best.along < -radius || best.along > COMBAT.bulletRange + radius) {
+      return { valid: false, reason: 'out_of_range', distance: best.along };
+    }
+    if (best.miss > radius) {
+      return { valid: false, reason: 'missed', distance: best.along };
+    }
+
+    return { valid: true, distance: best.along };
+  }
+
+  /**
+   * Validate a missile launch against the shooter's locked target
+   * @param {Object} shooter - Shooter player record
+   * @param {Object} target - Locked target player record
+   * @param {Object} launch - { position, direction } from the client
+   * @param {number} now - Current server time (ms)
+   * @returns {{ valid: boolean, reason?: string, distance?: number }}
+   */
+  validateLaunch(shooter, target, launch, now) {
+    const dir = launch.direction;
+    const dirLength = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z);
+    if (dirLength < 0.95 || dirLength > 1.05) {
+      return { valid: false, reason: 'bad_direction' };
+    }
+
+    const shooterPos = shooter.history.sampleAt(now);
+    if (!shooterPos) {
+      return { valid: false, reason: 'no_shooter_history' };
+    }
+    if (distance(shooterPos, launch.position) > COMBAT.originTolerance) {
+      return { valid: false, reason: 'origin_mismatch' };
+    }
+
+    const targetPos = target.history.sampleAt(now - rewindFor(shooter));
+    if (!targetPos) {
+      return { valid: false, reason: 'no_target_history' };
+    }
+    const { along, miss } = rayToSphere(launch.position, dir, dirLength, targetPos);
+    const range = distance(launch.position, targetPos);
+    if (range > MISSILES.lockRange + MISSILES.reachTolerance) {
+      return { valid: false, reason: 'out_of_range', distance: range };
+    }
+    const angle = Math.atan2(miss, along) * 180 / Math.PI;
+    if (angle > MISSILES.holdCone + MISSILES.coneTolerance) {
+      return { valid: false, reason: 'outside_cone', distance: range };
+    }
+
+    return { valid: true, distance: range };
+  }
+
+  /**
+   * Validate a missile hit claim
+   * @param {Object} shooter - Shooter player record
+   * @param {Object} target - Target player record
+   * @param {Object|null} missile - Launched missile { targetId, launchedAt, position, state }
+   * @param {number} now - Current server time (ms)
+   * @returns {{ valid: boolean, reason?: string, distance?: number }}
+   */
+  validateMissile(shooter, target, missile, now) {
+    if (!missile) {
+      return { valid: false, reason: 'no_missile' };
+    }
+    if (missile.state === 'hit') {
+      return { valid: false, reason: 'missile_reused' };
+    }
+    if (missile.state === 'spoofed') {
+      return { valid: false, reason: 'spoofed' };
+    }
+    if (missile.targetId !== target.id) {
+      return { valid: false, reason: 'wrong_target' };
+    }
+    const age = now - missile.launchedAt;
+    if (age > MISSILES.maxFlightTime + COMBAT.maxRewind) {
+      return { valid: false, reason: 'missile_expired' };
+    }
+
+    const targetPos = target.history.sampleAt(now - rewindFor(shooter));
+    if (!targetPos) {
+      return { valid: false, reason: 'no_target_history' };
+    }
+    const reach = distance(missile.position, targetPos);
+    if (reach > MISSILES.speed * age / 1000 + MISSILES.reachTolerance) {
+      return { valid: false, reason: 'out_of_reach', distance: reach };
+    }
+
+    return { valid: true, distance: reach };
+  }
+}
+
+/**
+ * How far back the shooter saw other aircraft (~1 RTT + interpolation delay)
+ * @param {Object} shooter
+ * @returns {number} ms
+ */
+function rewindFor(shooter) {
+  const rtt = Math.max(0, Math.min(shooter.rtt || 0, COMBAT.maxRewind));
+  return Math.min(COMBAT.maxRewind, rtt + COMBAT.renderDelay);
+}
+
+/**
+ * Check a ballistic round against the target along its arc
+ * @param {Object} shot - Shot with velocity
+ * @param {Object} target - Target player record
+ * @param {number} seenAt - Server time the shooter saw the target when firing
+ * @param {number} radius - Hitbox radius plus tolerance
+ * @returns {{ valid: boolean, reason?: string, distance?: number }}
+ */
+function validateArc(shot, target, seenAt, radius) {
+  const velocity = shot.velocity;
+  const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+  const maxTime = BALLISTICS.maxFlightTime / 1000;
+  let best = null;
+  for (const offset of [-50, 0, 50]) {
+    // Time of flight to where the target was when the round got there
+    let time = 0;
+    let targetPos = null;
+    for (let i = 0; i < 2; i++) {
+      targetPos = target.history.sampleAt(seenAt + time * 1000 + offset);
+      if (!targetPos) break;
+      const { along } = rayToSphere(shot.position, velocity, speed, targetPos);
+      time = Math.max(0, Math.min(maxTime, along / speed));
+    }
+    if (!targetPos) continue;
+
+    // Round position and heading at that time, with gravity drop
+    const drop = 0.5 * BALLISTICS.gravity * time * time;
+    const roundPos = {
+      x: shot.position.x + velocity.x * time,
+      y: shot.position.y + velocity.y * time - drop,
+      z: shot.position.z + velocity.z * time
+    };
+    const heading = { x: velocity.x, y: velocity.y - BALLISTICS.gravity * time, z: velocity.z };
+    const headingLength = Math.sqrt(heading.x * heading.x + heading.y * heading.y + heading.z * heading.z);
+    const { along, miss } = rayToSphere(roundPos, heading, headingLength, targetPos);
+    const result = { along, miss, time, distance: speed * time };
+    if (!best || result.miss < best.miss) {
+      best = result;
+    }
+  }
+
+  if (!best) {
+    return { valid: false, reason: 'no_target_history' };
+  }
+  // Off the end of the arc (spent before reaching the target) or behind the muzzle
+  const tolerance = radius + BALLISTICS.velocitySlack * best.time;
+  if (Math.abs(best.along) > tolerance) {
+    return { valid: false, reason: 'out_of_range', distance: best.distance };
+  }
+  if (best.miss > tolerance) {
+    return { valid: false, reason: 'missed', distance: best.distance };
+  }
+
+  return { valid: true, distance: best.distance };
+}
+
+/**
+ * Distance along a ray to the closest approach of a point, and the miss distance
+ * @returns {{ along: number, miss: number }}
+ */
+function rayToSphere(origin, dir, dirLength, center) {
+  const ox = center.x - origin.x;
+  const oy = center.y - origin.y;
+  const oz = center.z - origin.z;
+  const along = (ox * dir.x + oy * dir.y + oz * dir.z) / dirLength;
+  const distSq = ox * ox + oy * oy + oz * oz;
+  const miss = Math.sqrt(Math.max(0, distSq - along * along));
+  return { along, miss };
+}
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
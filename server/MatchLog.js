@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+
+const LOG_VERSION = 1;
+
+/**
+ * Round coordinates to decimeters (keeps position lines short)
+ */
+function vec(v) {
+  return [
+    Math.round((v?.x || 0) * 10) / 10,
+    Math.round((v?.y || 0) * 10) / 10,
+    Math.round((v?.z || 0) * 10) / 10
+  ];
+}
+
+/**
+ * MatchLog - append-only per-room event log for dispute review
+ *
+ * Writes one JSON object per line to `<dir>/match-<room>-<opened>.jsonl`.
+ * A room's file is rotated when it passes maxBytes or maxAge; every new file
+ * starts with a `roster` line so it can be read on its own. Read logs with
+ * `npm run timeline` (scripts/match-timeline.js).
+ *
+ * Line format: { t: server ms, e: event, ...fields } - see the log* methods.
+ */
+export class MatchLog {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.dir - Log directory; logging is off without one
+   * @param {number} [options.maxBytes] - Rotate a room's file after this many bytes
+   * @param {number} [options.maxAge] - Rotate a room's file after this many ms
+   * @param {Function} [options.describeRoom] - (roomId) => roster entries for the file header
+   */
+  constructor({ dir, maxBytes = 50 * 1024 * 1024, maxAge = 60 * 60 * 1000, describeRoom = null } = {}) {
+    this.dir = dir || null;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.describeRoom = describeRoom;
+    this.files = new Map(); // roomId -> { stream, path, bytes, openedAt }
+    this.stopped = false;
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  get enabled() {
+    return this.dir !== null && !this.stopped;
+  }
+
+  /**
+   * Append an event to a room's log
+   * @param {string} roomId
+   * @param {string} event - Event name (join, leave, pos, shoot, hit, ...)
+   * @param {Object} fields
+   */
+  write(roomId, event, fields = {}) {
+    if (!this.enabled || !roomId) return;
+
+    const now = Date.now();
+    let file = this.files.get(roomId);
+    if (file && (file.bytes >= this.maxBytes || now - file.openedAt >= this.maxAge)) {
+      this.close(roomId);
+      file = null;
+    }
+    if (!file) {
+      file = this.open(roomId, now);
+    }
+
+    const line = JSON.stringify({ t: now, e: event, ...fields }) + '\n';
+    file.stream.write(line);
+    file.bytes += Buffer.byteLength(line);
+  }
+
+  /**
+   * Start a new file for a room, headed by the current roster
+   */
+  open(roomId, now) {
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.dir, `match-${roomId.replace(/[^\w-]/g, '_')}-${stamp}.jsonl`);
+    const stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', (err) => {
+      console.error(`[MatchLog] Write failed for ${filePath}:`, err.message);
+    });
+
+    const file = { stream, path: filePath, bytes: 0, openedAt: now };
+    this.files.set(roomId, file);
+
+    const header = JSON.stringify({
+      t: now,
+      e: 'roster',
+      v: LOG_VERSION,
+      room: roomId,
+      players: this.describeRoom?.(roomId) ?? []
+    }) + '\n';
+    stream.write(header);
+    file.bytes += Buffer.byteLength(header);
+
+    console.log(`[MatchLog] Writing ${filePath}`);
+    return file;
+  }
+
+  /**
+   * Finish a room's current file (room closed, rotation or shutdown)
+   * @param {string} roomId
+   * @returns {Promise<void>} Resolves once the file is flushed and closed
+   */
+  close(roomId) {
+    const file = this.files.get(roomId);
+    if (!file) return Promise.resolve();
+    this.files.delete(roomId);
+    // 'close' follows 'finish', and also comes after a write error
+    const closed = new Promise(resolve => file.stream.once('close', resolve));
+    file.stream.end();
+    return closed;
+  }
+
+  /**
+   * Close every file and stop logging (server shutdown - sockets closing
+   * afterwards must not start new files)
+   * @returns {Promise<void>} Resolves once every file is flushed
+   */
+  stop() {
+    this.stopped = true;
+    return Promise.all([...this.files.keys()].map(roomId => this.close(roomId))).then(() => {});
+  }
+
+  logJoin(roomId, playerId, player, ip) {
+    this.write(roomId, 'join', {
+      id: playerId,
+      name: player.name,
+      type: player.planeType,
+      ip
+    });
+  }
+
+  logLeave(roomId, playerId, reason) {
+    this.write(roomId, 'leave', { id: playerId, reason });
+  }
+
+  /**
+   * Accepted position update (after validation)
+   */
+  logPosition(roomId, playerId, player) {
+    this.write(roomId, 'pos', {
+      id: playerId,
+      p: vec(player.position),
+      v: vec(player.velocity)
+    });
+  }
+
+  /**
+   * Position update rejected by movement validation
+   */
+  logRejectedPosition(roomId, playerId, speed, limit) {
+    this.write(roomId, 'pos_rejected', { id: playerId, speed: Math.round(speed), limit: Math.round(limit) });
+  }
+
+  logShoot(roomId, playerId, shot) {
+    this.write(roomId, 'shoot', {
+      id: playerId,
+      shot: shot.shotId,
+      p: vec(shot.position),
+      d: [shot.direction.x, shot.direction.y, shot.direction.z].map(n => Math.round(n * 1000) / 1000)
+    });
+  }
+
+  /**
+   * Hit accepted by HitValidator
+   * @param {number} distance - Validated range in meters
+   */
+  logHit(roomId, shooterId, targetId, shotId, distance, targetHealth, weapon = 'gun') {
+    this.write(roomId, 'hit', {
+      id: shooterId,
+      target: targetId,
+      shot: shotId ?? null,
+      range: Math.round(distance),
+      health: targetHealth,
+      ...(weapon !== 'gun' && { weapon })
+    });
+  }
+
+  /**
+   * Missile launch accepted by HitValidator
+   * @param {number} distance - Range to the target at launch
+   */
+  logMissile(roomId, playerId, missile, distance) {
+    this.write(roomId, 'missile', {
+      id: playerId,
+      missile: missile.id,
+      target: missile.targetId,
+      p: vec(missile.position),
+      range: Math.round(distance)
+    });
+  }
+
+  /**
+   * @param {number} spoofed - Missiles the burst decoyed
+   */
+  logFlares(roomId, playerId, spoofed) {
+    this.write(roomId, 'flares', { id: playerId, spoofed });
+  }
+
+  logRejectedHit(roomId, shooterId, targetId, reason) {
+    this.write(roomId, 'hit_rejected', { id: shooterId, target: targetId, reason });
+  }
+
+  /**
+   * Chat message as delivered (after the word filter)
+   */
+  logChat(roomId, playerId, text) {
+    this.write(roomId, 'chat', { id: playerId, text });
+  }
+
+  logDestroyed(roomId, playerId, killerId, cause) {
+    this.write(roomId, 'destroyed', { id: playerId, killer: killerId, cause });
+  }
+
+  logRespawn(roomId, playerId) {
+    this.write(roomId, 'respawn', { id: playerId });
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Counters exported at /metrics: name -> help text. Names get the
+ * `flyporto_` prefix in the output.
+ */
+const COUNTERS = {
+  messages_total: 'Messages received from clients, by type',
+  rate_limit_rejections_total: 'Connections or joins refused by a rate limit, by kind',
+  auto_blocks_total: 'IPs blocked automatically after repeated rate limit violations',
+  broadcast_bytes_total: 'Bytes sent in player snapshots, by encoding',
+  broadcast_messages_total: 'Player snapshots sent',
+  hits_total: 'Hit claims, by result',
+  chat_messages_total: 'Chat messages, by result',
+  missiles_total: 'Missile launches and flare decoys, by result',
+  gun_rejections_total: 'Shots refused for an empty, reloading or overheated gun or past the fire rate, by reason',
+  admin_actions_total: 'Admin API actions, by action'
+};
+
+// Seconds of history used for the messages-per-second gauge
+const RATE_WINDOW = 10;
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Metrics - counters and gauges in the Prometheus text format
+ *
+ * Counters are incremented as things happen; gauges are read from the
+ * server when /metrics is scraped. tick() (once a second) keeps a short
+ * history of message counts for the messages-per-second gauge.
+ */
+export class Metrics {
+  constructor() {
+    this.counters = new Map(); // name -> Map(labelKey -> { labels, value })
+    this.messageHistory = [];  // [{ time, counts: { type: total } }], oldest first
+  }
+
+  /**
+   * @param {string} name - Key of COUNTERS
+   * @param {Object} [labels]
+   * @param {number} [value=1]
+   */
+  inc(name, labels = {}, value = 1) {
+    let series = this.counters.get(name);
+    if (!series) {
+      series = new Map();
+      this.counters.set(name, series);
+    }
+    const key = formatLabels(labels);
+    const entry = series.get(key);
+    if (entry) {
+      entry.value += value;
+    } else {
+      series.set(key, { labels, value });
+    }
+  }
+
+  /**
+   * Snapshot message counts (call once a second)
+   */
+  tick() {
+    const counts = {};
+    for (const { labels, value } of this.counters.get('messages_total')?.values() ?? []) {
+      counts[labels.type] = value;
+    }
+    this.messageHistory.push({ time: Date.now(), counts });
+    if (this.messageHistory.length > RATE_WINDOW + 1) {
+      this.messageHistory.shift();
+    }
+  }
+
+  /**
+   * Messages per second by type over the last RATE_WINDOW seconds
+   * @returns {Object} type -> rate
+   */
+  getMessageRates() {
+    const rates = {};
+    if (this.messageHistory.length < 2) return rates;
+    const oldest = this.messageHistory[0];
+    const newest = this.messageHistory[this.messageHistory.length - 1];
+    const seconds = (newest.time - oldest.time) / 1000;
+    for (const [type, count] of Object.entries(newest.counts)) {
+      rates[type] = (count - (oldest.counts[type] ?? 0)) / seconds;
+    }
+    return rates;
+  }
+
+  /**
+   * Render every metric
+   * @param {Object[]} gauges - [{ name, help, values: [{ labels, value }] }] read at scrape time
+   * @returns {string}
+   */
+  render(gauges = []) {
+    const lines = [];
+    for (const [name, help] of Object.entries(COUNTERS)) {
+      lines.push(`# HELP flyporto_${name} ${help}`, `# TYPE flyporto_${name} counter`);
+      for (const { labels, value } of this.counters.get(name)?.values() ?? []) {
+        lines.push(`flyporto_${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+
+    const rates = Object.entries(this.getMessageRates());
+    gauges = [...gauges, {
+      name: 'messages_per_second',
+      help: `Messages received per second over the last ${RATE_WINDOW}s, by type`,
+      values: rates.map(([type, rate]) => ({ labels: { type }, value: Math.round(rate * 100) / 100 }))
+    }];
+    for (const { name, help, values } of gauges) {
+      lines.push(`# HELP flyporto_${name} ${help}`, `# TYPE flyporto_${name} gauge`);
+      for (const { labels = {}, value } of values) {
+        lines.push(`flyporto_${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,100 @@
+import { CONFIG } from './config.js';
+
+/**
+ * PositionHistory - short per-player history of accepted positions
+ *
+ * Samples are stamped with server receive time so they share a clock with
+ * shoot/hit messages. Used to rewind a target to where the shooter saw it.
+ */
+export class PositionHistory {
+  /**
+   * @param {number} [duration] - How long to keep samples (ms)
+   * @param {number} [maxSamples] - Hard cap on stored samples
+   */
+  constructor(duration = CONFIG.history.duration, maxSamples = CONFIG.history.maxSamples) {
+    this.duration = duration;
+    this.maxSamples = maxSamples;
+    this.samples = []; // Array of { time, position, velocity }, oldest first
+  }
+
+  /**
+   * Record a validated position sample
+   * @param {number} time - Server receive time (ms)
+   * @param {Object} position - { x, y, z }
+   * @param {Object} velocity - { x, y, z }
+   */
+  push(time, position, velocity) {
+    this.samples.push({
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      velocity: velocity ? { x: velocity.x, y: velocity.y, z: velocity.z } : { x: 0, y: 0, z: 0 }
+    });
+
+    // Drop samples that are too old or over the cap
+    const cutoff = time - this.duration;
+    while (this.samples.length > 0 &&
+           (this.samples.length > this.maxSamples || this.samples[0].time < cutoff)) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the interpolated position at a given server time
+   * Extrapolates briefly with velocity outside the recorded window.
+   * @param {number} time - Server time (ms)
+   * @returns {Object|null} { x, y, z } or null if no samples
+   */
+  sampleAt(time) {
+    const samples = this.samples;
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    if (time <= first.time) {
+      return this.extrapolate(first, time);
+    }
+    if (time >= last.time) {
+      return this.extrapolate(last, time);
+    }
+
+    for (let i = 0; i < samples.length - 1; i++) {
+      const older = samples[i];
+      const newer = samples[i + 1];
+      if (older.time <= time && newer.time >= time) {
+        const span = newer.time - older.time;
+        const t = span > 0 ? (time - older.time) / span : 1;
+        return {
+          x: older.position.x + (newer.position.x - older.position.x) * t,
+          y: older.position.y + (newer.position.y - older.position.y) * t,
+          z: older.position.z + (newer.position.z - older.position.z) * t
+        };
+      }
+    }
+
+    return { ...last.position };
+  }
+
+  /**
+   * Extrapolate from a sample using its velocity (capped at 200ms like the client)
+   */
+  extrapolate(sample, time) {
+    const maxExtrapolate = 200;
+    const dtMs = Math.max(-maxExtrapolate, Math.min(maxExtrapolate, time - sample.time));
+    const dt = dtMs / 1000;
+    return {
+      x: sample.position.x + sample.velocity.x * dt,
+      y: sample.position.y + sample.velocity.y * dt,
+      z: sample.position.z + sample.velocity.z * dt
+    };
+  }
+
+  /**
+   * Remove all samples
+   */
+  clear() {
+    this.samples = [];
+  }
+}
@@ -0,0 +1,320 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+
+const STORE_VERSION = 1;
+
+// Ranked boards. Daily and weekly stats are kept for the current UTC
+// day/week (weeks start on Monday) and reset when it rolls over.
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'alltime'];
+export const LEADERBOARD_METRICS = ['hits', 'hpm'];
+
+/**
+ * Start of the UTC day or week containing a time
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {number} now
+ * @returns {number} ms
+ */
+function periodStart(period, now) {
+  const date = new Date(now);
+  const daysBack = period === 'weekly' ? (date.getUTCDay() + 6) % 7 : 0;
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysBack);
+}
+
+/**
+ * ProfileStore - lifetime pilot stats keyed by player ID, kept in a JSON file
+ *
+ * Profiles are updated in memory as players fly and fight; the file is
+ * rewritten (atomically, via a temp file) at most every saveInterval and on
+ * shutdown. Without a path the store still works but forgets on restart.
+ * Pilots not seen for CONFIG.profiles.retentionDays are pruned, and the
+ * store is capped at maxProfiles, so the file doesn't keep every ID ever seen.
+ *
+ * Profile: { hits, kills, deaths, timeFlown (s), distanceFlown (m),
+ *            sorties, name, firstSeen, lastSeen }
+ *
+ * Hits and time flown are also kept per day and week for the leaderboards
+ * (getLeaderboard), ranked by hits or hits per minute.
+ */
+export class ProfileStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.path - JSON file to load from and save to
+   * @param {number} [options.saveInterval] - ms between saves while there are changes
+   */
+  constructor({ path: filePath, saveInterval = 30000 } = {}) {
+    this.path = filePath || null;
+    this.profiles = new Map(); // playerId -> profile
+    this.dirty = false;
+
+    // Current day/week: { start, stats: Map playerId -> { hits, timeFlown } }
+    this.periods = {
+      daily: { start: periodStart('daily', Date.now()), stats: new Map() },
+      weekly: { start: periodStart('weekly', Date.now()), stats: new Map() }
+    };
+    this.rankings = new Map(); // 'period:metric' -> { at, ranked } (see rank)
+
+    this.load();
+    this.saveTimer = this.path ? setInterval(() => this.save(), saveInterval) : null;
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      for (const [id, profile] of Object.entries(data.profiles || {})) {
+        this.profiles.set(id, { ...ProfileStore.empty(), ...profile });
+      }
+      for (const [period, saved] of Object.entries(data.periods || {})) {
+        // Stats from a day/week that has since ended are dropped
+        if (this.periods[period] && saved.start === this.periods[period].start) {
+          this.periods[period].stats = new Map(Object.entries(saved.stats || {}));
+        }
+      }
+      this.prune(Date.now());
+      console.log(`[Profiles] Loaded ${this.profiles.size} profiles from ${this.path}`);
+    } catch (e) {
+      // Keep the unreadable file for inspection rather than overwriting it
+      const backup = `${this.path}.corrupt-${Date.now()}`;
+      fs.renameSync(this.path, backup);
+      console.error(`[Profiles] Could not read ${this.path} (${e.message}), moved to ${backup}`);
+    }
+  }
+
+  /**
+   * Write the store if anything changed since the last save
+   */
+  save() {
+    if (!this.path || !this.dirty) return;
+    this.prune(Date.now());
+    const data = JSON.stringify({
+      version: STORE_VERSION,
+      savedAt: Date.now(),
+      profiles: Object.fromEntries(this.profiles),
+      periods: Object.fromEntries(Object.entries(this.periods).map(([period, { start, stats }]) => [
+        period, { start, stats: Object.fromEntries(stats) }
+      ]))
+    });
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      const tmp = `${this.path}.tmp`;
+      fs.writeFileSync(tmp, data);
+      fs.renameSync(tmp, this.path);
+      this.dirty = false;
+    } catch (e) {
+      console.error(`[Profiles] Save failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Drop profiles not seen within the retention period, then the least
+   * recently seen beyond maxProfiles
+   * @param {number} now
+   */
+  prune(now) {
+    const before = this.profiles.size;
+    const cutoff = now - CONFIG.profiles.retentionDays * 24 * 60 * 60 * 1000;
+    for (const [id, profile] of this.profiles) {
+      if ((profile.lastSeen ?? 0) < cutoff) {
+        this.profiles.delete(id);
+      }
+    }
+
+    const excess = this.profiles.size - CONFIG.profiles.maxProfiles;
+    if (excess > 0) {
+      const oldest = [...this.profiles]
+        .sort(([, a], [, b]) => (a.lastSeen ?? 0) - (b.lastSeen ?? 0))
+        .slice(0, excess);
+      for (const [id] of oldest) {
+        this.profiles.delete(id);
+      }
+    }
+
+    const pruned = before - this.profiles.size;
+    if (pruned > 0) {
+      this.rankings.clear();
+      this.dirty = true;
+      console.log(`[Profiles] Pruned ${pruned} profiles (${this.profiles.size} kept)`);
+    }
+  }
+
+  /**
+   * Save and stop the timer (server shutdown)
+   */
+  close() {
+    clearInterval(this.saveTimer);
+    this.save();
+  }
+
+  static empty() {
+    return {
+      hits: 0,
+      kills: 0,
+      deaths: 0,
+      timeFlown: 0,
+      distanceFlown: 0,
+      sorties: 0,
+      name: null,
+      firstSeen: null,
+      lastSeen: null
+    };
+  }
+
+  /**
+   * Get a player's profile, creating it on first sight
+   * @param {string} playerId
+   * @returns {Object}
+   */
+  get(playerId) {
+    let profile = this.profiles.get(playerId);
+    if (!profile) {
+      profile = ProfileStore.empty();
+      this.profiles.set(playerId, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Public copy of a player's profile without creating one
+   * @param {string} playerId
+   * @returns {Object}
+   */
+  describe(playerId) {
+    return ProfileStore.toPublic(this.profiles.get(playerId) ?? ProfileStore.empty());
+  }
+
+  /**
+   * Start a sortie (join)
+   * @param {string} playerId
+   * @param {string} name - Callsign for this session
+   * @returns {Object} Copy of the profile for join_accepted
+   */
+  startSortie(playerId, name) {
+    const profile = this.get(playerId);
+    const now = Date.now();
+    profile.sorties += 1;
+    profile.name = name;
+    profile.firstSeen ??= now;
+    profile.lastSeen = now;
+    this.dirty = true;
+    return ProfileStore.toPublic(profile);
+  }
+
+  /**
+   * Add to a player's counters
+   * @param {string} playerId
+   * @param {Object} delta - e.g. { hits: 1 } or { timeFlown: 0.1, distanceFlown: 25 }
+   */
+  add(playerId, delta) {
+    const profile = this.get(playerId);
+    for (const [key, value] of Object.entries(delta)) {
+      profile[key] += value;
+    }
+    profile.lastSeen = Date.now();
+    this.dirty = true;
+
+    if (delta.hits || delta.timeFlown) {
+      for (const period of Object.keys(this.periods)) {
+        const stats = this.getPeriodStats(period, profile.lastSeen);
+        const entry = stats.get(playerId) ?? { hits: 0, timeFlown: 0 };
+        entry.hits += delta.hits ?? 0;
+        entry.timeFlown += delta.timeFlown ?? 0;
+        stats.set(playerId, entry);
+      }
+    }
+  }
+
+  /**
+   * Stats for the current day or week, starting a new one if it rolled over
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {number} now
+   * @returns {Map}
+   */
+  getPeriodStats(period, now) {
+    const start = periodStart(period, now);
+    if (this.periods[period].start !== start) {
+      this.periods[period] = { start, stats: new Map() };
+      this.rankings.clear();
+    }
+    return this.periods[period].stats;
+  }
+
+  /**
+   * All ranked players for a board, best first. Cached for
+   * CONFIG.leaderboard.cacheMs since sorting every profile isn't free.
+   * @param {string} period - 'daily', 'weekly' or 'alltime'
+   * @param {string} metric - 'hits' or 'hpm' (hits per minute flown)
+   * @returns {Object[]} [{ id, hits, minutes, hpm }]
+   */
+  rank(period, metric) {
+    const now = Date.now();
+    const key = `${period}:${metric}`;
+    const cached = this.rankings.get(key);
+    if (cached && now - cached.at < CONFIG.leaderboard.cacheMs) {
+      return cached.ranked;
+    }
+
+    const stats = period === 'alltime' ? this.profiles : this.getPeriodStats(period, now);
+    // Hits per minute only means something after a few minutes in the air
+    const minSeconds = metric === 'hpm' ? CONFIG.leaderboard.minMinutes * 60 : 0;
+    const ranked = [];
+    for (const [id, { hits, timeFlown }] of stats) {
+      if (hits === 0 || timeFlown < minSeconds) continue;
+      const minutes = timeFlown / 60;
+      ranked.push({ id, hits, minutes, hpm: minutes > 0 ? hits / minutes : 0 });
+    }
+    ranked.sort((a, b) => (metric === 'hpm' ? b.hpm - a.hpm : 0) || b.hits - a.hits || a.minutes - b.minutes);
+
+    this.rankings.set(key, { at: now, ranked });
+    return ranked;
+  }
+
+  /**
+   * A leaderboard as sent to clients. Player IDs are never included - they
+   * are all a client needs to claim a profile.
+   * @param {string} period - 'daily', 'weekly' or 'alltime'
+   * @param {string} metric - 'hits' or 'hpm'
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Entries to include
+   * @param {string} [options.playerId] - Include this player's own rank as `you`
+   * @returns {Object} { period, metric, since, ranked, entries, you }
+   */
+  getLeaderboard(period, metric, { limit = CONFIG.leaderboard.size, playerId = null } = {}) {
+    const ranked = this.rank(period, metric);
+    const describe = (entry, index) => ({
+      rank: index + 1,
+      name: this.profiles.get(entry.id)?.name ?? 'Pilot',
+      hits: entry.hits,
+      minutes: Math.round(entry.minutes),
+      hpm: Math.round(entry.hpm * 100) / 100,
+      ...(entry.id === playerId ? { you: true } : {})
+    });
+
+    const index = playerId ? ranked.findIndex(entry => entry.id === playerId) : -1;
+    return {
+      period,
+      metric,
+      since: period === 'alltime' ? null : this.periods[period].start,
+      ranked: ranked.length,
+      entries: ranked.slice(0, limit).map(describe),
+      you: index >= 0 ? describe(ranked[index], index) : null
+    };
+  }
+
+  /**
+   * Profile fields sent to clients (rounded)
+   * @param {Object} profile
+   * @returns {Object}
+   */
+  static toPublic(profile) {
+    return {
+      hits: profile.hits,
+      kills: profile.kills,
+      deaths: profile.deaths,
+      timeFlown: Math.round(profile.timeFlown),
+      distanceFlown: Math.round(profile.distanceFlown),
+      sorties: profile.sorties,
+      firstSeen: profile.firstSeen
+    };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Room - one game instance on the server
+ *
+ * Public rooms are filled automatically and capped at maxPlayers.
+ * Private rooms are created on request and joined by their short code
+ * (the code doubles as the room id).
+ *
+ * Either kind can be free-for-all or team deathmatch; team rooms carry a
+ * TeamMatch with the teams' scores and round clock. Guns are hitscan or
+ * ballistic (rounds with flight time and drop) per room.
+ */
+export class Room {
+  /**
+   * @param {string} id - Room id ('public-1', or the private code)
+   * @param {Object} options
+   * @param {'public'|'private'} [options.type='public']
+   * @param {number} [options.maxPlayers=30]
+   * @param {'ffa'|'teams'} [options.mode='ffa']
+   * @param {TeamMatch|null} [options.match] - Required for team rooms
+   * @param {'hitscan'|'ballistic'} [options.weapons='hitscan']
+   */
+  constructor(id, { type = 'public', maxPlayers = 30, mode = 'ffa', match = null, weapons = 'hitscan' } = {}) {
+    this.id = id;
+    this.type = type;
+    this.maxPlayers = maxPlayers;
+    this.mode = mode;
+    this.weapons = weapons;
+    this.match = match;
+    this.players = new Map(); // playerId -> player record (shared with GameServer.players)
+    this.createdAt = Date.now();
+  }
+
+  get size() {
+    return this.players.size;
+  }
+
+  isFull() {
+    return this.players.size >= this.maxPlayers;
+  }
+
+  isPrivate() {
+    return this.type === 'private';
+  }
+
+  /**
+   * Add a player and give them the lowest free slot (binary protocol player index)
+   */
+  add(playerId, player) {
+    const used = new Set();
+    for (const other of this.players.values()) {
+      used.add(other.slot);
+    }
+    let slot = 0;
+    while (used.has(slot)) slot++;
+    player.slot = slot;
+    this.players.set(playerId, player);
+  }
+
+  remove(playerId) {
+    this.players.delete(playerId);
+  }
+
+  /**
+   * Send a pre-serialized message to every open connection in the room
+   * @param {string} message - Serialized JSON message
+   * @param {string} [exceptId] - Player to skip (usually the sender)
+   * @param {function(number): ArrayBuffer} [encodeBinary] - Binary encoder for
+   *   clients that negotiated a protocol version (called once per version)
+   * @returns {number} Number of messages sent
+   */
+  broadcast(message, exceptId = null, encodeBinary = null) {
+    const encoded = new Map(); // version -> frame
+    let sent = 0;
+    for (const [id, player] of this.players) {
+      if (id === exceptId || player.ws.readyState !== 1) continue;
+
+      const version = player.protocolVersion;
+      if (encodeBinary && version) {
+        if (!encoded.has(version)) {
+          encoded.set(version, encodeBinary(version));
+        }
+        player.ws.send(encoded.get(version));
+      } else {
+        player.ws.send(message);
+      }
+      sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Static player info for binary clients (slot -> identity)
+   */
+  getRoster() {
+    return [...this.players].map(([id, player]) => ({
+      id,
+      slot: player.slot,
+      name: player.name,
+      planeType: player.planeType,
+      planeColor: player.planeColor,
+      team: player.team
+    }));
+  }
+
+  /**
+   * Public description sent to clients in join_accepted
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      mode: this.mode,
+      weapons: this.weapons,
+      code: this.isPrivate() ? this.id : null,
+      maxPlayers: this.maxPlayers
+    };
+  }
+}
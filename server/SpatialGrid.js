@@ -0,0 +1,65 @@
+/**
+ * SpatialGrid - uniform grid over the horizontal (x/z) plane
+ *
+ * Rebuilt every broadcast tick from player positions, then queried per
+ * recipient to find nearby aircraft without checking every pair.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Cell edge length in meters
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cz" -> array of ids
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  /**
+   * @param {string} id
+   * @param {{x: number, z: number}} position
+   */
+  insert(id, position) {
+    const key = this.cellKey(
+      Math.floor(position.x / this.cellSize),
+      Math.floor(position.z / this.cellSize)
+    );
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(id);
+  }
+
+  /**
+   * Ids in every cell touched by a square of the given radius around position.
+   * Candidates only - callers check the exact distance.
+   * @param {{x: number, z: number}} position
+   * @param {number} radius
+   * @returns {string[]}
+   */
+  query(position, radius) {
+    const minX = Math.floor((position.x - radius) / this.cellSize);
+    const maxX = Math.floor((position.x + radius) / this.cellSize);
+    const minZ = Math.floor((position.z - radius) / this.cellSize);
+    const maxZ = Math.floor((position.z + radius) / this.cellSize);
+
+    const result = [];
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.cellKey(cx, cz));
+        if (cell) {
+          result.push(...cell);
+        }
+      }
+    }
+    return result;
+  }
+}
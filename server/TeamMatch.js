@@ -0,0 +1,121 @@
+import { CONFIG } from './config.js';
+
+export const TEAMS = CONFIG.teams.names;
+
+/**
+ * TeamMatch - team deathmatch state for one room
+ *
+ * Joining players go to the smaller team. A round ends when its time runs
+ * out or a team reaches the score limit; after an intermission (the win
+ * screen) the next round starts with scores reset. The room keeps playing
+ * through the intermission, but nothing scores.
+ */
+export class TeamMatch {
+  /**
+   * @param {Object} options
+   * @param {number} options.roundDuration - ms
+   * @param {number} options.scoreLimit - Kills that end the round
+   * @param {number} options.intermission - ms between rounds
+   */
+  constructor({ roundDuration, scoreLimit, intermission }) {
+    this.roundDuration = roundDuration;
+    this.scoreLimit = scoreLimit;
+    this.intermission = intermission;
+    this.round = 0;
+    this.startRound(Date.now());
+  }
+
+  get playing() {
+    return this.state === 'playing';
+  }
+
+  startRound(now) {
+    this.round += 1;
+    this.state = 'playing';
+    this.scores = Object.fromEntries(TEAMS.map(team => [team, 0]));
+    this.roundEndsAt = now + this.roundDuration;
+    this.nextRoundAt = null;
+    this.winner = null;
+  }
+
+  endRound(now) {
+    this.state = 'intermission';
+    this.nextRoundAt = now + this.intermission;
+    const [first, second] = [...TEAMS].sort((a, b) => this.scores[b] - this.scores[a]);
+    this.winner = this.scores[first] > this.scores[second] ? first : null;  // null = draw
+  }
+
+  /**
+   * Team for a joining player: the one with fewer players, then the one
+   * that's behind, then either
+   * @param {Iterable<Object>} players - Player records already in the room
+   * @returns {string}
+   */
+  chooseTeam(players) {
+    const counts = Object.fromEntries(TEAMS.map(team => [team, 0]));
+    for (const player of players) {
+      if (player.team in counts) counts[player.team]++;
+    }
+    const shuffled = [...TEAMS].sort(() => Math.random() - 0.5);
+    return shuffled.sort((a, b) => counts[a] - counts[b] || this.scores[a] - this.scores[b])[0];
+  }
+
+  /**
+   * Credit a kill
+   * @param {string} team - Killer's team
+   * @param {number} now
+   * @returns {boolean} Whether it ended the round
+   */
+  addKill(team, now) {
+    if (!this.playing) return false;
+    this.scores[team] += 1;
+    if (this.scores[team] >= this.scoreLimit) {
+      this.endRound(now);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Take a point off a team (friendly kill while friendly fire is penalized)
+   * @param {string} team
+   */
+  addPenalty(team) {
+    if (!this.playing) return;
+    this.scores[team] = Math.max(0, this.scores[team] - 1);
+  }
+
+  /**
+   * Advance the round clock (call every broadcast tick)
+   * @param {number} now
+   * @returns {'round_end'|'round_start'|null} What happened
+   */
+  update(now) {
+    if (this.playing && now >= this.roundEndsAt) {
+      this.endRound(now);
+      return 'round_end';
+    }
+    if (!this.playing && now >= this.nextRoundAt) {
+      this.startRound(now);
+      return 'round_start';
+    }
+    return null;
+  }
+
+  /**
+   * State sent to clients. Times are relative so client clocks don't matter.
+   * @param {number} [now]
+   * @returns {Object}
+   */
+  toJSON(now = Date.now()) {
+    return {
+      round: this.round,
+      state: this.state,
+      scores: { ...this.scores },
+      scoreLimit: this.scoreLimit,
+      timeLeft: this.playing ? Math.max(0, this.roundEndsAt - now) : 0,
+      nextRoundIn: this.playing ? null : Math.max(0, this.nextRoundAt - now),
+      winner: this.winner
+    };
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Server-side gameplay constants for Fly Porto
+ *
+ * The server deploys on its own (see Dockerfile), so it can't import the
+ * client's src/config.js. Values here mirror the client CONFIG where noted
+ * and must be kept in sync when gameplay is tuned.
+ */
+export const CONFIG = {
+  // Combat settings (mirrors CONFIG.combat / CONFIG.aircraft in src/config.js)
+  combat: {
+    bulletRange: 800,         // meters - client raycaster far distance
+    hitboxRadius: 25,         // meters - RemoteAircraft hitbox sphere radius
+    hitRateLimit: 100,        // ms between accepted hits per shooter
+
+    // Hit validation tolerances
+    hitTolerance: 15,         // meters - slack for interpolation/quantization error
+    originTolerance: 120,     // meters - max distance between shot origin and rewound shooter
+    maxShotAge: 1000,         // ms - a hit must reference a shot received this recently
+    maxRewind: 600,           // ms - cap on lag compensation (protects against fake latency)
+    renderDelay: 100,         // ms - client interpolation delay (PositionBuffer renderDelay)
+
+    // Health and respawn (mirrors CONFIG.combat in src/config.js)
+    maxHealth: 100,
+    hitDamage: 10,            // health removed per confirmed gun hit
+    respawnDelay: 5000,       // ms from destruction to respawn
+    spawnProtection: 3000     // ms of invulnerability after respawn
+  },
+
+  // Ballistic gun rooms (mirrors CONFIG.combat.ballistics in src/config.js)
+  ballistics: {
+    muzzleVelocity: 900,      // m/s along the nose, added to the shooter's velocity
+    gravity: 9.8,             // m/s^2
+    maxFlightTime: 1500,      // ms before a round is spent
+    velocitySlack: 30         // m/s - shooter velocity error (last report vs firing), widens the hit check with flight time
+  },
+
+  // Homing missiles and flares (mirrors CONFIG.missiles in src/config.js)
+  missiles: {
+    perLife: 4,               // missiles carried per life
+    maxInFlight: 2,           // per shooter
+    launchCooldown: 1000,     // ms between launches
+    lockRange: 2500,          // meters
+    holdCone: 18,             // degrees off the nose a lock survives
+    coneTolerance: 6,         // degrees of slack on holdCone (lag, position error)
+    lockTime: 1500,           // ms the target must be tracked before it locks
+    lockTimeSlack: 250,       // ms - timing noise on the lock messages
+    speed: 650,               // m/s - top speed, bounds how far a missile can have flown
+    maxFlightTime: 8000,      // ms before the motor burns out
+    reachTolerance: 150,      // meters - slack on the reach check (hitbox, boost, lag)
+    damage: 70,               // health removed by a missile hit
+    flares: 6,                // flare bursts per life
+    flareCooldown: 1000,      // ms between bursts
+    flareRange: 1500,         // meters - missiles further out ignore the flares
+    flareSpoofChance: 0.6     // chance a burst decoys each missile in range
+  },
+
+  // Per-type limits (mirrors CONFIG.aircraft.types[*].profile in src/config.js)
+  aircraft: {
+    jet1: { maxSpeed: 450, hitboxRadius: 25 },
+    jet2: { maxSpeed: 400, hitboxRadius: 30 },
+    plane1: { maxSpeed: 160, hitboxRadius: 20 },
+    plane2: { maxSpeed: 240, hitboxRadius: 21 },
+    plane3: { maxSpeed: 200, hitboxRadius: 22 }
+  },
+
+  // Gun magazines and barrel heat (mirrors CONFIG.aircraft.types[*].gun in src/config.js)
+  guns: {
+    overheatResume: 0.35,     // heat the barrel must cool to after overheating
+    heatSlack: 0.15,          // shots arrive bunched by the network - they cool less here than on the client
+    reloadSlack: 300,         // ms - the client starts reloading before we hear about it
+    fireCooldown: 100,        // ms between shots (mirrors CONFIG.combat.fireCooldown)
+    fireBurst: 3,             // shots a late, bunched delivery may catch up on
+    fireSlack: 20,            // ms - timing noise allowed on top
+    types: {
+      jet1: { magazine: 150, reloadTime: 3000, heatPerShot: 0.045, coolRate: 0.25 },
+      jet2: { magazine: 200, reloadTime: 4000, heatPerShot: 0.04, coolRate: 0.2 },
+      plane1: { magazine: 80, reloadTime: 2500, heatPerShot: 0.05, coolRate: 0.3 },
+      plane2: { magazine: 100, reloadTime: 2500, heatPerShot: 0.05, coolRate: 0.3 },
+      plane3: { magazine: 120, reloadTime: 3000, heatPerShot: 0.045, coolRate: 0.25 }
+    }
+  },
+
+  // Movement validation against the aircraft's maxSpeed
+  movement: {
+    speedTolerance: 1.25,     // lift/gravity add to airspeed, so allow some headroom
+    speedSlack: 20,           // m/s - quantization and timing noise
+    maxClientDtSlack: 250,    // ms - client timestamp gap may exceed server gap by this much
+    dropAfter: 50             // consecutive rejections (~5s) before the connection is dropped
+  },
+
+  // Interest management for the 10Hz players snapshot
+  interest: {
+    cellSize: 4000,           // meters - spatial grid cell edge
+    nearRadius: 4000,         // meters - full-rate (10Hz) updates inside this range
+    farRadius: 15000,         // meters - reduced-rate updates up to this range
+    midInterval: 3            // ticks between reduced-rate updates (~3.3Hz)
+  },
+
+  // Lifetime stats file (ProfileStore) - pruned on load and before each save
+  profiles: {
+    retentionDays: 180,       // profiles not seen for this long are dropped
+    maxProfiles: 50000        // beyond this, the least recently seen are dropped
+  },
+
+  // Daily / weekly / all-time leaderboards (ProfileStore.getLeaderboard)
+  leaderboard: {
+    size: 10,                 // entries per board sent to clients
+    maxHttpSize: 100,         // cap on ?limit= for the HTTP route
+    minMinutes: 5,            // minutes flown before a pilot is ranked by hits per minute
+    cacheMs: 10000            // ms a computed ranking is reused
+  },
+
+  // Team deathmatch rooms (mirrors CONFIG.teams in src/config.js)
+  teams: {
+    names: ['red', 'blue'],   // team ids double as the forced aircraft colors
+    roundDuration: 600000,    // ms - 10 minute rounds (TEAM_ROUND_MINUTES)
+    scoreLimit: 25,           // kills that end a round early (TEAM_SCORE_LIMIT)
+    intermission: 15000,      // ms between rounds (win screen)
+    friendlyFire: 'reject',   // 'reject' friendly hits, or 'penalize' (TEAM_FRIENDLY_FIRE)
+    friendlyFirePenalty: 2    // points a penalized friendly hit costs the shooter
+  },
+
+  // Kill streak announcements (broadcast to the room)
+  streaks: {
+    announceFrom: 3,          // kills without dying before each further kill is announced
+    shutdownFrom: 3           // shooting down a pilot on a streak this long is a shutdown
+  },
+
+  // Checkpoint race starts. The client teleports to a route's start only once
+  // the server approves it; starts mirror CheckpointManager.getStartPose for
+  // ROUTES in src/data/landmarks.js (scripts/verify-race-positions.mjs checks them)
+  race: {
+    starts: {
+      riverRun: { x: -1044, y: 260, z: -151 },
+      oldTown: { x: -202, y: 250, z: -437 },
+      coastalSprint: { x: 2163, y: 190, z: 712 },
+      grandTour: { x: -2397, y: 300, z: 2686 }
+    },
+    startTolerance: 50,       // meters - first update after the teleport vs the start
+    approvalTime: 3000,       // ms an approved start stays valid
+    combatCooldown: 10000     // ms since last damage before a race can start
+  },
+
+  // Text chat (mirrors CONFIG.chat in src/config.js)
+  chat: {
+    maxLength: 120,           // characters per message (longer ones are cut)
+    burst: 4,                 // messages allowed back to back...
+    refillMs: 2500,           // ...then one more every refillMs
+    maxBlocks: 100            // blocked player IDs kept per player
+  },
+
+  // Position history for lag compensation
+  history: {
+    duration: 1500,           // ms of position samples kept per player
+    maxSamples: 40            // hard cap (10Hz updates -> ~4s worst case)
+  }
+};
@@ -6,8 +6,9 @@ const server = new GameServer(port);
 // Graceful shutdown handling
 const shutdown = (signal) => {
   console.log(`\n[Server] Received ${signal}, shutting down gracefully...`);
-  server.shutdown();
-  process.exit(0);
+  // Exit once the match logs are flushed, but don't hang on a stuck disk
+  setTimeout(() => process.exit(0), 5000).unref();
+  server.shutdown().then(() => process.exit(0));
 };
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,288 @@
+/**
+ * Binary wire protocol for high-frequency messages
+ *
+ * JSON stays the default (and the only format older clients speak). A client
+ * that lists binary versions in its `join` gets the highest version both sides
+ * support; from then on `position`, `shoot`, `players`, `player_shoot` and
+ * `hit_confirmed` travel as binary frames. Everything else stays JSON.
+ *
+ * Every frame starts with [u8 version][u8 type]. Players are referenced by
+ * their room slot (u16); names, plane type and color are sent once in the
+ * join_accepted roster / player_joined message instead of every snapshot.
+ * All multi-byte values are little-endian.
+ *
+ * Version 2 appends the orientation quaternion (4 x Int16, unit components)
+ * to POSITION frames and PLAYERS entries so aerobatic attitudes (loops,
+ * inverted flight) survive without Euler gimbal flips. Entry flag bit 2 says
+ * the quaternion is present; without it clients fall back to the Euler angles.
+ *
+ * PLAYERS frames end with a summary of room players that have no entry this
+ * tick: [u16 n] then n x [u16 slot][u16 score][u8 far]. far=1 means out of
+ * interest range; far=0 means in range but skipped this tick (or yourself).
+ *
+ * HIT_CONFIRMED frames end with the weapon (u8 index into HIT_WEAPONS);
+ * frames without it are gun hits.
+ *
+ * Mirrored by the decoder in src/network/NetworkManager.js - keep in sync.
+ */
+
+export const PROTOCOL_VERSIONS = [1, 2];
+
+export const MessageType = {
+  POSITION: 1,        // client -> server
+  PLAYERS: 2,         // server -> client (10Hz snapshot)
+  SHOOT: 3,           // client -> server
+  PLAYER_SHOOT: 4,    // server -> client
+  HIT_CONFIRMED: 5    // server -> client
+};
+
+// Weapons a hit can come from (HIT_CONFIRMED weapon byte)
+export const HIT_WEAPONS = ['gun', 'missile'];
+
+// Quantization
+const POSITION_SCALE = 100;             // Int32 centimeters
+const ANGLE_SCALE = 32767 / Math.PI;    // Int16 over [-PI, PI]
+const VELOCITY_SCALE = 10;              // Int16 decimeters/second
+const DIRECTION_SCALE = 32767;          // Int16 unit vector components
+const QUATERNION_SCALE = 32767;         // Int16 unit quaternion components
+
+const PLAYERS_HEADER_SIZE = 14;
+const PLAYER_ENTRY_SIZE = 33;
+const QUATERNION_SIZE = 8;              // v2+ suffix on POSITION and PLAYERS entries
+const SUMMARY_ENTRY_SIZE = 5;
+
+/**
+ * Size of one PLAYERS entry for a protocol version
+ * @param {number} version
+ * @returns {number}
+ */
+function playerEntrySize(version) {
+  return version >= 2 ? PLAYER_ENTRY_SIZE + QUATERNION_SIZE : PLAYER_ENTRY_SIZE;
+}
+
+/**
+ * Pick the protocol version for a client
+ * @param {number[]} [offered] - `binary` field of the join message
+ * @returns {number} Highest common version, or 0 for JSON
+ */
+export function negotiateVersion(offered) {
+  if (!Array.isArray(offered)) return 0;
+  let best = 0;
+  for (const version of offered) {
+    if (PROTOCOL_VERSIONS.includes(version) && version > best) {
+      best = version;
+    }
+  }
+  return best;
+}
+
+/**
+ * Decode a binary frame from a client into the equivalent JSON message
+ * @param {Buffer} data
+ * @returns {Object|null} Message, or null if the frame is malformed
+ */
+export function decodeMessage(data) {
+  if (data.byteLength < 2) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const version = view.getUint8(0);
+  if (!PROTOCOL_VERSIONS.includes(version)) return null;
+
+  switch (view.getUint8(1)) {
+    case MessageType.POSITION: {
+      if (data.byteLength < 39) return null;
+      const msg = {
+        type: 'position',
+        position: readPosition(view, 2),
+        rotation: readAngles(view, 14),
+        velocity: readVelocity(view, 20),
+        speed: view.getInt16(26, true) / VELOCITY_SCALE,
+        verticalSpeed: view.getInt16(28, true) / VELOCITY_SCALE,
+        throttle: view.getUint8(30) / 255,
+        timestamp: view.getFloat64(31, true)
+      };
+      if (version >= 2 && data.byteLength >= 39 + QUATERNION_SIZE) {
+        msg.quaternion = readQuaternion(view, 39);
+      }
+      return msg;
+    }
+
+    case MessageType.SHOOT:
+      if (data.byteLength < 32) return null;
+      return {
+        type: 'shoot',
+        shotId: view.getUint32(2, true),
+        position: readPosition(view, 6),
+        direction: readDirection(view, 18),
+        timestamp: view.getFloat64(24, true)
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Encode a room's 10Hz snapshot
+ * @param {number} version
+ * @param {Object[]} players - Player records to include
+ * @param {number} count - Players in the room (shown in the HUD)
+ * @param {number} now - Snapshot timestamp
+ * @param {{player: Object, far: boolean}[]} [others] - Room players without an entry
+ * @returns {ArrayBuffer}
+ */
+export function encodePlayers(version, players, count, now, others = []) {
+  const entrySize = playerEntrySize(version);
+  const buffer = new ArrayBuffer(
+    PLAYERS_HEADER_SIZE + players.length * entrySize + 2 + others.length * SUMMARY_ENTRY_SIZE
+  );
+  const view = new DataView(buffer);
+  view.setUint8(0, version);
+  view.setUint8(1, MessageType.PLAYERS);
+  view.setFloat64(2, now, true);
+  view.setUint16(10, count, true);
+  view.setUint16(12, players.length, true);
+
+  let offset = PLAYERS_HEADER_SIZE;
+  for (const player of players) {
+    view.setUint16(offset, player.slot, true);
+    writePosition(view, offset + 2, player.position);
+    writeAngles(view, offset + 14, player.rotation);
+    writeVelocity(view, offset + 20, player.velocity);
+    view.setUint8(offset + 26, Math.round(clamp(player.throttle ?? 0, 0, 1) * 255));
+    view.setUint8(offset + 27, clamp(Math.round(player.health ?? 0), 0, 255));
+    const hasQuaternion = version >= 2 && !!player.quaternion;
+    const flags = (player.alive ? 1 : 0) | (now < player.protectedUntil ? 2 : 0) | (hasQuaternion ? 4 : 0);
+    view.setUint8(offset + 28, flags);
+    view.setUint16(offset + 29, clamp(player.score || 0, 0, 65535), true);
+    view.setUint16(offset + 31, clamp(now - player.lastUpdate, 0, 65535), true);
+    if (hasQuaternion) {
+      writeQuaternion(view, offset + PLAYER_ENTRY_SIZE, player.quaternion);
+    }
+    offset += entrySize;
+  }
+
+  view.setUint16(offset, others.length, true);
+  offset += 2;
+  for (const { player, far } of others) {
+    view.setUint16(offset, player.slot, true);
+    view.setUint16(offset + 2, clamp(player.score || 0, 0, 65535), true);
+    view.setUint8(offset + 4, far ? 1 : 0);
+    offset += SUMMARY_ENTRY_SIZE;
+  }
+  return buffer;
+}
+
+/**
+ * Encode another player's shot (for visual effects)
+ * @returns {ArrayBuffer}
+ */
+export function encodePlayerShoot(version, shooterSlot, position, direction, timestamp) {
+  const buffer = new ArrayBuffer(30);
+  const view = new DataView(buffer);
+  view.setUint8(0, version);
+  view.setUint8(1, MessageType.PLAYER_SHOOT);
+  view.setUint16(2, shooterSlot, true);
+  writePosition(view, 4, position);
+  writeDirection(view, 16, direction);
+  view.setFloat64(22, timestamp, true);
+  return buffer;
+}
+
+/**
+ * Encode a confirmed hit
+ * @returns {ArrayBuffer}
+ */
+export function encodeHitConfirmed(version, shooterSlot, targetSlot, shooterScore, targetHealth, timestamp, weapon = 'gun') {
+  const buffer = new ArrayBuffer(18);
+  const view = new DataView(buffer);
+  view.setUint8(0, version);
+  view.setUint8(1, MessageType.HIT_CONFIRMED);
+  view.setUint16(2, shooterSlot, true);
+  view.setUint16(4, targetSlot, true);
+  view.setUint16(6, clamp(shooterScore, 0, 65535), true);
+  view.setUint8(8, clamp(Math.round(targetHealth), 0, 255));
+  view.setFloat64(9, timestamp, true);
+  view.setUint8(17, Math.max(0, HIT_WEAPONS.indexOf(weapon)));
+  return buffer;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function wrapAngle(angle) {
+  const wrapped = ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+  return wrapped - Math.PI;
+}
+
+function writePosition(view, offset, p) {
+  view.setInt32(offset, Math.round(p.x * POSITION_SCALE), true);
+  view.setInt32(offset + 4, Math.round(p.y * POSITION_SCALE), true);
+  view.setInt32(offset + 8, Math.round(p.z * POSITION_SCALE), true);
+}
+
+function readPosition(view, offset) {
+  return {
+    x: view.getInt32(offset, true) / POSITION_SCALE,
+    y: view.getInt32(offset + 4, true) / POSITION_SCALE,
+    z: view.getInt32(offset + 8, true) / POSITION_SCALE
+  };
+}
+
+function writeAngles(view, offset, r) {
+  view.setInt16(offset, Math.round(wrapAngle(r.x) * ANGLE_SCALE), true);
+  view.setInt16(offset + 2, Math.round(wrapAngle(r.y) * ANGLE_SCALE), true);
+  view.setInt16(offset + 4, Math.round(wrapAngle(r.z) * ANGLE_SCALE), true);
+}
+
+function readAngles(view, offset) {
+  return {
+    x: view.getInt16(offset, true) / ANGLE_SCALE,
+    y: view.getInt16(offset + 2, true) / ANGLE_SCALE,
+    z: view.getInt16(offset + 4, true) / ANGLE_SCALE
+  };
+}
+
+function writeVelocity(view, offset, v) {
+  view.setInt16(offset, clamp(Math.round((v?.x || 0) * VELOCITY_SCALE), -32768, 32767), true);
+  view.setInt16(offset + 2, clamp(Math.round((v?.y || 0) * VELOCITY_SCALE), -32768, 32767), true);
+  view.setInt16(offset + 4, clamp(Math.round((v?.z || 0) * VELOCITY_SCALE), -32768, 32767), true);
+}
+
+function readVelocity(view, offset) {
+  return {
+    x: view.getInt16(offset, true) / VELOCITY_SCALE,
+    y: view.getInt16(offset + 2, true) / VELOCITY_SCALE,
+    z: view.getInt16(offset + 4, true) / VELOCITY_SCALE
+  };
+}
+
+function writeDirection(view, offset, d) {
+  view.setInt16(offset, Math.round(clamp(d.x, -1, 1) * DIRECTION_SCALE), true);
+  view.setInt16(offset + 2, Math.round(clamp(d.y, -1, 1) * DIRECTION_SCALE), true);
+  view.setInt16(offset + 4, Math.round(clamp(d.z, -1, 1) * DIRECTION_SCALE), true);
+}
+
+function readDirection(view, offset) {
+  return {
+    x: view.getInt16(offset, true) / DIRECTION_SCALE,
+    y: view.getInt16(offset + 2, true) / DIRECTION_SCALE,
+    z: view.getInt16(offset + 4, true) / DIRECTION_SCALE
+  };
+}
+
+function writeQuaternion(view, offset, q) {
+  view.setInt16(offset, Math.round(clamp(q.x, -1, 1) * QUATERNION_SCALE), true);
+  view.setInt16(offset + 2, Math.round(clamp(q.y, -1, 1) * QUATERNION_SCALE), true);
+  view.setInt16(offset + 4, Math.round(clamp(q.z, -1, 1) * QUATERNION_SCALE), true);
+  view.setInt16(offset + 6, Math.round(clamp(q.w, -1, 1) * QUATERNION_SCALE), true);
+}
+
+function readQuaternion(view, offset) {
+  return {
+    x: view.getInt16(offset, true) / QUATERNION_SCALE,
+    y: view.getInt16(offset + 2, true) / QUATERNION_SCALE,
+    z: view.getInt16(offset + 4, true) / QUATERNION_SCALE,
+    w: view.getInt16(offset + 6, true) / QUATERNION_SCALE
+  };
+}
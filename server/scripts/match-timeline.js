@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Reconstruct a match timeline from MatchLog files
+ * Run with: npm run timeline -- <log file or directory>... [options]
+ *
+ * Prints joins, leaves, hits (with range), kills and chat in order, flags accepted
+ * positions that imply a speed the aircraft can't fly, and ends with a
+ * per-player summary. Rotated files for the same room are read together.
+ *
+ * Options:
+ *   --room <id>      Only this room
+ *   --player <id>    Only events involving this player
+ *   --shots          Also list every shot
+ *   --json           Print { timeline, suspicious, players } as JSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+
+// Positions are compared over at least this span so network bunching
+// (several updates arriving in the same few ms) doesn't look like speed
+const MIN_SPEED_SPAN = 2000;  // ms
+
+function parseArgs(argv) {
+  const options = { paths: [], room: null, player: null, shots: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--room') options.room = argv[++i];
+    else if (arg === '--player') options.player = argv[++i];
+    else if (arg === '--shots') options.shots = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.paths.push(arg);
+  }
+  if (options.paths.length === 0) {
+    throw new Error('Usage: match-timeline.js <log file or directory>... [--room id] [--player id] [--shots] [--json]');
+  }
+  return options;
+}
+
+/**
+ * Expand directories to the match log files inside them
+ */
+function listFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (fs.statSync(p).isDirectory()) {
+      for (const name of fs.readdirSync(p).sort()) {
+        if (name.startsWith('match-') && name.endsWith('.jsonl')) files.push(path.join(p, name));
+      }
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read every line of every file, tagged with its room, in time order
+ */
+function readEvents(files) {
+  const events = [];
+  let badLines = 0;
+  for (const file of files) {
+    let room = null;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        badLines++;  // A crash can leave a partial last line
+        continue;
+      }
+      if (event.e === 'roster') room = event.room;
+      if (typeof event.t !== 'number' || !room) {
+        badLines++;
+        continue;
+      }
+      event.room = room;
+      events.push(event);
+    }
+  }
+  // Stable sort keeps each file's own order for equal timestamps
+  events.sort((a, b) => a.t - b.t);
+  return { events, badLines };
+}
+
+function maxSpeedFor(type) {
+  const limits = CONFIG.movement;
+  return (CONFIG.aircraft[type]?.maxSpeed ?? CONFIG.aircraft.jet1.maxSpeed) * limits.speedTolerance + limits.speedSlack;
+}
+
+function distance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+function formatTime(t) {
+  return new Date(t).toISOString().slice(11, 23);
+}
+
+/**
+ * Walk the events once, building the timeline, speed flags and per-player stats
+ */
+function analyze(events, options) {
+  const players = new Map();  // key room/id -> stats
+  const timeline = [];
+  const suspicious = [];
+
+  const getPlayer = (room, id, fields = {}) => {
+    const key = `${room}/${id}`;
+    let player = players.get(key);
+    if (!player) {
+      player = {
+        id, room, name: id, type: null,
+        shots: 0, hits: 0, kills: 0, deaths: 0,
+        rangeTotal: 0, maxRange: 0,
+        rejectedHits: 0, rejectedPositions: 0, impossiblePositions: 0,
+        anchor: null  // Last position sample used for the speed check
+      };
+      players.set(key, player);
+    }
+    if (fields.name) player.name = fields.name;
+    if (fields.type) player.type = fields.type;
+    return player;
+  };
+  const nameOf = (room, id) => (id ? players.get(`${room}/${id}`)?.name ?? id : 'unknown');
+  const involves = (event) => !options.player ||
+    event.id === options.player || event.target === options.player || event.killer === options.player;
+
+  for (const event of events) {
+    if (options.room && event.room !== options.room) continue;
+    const { room } = event;
+
+    switch (event.e) {
+      case 'roster':
+        for (const entry of event.players || []) getPlayer(room, entry.id, entry);
+        break;
+
+      case 'join': {
+        const player = getPlayer(room, event.id, event);
+        player.anchor = null;  // Spawn position - nothing to compare against
+        if (involves(event)) timeline.push({ t: event.t, room, text: `${player.name} joined (${event.type}) from ${event.ip ?? '?'}` });
+        break;
+      }
+
+      case 'leave':
+        if (involves(event)) timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} left (${event.reason})` });
+        getPlayer(room, event.id).anchor = null;
+        break;
+
+      case 'pos': {
+        const player = getPlayer(room, event.id);
+        if (!Array.isArray(event.p)) break;
+        const reported = Array.isArray(event.v) ? Math.hypot(...event.v) : 0;
+        const limit = maxSpeedFor(player.type);
+
+        let implied = null;
+        if (player.anchor && event.t - player.anchor.t >= MIN_SPEED_SPAN) {
+          implied = distance(player.anchor.p, event.p) / ((event.t - player.anchor.t) / 1000);
+        }
+        if ((implied !== null && implied > limit) || reported > limit) {
+          player.impossiblePositions++;
+          const speed = Math.round(Math.max(implied ?? 0, reported));
+          const from = player.anchor ? ` (moved ${Math.round(distance(player.anchor.p, event.p))}m in ${event.t - player.anchor.t}ms)` : '';
+          const entry = { t: event.t, room, id: event.id, speed, limit: Math.round(limit), position: event.p };
+          suspicious.push(entry);
+          if (involves(event)) {
+            timeline.push({ t: event.t, room, text: `!! ${player.name} at ${speed} m/s, limit ${Math.round(limit)}${from}`, suspicious: true });
+          }
+        }
+        if (!player.anchor || event.t - player.anchor.t >= MIN_SPEED_SPAN) {
+          player.anchor = { t: event.t, p: event.p };
+        }
+        break;
+      }
+
+      case 'pos_rejected':
+        getPlayer(room, event.id).rejectedPositions++;
+        break;
+
+      case 'shoot':
+        getPlayer(room, event.id).shots++;
+        if (options.shots && involves(event)) {
+          timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} fired (shot ${event.shot})` });
+        }
+        break;
+
+      case 'hit': {
+        const shooter = getPlayer(room, event.id);
+        shooter.hits++;
+        shooter.rangeTotal += event.range;
+        shooter.maxRange = Math.max(shooter.maxRange, event.range);
+        if (involves(event)) {
+          const weapon = event.weapon ? ` with a ${event.weapon}` : '';
+          timeline.push({ t: event.t, room, text: `${shooter.name} hit ${nameOf(room, event.target)}${weapon} at ${event.range}m (health ${event.health})` });
+        }
+        break;
+      }
+
+      case 'missile':
+        if (involves(event)) {
+          timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} fired a missile at ${nameOf(room, event.target)} from ${event.range}m` });
+        }
+        break;
+
+      case 'flares':
+        if (involves(event)) {
+          const decoyed = event.spoofed > 0 ? `, decoying ${event.spoofed} missile${event.spoofed > 1 ? 's' : ''}` : '';
+          timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} dropped flares${decoyed}` });
+        }
+        break;
+
+      case 'hit_rejected':
+        getPlayer(room, event.id).rejectedHits++;
+        if (involves(event)) {
+          timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} hit on ${nameOf(room, event.target)} rejected (${event.reason})` });
+        }
+        break;
+
+      case 'destroyed': {
+        getPlayer(room, event.id).deaths++;
+        if (event.killer && event.killer !== event.id) getPlayer(room, event.killer).kills++;
+        if (involves(event)) {
+          const by = event.killer ? ` by ${nameOf(room, event.killer)}` : '';
+          timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} destroyed${by} (${event.cause})` });
+        }
+        break;
+      }
+
+      case 'chat':
+        if (involves(event)) timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)}: "${event.text}"` });
+        break;
+
+      case 'respawn':
+        getPlayer(room, event.id).anchor = null;  // Respawn teleports
+        if (involves(event)) timeline.push({ t: event.t, room, text: `${nameOf(room, event.id)} respawned` });
+        break;
+    }
+  }
+
+  const summary = [...players.values()]
+    .filter(player => !options.player || player.id === options.player)
+    .map(({ anchor, rangeTotal, ...player }) => ({
+      ...player,
+      accuracy: player.shots > 0 ? Math.round(player.hits / player.shots * 100) : null,
+      averageRange: player.hits > 0 ? Math.round(rangeTotal / player.hits) : null
+    }));
+
+  return { timeline, suspicious, players: summary };
+}
+
+function printReport({ timeline, suspicious, players }, badLines) {
+  let lastRoom = null;
+  for (const entry of timeline) {
+    if (entry.room !== lastRoom) {
+      console.log(`\n=== Room ${entry.room} ===`);
+      lastRoom = entry.room;
+    }
+    console.log(`${formatTime(entry.t)}  ${entry.text}`);
+  }
+
+  console.log('\n=== Players ===\n');
+  console.log(`${'Player'.padEnd(20)} ${'Room'.padEnd(10)} ${'Shots'.padStart(6)} ${'Hits'.padStart(5)} ${'Acc'.padStart(5)} ${'K/D'.padStart(7)} ${'AvgRng'.padStart(7)} ${'MaxRng'.padStart(7)} ${'BadPos'.padStart(7)} ${'RejHit'.padStart(7)}`);
+  for (const p of players) {
+    const accuracy = p.accuracy === null ? '-' : `${p.accuracy}%`;
+    const averageRange = p.averageRange === null ? '-' : `${p.averageRange}m`;
+    const maxRange = p.hits > 0 ? `${p.maxRange}m` : '-';
+    console.log(`${p.name.slice(0, 20).padEnd(20)} ${p.room.slice(0, 10).padEnd(10)} ${String(p.shots).padStart(6)} ${String(p.hits).padStart(5)} ${accuracy.padStart(5)} ${`${p.kills}/${p.deaths}`.padStart(7)} ${averageRange.padStart(7)} ${maxRange.padStart(7)} ${String(p.impossiblePositions).padStart(7)} ${String(p.rejectedHits).padStart(7)}`);
+  }
+
+  console.log(`\n${suspicious.length} physically impossible position(s)`);
+  if (badLines > 0) {
+    console.log(`${badLines} unreadable line(s) skipped`);
+  }
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const { events, badLines } = readEvents(listFiles(options.paths));
+  const report = analyze(events, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, badLines);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+// Scratch vectors for the per-frame sweep
+const _start = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _toCenter = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _aim = new THREE.Vector3();
+
+/**
+ * Ballistics - gun rounds with flight time and gravity drop
+ *
+ * Used in rooms with ballistic guns instead of the instant raycast. Each
+ * round leaves the muzzle at muzzleVelocity plus the shooter's velocity,
+ * falls under gravity and is spent after maxFlightTime. Every frame our
+ * rounds sweep the path they flew against the interpolated hitboxes of
+ * remote aircraft - the same positions the shooter is aiming at.
+ */
+export class Ballistics {
+  /**
+   * @param {BulletEffects} bulletEffects - Draws a tracer along each round
+   */
+  constructor(bulletEffects) {
+    this.bulletEffects = bulletEffects;
+    this.settings = CONFIG.combat?.ballistics ?? {};
+    this.muzzleVelocity = this.settings.muzzleVelocity ?? 900;
+    this.gravity = this.settings.gravity ?? 9.8;
+    this.maxFlightTime = this.settings.maxFlightTime ?? 1500;
+    this.rounds = [];
+  }
+
+  /**
+   * Initial velocity of a round fired along the nose
+   * @param {THREE.Vector3} direction - Unit vector
+   * @param {THREE.Vector3} shooterVelocity
+   * @returns {THREE.Vector3}
+   */
+  muzzleVelocityFor(direction, shooterVelocity) {
+    return direction.clone().multiplyScalar(this.muzzleVelocity).add(shooterVelocity);
+  }
+
+  /**
+   * Aim direction that puts a round on a target flying straight on, with
+   * the round's flight time and drop taken into account
+   * @param {THREE.Vector3} origin - Shooter position
+   * @param {THREE.Vector3} shooterVelocity
+   * @param {THREE.Vector3} targetPosition
+   * @param {THREE.Vector3} targetVelocity
+   * @returns {{ direction: THREE.Vector3, time: number, inRange: boolean }} time in seconds
+   */
+  lead(origin, shooterVelocity, targetPosition, targetVelocity) {
+    // Rounds keep the shooter's velocity, so solve in the shooter's frame:
+    // aim * muzzleVelocity * t = target offset + relative velocity * t + lift for drop
+    let time = targetPosition.distanceTo(origin) / this.muzzleVelocity;
+    for (let i = 0; i < 4; i++) {
+      _aim.subVectors(targetPosition, origin)
+        .addScaledVector(targetVelocity, time)
+        .addScaledVector(shooterVelocity, -time);
+      _aim.y += 0.5 * this.gravity * time * time;
+      time = _aim.length() / this.muzzleVelocity;
+    }
+    return {
+      direction: _aim.clone().normalize(),
+      time,
+      inRange: time * 1000 <= this.maxFlightTime
+    };
+  }
+
+  /**
+   * Fire a round
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} velocity - From muzzleVelocityFor()
+   * @param {Object} [options]
+   * @param {number} [options.shotId] - Our shot sequence number (hit reports reference it)
+   * @param {boolean} [options.own=false] - Ours: hit-tested; others are only drawn
+   */
+  fire(origin, velocity, { shotId = null, own = false } = {}) {
+    const round = {
+      shotId,
+      own,
+      position: origin.clone(),
+      velocity: velocity.clone(),
+      age: 0,        // ms
+      spent: false   // Hit something or ran out of flight time
+    };
+    this.rounds.push(round);
+    this.bulletEffects.createRoundTracer(round);
+  }
+
+  /**
+   * Advance every round and sweep ours against the targets
+   * @param {number} deltaTime - Seconds
+   * @param {Iterable<RemoteAircraft>} targets - Remote aircraft (untargetable ones are skipped)
+   * @returns {Array<{ shotId: number, targetId: string, point: THREE.Vector3 }>} Hits this frame
+   */
+  update(deltaTime, targets) {
+    const hits = [];
+    const candidates = [...targets].filter(aircraft => aircraft.isTargetable());
+
+    for (const round of this.rounds) {
+      _start.copy(round.position);
+      round.velocity.y -= this.gravity * deltaTime;
+      round.position.addScaledVector(round.velocity, deltaTime);
+      round.age += deltaTime * 1000;
+
+      if (round.own) {
+        const hit = this.sweep(_start, round.position, candidates);
+        if (hit) {
+          hits.push({ shotId: round.shotId, targetId: hit.playerId, point: hit.point });
+          round.spent = true;
+        }
+      }
+      if (round.age >= this.maxFlightTime) {
+        round.spent = true;
+      }
+    }
+
+    this.rounds = this.rounds.filter(round => !round.spent);
+    return hits;
+  }
+
+  /**
+   * First hitbox the segment start -> end passes through
+   * @returns {{ playerId: string, point: THREE.Vector3 }|null}
+   */
+  sweep(start, end, candidates) {
+    _segment.subVectors(end, start);
+    const lengthSq = _segment.lengthSq();
+    let best = null;
+    let bestT = Infinity;
+
+    for (const aircraft of candidates) {
+      // Closest point on the segment to the hitbox centre
+      _toCenter.subVectors(aircraft.position, start);
+      const t = lengthSq > 0 ? THREE.MathUtils.clamp(_toCenter.dot(_segment) / lengthSq, 0, 1) : 0;
+      _closest.copy(start).addScaledVector(_segment, t);
+      const radius = aircraft.getHitboxRadius();
+      if (_closest.distanceToSquared(aircraft.position) <= radius * radius && t < bestT) {
+        best = { playerId: aircraft.playerId, point: _closest.clone() };
+        bestT = t;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Drop every round in flight (tracers go with them)
+   */
+  clear() {
+    for (const round of this.rounds) {
+      round.spent = true;
+    }
+    this.rounds = [];
+  }
+}
@@ -3,7 +3,7 @@ import { CONFIG } from '../config.js';
 
 /**
  * BulletEffects - manages visual effects for shooting
- * - Tracer lines
+ * - Tracer lines (instant, or following a ballistic round)
  * - Muzzle flash
  * - Hit markers
  */
@@ -11,7 +11,7 @@ export class BulletEffects {
   constructor(scene) {
     this.scene = scene;
     this.activeEffects = [];
-    this.maxEffects = 20;  // Limit concurrent effects
+    this.maxEffects = 50;  // Limit concurrent effects (ballistic rounds each hold a tracer)
   }
 
   /**
@@ -69,6 +69,54 @@ export class BulletEffects {
     return line;
   }
 
+  /**
+   * Create a tracer that follows a ballistic round until it's spent
+   * @param {Object} round - { position, velocity, spent } (see Ballistics)
+   */
+  createRoundTracer(round) {
+    const tracerCount = this.activeEffects.filter(e => e.type === 'round').length;
+    if (tracerCount > 30) {
+      return null;
+    }
+
+    const tracerLength = CONFIG.combat?.ballistics?.tracerLength || 40;
+    const positions = new Float32Array(6);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: 0xffaa00,
+      transparent: true,
+      opacity: 1
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.frustumCulled = false;  // Moves every frame
+    this.scene.add(line);
+
+    const tail = new THREE.Vector3();
+    const effect = {
+      type: 'round',
+      mesh: line,
+      geometry,
+      material,
+      startTime: performance.now(),
+      update: () => {
+        if (round.spent) {
+          return true;
+        }
+        // Streak from the round back along its path
+        tail.copy(round.velocity).setLength(tracerLength).negate().add(round.position);
+        positions.set([round.position.x, round.position.y, round.position.z, tail.x, tail.y, tail.z]);
+        geometry.attributes.position.needsUpdate = true;
+        return false;
+      }
+    };
+
+    this.addEffect(effect);
+    return line;
+  }
+
   /**
    * Create muzzle flash at position
    * Quick flash that fades immediately
@@ -178,6 +226,127 @@ export class BulletEffects {
     this.addEffect(effect);
   }
 
+  /**
+   * Create explosion at position when an aircraft is destroyed
+   * Expanding fireball with a bright core that fades out
+   */
+  createExplosion(position) {
+    const duration = CONFIG.combat?.explosionDuration || 1200;
+
+    const group = new THREE.Group();
+
+    const fireGeometry = new THREE.SphereGeometry(8, 16, 12);
+    const fireMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff6a00,
+      transparent: true,
+      opacity: 0.9,
+      depthWrite: false
+    });
+    const fireball = new THREE.Mesh(fireGeometry, fireMaterial);
+    group.add(fireball);
+
+    const coreGeometry = new THREE.SphereGeometry(4, 12, 8);
+    const coreMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffffaa,
+      transparent: true,
+      opacity: 1,
+      depthWrite: false
+    });
+    const core = new THREE.Mesh(coreGeometry, coreMaterial);
+    group.add(core);
+
+    group.position.copy(position);
+    this.scene.add(group);
+
+    const startTime = performance.now();
+
+    const effect = {
+      type: 'explosion',
+      mesh: group,
+      geometry: [fireGeometry, coreGeometry],
+      material: [fireMaterial, coreMaterial],
+      startTime,
+      duration,
+      update: (now) => {
+        const elapsed = now - startTime;
+        if (elapsed >= duration) {
+          return true;
+        }
+        const t = elapsed / duration;
+        // Fast initial expansion that slows down (ease-out)
+        fireball.scale.setScalar(1 + (1 - Math.pow(1 - t, 3)) * 5);
+        fireMaterial.opacity = 0.9 * (1 - t);
+        core.scale.setScalar(1 + t * 2);
+        coreMaterial.opacity = Math.max(0, 1 - t * 3);
+        return false;
+      }
+    };
+
+    this.addEffect(effect);
+  }
+
+  /**
+   * Flare burst - a few burning flares falling away behind an aircraft
+   * @param {THREE.Vector3} position - Aircraft position
+   * @param {THREE.Vector3} velocity - Aircraft velocity (flares keep half of it)
+   */
+  createFlares(position, velocity) {
+    const duration = CONFIG.missiles?.flareLifetime || 2500;
+
+    const group = new THREE.Group();
+    const geometry = new THREE.SphereGeometry(1.5, 8, 6);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xfff1b0,
+      transparent: true,
+      opacity: 1,
+      depthWrite: false
+    });
+    const flares = [];
+    for (let i = 0; i < 4; i++) {
+      const flare = new THREE.Mesh(geometry, material);
+      flare.position.copy(position);
+      group.add(flare);
+      flares.push({
+        mesh: flare,
+        velocity: velocity.clone().multiplyScalar(0.5).add(new THREE.Vector3(
+          (Math.random() - 0.5) * 30,
+          -10 - Math.random() * 10,
+          (Math.random() - 0.5) * 30
+        ))
+      });
+    }
+    this.scene.add(group);
+
+    const startTime = performance.now();
+    let lastTime = startTime;
+
+    const effect = {
+      type: 'flares',
+      mesh: group,
+      geometry,
+      material,
+      startTime,
+      duration,
+      update: (now) => {
+        const elapsed = now - startTime;
+        if (elapsed >= duration) {
+          return true;
+        }
+        const dt = (now - lastTime) / 1000;
+        lastTime = now;
+        for (const flare of flares) {
+          flare.velocity.y -= 9.8 * dt;
+          flare.mesh.position.addScaledVector(flare.velocity, dt);
+        }
+        // Flicker, then burn out
+        material.opacity = (1 - elapsed / duration) * (0.7 + Math.random() * 0.3);
+        return false;
+      }
+    };
+
+    this.addEffect(effect);
+  }
+
   /**
    * Add effect with cleanup on limit
    */
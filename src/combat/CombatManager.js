@@ -1,10 +1,16 @@
 import * as THREE from 'three';
 import { BulletEffects } from './BulletEffects.js';
 import { SoundManager } from './SoundManager.js';
+import { MissileManager } from './MissileManager.js';
+import { Ballistics } from './Ballistics.js';
+import { Gun } from './Gun.js';
 import { CONFIG } from '../config.js';
 
 /**
  * CombatManager - handles shooting and hit detection
+ * Guns are an instant raycast, or ballistic rounds in rooms set up for them,
+ * limited by the aircraft's magazine and barrel heat (see Gun)
+ * (missiles and flares are in MissileManager)
  */
 export class CombatManager {
   /**
@@ -25,15 +31,30 @@ export class CombatManager {
     // Sound effects
     this.soundManager = new SoundManager();
 
+    // Secondary weapon
+    this.missiles = new MissileManager(
+      scene, localAircraft, playerSync, networkManager, this.bulletEffects, this.soundManager
+    );
+
     // Raycaster for hit detection
     this.raycaster = new THREE.Raycaster();
     this.raycaster.near = 0;
     this.raycaster.far = CONFIG.combat?.bulletRange || 800;
 
+    // Ballistic rounds (rooms with ballistic guns - see setBallistic)
+    this.ballistics = new Ballistics(this.bulletEffects);
+    this.ballistic = false;
+
     // Fire rate control
     this.fireCooldown = CONFIG.combat?.fireCooldown || 200;  // 200ms = 5 shots/second
     this.lastFireTime = 0;
 
+    // Magazine, reload and overheat for our aircraft type
+    this.gun = new Gun(localAircraft.planeType);
+
+    // Shot sequence - lets the server match a hit to the shot that caused it
+    this.nextShotId = 1;
+
     // Score tracking (local copy)
     this.myScore = 0;
     this.scores = {};  // playerId -> score
@@ -41,6 +62,11 @@ export class CombatManager {
     // Callbacks
     this.onHit = null;       // Called when we hit someone
     this.onGotHit = null;    // Called when someone hits us
+    this.onPlayerDestroyed = null;  // Called when any aircraft (including ours) goes down
+    this.onPlayerRespawned = null;  // Called when any aircraft (including ours) respawns
+    this.onAnyHit = null;      // Called for every confirmed hit in the room (kill feed)
+    this.onAnyKill = null;     // Called for every destruction the server reports (kill feed)
+    this.onStreak = null;      // Called for streak and shutdown announcements
 
     // Set up network handlers
     this.setupNetworkHandlers();
@@ -67,6 +93,30 @@ export class CombatManager {
           this.onHitConfirmed(msg);
           break;
 
+        case 'player_destroyed':
+          this.onDestroyed(msg);
+          break;
+
+        case 'player_respawned':
+          this.onRespawned(msg);
+          break;
+
+        case 'gun_state':
+          this.gun.sync(msg, performance.now());
+          break;
+
+        case 'streak':
+          this.onStreakMessage(msg);
+          break;
+
+        case 'lock_warning':
+        case 'missile_launched':
+        case 'missile_detonated':
+        case 'flares':
+        case 'player_left':
+          this.missiles.handleMessage(msg);
+          break;
+
         case 'players':
           // Update scores from player data
           if (msg.scores) {
@@ -83,24 +133,37 @@ export class CombatManager {
    * @returns {boolean} True if shot was fired
    */
   fire() {
+    // Can't fire while destroyed
+    if (!this.localAircraft.alive) {
+      return false;
+    }
+
     const now = performance.now();
 
     // Check cooldown
     if (now - this.lastFireTime < this.fireCooldown) {
       return false;
     }
+
+    // Empty, reloading or overheated
+    if (!this.gun.canFire(now)) {
+      return false;
+    }
     this.lastFireTime = now;
+    this.gun.fire(now);
 
     // Initialize audio on first fire (user gesture required)
     this.soundManager.init();
 
     // Get fire origin and direction from aircraft
     const origin = this.localAircraft.position.clone();
-    const direction = this.localAircraft.getForwardVector();
+    const direction = this.gun.applySpread(this.localAircraft.getForwardVector());
+    const shotId = this.nextShotId++;
 
     // Send shoot event to server (for other players to see effects)
     this.networkManager.send({
       type: 'shoot',
+      shotId,
       position: { x: origin.x, y: origin.y, z: origin.z },
       direction: { x: direction.x, y: direction.y, z: direction.z },
       timestamp: Date.now()
@@ -108,21 +171,80 @@ export class CombatManager {
 
     // Create local visual effects
     this.bulletEffects.createMuzzleFlash(origin, direction);
-    this.bulletEffects.createTracer(origin, direction);
 
     // Play gunfire sound
     this.soundManager.playGunfire();
 
-    // Perform hit detection via raycasting
-    this.checkHit(origin, direction);
+    if (this.ballistic) {
+      // The round is hit-tested as it flies (see update)
+      const velocity = this.ballistics.muzzleVelocityFor(direction, this.localAircraft.velocity);
+      this.ballistics.fire(origin, velocity, { shotId, own: true });
+    } else {
+      this.bulletEffects.createTracer(origin, direction);
+
+      // Perform hit detection via raycasting
+      this.checkHit(origin, direction, shotId);
+    }
+
+    return true;
+  }
 
+  /**
+   * Reload before the magazine runs dry
+   * @returns {boolean} True if a reload started
+   */
+  reload() {
+    if (!this.localAircraft.alive || !this.gun.reload(performance.now())) {
+      return false;
+    }
+    this.networkManager.send({ type: 'reload' });
     return true;
   }
 
+  /**
+   * Gun readout for the HUD and cockpit gauges
+   * @returns {{ ammo: number, magazine: number, heat: number, overheated: boolean, reload: number|null }}
+   */
+  getGunState() {
+    return this.gun.getState();
+  }
+
+  /**
+   * Remote aircraft that can be shot at (alive, in range, not teammates)
+   * @returns {RemoteAircraft[]}
+   */
+  getEnemies() {
+    return [...this.playerSync.getPlayers()].filter(aircraft => this.missiles.isEnemy(aircraft));
+  }
+
+  /**
+   * Where to point the nose to hit a target with the gun
+   * @param {RemoteAircraft} target
+   * @returns {{ direction: THREE.Vector3, time: number, inRange: boolean }}
+   */
+  getLead(target) {
+    const origin = this.localAircraft.position;
+    if (this.ballistic) {
+      return this.ballistics.lead(origin, this.localAircraft.velocity, target.position, target.velocity);
+    }
+    // Hitscan: no flight time, aim straight at it
+    const offset = target.position.clone().sub(origin);
+    return { direction: offset.clone().normalize(), time: 0, inRange: offset.length() <= this.raycaster.far };
+  }
+
+  /**
+   * Switch between hitscan and ballistic guns (set per room by the server)
+   * @param {boolean} enabled
+   */
+  setBallistic(enabled) {
+    this.ballistic = enabled;
+    this.ballistics.clear();
+  }
+
   /**
    * Check for hit using raycasting
    */
-  checkHit(origin, direction) {
+  checkHit(origin, direction, shotId) {
     // Get all hitbox meshes from player sync
     const hitboxes = this.playerSync.getHitboxMeshes();
 
@@ -141,21 +263,28 @@ export class CombatManager {
       const targetId = hit.object.userData.playerId;
 
       if (targetId) {
-        // Send hit event to server
-        this.networkManager.send({
-          type: 'hit',
-          targetId: targetId,
-          timestamp: Date.now()
-        });
-
-        // Create hit marker
-        this.bulletEffects.createHitMarker(hit.point);
-
-        console.log(`[Combat] Hit ${targetId}!`);
+        this.reportHit(targetId, shotId, hit.point);
       }
     }
   }
 
+  /**
+   * Tell the server we hit someone and mark the spot
+   */
+  reportHit(targetId, shotId, point) {
+    this.networkManager.send({
+      type: 'hit',
+      targetId: targetId,
+      shotId,
+      timestamp: Date.now()
+    });
+
+    // Create hit marker
+    this.bulletEffects.createHitMarker(point);
+
+    console.log(`[Combat] Hit ${targetId}!`);
+  }
+
   /**
    * Handle remote player shooting (show their effects)
    */
@@ -173,7 +302,13 @@ export class CombatManager {
     const direction = new THREE.Vector3(msg.direction.x, msg.direction.y, msg.direction.z);
 
     // Show their tracer
-    this.bulletEffects.createTracer(origin, direction);
+    if (this.ballistic) {
+      const shooter = this.playerSync.getPlayer(msg.shooterId);
+      const velocity = this.ballistics.muzzleVelocityFor(direction, shooter?.velocity ?? new THREE.Vector3());
+      this.ballistics.fire(origin, velocity);
+    } else {
+      this.bulletEffects.createTracer(origin, direction);
+    }
   }
 
   /**
@@ -207,6 +342,17 @@ export class CombatManager {
       this.onHit?.(msg.targetId, targetName, this.myScore);
     }
 
+    if (typeof msg.targetHealth === 'number') {
+      if (msg.targetId === myId) {
+        this.localAircraft.health = msg.targetHealth;
+      } else {
+        const target = this.playerSync.getPlayer(msg.targetId);
+        if (target) target.health = msg.targetHealth;
+      }
+    }
+
+    this.onAnyHit?.(msg.shooterId, msg.targetId, msg.weapon ?? 'gun');
+
     if (msg.targetId === myId) {
       // We got hit!
       const shooter = this.playerSync.getPlayer(msg.shooterId);
@@ -215,14 +361,103 @@ export class CombatManager {
       // Play got hit sound
       this.soundManager.playGotHit();
 
-      this.onGotHit?.(msg.shooterId, shooterName);
+      this.onGotHit?.(msg.shooterId, shooterName, this.localAircraft.health);
     }
   }
 
+  /**
+   * Handle an aircraft being destroyed - explosion and hide
+   */
+  onDestroyed(msg) {
+    if (!msg.id) {
+      return;
+    }
+
+    const myId = this.networkManager.getPlayerId();
+    const isMe = msg.id === myId;
+    const killer = msg.killerId ? this.playerSync.getPlayer(msg.killerId) : null;
+    const killerName = msg.killerId === myId
+      ? this.networkManager.getPlayerName()
+      : (killer?.playerName || null);
+
+    if (isMe) {
+      // Crashes already exploded locally in reportCrash()
+      if (msg.cause !== 'crash') {
+        this.bulletEffects.createExplosion(this.localAircraft.position);
+      }
+    } else {
+      const aircraft = this.playerSync.getPlayer(msg.id);
+      if (aircraft) {
+        this.bulletEffects.createExplosion(aircraft.position);
+        aircraft.setAlive(false);
+      }
+    }
+
+    this.missiles.onDestroyed(msg.id);
+    this.soundManager.playGotHit();
+    this.onAnyKill?.(msg.id, msg.killerId ?? null, msg.weapon ?? null, msg.cause || 'shot_down');
+    this.onPlayerDestroyed?.(
+      msg.id,
+      msg.killerId,
+      killerName,
+      msg.respawnIn ?? CONFIG.combat?.respawnDelay ?? 5000,
+      msg.cause || 'shot_down'
+    );
+  }
+
+  /**
+   * Streak or shutdown announced by the server - everyone in the room hears it
+   * @param {Object} msg - { event: 'streak'|'shutdown', playerId, victimId?, streak }
+   */
+  onStreakMessage(msg) {
+    if (msg.event !== 'streak' && msg.event !== 'shutdown') return;
+    if (CONFIG.killFeed?.stingers !== false) {
+      this.soundManager.playStinger(msg.event);
+    }
+    this.onStreak?.(msg);
+  }
+
+  /**
+   * Local aircraft flew into terrain - explode now and tell the server
+   * @param {THREE.Vector3} point - Impact point
+   */
+  reportCrash(point) {
+    this.bulletEffects.createExplosion(point);
+    this.soundManager.playGotHit();
+    this.networkManager.send({ type: 'crash', timestamp: Date.now() });
+  }
+
+  /**
+   * Handle an aircraft respawning after destruction
+   */
+  onRespawned(msg) {
+    if (!msg.id) {
+      return;
+    }
+
+    const protectedFor = msg.protectedFor ?? CONFIG.combat?.spawnProtection ?? 3000;
+    if (msg.id === this.networkManager.getPlayerId()) {
+      this.gun.reset();
+    } else {
+      const aircraft = this.playerSync.getPlayer(msg.id);
+      if (aircraft) {
+        aircraft.setAlive(true);
+        aircraft.setProtected(protectedFor);
+      }
+    }
+
+    this.missiles.onRespawned(msg.id);
+    this.onPlayerRespawned?.(msg.id, protectedFor);
+  }
+
   /**
    * Update effects (call every frame)
    */
   update(deltaTime) {
+    for (const hit of this.ballistics.update(deltaTime, this.playerSync.getPlayers())) {
+      this.reportHit(hit.targetId, hit.shotId, hit.point);
+    }
+    this.missiles.update(deltaTime);
     this.bulletEffects.update();
   }
 
@@ -244,6 +479,7 @@ export class CombatManager {
    * Clean up
    */
   dispose() {
+    this.missiles.dispose();
     this.bulletEffects.dispose();
   }
 }
@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+const _side = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+/**
+ * Gun - magazine, reload and barrel heat for the local aircraft's gun
+ *
+ * Each shot spends a round and adds heat; the barrel sheds heat at
+ * coolRate. At full heat the gun locks until it cools to overheatResume,
+ * and an empty magazine reloads by itself. The server runs the same
+ * numbers (server/config.js guns) and drops shots past them.
+ */
+export class Gun {
+  /**
+   * @param {string} planeType - Key of CONFIG.aircraft.types
+   */
+  constructor(planeType) {
+    this.spec = CONFIG.aircraft.types[planeType]?.gun ?? CONFIG.aircraft.types.jet1.gun;
+    this.overheatResume = CONFIG.combat?.overheatResume ?? 0.35;
+    this.reset();
+  }
+
+  /**
+   * Full magazine and a cold barrel (spawn and respawn)
+   */
+  reset() {
+    this.ammo = this.spec.magazine;
+    this.heat = 0;                // 0..1
+    this.overheated = false;
+    this.reloadingUntil = 0;      // performance.now() time, 0 when not reloading
+    this.updatedAt = performance.now();
+  }
+
+  /**
+   * Cool the barrel and finish a reload up to now
+   * @param {number} now - performance.now()
+   */
+  update(now) {
+    this.heat = Math.max(0, this.heat - this.spec.coolRate * (now - this.updatedAt) / 1000);
+    this.updatedAt = now;
+    if (this.overheated && this.heat <= this.overheatResume) {
+      this.overheated = false;
+    }
+    if (this.reloadingUntil && now >= this.reloadingUntil) {
+      this.ammo = this.spec.magazine;
+      this.reloadingUntil = 0;
+    }
+  }
+
+  /**
+   * @param {number} now - performance.now()
+   * @returns {boolean} Whether a round can be fired now
+   */
+  canFire(now) {
+    this.update(now);
+    return !this.reloadingUntil && !this.overheated && this.ammo > 0;
+  }
+
+  /**
+   * Spend a round (check canFire first)
+   * @param {number} now - performance.now()
+   */
+  fire(now) {
+    this.ammo -= 1;
+    this.heat = Math.min(1, this.heat + this.spec.heatPerShot);
+    if (this.heat >= 1) {
+      this.overheated = true;
+    }
+    if (this.ammo <= 0) {
+      this.reload(now);
+    }
+  }
+
+  /**
+   * Start reloading
+   * @param {number} now - performance.now()
+   * @returns {boolean} False while already reloading or with a full magazine
+   */
+  reload(now) {
+    this.update(now);
+    if (this.reloadingUntil || this.ammo >= this.spec.magazine) return false;
+    this.reloadingUntil = now + this.spec.reloadTime;
+    return true;
+  }
+
+  /**
+   * Scatter a firing direction within the gun's spread cone
+   * @param {THREE.Vector3} direction - Unit vector (modified in place)
+   * @returns {THREE.Vector3} direction
+   */
+  applySpread(direction) {
+    const spread = THREE.MathUtils.degToRad(this.spec.spread ?? 0);
+    if (spread <= 0) return direction;
+
+    // Uniform over the cone's disc: radius ~ sqrt(random)
+    const angle = spread * Math.sqrt(Math.random());
+    const around = Math.random() * Math.PI * 2;
+    _side.set(0, 1, 0).cross(direction);
+    if (_side.lengthSq() < 1e-6) _side.set(1, 0, 0);
+    _side.normalize();
+    _up.crossVectors(direction, _side);
+    return direction
+      .addScaledVector(_side, Math.tan(angle) * Math.cos(around))
+      .addScaledVector(_up, Math.tan(angle) * Math.sin(around))
+      .normalize();
+  }
+
+  /**
+   * Take the server's view after it refused a shot
+   * @param {Object} msg - gun_state { ammo, heat, overheated, reloadLeft }
+   * @param {number} now - performance.now()
+   */
+  sync(msg, now) {
+    this.update(now);
+    if (Number.isFinite(msg.ammo)) this.ammo = msg.ammo;
+    if (Number.isFinite(msg.heat)) this.heat = Math.max(this.heat, msg.heat);
+    this.overheated = this.overheated || msg.overheated === true;
+    if (msg.reloadLeft > 0) {
+      this.reloadingUntil = Math.max(this.reloadingUntil, now + msg.reloadLeft);
+    }
+  }
+
+  /**
+   * Gauge readout
+   * @returns {{ ammo: number, magazine: number, heat: number, overheated: boolean, reload: number|null }}
+   *   reload is 0..1 progress while reloading, null otherwise
+   */
+  getState() {
+    const now = performance.now();
+    this.update(now);
+    return {
+      ammo: this.ammo,
+      magazine: this.spec.magazine,
+      heat: this.heat,
+      overheated: this.overheated,
+      reload: this.reloadingUntil
+        ? 1 - (this.reloadingUntil - now) / this.spec.reloadTime
+        : null
+    };
+  }
+}
@@ -1,18 +1,47 @@
+import { CONFIG } from '../config.js';
+
+const TABS = [
+  { id: 'live', label: 'Live' },
+  { id: 'daily', label: 'Today' },
+  { id: 'weekly', label: 'Week' },
+  { id: 'alltime', label: 'All' }
+];
+
+const METRICS = [
+  { id: 'hits', label: 'Hits' },
+  { id: 'hpm', label: 'Hits/min' }
+];
+
 /**
  * Leaderboard - displays top players by score
+ *
+ * The Live tab ranks the players in the room by session score; the other
+ * tabs show the server's daily, weekly and all-time boards by hits or hits
+ * per minute, refreshed while open. In team rooms the Live tab also
+ * shows the team totals, and names are tinted by team.
  */
 export class Leaderboard {
   /**
    * @param {HTMLElement} container - Parent container element
-   * @param {NetworkManager} networkManager - For getting local player ID
+   * @param {NetworkManager} networkManager - For getting local player ID and requesting boards
    */
   constructor(container, networkManager) {
     this.container = container;
     this.networkManager = networkManager;
-    this.maxDisplay = 5;  // Show top 5 players
+    this.maxDisplay = CONFIG.leaderboard?.maxDisplay ?? 5;
+    this.historyDisplay = CONFIG.leaderboard?.historyDisplay ?? 10;
+    this.refreshInterval = CONFIG.leaderboard?.refreshInterval ?? 30000;
+
+    this.tab = 'live';
+    this.metric = 'hits';
+    this.lastRequest = 0;
+    this.history = null;  // Last board received for the open tab
+    this.match = null;    // Team match state in team rooms
+    this.swatches = CONFIG.aircraft?.colorSwatches ?? {};
 
     this.element = this.createElement();
     container.appendChild(this.element);
+    this.renderTabs();
   }
 
   /**
@@ -46,6 +75,12 @@ export class Leaderboard {
     title.textContent = 'LEADERBOARD';
     leaderboard.appendChild(title);
 
+    // Live / Today / Week / All tabs, and the metric for historical boards
+    this.tabsRow = this.createButtonRow(TABS, (id) => this.selectTab(id));
+    leaderboard.appendChild(this.tabsRow);
+    this.metricRow = this.createButtonRow(METRICS, (id) => this.selectMetric(id));
+    leaderboard.appendChild(this.metricRow);
+
     // Local player line
     this.youLine = document.createElement('div');
     this.youLine.style.cssText = `
@@ -56,6 +91,16 @@ export class Leaderboard {
     this.youLine.textContent = 'You: Connecting...';
     leaderboard.appendChild(this.youLine);
 
+    // Team totals (team rooms only)
+    this.teamLine = document.createElement('div');
+    this.teamLine.style.cssText = `
+      display: none;
+      justify-content: space-between;
+      font-weight: bold;
+      margin-bottom: 6px;
+    `;
+    leaderboard.appendChild(this.teamLine);
+
     // Entries container
     this.entriesContainer = document.createElement('div');
     leaderboard.appendChild(this.entriesContainer);
@@ -63,6 +108,164 @@ export class Leaderboard {
     return leaderboard;
   }
 
+  /**
+   * Row of small toggle buttons
+   * @param {Object[]} options - [{ id, label }]
+   * @param {Function} onSelect - (id) => void
+   * @returns {HTMLElement}
+   */
+  createButtonRow(options, onSelect) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 4px; margin-bottom: 6px;';
+    for (const { id, label } of options) {
+      const button = document.createElement('button');
+      button.dataset.id = id;
+      button.textContent = label;
+      button.style.cssText = `
+        flex: 1;
+        padding: 2px 6px;
+        border: none;
+        border-radius: 4px;
+        font-size: 11px;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        button.blur();  // Keep Space for the guns
+        onSelect(id);
+      });
+      row.appendChild(button);
+    }
+    return row;
+  }
+
+  /**
+   * Highlight the selected tab and metric
+   */
+  renderTabs() {
+    const highlight = (row, selected) => {
+      for (const button of row.children) {
+        const active = button.dataset.id === selected;
+        button.style.background = active ? 'rgba(255,255,255,0.85)' : 'rgba(255,255,255,0.15)';
+        button.style.color = active ? '#000' : 'white';
+      }
+    };
+    highlight(this.tabsRow, this.tab);
+    highlight(this.metricRow, this.metric);
+    this.metricRow.style.display = this.tab === 'live' ? 'none' : 'flex';
+    this.teamLine.style.display = this.tab === 'live' && this.match ? 'flex' : 'none';
+  }
+
+  /**
+   * Team scores to show above the live board
+   * @param {Object|null} match - { scores: { team: score } }, null outside team rooms
+   */
+  setMatch(match) {
+    this.match = match;
+    this.teamLine.replaceChildren(...Object.entries(match?.scores ?? {}).map(([team, score]) => {
+      const total = document.createElement('span');
+      total.textContent = `${team.toUpperCase()} ${score}`;
+      total.style.color = this.swatches[team] ?? team;
+      return total;
+    }));
+    this.renderTabs();
+  }
+
+  /**
+   * Switch between the live board and a historical one
+   * @param {string} tab - 'live', 'daily', 'weekly' or 'alltime'
+   */
+  selectTab(tab) {
+    this.tab = tab;
+    this.history = null;
+    this.renderTabs();
+    if (tab !== 'live') {
+      this.showMessage('Loading...');
+      this.requestHistory();
+    }
+  }
+
+  /**
+   * @param {string} metric - 'hits' or 'hpm'
+   */
+  selectMetric(metric) {
+    this.metric = metric;
+    this.selectTab(this.tab);
+  }
+
+  requestHistory() {
+    this.lastRequest = Date.now();
+    this.networkManager.requestLeaderboard(this.tab, this.metric);
+  }
+
+  /**
+   * Show a historical board from the server (ignored if the tab changed since)
+   * @param {Object} board - { period, metric, entries: [{ rank, name, hits, minutes, hpm, you }], you }
+   */
+  setHistory(board) {
+    if (board.period !== this.tab || board.metric !== this.metric) return;
+    this.history = board;
+
+    if (board.entries.length === 0) {
+      this.showMessage(board.metric === 'hpm' ? 'No ranked pilots yet...' : 'No hits yet...');
+      return;
+    }
+
+    this.entriesContainer.innerHTML = '';
+    const format = (entry) => (board.metric === 'hpm' ? entry.hpm.toFixed(2) : String(entry.hits));
+    const entries = board.entries.slice(0, this.historyDisplay);
+    for (const entry of entries) {
+      this.entriesContainer.appendChild(this.createRow(`${entry.rank}. ${entry.name}`, format(entry), entry.you));
+    }
+    // Our own rank when it's below the cut
+    if (board.you && !entries.some(entry => entry.you)) {
+      const row = this.createRow(`${board.you.rank}. You`, format(board.you), true);
+      row.style.borderTop = '1px solid rgba(255,255,255,0.2)';
+      row.style.marginTop = '3px';
+      this.entriesContainer.appendChild(row);
+    }
+  }
+
+  /**
+   * Name/score row
+   * @param {string} label
+   * @param {string} value
+   * @param {boolean} highlight - Local player
+   * @param {string|null} [team] - Tints the name in the team's color
+   */
+  createRow(label, value, highlight, team = null) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      padding: 3px 0;
+      ${highlight ? 'color: #ffff00; font-weight: bold;' : ''}
+    `;
+
+    const rank = document.createElement('span');
+    rank.textContent = label;
+    rank.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 120px;';
+    if (team && this.swatches[team]) {
+      rank.style.color = this.swatches[team];
+    }
+
+    const score = document.createElement('span');
+    score.textContent = value;
+    score.style.cssText = 'margin-left: 10px; font-weight: bold;';
+
+    row.appendChild(rank);
+    row.appendChild(score);
+    return row;
+  }
+
+  showMessage(text) {
+    this.entriesContainer.innerHTML = '';
+    const empty = document.createElement('div');
+    empty.style.cssText = 'color: rgba(255,255,255,0.5); font-style: italic;';
+    empty.textContent = text;
+    this.entriesContainer.appendChild(empty);
+  }
+
   /**
    * Update leaderboard with new scores
    * @param {Object} scores - playerId -> score
@@ -73,6 +276,14 @@ export class Leaderboard {
     const myName = this.networkManager.getPlayerName();
     if (this.youLine) {
       this.youLine.textContent = `You: ${myName || 'Connecting...'}`;
+    }
+
+    // Historical boards refresh on their own schedule
+    if (this.tab !== 'live') {
+      if (Date.now() - this.lastRequest > this.refreshInterval) {
+        this.requestHistory();
+      }
+      return;
     }
 
     // Build sorted array of entries
@@ -80,7 +291,7 @@ export class Leaderboard {
     for (const [id, score] of Object.entries(scores)) {
       const player = players[id];
       const name = player?.name || 'Unknown';
-      entries.push({ id, score, name });
+      entries.push({ id, score, name, team: player?.team ?? null });
     }
 
     // Sort by score descending
@@ -89,42 +300,22 @@ export class Leaderboard {
     // Take top N
     const topEntries = entries.slice(0, this.maxDisplay);
 
-    // Clear existing
-    this.entriesContainer.innerHTML = '';
-
     // No scores yet
     if (topEntries.length === 0 || topEntries.every(e => e.score === 0)) {
-      const empty = document.createElement('div');
-      empty.style.cssText = 'color: rgba(255,255,255,0.5); font-style: italic;';
-      empty.textContent = 'No kills yet...';
-      this.entriesContainer.appendChild(empty);
+      this.showMessage('No kills yet...');
       return;
     }
 
+    // Clear existing
+    this.entriesContainer.innerHTML = '';
+
     // Create entries
     topEntries.forEach((entry, index) => {
       // Skip zero scores
       if (entry.score === 0) return;
-
-      const row = document.createElement('div');
-      row.style.cssText = `
-        display: flex;
-        justify-content: space-between;
-        padding: 3px 0;
-        ${entry.id === myId ? 'color: #ffff00; font-weight: bold;' : ''}
-      `;
-
-      const rank = document.createElement('span');
-      rank.textContent = `${index + 1}. ${entry.name}`;
-      rank.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 120px;';
-
-      const score = document.createElement('span');
-      score.textContent = String(entry.score);
-      score.style.cssText = 'margin-left: 10px; font-weight: bold;';
-
-      row.appendChild(rank);
-      row.appendChild(score);
-      this.entriesContainer.appendChild(row);
+      this.entriesContainer.appendChild(
+        this.createRow(`${index + 1}. ${entry.name}`, String(entry.score), entry.id === myId, entry.team)
+      );
     });
   }
 
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+const TRAIL_POINTS = 60;
+const TRAIL_INTERVAL = 50;   // ms between smoke trail samples
+const TRAIL_FADE = 1500;     // ms the trail lingers after the missile is gone
+const DECOY_BURN = 1500;     // ms a decoyed missile chases the flare before burning out
+
+// Scratch vectors for guidance
+const _los = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _rotation = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _ahead = new THREE.Vector3();
+
+/**
+ * Missile - one homing missile in flight
+ *
+ * Every client flies its own copy from the launch message; only the
+ * shooter's copy claims a hit. Guidance is proportional navigation: the
+ * missile turns at navConstant times the rotation rate of the line of
+ * sight (a = N * Ω × v), which leads a turning target instead of chasing
+ * its tail.
+ */
+export class Missile {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} options
+   * @param {string} options.shooterId
+   * @param {number} options.missileId
+   * @param {string} options.targetId
+   * @param {THREE.Vector3} options.position - Launch point
+   * @param {THREE.Vector3} options.direction - Launch direction
+   * @param {number} options.initialSpeed - m/s at launch
+   */
+  constructor(scene, { shooterId, missileId, targetId, position, direction, initialSpeed }) {
+    this.scene = scene;
+    this.rules = CONFIG.missiles;
+    this.shooterId = shooterId;
+    this.missileId = missileId;
+    this.targetId = targetId;
+    this.initialSpeed = Math.min(initialSpeed, this.rules.speed);
+
+    this.position = position.clone();
+    this.velocity = direction.clone().normalize().multiplyScalar(this.initialSpeed);
+    this.age = 0;              // ms since launch
+    this.decoy = null;         // { position, velocity } of the flare it chases once spoofed
+    this.decoyedAt = null;
+    this.finished = false;     // Exploded, burnt out or removed - only the trail is left
+    this.finishedAt = 0;
+    this.exploded = false;
+
+    this.createMesh();
+    this.createTrail();
+  }
+
+  createMesh() {
+    this.mesh = new THREE.Group();
+
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.5, 0.5, 8, 8),
+      new THREE.MeshBasicMaterial({ color: 0xe5e7eb })
+    );
+    body.rotation.x = Math.PI / 2;  // Cylinder axis along +Z (lookAt direction)
+    this.mesh.add(body);
+
+    const flame = new THREE.Mesh(
+      new THREE.SphereGeometry(1.6, 8, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.9 })
+    );
+    flame.position.z = -5;
+    this.mesh.add(flame);
+
+    this.mesh.position.copy(this.position);
+    this.scene.add(this.mesh);
+  }
+
+  createTrail() {
+    this.trailPositions = new Float32Array(TRAIL_POINTS * 3);
+    this.trailCount = 0;
+    this.lastTrailSample = -Infinity;
+
+    this.trailGeometry = new THREE.BufferGeometry();
+    this.trailGeometry.setAttribute('position', new THREE.BufferAttribute(this.trailPositions, 3));
+    this.trailGeometry.setDrawRange(0, 0);
+    this.trailMaterial = new THREE.LineBasicMaterial({ color: 0xdddddd, transparent: true, opacity: 0.6 });
+    this.trail = new THREE.Line(this.trailGeometry, this.trailMaterial);
+    this.trail.frustumCulled = false;  // Positions are rewritten every sample
+    this.scene.add(this.trail);
+  }
+
+  /**
+   * Advance the flight
+   * @param {number} deltaTime - Seconds
+   * @param {Object|null} target - { position, velocity } of the aircraft it's homing on
+   * @returns {number} Distance to what it's homing on (Infinity without a target)
+   */
+  update(deltaTime, target) {
+    this.age += deltaTime * 1000;
+    if (this.finished) {
+      this.trailMaterial.opacity = 0.6 * Math.max(0, 1 - (this.age - this.finishedAt) / TRAIL_FADE);
+      return Infinity;
+    }
+
+    const aim = this.decoy ?? target;
+    if (aim) {
+      this.steer(aim, deltaTime);
+    }
+
+    // Boost from launch speed up to full speed
+    const boost = Math.min(1, this.age / this.rules.boostTime);
+    this.velocity.setLength(this.initialSpeed + (this.rules.speed - this.initialSpeed) * boost);
+    this.position.addScaledVector(this.velocity, deltaTime);
+
+    this.mesh.position.copy(this.position);
+    this.mesh.lookAt(_ahead.copy(this.position).add(this.velocity));
+    this.sampleTrail();
+
+    if (this.decoy) {
+      this.decoy.position.addScaledVector(this.decoy.velocity, deltaTime);
+      this.decoy.velocity.y -= 9.8 * deltaTime;
+      if (this.age - this.decoyedAt > DECOY_BURN) {
+        this.finish();
+      }
+    }
+    return aim ? this.position.distanceTo(aim.position) : Infinity;
+  }
+
+  /**
+   * Proportional navigation toward a target
+   */
+  steer(target, deltaTime) {
+    _los.subVectors(target.position, this.position);
+    const rangeSq = _los.lengthSq();
+    if (rangeSq < 1) return;
+
+    // Line-of-sight rotation rate: Ω = (r × v_rel) / |r|²
+    _relative.subVectors(target.velocity, this.velocity);
+    _rotation.crossVectors(_los, _relative).divideScalar(rangeSq);
+
+    // Turn the velocity at N times that rate, within the airframe's limit
+    _accel.crossVectors(_rotation, this.velocity).multiplyScalar(this.rules.navConstant);
+    if (_accel.length() > this.rules.maxTurnAccel) {
+      _accel.setLength(this.rules.maxTurnAccel);
+    }
+    this.velocity.addScaledVector(_accel, deltaTime);
+  }
+
+  sampleTrail() {
+    if (this.age - this.lastTrailSample < TRAIL_INTERVAL) return;
+    this.lastTrailSample = this.age;
+
+    // Newest sample first; the oldest drops off the end
+    this.trailPositions.copyWithin(3, 0, (TRAIL_POINTS - 1) * 3);
+    this.trailPositions[0] = this.position.x;
+    this.trailPositions[1] = this.position.y;
+    this.trailPositions[2] = this.position.z;
+    this.trailCount = Math.min(TRAIL_POINTS, this.trailCount + 1);
+    this.trailGeometry.setDrawRange(0, this.trailCount);
+    this.trailGeometry.attributes.position.needsUpdate = true;
+  }
+
+  /**
+   * Decoyed by flares - chase the flare until the seeker gives up
+   * @param {THREE.Vector3} position - Where the flare is
+   * @param {THREE.Vector3} velocity
+   */
+  spoof(position, velocity) {
+    if (this.finished || this.decoy) return;
+    this.decoy = { position: position.clone(), velocity: velocity.clone() };
+    this.decoyedAt = this.age;
+  }
+
+  /**
+   * Take the missile out of the air; the smoke trail fades out
+   * @param {boolean} [exploded=false] - It detonated (an explosion was shown)
+   */
+  finish(exploded = false) {
+    if (this.finished) return;
+    this.finished = true;
+    this.finishedAt = this.age;
+    this.exploded = exploded;
+    this.mesh.visible = false;
+  }
+
+  /**
+   * @returns {boolean} Whether the motor has burnt out
+   */
+  isBurntOut() {
+    return this.age > this.rules.maxFlightTime;
+  }
+
+  /**
+   * @returns {boolean} Whether the trail has faded and it can be disposed
+   */
+  isGone() {
+    return this.finished && this.age - this.finishedAt > TRAIL_FADE;
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.scene.remove(this.trail);
+    this.mesh.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    this.trailGeometry.dispose();
+    this.trailMaterial.dispose();
+  }
+}
@@ -0,0 +1,399 @@
+import * as THREE from 'three';
+import { Missile } from './Missile.js';
+import { CONFIG } from '../config.js';
+
+const _toTarget = new THREE.Vector3();
+
+/**
+ * MissileManager - seeker lock, missile launches and flares
+ *
+ * The seeker picks the enemy nearest the nose inside lockCone and locks
+ * after holding it within holdCone for lockTime. Lock progress is sent to
+ * the server, which warns the target once the lock is complete and only
+ * accepts launches with a lock. Each client flies every missile itself;
+ * the shooter's copy reports the hit, which the server validates.
+ */
+export class MissileManager {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Aircraft} localAircraft
+   * @param {PlayerSync} playerSync
+   * @param {NetworkManager} networkManager
+   * @param {BulletEffects} bulletEffects
+   * @param {SoundManager} soundManager
+   */
+  constructor(scene, localAircraft, playerSync, networkManager, bulletEffects, soundManager) {
+    this.scene = scene;
+    this.localAircraft = localAircraft;
+    this.playerSync = playerSync;
+    this.networkManager = networkManager;
+    this.bulletEffects = bulletEffects;
+    this.soundManager = soundManager;
+    this.rules = CONFIG.missiles;
+
+    this.missilesLeft = this.rules.perLife;
+    this.flaresLeft = this.rules.flares;
+    this.lastLaunchTime = 0;
+    this.lastFlareTime = 0;
+    this.nextMissileId = 1;
+
+    this.lock = null;            // { targetId, since, locked }
+    this.lockedBy = new Set();   // Shooter IDs with a lock on us
+    this.missiles = new Map();   // `${shooterId}:${missileId}` -> Missile
+    this.lastToneTime = 0;
+  }
+
+  /**
+   * Our player ID (missiles and locks are keyed by it)
+   */
+  get myId() {
+    return this.networkManager.getPlayerId();
+  }
+
+  /**
+   * Whether a remote aircraft can be locked: alive, in range, not a teammate
+   */
+  isEnemy(aircraft) {
+    if (!aircraft.isTargetable()) return false;
+    const myTeam = this.networkManager.team;
+    return !myTeam || this.networkManager.getTeam(aircraft.playerId) !== myTeam;
+  }
+
+  /**
+   * Angle off the nose and range to a point
+   * @returns {{ angle: number, range: number }} Degrees and meters
+   */
+  aspect(position) {
+    _toTarget.subVectors(position, this.localAircraft.position);
+    const range = _toTarget.length();
+    const forward = this.localAircraft.getForwardVector();
+    const angle = range > 0 ? THREE.MathUtils.radToDeg(forward.angleTo(_toTarget)) : 0;
+    return { angle, range };
+  }
+
+  /**
+   * Advance the seeker: keep the current target inside holdCone, or look
+   * for a new one inside lockCone
+   * @param {number} now - performance.now()
+   */
+  updateLock(now) {
+    if (!this.localAircraft.alive || this.missilesLeft <= 0) {
+      this.releaseLock();
+      return;
+    }
+
+    if (this.lock) {
+      const target = this.playerSync.getPlayer(this.lock.targetId);
+      const { angle, range } = target ? this.aspect(target.position) : { angle: Infinity, range: Infinity };
+      if (!target || !this.isEnemy(target) || angle > this.rules.holdCone || range > this.rules.lockRange) {
+        this.releaseLock();
+      } else if (!this.lock.locked && now - this.lock.since >= this.rules.lockTime) {
+        this.lock.locked = true;
+        this.networkManager.send({ type: 'lock', targetId: this.lock.targetId, state: 'locked' });
+      }
+      if (this.lock) return;
+    }
+
+    let best = null;
+    let bestAngle = this.rules.lockCone;
+    for (const aircraft of this.playerSync.getPlayers()) {
+      if (!this.isEnemy(aircraft)) continue;
+      const { angle, range } = this.aspect(aircraft.position);
+      if (range <= this.rules.lockRange && angle <= bestAngle) {
+        best = aircraft;
+        bestAngle = angle;
+      }
+    }
+    if (best) {
+      this.lock = { targetId: best.playerId, since: now, locked: false };
+      this.networkManager.send({ type: 'lock', targetId: best.playerId, state: 'tracking' });
+    }
+  }
+
+  releaseLock() {
+    if (!this.lock) return;
+    this.lock = null;
+    this.networkManager.send({ type: 'lock', targetId: null });
+  }
+
+  /**
+   * Fire a missile at the locked target
+   * @returns {boolean} True if a missile was launched
+   */
+  launch() {
+    const now = performance.now();
+    if (!this.localAircraft.alive || !this.lock?.locked || this.missilesLeft <= 0) return false;
+    if (now - this.lastLaunchTime < this.rules.launchCooldown) return false;
+    const inFlight = [...this.missiles.values()]
+      .filter(m => m.shooterId === this.myId && !m.finished).length;
+    if (inFlight >= this.rules.maxInFlight) return false;
+
+    this.soundManager.init();
+    this.lastLaunchTime = now;
+    this.missilesLeft -= 1;
+
+    const missileId = this.nextMissileId++;
+    const position = this.localAircraft.position;
+    const direction = this.localAircraft.getForwardVector();
+    this.networkManager.send({
+      type: 'missile_launch',
+      missileId,
+      targetId: this.lock.targetId,
+      position: { x: position.x, y: position.y, z: position.z },
+      direction: { x: direction.x, y: direction.y, z: direction.z },
+      timestamp: Date.now()
+    });
+
+    this.addMissile({
+      shooterId: this.myId,
+      missileId,
+      targetId: this.lock.targetId,
+      position,
+      direction,
+      initialSpeed: this.localAircraft.getSpeed() + this.rules.launchSpeed
+    });
+    this.soundManager.playMissileLaunch();
+    console.log(`[Missile] Fired at ${this.lock.targetId} (${this.missilesLeft} left)`);
+
+    // Lock stays on the target for a follow-up shot
+    return true;
+  }
+
+  /**
+   * Drop a flare burst to decoy incoming missiles
+   * @returns {boolean} True if flares were dropped
+   */
+  dropFlares() {
+    const now = performance.now();
+    if (!this.localAircraft.alive || this.flaresLeft <= 0) return false;
+    if (now - this.lastFlareTime < this.rules.flareCooldown) return false;
+
+    this.soundManager.init();
+    this.lastFlareTime = now;
+    this.flaresLeft -= 1;
+    this.networkManager.send({ type: 'flares', timestamp: Date.now() });
+    this.bulletEffects.createFlares(this.localAircraft.position, this.localAircraft.velocity);
+    this.soundManager.playFlares();
+    return true;
+  }
+
+  addMissile(options) {
+    const key = `${options.shooterId}:${options.missileId}`;
+    this.missiles.get(key)?.dispose();
+    this.missiles.set(key, new Missile(this.scene, options));
+  }
+
+  /**
+   * Position and velocity of a missile target (us or a remote aircraft)
+   * @returns {Object|null} { position, velocity, radius } or null if it's gone
+   */
+  getTarget(targetId) {
+    if (targetId === this.myId) {
+      return this.localAircraft.alive
+        ? { position: this.localAircraft.position, velocity: this.localAircraft.velocity, radius: this.localAircraft.getHitboxRadius() }
+        : null;
+    }
+    const aircraft = this.playerSync.getPlayer(targetId);
+    return aircraft?.alive
+      ? { position: aircraft.position, velocity: aircraft.velocity, radius: aircraft.getHitboxRadius() }
+      : null;
+  }
+
+  /**
+   * Handle missile-related server messages
+   * @param {Object} msg
+   */
+  handleMessage(msg) {
+    switch (msg.type) {
+      case 'missile_launched':
+        this.onMissileLaunched(msg);
+        break;
+
+      case 'missile_detonated':
+        this.onMissileDetonated(msg);
+        break;
+
+      case 'flares': {
+        const aircraft = this.playerSync.getPlayer(msg.id);
+        if (aircraft) {
+          this.bulletEffects.createFlares(aircraft.position, aircraft.velocity);
+        }
+        break;
+      }
+
+      case 'lock_warning':
+        if (msg.state === 'locked') {
+          this.lockedBy.add(msg.shooterId);
+        } else {
+          this.lockedBy.delete(msg.shooterId);
+        }
+        break;
+
+      case 'player_left':
+        this.lockedBy.delete(msg.id);
+        break;
+    }
+  }
+
+  onMissileLaunched(msg) {
+    if (!msg.shooterId || !msg.position || !msg.direction || msg.shooterId === this.myId) {
+      return;
+    }
+    const shooter = this.playerSync.getPlayer(msg.shooterId);
+    this.addMissile({
+      shooterId: msg.shooterId,
+      missileId: msg.missileId,
+      targetId: msg.targetId,
+      position: new THREE.Vector3(msg.position.x, msg.position.y, msg.position.z),
+      direction: new THREE.Vector3(msg.direction.x, msg.direction.y, msg.direction.z),
+      initialSpeed: (shooter?.velocity.length() ?? 0) + this.rules.launchSpeed
+    });
+  }
+
+  onMissileDetonated(msg) {
+    const missile = this.missiles.get(`${msg.shooterId}:${msg.missileId}`);
+    if (!missile) return;
+
+    if (msg.reason === 'rejected') {
+      // The server didn't accept our launch - the missile never existed
+      missile.finish();
+      this.missilesLeft = Math.min(this.rules.perLife, this.missilesLeft + 1);
+      return;
+    }
+    if (msg.reason === 'spoofed') {
+      const target = this.getTarget(missile.targetId);
+      const flare = target ?? missile;
+      missile.spoof(flare.position, flare.velocity.clone().multiplyScalar(0.5));
+      return;
+    }
+    if (!missile.exploded) {
+      // 'hit' - show it at the target if our copy hadn't got there yet
+      const target = this.getTarget(missile.targetId);
+      this.bulletEffects.createExplosion(target?.position ?? missile.position);
+      missile.finish(true);
+    }
+  }
+
+  /**
+   * Fly missiles, advance the seeker and play lock tones (call every frame)
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    const now = performance.now();
+    this.updateLock(now);
+
+    for (const [key, missile] of this.missiles) {
+      const target = missile.decoy ? null : this.getTarget(missile.targetId);
+      const distance = missile.update(deltaTime, target);
+
+      if (target && !missile.finished && distance <= target.radius + this.rules.proximityFuse) {
+        if (missile.shooterId === this.myId) {
+          this.networkManager.send({
+            type: 'missile_hit',
+            missileId: missile.missileId,
+            targetId: missile.targetId,
+            timestamp: Date.now()
+          });
+          this.bulletEffects.createExplosion(missile.position);
+          missile.finish(true);
+        } else {
+          // Someone else's missile - the explosion waits for the server's word
+          missile.finish();
+        }
+      }
+      if (missile.isBurntOut()) {
+        missile.finish();
+      }
+      if (missile.isGone()) {
+        missile.dispose();
+        this.missiles.delete(key);
+      }
+    }
+
+    this.playTones(now);
+  }
+
+  /**
+   * Seeker growl while tracking, steady beeps once locked; warning beeps
+   * when we're locked or a missile is on its way
+   */
+  playTones(now) {
+    const warning = this.getWarning();
+    let interval = null;
+    let frequency = 0;
+    if (warning === 'missile') {
+      interval = 150;
+      frequency = 1400;
+    } else if (warning === 'locked') {
+      interval = 500;
+      frequency = 1000;
+    } else if (this.lock?.locked) {
+      interval = 120;
+      frequency = 1800;
+    } else if (this.lock) {
+      interval = 400;
+      frequency = 700;
+    }
+    if (interval !== null && now - this.lastToneTime >= interval) {
+      this.lastToneTime = now;
+      this.soundManager.playTone(frequency, Math.min(0.08, interval / 2000));
+    }
+  }
+
+  /**
+   * Seeker state for the HUD lock box
+   * @returns {Object|null} { position, locked, progress } or null without a target
+   */
+  getLockState() {
+    if (!this.lock) return null;
+    const target = this.playerSync.getPlayer(this.lock.targetId);
+    if (!target) return null;
+    return {
+      position: target.position,
+      locked: this.lock.locked,
+      progress: Math.min(1, (performance.now() - this.lock.since) / this.rules.lockTime)
+    };
+  }
+
+  /**
+   * Threat warning for the HUD
+   * @returns {'missile'|'locked'|null}
+   */
+  getWarning() {
+    for (const missile of this.missiles.values()) {
+      if (missile.targetId === this.myId && !missile.finished && !missile.decoy) return 'missile';
+    }
+    return this.lockedBy.size > 0 ? 'locked' : null;
+  }
+
+  /**
+   * An aircraft went down - drop locks involving it
+   * @param {string} playerId
+   */
+  onDestroyed(playerId) {
+    if (playerId === this.myId) {
+      this.releaseLock();
+      this.lockedBy.clear();
+    } else {
+      this.lockedBy.delete(playerId);
+      if (this.lock?.targetId === playerId) this.releaseLock();
+    }
+  }
+
+  /**
+   * @param {string} playerId - Respawned aircraft
+   */
+  onRespawned(playerId) {
+    if (playerId !== this.myId) return;
+    this.missilesLeft = this.rules.perLife;
+    this.flaresLeft = this.rules.flares;
+    this.lockedBy.clear();
+  }
+
+  dispose() {
+    for (const missile of this.missiles.values()) {
+      missile.dispose();
+    }
+    this.missiles.clear();
+  }
+}
@@ -118,6 +118,125 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Play a short beep (seeker and warning tones)
+   * @param {number} frequency - Hz
+   * @param {number} duration - Seconds
+   */
+  playTone(frequency, duration) {
+    if (!this.enabled || !this.audioContext) return;
+
+    try {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+
+      osc.connect(gain);
+      gain.connect(this.audioContext.destination);
+
+      osc.type = 'square';
+      osc.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+
+      gain.gain.setValueAtTime(this.volume * 0.25, this.audioContext.currentTime);
+      gain.gain.setValueAtTime(this.volume * 0.25, this.audioContext.currentTime + duration * 0.8);
+      gain.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + duration);
+
+      osc.start(this.audioContext.currentTime);
+      osc.stop(this.audioContext.currentTime + duration);
+    } catch (e) {
+      // Ignore audio errors
+    }
+  }
+
+  /**
+   * Play missile launch sound (synthesized rising "whoosh")
+   */
+  playMissileLaunch() {
+    if (!this.enabled || !this.audioContext) return;
+
+    try {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+
+      osc.connect(gain);
+      gain.connect(this.audioContext.destination);
+
+      // Sawtooth sweeping up as the motor lights
+      osc.type = 'sawtooth';
+      osc.frequency.setValueAtTime(80, this.audioContext.currentTime);
+      osc.frequency.exponentialRampToValueAtTime(400, this.audioContext.currentTime + 0.6);
+
+      gain.gain.setValueAtTime(this.volume * 0.6, this.audioContext.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.6);
+
+      osc.start(this.audioContext.currentTime);
+      osc.stop(this.audioContext.currentTime + 0.6);
+    } catch (e) {
+      // Ignore audio errors
+    }
+  }
+
+  /**
+   * Play flare release sound (two quick pops)
+   */
+  playFlares() {
+    if (!this.enabled || !this.audioContext) return;
+
+    try {
+      for (const offset of [0, 0.12]) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+
+        const start = this.audioContext.currentTime + offset;
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(300, start);
+        osc.frequency.exponentialRampToValueAtTime(120, start + 0.08);
+
+        gain.gain.setValueAtTime(this.volume * 0.5, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.08);
+
+        osc.start(start);
+        osc.stop(start + 0.08);
+      }
+    } catch (e) {
+      // Ignore audio errors
+    }
+  }
+
+  /**
+   * Play an announcement stinger: a rising arpeggio for a streak, a
+   * falling one for a shutdown
+   * @param {'streak'|'shutdown'} kind
+   */
+  playStinger(kind) {
+    if (!this.enabled || !this.audioContext) return;
+
+    const notes = kind === 'shutdown' ? [784, 587, 440] : [523, 659, 784, 1047];
+    try {
+      notes.forEach((frequency, i) => {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+
+        const start = this.audioContext.currentTime + i * 0.09;
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(frequency, start);
+
+        gain.gain.setValueAtTime(this.volume * 0.4, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+
+        osc.start(start);
+        osc.stop(start + 0.18);
+      });
+    } catch (e) {
+      // Ignore audio errors
+    }
+  }
+
   /**
    * Set volume (0-1)
    */
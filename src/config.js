@@ -81,7 +81,28 @@ export const CONFIG = {
 
     // Fixed timestep settings (physics determinism)
     fixedStep: 1 / 60,
-    maxSubSteps: 5
+    maxSubSteps: 5,
+
+    // Flight model: 'arcade' (clamped Euler, auto roll recovery) or
+    // 'aerobatic' (quaternion body rates, unlimited attitude). Chosen per player.
+    flightModel: 'arcade',
+    aerobatic: {
+      rateScale: 1.25,         // Multiplier on the profile pitch/roll rates
+      yawRate: 0.6,            // rad/s at full rudder
+      gravityCoupling: 1.0,    // Share of gravity traded for speed when climbing/diving
+      stallSink: 9.81          // m/s² sink at zero speed, fading out at takeoffSpeed
+    }
+  },
+
+  // Terrain/building collision against streamed 3D Tiles (src/world/TerrainCollision.js)
+  collision: {
+    enabled: true,
+    raysPerFrame: 3,           // sweep + ground probe + look-ahead probe
+    clearance: 4,              // meters - hull radius added to the sweep
+    groundProbeDistance: 3000, // meters - max range of the AGL ray
+    lookAheadTime: 3,          // seconds of flight checked for the terrain warning
+    maxSweep: 500,             // meters - longer per-frame jumps are teleports, not flight
+    warningAGL: 60             // meters - AGL readout turns red below this
   },
 
   // Aircraft visual settings
@@ -91,18 +112,57 @@ export const CONFIG = {
     hitboxRadius: 25,         // Base hitbox radius in meters (before scale)
 
     // Available aircraft types (Ikram's Low Poly Fighter Jets - CC-BY-4.0)
+    // Each profile overrides the matching CONFIG.physics values for that type.
+    // maxSpeed and hitboxRadius are mirrored in server/config.js for validation.
+    // gun: magazine (rounds), reloadTime (ms), heatPerShot (1 = overheated),
+    // coolRate (heat shed per second) and spread (degrees of cone) - all but
+    // spread are mirrored in server/config.js, which drops shots past them.
     types: {
-      jet1: { id: 'jet1', name: 'Fighter Jet', description: 'Sleek combat fighter' },
-      jet2: { id: 'jet2', name: 'Strike Fighter', description: 'Heavy attack fighter' },
-      plane1: { id: 'plane1', name: 'Light Aircraft', description: 'Agile propeller plane' },
-      plane2: { id: 'plane2', name: 'Sport Plane', description: 'Fast sport aircraft' },
-      plane3: { id: 'plane3', name: 'Trainer', description: 'Versatile trainer' }
+      jet1: {
+        id: 'jet1', name: 'Fighter Jet', description: 'Sleek combat fighter',
+        profile: { maxSpeed: 450, throttleAccel: 35, rollRate: 2.8, pitchRate: 1.6, turnRate: 2.4, takeoffSpeed: 25, hitboxRadius: 25 },
+        gun: { magazine: 150, reloadTime: 3000, heatPerShot: 0.045, coolRate: 0.25, spread: 0.6 }
+      },
+      jet2: {
+        id: 'jet2', name: 'Strike Fighter', description: 'Heavy attack fighter',
+        profile: { maxSpeed: 400, throttleAccel: 28, rollRate: 2.0, pitchRate: 1.3, turnRate: 1.9, takeoffSpeed: 35, hitboxRadius: 30 },
+        gun: { magazine: 200, reloadTime: 4000, heatPerShot: 0.04, coolRate: 0.2, spread: 0.9 }
+      },
+      plane1: {
+        id: 'plane1', name: 'Light Aircraft', description: 'Agile propeller plane',
+        profile: { maxSpeed: 160, throttleAccel: 22, rollRate: 3.6, pitchRate: 2.0, turnRate: 3.0, takeoffSpeed: 18, hitboxRadius: 20 },
+        gun: { magazine: 80, reloadTime: 2500, heatPerShot: 0.05, coolRate: 0.3, spread: 0.5 }
+      },
+      plane2: {
+        id: 'plane2', name: 'Sport Plane', description: 'Fast sport aircraft',
+        profile: { maxSpeed: 240, throttleAccel: 28, rollRate: 3.2, pitchRate: 1.8, turnRate: 2.7, takeoffSpeed: 22, hitboxRadius: 21 },
+        gun: { magazine: 100, reloadTime: 2500, heatPerShot: 0.05, coolRate: 0.3, spread: 0.5 }
+      },
+      plane3: {
+        id: 'plane3', name: 'Trainer', description: 'Versatile trainer',
+        profile: { maxSpeed: 200, throttleAccel: 24, rollRate: 2.6, pitchRate: 1.7, turnRate: 2.5, takeoffSpeed: 20, hitboxRadius: 22 },
+        gun: { magazine: 120, reloadTime: 3000, heatPerShot: 0.045, coolRate: 0.25, spread: 0.7 }
+      }
     },
 
     defaultType: 'jet1',
 
-    // Available accent colors
-    colors: ['red', 'blue', 'green', 'yellow', 'purple', 'orange']
+    // Available accent colors (picker swatches and team label tints)
+    colors: ['red', 'blue', 'green', 'yellow', 'purple', 'orange'],
+    colorSwatches: {
+      red: '#ef4444',
+      blue: '#3b82f6',
+      green: '#22c55e',
+      yellow: '#eab308',
+      purple: '#a855f7',
+      orange: '#f97316'
+    }
+  },
+
+  // Team deathmatch (rounds and friendly fire are server-side - see server/config.js)
+  teams: {
+    names: ['red', 'blue'],   // team ids double as the forced aircraft colors
+    winScreenTop: 3           // best pilots listed on the round-over screen
   },
 
   // Combat settings - fly.pieter.com values
@@ -112,7 +172,87 @@ export const CONFIG = {
     bulletRange: 800,       // meters
     tracerDuration: 150,    // ms
     tracerLength: 400,      // meters
-    hitMarkerDuration: 300  // ms
+    hitMarkerDuration: 300, // ms
+    overheatResume: 0.35,   // heat an overheated gun must cool to before it fires again
+
+    // Rooms with ballistic guns (mirrored in server/config.js for hit validation)
+    ballistics: {
+      muzzleVelocity: 900,  // m/s along the nose, added to the aircraft's velocity
+      gravity: 9.8,         // m/s^2
+      maxFlightTime: 1500,  // ms before a round is spent (~1.4 km)
+      tracerLength: 40      // meters of streak behind each round
+    },
+
+    // Health, destruction and respawn (server is authoritative - see server/config.js)
+    maxHealth: 100,
+    respawnDelay: 5000,     // ms - fallback if the server never confirms respawn
+    spawnProtection: 3000,  // ms of invulnerability after respawn
+    explosionDuration: 1200, // ms
+
+    // Respawn points around the Douro (local coordinates, Y = altitude)
+    spawnPoints: [
+      { position: { x: 0, y: 400, z: 0 }, lookAt: { x: 0, y: 400, z: -1000 } },
+      { position: { x: 1500, y: 450, z: 900 }, lookAt: { x: 0, y: 400, z: 0 } },
+      { position: { x: -1600, y: 450, z: -700 }, lookAt: { x: 0, y: 400, z: 0 } },
+      { position: { x: 900, y: 500, z: -2200 }, lookAt: { x: 0, y: 400, z: 0 } }
+    ]
+  },
+
+  // Gunsight target designator (src/ui/Gunsight.js)
+  gunsight: {
+    maxRange: 4000,         // meters - enemies further out aren't designated
+    frontCone: 60,          // degrees off the nose for automatic designation
+    maxArrows: 6            // edge-of-screen arrows to off-screen enemies
+  },
+
+  // Kill feed and announcements (streaks are counted by the server - see server/config.js)
+  killFeed: {
+    maxEntries: 6,          // lines shown at once (oldest drop off)
+    entryLifetime: 6000,    // ms a line stays up
+    hitMergeWindow: 2000,   // ms - repeated hits by the same shooter on the same target share a line
+    announcementDuration: 2500, // ms
+    stingers: true          // play a sound with each announcement
+  },
+
+  // Homing missiles and flares (server enforces the counts and lock - see server/config.js)
+  missiles: {
+    perLife: 4,             // missiles carried per life
+    maxInFlight: 2,
+    launchCooldown: 1000,   // ms between launches
+    lockRange: 2500,        // meters
+    lockCone: 12,           // degrees off the nose to start tracking a target
+    holdCone: 18,           // degrees off the nose before the lock breaks
+    lockTime: 1500,         // ms a target must be tracked before it locks
+    launchSpeed: 250,       // m/s added to the aircraft's speed at launch...
+    speed: 650,             // ...then boosted up to this
+    boostTime: 800,         // ms to reach full speed
+    navConstant: 4,         // proportional navigation gain
+    maxTurnAccel: 300,      // m/s^2 (~30g)
+    maxFlightTime: 8000,    // ms before the motor burns out
+    proximityFuse: 12,      // meters outside the target's hitbox
+    flares: 6,              // flare bursts per life
+    flareCooldown: 1000,    // ms between bursts
+    flareLifetime: 2500     // ms a flare burns
+  },
+
+  // Checkpoint races (src/race/CheckpointManager.js, routes in src/data/landmarks.js)
+  race: {
+    gateRadius: 60,          // meters - default when a landmark has no radius
+    startDistance: 400,      // meters of run-up before the start gate
+    startClimb: 100,         // meters above the start gate to spawn at...
+    maxStartAltitude: 500,   // ...but never higher than this
+    startSpeed: 80,          // m/s when teleported to the start
+    ghostSampleRate: 10,     // Hz - ghost recording rate (~50KB for a 2 min run)
+    ghostOpacity: 0.35
+  },
+
+  // Session flight recorder and replay viewer (src/replay/)
+  replay: {
+    maxDuration: 10 * 60 * 1000,  // ms - only the most recent part of a session is kept
+    snapshotInterval: 100,        // ms - players snapshots are thinned to this rate
+    speeds: [0.25, 0.5, 1, 2, 4], // Playback speed choices
+    freeCameraSpeed: 80,          // m/s (Shift = 4x)
+    seekStep: 5000                // ms per arrow key press
   },
 
   // Adaptive quality settings (Stage 18)
@@ -149,6 +289,7 @@ export const CONFIG = {
 
   // Mouse aim settings (War Thunder-style mouse flight control)
   mouse: {
+    defaultScheme: 'keyboard', // Entry screen preselection: 'keyboard' or 'mouse'
     sensitivity: 0.15,       // Degrees per pixel of mouse movement
     smoothing: 0.15,         // Input smoothing (0 = none, 1 = very smooth)
     maxPitchOffset: 45,      // Max vertical aim offset in degrees
@@ -158,6 +299,40 @@ export const CONFIG = {
     instructorRollGain: 2.5   // How aggressively to bank toward aim
   },
 
+  // Gamepad / flight stick settings (src/input/GamepadInput.js)
+  gamepad: {
+    layout: 'auto',          // 'auto', 'standard', 'flightStick' or 'generic'
+    deadZone: 0.12,          // Stick deflection ignored around center (0-1)
+    curve: 0.3,              // Response curve (0 = linear, 1 = full cubic)
+    invertPitch: false       // Pull back = nose down when true
+  },
+
+  // Leaderboard panel (historical boards come from the server)
+  leaderboard: {
+    maxDisplay: 5,            // live session entries shown
+    historyDisplay: 10,       // daily/weekly/all-time entries shown
+    refreshInterval: 30000    // ms between refreshes of an open historical board
+  },
+
+  // Text chat (limits mirror CONFIG.chat in server/config.js)
+  chat: {
+    maxLength: 120,           // characters per message
+    visibleMessages: 6,       // lines in the log while flying
+    historySize: 50,          // lines kept for scrolling back with the overlay open
+    messageLifetime: 12000,   // ms a line stays visible while flying
+    // Touch radial menu, clockwise from the top
+    quickPhrases: [
+      'Hello!',
+      'Follow me',
+      'Nice shot!',
+      'Help!',
+      'Thanks!',
+      'Race?',
+      'Good game',
+      'Sorry!'
+    ]
+  },
+
   // Debug settings
   debug: {
     showHitboxes: false,      // Set to true to see hitbox wireframes
@@ -220,9 +220,9 @@ export class ModelManager {
   }
 
   /**
-   * Get a cloned aircraft mesh (preserves original texture colors)
-   * Team color parameter is kept for API compatibility but not applied
-   * since the model has proper baked-in colors
+   * Get a cloned aircraft mesh. The baked-in texture colors are kept; the
+   * accent/team color is added as a faint emissive glow so it still reads
+   * at a distance.
    */
   getAircraftMesh(modelId, teamColor = 'blue') {
     const original = this.models.get(modelId);
@@ -235,10 +235,15 @@ export class ModelManager {
     // Clone the model
     const clone = original.clone(true);
 
-    // Clone materials and enable shadows (preserve original colors)
+    // Clone materials, tint and enable shadows
+    const tint = TEAM_COLORS[teamColor] || TEAM_COLORS.blue;
     clone.traverse((child) => {
       if (child.isMesh && child.material) {
         child.material = child.material.clone();
+        if (child.material.emissive) {
+          child.material.emissive.copy(tint);
+          child.material.emissiveIntensity = 0.25;
+        }
         child.castShadow = true;
         child.receiveShadow = true;
       }
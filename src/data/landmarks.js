@@ -0,0 +1,55 @@
+/**
+ * Porto landmarks and race routes
+ *
+ * Landmark altitudes are gate-center heights in world Y, i.e. meters above
+ * the WGS84 ellipsoid (the tiles are reoriented at height 0). The geoid sits
+ * about 55m above the ellipsoid in Porto, so the Douro's surface is at ~55.
+ * Gates are placed clear of the structure unless the name says "under".
+ *
+ * Used by src/race/CheckpointManager.js and scripts/verify-race-positions.mjs.
+ */
+
+export const LANDMARKS = {
+  ponteLuis: { name: 'Ponte D. Luís I', shortName: 'D. Luís', lat: 41.1399, lon: -8.6094, altitude: 150, radius: 60 },
+  ponteInfante: { name: 'Ponte Infante D. Henrique', shortName: 'Infante', lat: 41.1395, lon: -8.6020, altitude: 160, radius: 60 },
+  serraPilar: { name: 'Mosteiro da Serra do Pilar', shortName: 'Serra Pilar', lat: 41.1378, lon: -8.6086, altitude: 200, radius: 60 },
+  ribeira: { name: 'Cais da Ribeira', shortName: 'Ribeira', lat: 41.1408, lon: -8.6133, altitude: 110, radius: 50 },
+  se: { name: 'Sé do Porto', shortName: 'Sé', lat: 41.1428, lon: -8.6113, altitude: 190, radius: 50 },
+  clerigos: { name: 'Torre dos Clérigos', shortName: 'Clérigos', lat: 41.1457, lon: -8.6146, altitude: 260, radius: 50 },
+  aliados: { name: 'Avenida dos Aliados', shortName: 'Aliados', lat: 41.1496, lon: -8.6110, altitude: 230, radius: 60 },
+  alfandega: { name: 'Alfândega do Porto', shortName: 'Alfândega', lat: 41.1430, lon: -8.6221, altitude: 110, radius: 50 },
+  palacioCristal: { name: 'Palácio de Cristal', shortName: 'Cristal', lat: 41.1480, lon: -8.6255, altitude: 180, radius: 60 },
+  ponteArrabida: { name: 'Ponte da Arrábida (under)', shortName: 'Arrábida', lat: 41.1472, lon: -8.6403, altitude: 90, radius: 30 },
+  foz: { name: 'Farol de Felgueiras, Foz', shortName: 'Foz', lat: 41.1487, lon: -8.6760, altitude: 90, radius: 60 },
+  anemona: { name: 'Anémona, Matosinhos', shortName: 'Anémona', lat: 41.1785, lon: -8.6880, altitude: 120, radius: 60 },
+  serralves: { name: 'Fundação de Serralves', shortName: 'Serralves', lat: 41.1597, lon: -8.6598, altitude: 180, radius: 60 },
+  casaDaMusica: { name: 'Casa da Música', shortName: 'Casa Música', lat: 41.1589, lon: -8.6306, altitude: 210, radius: 60 },
+  estadioDragao: { name: 'Estádio do Dragão', shortName: 'Dragão', lat: 41.1617, lon: -8.5836, altitude: 200, radius: 70 }
+};
+
+/**
+ * Routes are ordered landmark keys; the first is the start gate and the
+ * last the finish. Racers spawn a short way before the start gate.
+ */
+export const ROUTES = {
+  riverRun: {
+    name: 'Douro River Run',
+    description: 'Follow the river from the bridges out to the ocean',
+    checkpoints: ['ponteInfante', 'ponteLuis', 'ribeira', 'alfandega', 'ponteArrabida', 'foz']
+  },
+  oldTown: {
+    name: 'Old Town Circuit',
+    description: 'Tight turns between the towers of the historic center',
+    checkpoints: ['ponteLuis', 'se', 'clerigos', 'aliados', 'palacioCristal', 'ribeira']
+  },
+  coastalSprint: {
+    name: 'Coastal Sprint',
+    description: 'Under Arrábida, up the coast and back inland',
+    checkpoints: ['ponteArrabida', 'foz', 'anemona', 'serralves', 'casaDaMusica']
+  },
+  grandTour: {
+    name: 'Grand Tour',
+    description: 'Stadium to sea across the whole city',
+    checkpoints: ['estadioDragao', 'ponteInfante', 'serraPilar', 'ponteLuis', 'clerigos', 'casaDaMusica', 'serralves', 'foz', 'ponteArrabida']
+  }
+};
@@ -0,0 +1,283 @@
+/**
+ * GamepadInput - Controllers and flight sticks via the browser Gamepad API
+ *
+ * Polls navigator.getGamepads() each frame (Chrome only updates state on poll)
+ * and maps axes/buttons through a layout. Layouts are picked per device:
+ * - standard: browser "standard" mapping (Xbox/PlayStation style pads)
+ * - flightStick: joysticks/HOTAS with a twist axis and a throttle lever
+ * - generic: anything else that exposes at least two axes
+ *
+ * Output uses the same conventions as InputHandler:
+ * pitch +1 = nose down, roll +1 = bank left, yaw +1 = yaw left.
+ */
+
+// Axis entries: { axis, invert }. Throttle is either a lever axis (absolute,
+// always engaged) or an analog button (engaged while pressed; releasing hands
+// back to speed hold). Button lists: any pressed button triggers the action.
+const LAYOUTS = {
+  standard: {
+    roll: { axis: 0, invert: true },      // Left stick X
+    pitch: { axis: 1, invert: true },     // Left stick Y (push = nose down)
+    yaw: { axis: 2, invert: true },       // Right stick X
+    throttle: { button: 6 },              // Left trigger
+    fire: [7, 0],                         // Right trigger, A / Cross
+    missile: [1],                         // B / Circle
+    flares: [2],                          // X / Square
+    cycleTarget: [4],                     // Left bumper
+    reload: [5],                          // Right bumper
+    viewToggle: [3]                       // Y / Triangle
+  },
+  flightStick: {
+    roll: { axis: 0, invert: true },
+    pitch: { axis: 1, invert: true },
+    yaw: { axis: 5, invert: true },       // Twist grip
+    throttle: { axis: 2, invert: true, lever: true },
+    fire: [0],                            // Trigger
+    viewToggle: [1],
+    missile: [2],
+    flares: [3],
+    cycleTarget: [4],
+    reload: [5],
+    deadZone: 0.05                        // Sticks center precisely; pads don't
+  },
+  generic: {
+    roll: { axis: 0, invert: true },
+    pitch: { axis: 1, invert: true },
+    yaw: { axis: 2, invert: true },
+    throttle: null,
+    fire: [0],
+    missile: [1],
+    flares: [2],
+    cycleTarget: [4],
+    reload: [5],
+    viewToggle: [3]
+  }
+};
+
+// Substrings of Gamepad.id that identify flight sticks (lowercase)
+const FLIGHT_STICK_IDS = ['hotas', 'joystick', 'flight stick', 'x52', 'x56', 't.16000', 't.flight', 'warthog', 'extreme 3d', 'vkb', 'virpil'];
+
+export class GamepadInput {
+  /**
+   * @param {Object} options - Configuration options (CONFIG.gamepad)
+   */
+  constructor(options = {}) {
+    this.deadZone = options.deadZone ?? 0.12;
+    this.curve = options.curve ?? 0.3;              // 0 = linear, 1 = full cubic
+    this.invertPitch = options.invertPitch ?? false;
+    this.layoutOverride = options.layout ?? 'auto';
+
+    this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    this.enabled = false;     // True while a gamepad is connected
+    this.index = null;        // Gamepad index in navigator.getGamepads()
+    this.layoutName = null;
+    this.layout = null;
+
+    // Current state
+    this.pitch = 0;
+    this.roll = 0;
+    this.yaw = 0;
+    this.throttle = 0;
+    this.throttleActive = false;
+    this.actions = { fire: false, missile: false, flares: false, cycleTarget: false, reload: false, viewToggle: false };
+
+    this.onConnected = null;     // Callback: (id, layoutName) => void
+    this.onDisconnected = null;  // Callback: (id) => void
+
+    this.handleConnected = this.handleConnected.bind(this);
+    this.handleDisconnected = this.handleDisconnected.bind(this);
+
+    if (this.supported) {
+      window.addEventListener('gamepadconnected', this.handleConnected);
+      window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+  }
+
+  handleConnected(event) {
+    if (this.index !== null) return;  // Keep the first controller
+    this.attach(event.gamepad);
+  }
+
+  handleDisconnected(event) {
+    if (event.gamepad.index !== this.index) return;
+    console.log(`[Gamepad] Disconnected: ${event.gamepad.id}`);
+    this.index = null;
+    this.enabled = false;
+    this.reset();
+    this.onDisconnected?.(event.gamepad.id);
+  }
+
+  /**
+   * Start reading a gamepad
+   * @param {Gamepad} gamepad
+   */
+  attach(gamepad) {
+    this.index = gamepad.index;
+    this.layoutName = this.detectLayout(gamepad);
+    this.layout = LAYOUTS[this.layoutName];
+    this.enabled = true;
+    console.log(`[Gamepad] Connected: ${gamepad.id} (${this.layoutName} layout)`);
+    this.onConnected?.(gamepad.id, this.layoutName);
+  }
+
+  /**
+   * Pick a layout for a device
+   * @param {Gamepad} gamepad
+   * @returns {string} Key of LAYOUTS
+   */
+  detectLayout(gamepad) {
+    if (LAYOUTS[this.layoutOverride]) return this.layoutOverride;
+    const id = gamepad.id.toLowerCase();
+    if (FLIGHT_STICK_IDS.some(name => id.includes(name)) && gamepad.axes.length > 2) {
+      return 'flightStick';
+    }
+    if (gamepad.mapping === 'standard') return 'standard';
+    return 'generic';
+  }
+
+  /**
+   * Poll the gamepad (call each frame)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.supported) return;
+
+    const gamepads = navigator.getGamepads();
+    // Some browsers never fire gamepadconnected for pads plugged in before load
+    if (this.index === null) {
+      const found = Array.from(gamepads).find(gamepad => gamepad?.connected);
+      if (!found) return;
+      this.attach(found);
+    }
+
+    const gamepad = gamepads[this.index];
+    if (!gamepad?.connected) {
+      this.reset();
+      return;
+    }
+
+    const layout = this.layout;
+    const deadZone = layout.deadZone ?? this.deadZone;
+
+    this.roll = this.readAxis(gamepad, layout.roll, deadZone);
+    this.pitch = this.readAxis(gamepad, layout.pitch, deadZone) * (this.invertPitch ? -1 : 1);
+    this.yaw = this.readAxis(gamepad, layout.yaw, deadZone);
+    this.readThrottle(gamepad, layout.throttle, deadZone);
+
+    this.actions.fire = this.isAnyPressed(gamepad, layout.fire);
+    this.actions.missile = this.isAnyPressed(gamepad, layout.missile);
+    this.actions.flares = this.isAnyPressed(gamepad, layout.flares);
+    this.actions.cycleTarget = this.isAnyPressed(gamepad, layout.cycleTarget);
+    this.actions.reload = this.isAnyPressed(gamepad, layout.reload);
+    this.actions.viewToggle = this.isAnyPressed(gamepad, layout.viewToggle);
+  }
+
+  /**
+   * Read a stick axis with dead zone and response curve applied
+   * @returns {number} -1 to 1
+   */
+  readAxis(gamepad, mapping, deadZone) {
+    if (!mapping || mapping.axis >= gamepad.axes.length) return 0;
+    const raw = gamepad.axes[mapping.axis] * (mapping.invert ? -1 : 1);
+    return this.applyCurve(this.applyDeadZone(raw, deadZone));
+  }
+
+  /**
+   * Read the throttle from a lever axis or an analog button
+   */
+  readThrottle(gamepad, mapping, deadZone) {
+    if (!mapping) {
+      this.throttleActive = false;
+      return;
+    }
+
+    if (mapping.lever) {
+      if (mapping.axis >= gamepad.axes.length) return;
+      const raw = gamepad.axes[mapping.axis] * (mapping.invert ? -1 : 1);
+      this.throttle = Math.max(0, Math.min(1, (raw + 1) / 2));
+      this.throttleActive = true;
+      return;
+    }
+
+    const value = gamepad.buttons[mapping.button]?.value ?? 0;
+    this.throttleActive = value > deadZone;
+    if (this.throttleActive) {
+      this.throttle = Math.min(1, (value - deadZone) / (1 - deadZone));
+    }
+  }
+
+  /**
+   * Zero small deflections and rescale the rest to keep full range
+   */
+  applyDeadZone(value, deadZone) {
+    const abs = Math.abs(value);
+    if (abs <= deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (abs - deadZone) / (1 - deadZone));
+  }
+
+  /**
+   * Blend linear and cubic response (finer control near center)
+   */
+  applyCurve(value) {
+    const abs = Math.abs(value);
+    return Math.sign(value) * (this.curve * abs * abs * abs + (1 - this.curve) * abs);
+  }
+
+  isAnyPressed(gamepad, buttons = []) {
+    return buttons.some(index => gamepad.buttons[index]?.pressed);
+  }
+
+  /**
+   * Check if a button action is held ('fire', 'missile', 'flares', 'cycleTarget', 'reload', 'viewToggle')
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isActionActive(action) {
+    return this.enabled && !!this.actions[action];
+  }
+
+  /**
+   * Check if fire is being held
+   * @returns {boolean}
+   */
+  isFiring() {
+    return this.isActionActive('fire');
+  }
+
+  /**
+   * Get current gamepad state
+   * @returns {Object} { pitch, roll, yaw, throttle, throttleActive }
+   */
+  getState() {
+    return {
+      pitch: this.pitch,
+      roll: this.roll,
+      yaw: this.yaw,
+      throttle: this.throttle,
+      throttleActive: this.throttleActive
+    };
+  }
+
+  reset() {
+    this.pitch = 0;
+    this.roll = 0;
+    this.yaw = 0;
+    this.throttleActive = false;
+    this.actions.fire = false;
+    this.actions.missile = false;
+    this.actions.flares = false;
+    this.actions.cycleTarget = false;
+    this.actions.reload = false;
+    this.actions.viewToggle = false;
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    if (this.supported) {
+      window.removeEventListener('gamepadconnected', this.handleConnected);
+      window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+    }
+  }
+}
@@ -1,14 +1,25 @@
 /**
- * InputHandler - Normalizes keyboard and touch input to physics-ready state
+ * InputHandler - Normalizes keyboard, mouse aim, gamepad and touch input to physics-ready state
  * Combines inputs from all sources into standard format for the physics engine.
+ * Priority (lowest to highest): mouse aim, keyboard, gamepad, touch.
+ * Mouse aim only steers while no pitch/roll key is held.
  */
 
 import { CONFIG } from '../config.js';
+import { MouseAimController } from './MouseAimController.js';
 
 export class InputHandler {
-  constructor(keyboardInput, touchInput = null) {
+  constructor(keyboardInput, touchInput = null, gamepadInput = null, mouseInput = null) {
     this.keyboard = keyboardInput;
     this.touch = touchInput;
+    this.gamepad = gamepadInput;
+    this.mouse = mouseInput;  // Only set when the mouse-aim control scheme is chosen
+    this.mouseAim = mouseInput ? new MouseAimController({
+      pitchGain: CONFIG.mouse?.instructorPitchGain,
+      rollGain: CONFIG.mouse?.instructorRollGain
+    }) : null;
+    this.mouseCommand = { pitch: 0, roll: 0 };
+    this.keyboardSteering = false;  // Pitch/roll keys held (overrides mouse aim)
     this.throttle = 0.4;  // Track throttle internally (0-1 range)
     this.throttleActive = false;
 
@@ -35,9 +46,37 @@ export class InputHandler {
       this.throttle = Math.max(0, this.throttle - deltaTime * throttleRate);
     }
 
-    // Update fire state (keyboard or touch)
+    // Poll gamepad; its throttle carries over to the keyboard when released
+    if (this.gamepad) {
+      this.gamepad.update(deltaTime);
+      if (this.gamepad.enabled && this.gamepad.throttleActive) {
+        this.throttle = this.gamepad.throttle;
+      }
+    }
+
+    // Mouse aim: instructor steers toward the reticle unless keys are held
+    this.keyboardSteering = ['pitchUp', 'pitchDown', 'rollLeft', 'rollRight']
+      .some(action => this.keyboard.isActionActive(action));
+    if (this.mouse) {
+      this.mouse.update(deltaTime);
+      if (this.keyboardSteering) {
+        // Re-center so releasing the keys holds the new heading
+        this.mouse.resetAim();
+        this.mouseAim.reset();
+        this.mouseCommand = { pitch: 0, roll: 0 };
+      } else if (this.mouse.isPointerLocked()) {
+        this.mouseCommand = this.mouseAim.calculate(this.mouse.getAimOffset(), deltaTime);
+      } else {
+        this.mouseAim.reset();
+        this.mouseCommand = { pitch: 0, roll: 0 };
+      }
+    }
+
+    // Update fire state (keyboard, left click, gamepad or touch)
     const wasPressed = this.firePressed;
     this.firePressed = this.keyboard.isActionActive('fire') ||
+                       (this.mouse?.isFiring() ?? false) ||
+                       (this.gamepad?.enabled && this.gamepad.isFiring()) ||
                        (this.touch?.enabled && this.touch.isFiring?.());
     this.fireJustPressed = this.firePressed && !wasPressed;
 
@@ -76,6 +115,13 @@ export class InputHandler {
       roll = -1;   // D = bank right
     }
 
+    // Mouse aim fills in when no pitch/roll key is held
+    // (instructor pitch is positive = nose up; ours is positive = nose down)
+    if (this.mouse && !this.keyboardSteering) {
+      pitch = -this.mouseCommand.pitch;
+      roll = this.mouseCommand.roll;
+    }
+
     // Yaw: positive input = yaw LEFT
     let yaw = 0;
     const yawLeft = this.keyboard.isActionActive('yawLeft');
@@ -91,6 +137,26 @@ export class InputHandler {
     let throttle = this.throttle;
     let throttleActive = this.throttleActive;
 
+    // Merge with gamepad input if connected (same rules as touch below)
+    if (this.gamepad && this.gamepad.enabled) {
+      const padState = this.gamepad.getState();
+
+      // Stick overrides keyboard for pitch/roll when deflected
+      if (padState.pitch !== 0 || padState.roll !== 0) {
+        pitch = padState.pitch;
+        roll = padState.roll;
+      }
+      if (padState.yaw !== 0) {
+        yaw = padState.yaw;
+      }
+
+      // Throttle lever/trigger overrides keyboard while engaged
+      if (padState.throttleActive) {
+        throttle = padState.throttle;
+        throttleActive = true;
+      }
+    }
+
     // Merge with touch input if active (highest priority on mobile)
     if (this.touch && this.touch.enabled) {
       const touchState = this.touch.getState();
@@ -125,6 +191,61 @@ export class InputHandler {
   }
 
   /**
+   * Check if keyboard steering is overriding mouse aim this frame
+   * @returns {boolean}
+   */
+  isKeyboardSteering() {
+    return this.keyboardSteering;
+  }
+
+  /**
+   * Check if the camera view toggle is held (keyboard or gamepad)
+   * @returns {boolean}
+   */
+  isViewToggleActive() {
+    return this.keyboard.isActionActive('viewToggle') ||
+           (this.gamepad?.isActionActive('viewToggle') ?? false);
+  }
+
+  /**
+   * Check if the missile launch is held (keyboard, gamepad or touch)
+   * @returns {boolean}
+   */
+  isMissileActive() {
+    return this.keyboard.isActionActive('missile') ||
+           (this.gamepad?.isActionActive('missile') ?? false) ||
+           (this.touch?.enabled && this.touch.isMissileHeld());
+  }
+
+  /**
+   * Check if the flare release is held (keyboard, gamepad or touch)
+   * @returns {boolean}
+   */
+  isFlaresActive() {
+    return this.keyboard.isActionActive('flares') ||
+           (this.gamepad?.isActionActive('flares') ?? false) ||
+           (this.touch?.enabled && this.touch.isFlaresHeld());
+  }
+
+  /**
+   * Check if the gunsight target cycle is held (keyboard or gamepad)
+   * @returns {boolean}
+   */
+  isCycleTargetActive() {
+    return this.keyboard.isActionActive('cycleTarget') ||
+           (this.gamepad?.isActionActive('cycleTarget') ?? false);
+  }
+
+  /**
+   * Check if the gun reload is held (keyboard or gamepad)
+   * @returns {boolean}
+   */
+  isReloadActive() {
+    return this.keyboard.isActionActive('reload') ||
+           (this.gamepad?.isActionActive('reload') ?? false);
+  }
+
+  /**
    * Check if fire button was just pressed this frame
    * @returns {boolean}
    */
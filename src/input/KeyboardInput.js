@@ -22,14 +22,23 @@ const KEY_MAPPINGS = {
   // Combat
   'Space': 'fire',
   'KeyF': 'fire',
+  'KeyE': 'missile',
+  'KeyQ': 'flares',
+  'KeyT': 'cycleTarget',
+  'KeyR': 'reload',
 
   // Camera
-  'KeyV': 'viewToggle'
+  'KeyV': 'viewToggle',
+
+  // Menus
+  'KeyM': 'raceMenu',
+  'KeyB': 'saveReplay'
 };
 
 export class KeyboardInput {
   constructor() {
     this.pressedKeys = new Set();
+    this.suppressed = false;  // True while typing in chat - no flight input at all
 
     // Bind handlers to preserve 'this' context
     this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -43,7 +52,7 @@ export class KeyboardInput {
   }
 
   handleKeyDown(event) {
-    if (KeyboardInput.shouldIgnoreEventTarget(event.target)) {
+    if (this.suppressed || KeyboardInput.shouldIgnoreEventTarget(event.target)) {
       return;
     }
 
@@ -67,6 +76,16 @@ export class KeyboardInput {
     this.pressedKeys.clear();
   }
 
+  /**
+   * Ignore the keyboard entirely (chat overlay open). Held keys are
+   * released too: their keyup would land in the text field and be ignored.
+   * @param {boolean} suppressed
+   */
+  setSuppressed(suppressed) {
+    this.suppressed = suppressed;
+    this.pressedKeys.clear();
+  }
+
   static shouldIgnoreEventTarget(target) {
     if (!target) return false;
     const tagName = target.tagName?.toLowerCase();
@@ -39,6 +39,10 @@ export class MouseInput {
     // Pointer lock state
     this.isLocked = false;
 
+    // Last aircraft heading/elevation seen by trackAircraft (radians)
+    this.lastHeading = null;
+    this.lastElevation = null;
+
     // Mouse button state
     this.leftButtonDown = false;
     this.rightButtonDown = false;
@@ -166,6 +170,32 @@ export class MouseInput {
     // this.aimYaw *= Math.pow(0.95, deltaTime * 60);
   }
 
+  /**
+   * Keep the aim point fixed in the world as the aircraft turns toward it:
+   * whatever the nose moved since last frame comes off the aim offset
+   * @param {THREE.Vector3} forward - Aircraft forward vector (normalized)
+   */
+  trackAircraft(forward) {
+    const heading = Math.atan2(-forward.x, -forward.z);  // Positive = left
+    const elevation = Math.asin(Math.max(-1, Math.min(1, forward.y)));
+
+    if (this.lastHeading !== null) {
+      let deltaHeading = heading - this.lastHeading;
+      if (deltaHeading > Math.PI) deltaHeading -= Math.PI * 2;
+      if (deltaHeading < -Math.PI) deltaHeading += Math.PI * 2;
+      const deltaElevation = elevation - this.lastElevation;
+
+      // aimYaw is positive to the right, heading positive to the left
+      this.aimYaw += deltaHeading * (180 / Math.PI);
+      this.aimPitch -= deltaElevation * (180 / Math.PI);
+      this.aimPitch = Math.max(-this.maxPitchOffset, Math.min(this.maxPitchOffset, this.aimPitch));
+      this.aimYaw = Math.max(-this.maxYawOffset, Math.min(this.maxYawOffset, this.aimYaw));
+    }
+
+    this.lastHeading = heading;
+    this.lastElevation = elevation;
+  }
+
   /**
    * Get normalized aim offset (-1 to 1 range)
    * @returns {Object} { pitch, yaw } normalized to -1 to 1
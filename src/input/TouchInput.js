@@ -12,6 +12,8 @@ export class TouchInput {
     this.throttle = 0.7;  // Start at 70% to match keyboard
     this.throttleInput = 0;  // -1, 0, or 1
     this.firing = false;  // Fire button state
+    this.missileHeld = false;
+    this.flaresHeld = false;
     this.enabled = false;
     this.leftJoystick = null;
 
@@ -25,6 +27,7 @@ export class TouchInput {
     this.setupJoystick();
     this.setupThrottleZones();
     this.setupFireButton(container);
+    this.setupWeaponButtons(container);
   }
 
   /**
@@ -202,6 +205,59 @@ export class TouchInput {
     });
   }
 
+  /**
+   * Missile and flare buttons, stacked left of the fire button
+   */
+  setupWeaponButtons(container) {
+    const createButton = (id, label, bottom, rgb, onChange) => {
+      const button = document.createElement('div');
+      button.id = id;
+      button.style.cssText = `
+        position: fixed;
+        right: 100px;
+        bottom: ${bottom};
+        transform: translateY(50%);
+        width: 52px;
+        height: 52px;
+        background: rgba(${rgb}, 0.3);
+        border: 2px solid rgba(${rgb}, 0.6);
+        border-radius: 50%;
+        backdrop-filter: blur(4px);
+        -webkit-backdrop-filter: blur(4px);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-family: system-ui, sans-serif;
+        font-size: 11px;
+        font-weight: 600;
+        letter-spacing: 0.5px;
+        color: rgba(255, 255, 255, 0.9);
+        text-shadow: 0 1px 2px rgba(0,0,0,0.3);
+        user-select: none;
+        touch-action: none;
+        z-index: 100;
+      `;
+      button.textContent = label;
+      const set = (held) => {
+        onChange(held);
+        button.style.background = `rgba(${rgb}, ${held ? 0.6 : 0.3})`;
+      };
+      button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        set(true);
+      });
+      button.addEventListener('touchend', () => set(false));
+      button.addEventListener('touchcancel', () => set(false));
+      container.appendChild(button);
+      return button;
+    };
+
+    this.missileButton = createButton('touch-missile', 'MSL', 'calc(50% + 32px)', '255, 170, 60',
+      (held) => { this.missileHeld = held; });
+    this.flaresButton = createButton('touch-flares', 'FLR', 'calc(50% - 32px)', '255, 240, 160',
+      (held) => { this.flaresHeld = held; });
+  }
+
   /**
    * Check if fire button is being held
    * @returns {boolean}
@@ -210,6 +266,22 @@ export class TouchInput {
     return this.firing;
   }
 
+  /**
+   * Check if the missile button is being held
+   * @returns {boolean}
+   */
+  isMissileHeld() {
+    return this.missileHeld;
+  }
+
+  /**
+   * Check if the flares button is being held
+   * @returns {boolean}
+   */
+  isFlaresHeld() {
+    return this.flaresHeld;
+  }
+
   /**
    * Get current touch input state
    * @returns {Object} { pitch, roll, throttle }
@@ -239,5 +311,7 @@ export class TouchInput {
     if (this.fireButton && this.fireButton.parentNode) {
       this.fireButton.parentNode.removeChild(this.fireButton);
     }
+    this.missileButton?.remove();
+    this.flaresButton?.remove();
   }
 }
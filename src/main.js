@@ -10,6 +10,8 @@ import { updatePhysics } from './player/Physics.js';
 import { KeyboardInput } from './input/KeyboardInput.js';
 import { InputHandler } from './input/InputHandler.js';
 import { TouchInput } from './input/TouchInput.js';
+import { GamepadInput } from './input/GamepadInput.js';
+import { MouseInput } from './input/MouseInput.js';
 import { CameraController } from './player/CameraController.js';
 import { NetworkManager } from './network/NetworkManager.js';
 import { PlayerSync } from './network/PlayerSync.js';
@@ -19,7 +21,20 @@ import { EntryScreen } from './ui/EntryScreen.js';
 import { TilePreloader } from './core/TilePreloader.js';
 import { ModelManager } from './core/ModelManager.js';
 import { CockpitOverlay } from './ui/CockpitOverlay.js';
+import { ChatUI } from './ui/ChatUI.js';
+import { QuickChatMenu } from './ui/QuickChatMenu.js';
+import { TeamMatchUI } from './ui/TeamMatchUI.js';
+import { KillFeed } from './ui/KillFeed.js';
+import { Gunsight } from './ui/Gunsight.js';
 import { createBlimpBanner } from './world/BlimpBanner.js';
+import { TerrainCollision } from './world/TerrainCollision.js';
+import { CheckpointManager } from './race/CheckpointManager.js';
+import { RaceUI } from './race/RaceUI.js';
+import { GhostManager } from './race/GhostManager.js';
+import { FlightRecorder } from './replay/FlightRecorder.js';
+import { ReplayPlayer } from './replay/ReplayPlayer.js';
+import { ReplayUI } from './replay/ReplayUI.js';
+import { FreeCamera } from './replay/FreeCamera.js';
 
 // Stage 18: Tile streaming performance systems
 import { AdaptiveQuality } from './core/AdaptiveQuality.js';
@@ -267,6 +282,17 @@ networkManager.onNameUpdate = (name) => {
   entryScreen.setCallsign(name);
 };
 
+networkManager.onProfile = (profile) => {
+  entryScreen.setProfile(profile);
+};
+
+// Banned players find out before taking off (startGame replaces this handler)
+networkManager.onError = (msg) => {
+  if (msg?.code === 'banned') {
+    entryScreen.setError(msg.message);
+  }
+};
+
 networkManager.connect();
 
 // Refresh preview when models finish loading (fixes initial fallback issue)
@@ -295,7 +321,10 @@ preloader.onReady = () => {
 // PHASE 3: Start game when user clicks "Take Off!"
 // ============================================================================
 
-entryScreen.onReady = ({ planeType, planeColor }) => {
+/**
+ * Tear down the loading scene (demo flight, preloader) before the game or a replay
+ */
+function leaveEntryScreen() {
   // Stop preload loop
   if (preloadAnimationId) {
     cancelAnimationFrame(preloadAnimationId);
@@ -314,30 +343,56 @@ entryScreen.onReady = ({ planeType, planeColor }) => {
 
   // Clean up preloader
   preloader.dispose();
+}
+
+entryScreen.onReady = ({ planeType, planeColor, room, mode, weapons, flightModel, controls }) => {
+  leaveEntryScreen();
 
   // Start the actual game with player settings
-  startGame(planeType, planeColor);
+  startGame(planeType, planeColor, room, mode, weapons, flightModel, controls);
+};
+
+entryScreen.onReplay = (text) => {
+  let replay;
+  try {
+    replay = FlightRecorder.parse(text);
+  } catch (e) {
+    console.warn('[Replay] Could not open file:', e.message);
+    entryScreen.setReplayStatus(e.message);
+    return;
+  }
+
+  entryScreen.hide();
+  leaveEntryScreen();
+  startReplay(replay);
 };
 
 /**
  * Start the game with the given player settings
  * @param {string} planeType - Player's chosen aircraft type (f16, f22, f18, cessna)
  * @param {string} planeColor - Player's chosen accent color (red, blue, green, etc.)
+ * @param {string} room - Room request ('public', 'new', or a private room code)
+ * @param {string} mode - 'ffa' or 'teams' (team deathmatch) for public and new rooms
+ * @param {string} weapons - 'hitscan' or 'ballistic' guns for public and new rooms
+ * @param {string} flightModel - 'arcade' or 'aerobatic'
+ * @param {string} controls - Control scheme: 'keyboard' or 'mouse' (mouse aim)
  */
-function startGame(planeType, planeColor) {
-  console.log(`[Game] Starting game with ${planeType} plane (${planeColor})`);
+function startGame(planeType, planeColor, room, mode, weapons, flightModel, controls) {
+  console.log(`[Game] Starting game with ${planeType} plane (${planeColor}), ${flightModel} flight model`);
 
   // Create aircraft at starting position with chosen plane type and color
   const startPosition = new THREE.Vector3(0, CONFIG.startPosition.altitude, 0);
   const initialHeading = CONFIG.startPosition.heading || 0;
-  const aircraft = new Aircraft(startPosition, planeColor, planeType, initialHeading);
+  const aircraft = new Aircraft(startPosition, planeColor, planeType, initialHeading, flightModel);
   scene.add(aircraft.mesh);
 
   // Initialize input system
   const container = document.getElementById('container');
   const keyboardInput = new KeyboardInput();
   const touchInput = new TouchInput(container);
-  const inputHandler = new InputHandler(keyboardInput, touchInput);
+  const gamepadInput = new GamepadInput(CONFIG.gamepad);
+  const mouseInput = controls === 'mouse' ? new MouseInput(container, CONFIG.mouse) : null;
+  const inputHandler = new InputHandler(keyboardInput, touchInput, gamepadInput, mouseInput);
 
   // Initialize camera controller (follow camera)
   const cameraController = new CameraController(camera, aircraft);
@@ -372,6 +427,39 @@ function startGame(planeType, planeColor) {
   // Create HUD
   const hud = new HUD(container);
   const cockpitOverlay = new CockpitOverlay(container);
+  const gunsight = new Gunsight(container);
+
+  // Room chat - Enter to type (flight keys are ignored meanwhile), and a
+  // radial menu of quick phrases on touch devices
+  const chatUI = new ChatUI(container, { touch: touchInput.enabled });
+  chatUI.onOpenChange = (open) => keyboardInput.setSuppressed(open);
+  chatUI.onSend = (text) => networkManager.sendChat(text);
+  chatUI.onBlockChange = (id, blocked) => networkManager.setChatBlocked(id, blocked);
+  for (const id of chatUI.getBlockedIds()) {
+    networkManager.setChatBlocked(id, true);
+  }
+  if (touchInput.enabled) {
+    const quickChat = new QuickChatMenu(container);
+    quickChat.onSelect = (text) => chatUI.send(text);
+    quickChat.onKeyboard = () => chatUI.open();
+  }
+
+  // Team deathmatch score bar and win screen (team rooms only)
+  const teamMatchUI = new TeamMatchUI(container);
+
+  // Room-wide hit/kill feed and streak announcements
+  const killFeed = new KillFeed(container);
+
+  if (mouseInput) {
+    hud.showNotification('Click to enable mouse aim (Esc to release)', 5000);
+  }
+
+  gamepadInput.onConnected = (id, layout) => {
+    hud.showNotification(layout === 'flightStick' ? 'Flight stick connected' : 'Controller connected');
+  };
+  gamepadInput.onDisconnected = () => {
+    hud.showNotification('Controller disconnected');
+  };
 
   // ====== STAGE 18: Tile Streaming Performance Systems ======
 
@@ -411,11 +499,18 @@ function startGame(planeType, planeColor) {
 
   networkManager.setPlaneType(planeType);
   networkManager.setPlaneColor(planeColor);
+  networkManager.setMode(mode);
+  networkManager.setWeapons(weapons);
+  networkManager.setRoom(room);
   networkManager.join();
 
   // Initialize player sync for rendering remote players
   const playerSync = new PlayerSync(scene);
 
+  // Session flight recorder (B saves a replay file for the replay viewer)
+  const flightRecorder = new FlightRecorder(networkManager, CONFIG.replay);
+  flightRecorder.setPilot({ planeType, planeColor, flightModel });
+
   // Store players data for leaderboard
   let playersData = {};
 
@@ -424,9 +519,9 @@ function startGame(planeType, planeColor) {
     hud.updateConnectionStatus(connected, 0);
   };
 
-  networkManager.onPlayersUpdate = (players, count) => {
+  networkManager.onPlayersUpdate = (players, count, outOfRange) => {
     playersData = players;  // Store for leaderboard
-    playerSync.updatePlayers(players);
+    playerSync.updatePlayers(players, outOfRange);
     hud.updateConnectionStatus(true, count);
   };
 
@@ -448,14 +543,55 @@ function startGame(planeType, planeColor) {
     hud.showNotification(`Callsign assigned: ${name}`);
   };
 
+  networkManager.onRoomJoined = (room) => {
+    hud.setRoom(room);
+    // The server paints everyone in a team room in their team's color
+    const team = networkManager.team;
+    aircraft.setColor(team ?? planeColor);
+    teamMatchUI.setTeam(team);
+    combatManager.setBallistic(room.weapons === 'ballistic');
+    if (room.weapons === 'ballistic') {
+      hud.showNotification('Ballistic guns - rounds take time to arrive, so lead your target', 5000);
+    }
+    if (!team) {
+      teamMatchUI.update(null);
+      leaderboard.setMatch(null);
+    } else {
+      hud.showNotification(`Team deathmatch - you're on ${team.toUpperCase()}`, 5000);
+    }
+    if (room.code) {
+      hud.showNotification(`Private room ${room.code} - share the code to invite friends`, 6000);
+    }
+  };
+
   networkManager.onError = (msg) => {
-    if (msg?.code === 'join_rate_limited') {
+    if (msg?.code === 'room_not_found' || msg?.code === 'room_full') {
+      // Fall back to a public room rather than leaving the player alone
+      hud.showNotification(`${msg.message} Joining a public room instead.`, 5000);
+      networkManager.setRoom('public');
+      networkManager.join();
+    } else if (msg?.code === 'join_rate_limited') {
       hud.showNotification('Join rate limited. Please wait and try again.');
+    } else if (msg?.code?.startsWith('chat_')) {
+      chatUI.addSystemMessage(msg.message);
     } else if (msg?.message) {
       hud.showNotification(msg.message);
     }
   };
 
+  networkManager.onAnnouncement = (message) => {
+    hud.showNotification(`Server: ${message}`, 8000);
+  };
+
+  networkManager.onMatchState = (match) => {
+    teamMatchUI.update(match);
+    leaderboard.setMatch(match);
+  };
+
+  networkManager.onChat = (msg, self) => {
+    chatUI.addMessage(msg, self);
+  };
+
   networkManager.onPingUpdate = (ping) => {
     hud.updatePing(ping);
   };
@@ -465,28 +601,202 @@ function startGame(planeType, planeColor) {
 
   // Helper to get all players data including local player for leaderboard
   function getAllPlayersData() {
-    const allPlayers = { ...playersData };
+    // Roster covers players we aren't receiving updates for (out of range)
+    const allPlayers = { ...networkManager.getKnownPlayers(), ...playersData };
     // Add local player
     const myId = networkManager.getPlayerId();
     if (myId) {
-      allPlayers[myId] = { name: networkManager.getPlayerName() };
+      allPlayers[myId] = { name: networkManager.getPlayerName(), team: networkManager.team };
     }
     return allPlayers;
   }
 
   // Wire up combat callbacks
   combatManager.onHit = (targetId, targetName, score) => {
+    if (networkManager.team && networkManager.getTeam(targetId) === networkManager.team) {
+      hud.showNotification(`Friendly fire on ${targetName}!`);
+    }
     hud.showHitNotification(targetName, score);
     hud.updateScore(score);
     leaderboard.update(combatManager.getScores(), getAllPlayersData());
   };
 
-  combatManager.onGotHit = (shooterId, shooterName) => {
+  // Name and team color for the kill feed
+  function describePilot(id) {
+    const player = getAllPlayersData()[id];
+    const team = player?.team ?? null;
+    return {
+      id,
+      name: player?.name || 'Unknown',
+      color: team ? CONFIG.aircraft.colorSwatches[team] ?? null : null,
+      me: id === networkManager.getPlayerId()
+    };
+  }
+
+  combatManager.onAnyHit = (shooterId, targetId, weapon) => {
+    killFeed.addHit(describePilot(shooterId), describePilot(targetId), weapon);
+  };
+
+  combatManager.onAnyKill = (id, killerId, weapon, cause) => {
+    killFeed.addKill(killerId ? describePilot(killerId) : null, describePilot(id), weapon, cause);
+  };
+
+  combatManager.onStreak = (msg) => {
+    killFeed.announce(msg, describePilot(msg.playerId), msg.victimId ? describePilot(msg.victimId) : null);
+  };
+
+  combatManager.onGotHit = (shooterId, shooterName, health) => {
     hud.showGotHitEffect();
+    hud.updateHealth(health, CONFIG.combat.maxHealth);
+  };
+
+  // Destruction / respawn cycle (server decides when we go down and come back)
+  let respawnFallbackTimer = null;
+
+  combatManager.onPlayerDestroyed = (id, killerId, killerName, respawnIn, cause) => {
+    const myId = networkManager.getPlayerId();
+    if (id === myId) {
+      aircraft.alive = false;
+      aircraft.health = 0;
+      aircraft.setVisible(false);
+      hud.updateHealth(0, CONFIG.combat.maxHealth);
+      hud.setTerrainWarning(false);
+      hud.showRespawnCountdown(killerName, respawnIn, cause);
+      checkpointManager.abort('destroyed');
+
+      // Don't leave the player stranded if the respawn message is lost
+      clearTimeout(respawnFallbackTimer);
+      respawnFallbackTimer = setTimeout(() => {
+        if (!aircraft.alive) respawnLocalAircraft(0);
+      }, respawnIn + 5000);
+    } else if (killerId === myId) {
+      const victim = playerSync.getPlayer(id);
+      hud.showNotification(`You shot down ${victim?.playerName || 'Unknown'}!`);
+    }
+  };
+
+  combatManager.onPlayerRespawned = (id, protectedFor) => {
+    if (id === networkManager.getPlayerId()) {
+      respawnLocalAircraft(protectedFor);
+    }
+  };
+
+  function respawnLocalAircraft(protectedFor) {
+    clearTimeout(respawnFallbackTimer);
+    respawnFallbackTimer = null;
+
+    const spawnPoints = CONFIG.combat.spawnPoints;
+    const spawn = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
+    aircraft.teleportTo(
+      new THREE.Vector3(spawn.position.x, spawn.position.y, spawn.position.z),
+      new THREE.Vector3(spawn.lookAt.x, spawn.lookAt.y, spawn.lookAt.z),
+      CONFIG.physics.startSpeed
+    );
+    aircraft.alive = true;
+    aircraft.health = CONFIG.combat.maxHealth;
+    aircraft.setVisible(true);
+    physicsAccumulator = 0;
+    terrainCollision.reset();
+
+    hud.hideRespawnCountdown();
+    hud.updateHealth(aircraft.health, CONFIG.combat.maxHealth);
+    if (protectedFor > 0) {
+      hud.showNotification(`Spawn protection: ${Math.round(protectedFor / 1000)}s`);
+    }
+  }
+
+  // Terrain/building collision against the streamed tiles
+  const terrainCollision = new TerrainCollision(tilesRenderer.group);
+  const previousPosition = new THREE.Vector3();
+
+  terrainCollision.onCrash = (hit) => {
+    if (!aircraft.alive) return;
+    console.log(`[Collision] Crashed into terrain at ${hit.point.x.toFixed(0)}, ${hit.point.y.toFixed(0)}, ${hit.point.z.toFixed(0)}`);
+    aircraft.position.copy(hit.point);
+    combatManager.reportCrash(hit.point);
+    // Go down right away; the server's player_destroyed confirms it
+    combatManager.onPlayerDestroyed(
+      networkManager.getPlayerId(),
+      null,
+      null,
+      CONFIG.combat.respawnDelay,
+      'crash'
+    );
+  };
+
+  // Checkpoint races (timed locally - the server only approves the teleport)
+  const checkpointManager = new CheckpointManager(scene);
+  const ghostManager = new GhostManager(scene);
+  const raceUI = new RaceUI(container, ghostManager);
+
+  /**
+   * Put the aircraft on the run-up to a route's start gate
+   * @param {string} routeId
+   */
+  function teleportToRaceStart(routeId) {
+    const gates = CheckpointManager.getGates(routeId);
+    const start = CheckpointManager.getStartPose(gates);
+    aircraft.teleportTo(start.position, start.lookAt, CONFIG.race?.startSpeed ?? CONFIG.physics.startSpeed);
+    previousPosition.copy(aircraft.position);
+    physicsAccumulator = 0;
+    terrainCollision.reset();
+    cameraController.initializePosition();
+    mouseInput?.resetAim();
+  }
+
+  /**
+   * Set up a route and put the aircraft at its start
+   * @param {string} routeId
+   */
+  function startRace(routeId) {
+    if (!aircraft.alive) return;
+    if (checkpointManager.start(routeId)) {
+      teleportToRaceStart(routeId);
+      ghostManager.prepare(routeId);
+    }
+  }
+
+  raceUI.onStartRoute = (routeId) => {
+    if (!aircraft.alive) {
+      hud.showNotification('Wait for respawn to start a race');
+      return;
+    }
+    // Online the server approves the teleport first (it refuses mid-fight)
+    if (networkManager.isConnected()) {
+      networkManager.requestRaceStart(routeId);
+    } else {
+      startRace(routeId);
+    }
+  };
+  networkManager.onRaceStart = (routeId) => startRace(routeId);
+  raceUI.onAbort = () => checkpointManager.abort('abandoned');
+
+  checkpointManager.onGatePassed = (info) => {
+    if (info.index === 0) {
+      ghostManager.start({
+        routeId: checkpointManager.routeId,
+        pilot: networkManager.getPlayerName(),
+        planeType,
+        planeColor
+      });
+    }
+    raceUI.showSplit(info);
+    combatManager.soundManager.playHit?.();
+  };
+  checkpointManager.onFinished = (result) => {
+    raceUI.showFinish({ ...result, ghost: ghostManager.finish(result) });
+  };
+  checkpointManager.onAborted = (reason) => {
+    ghostManager.cancel();
+    raceUI.updatePanel(null);
+    hud.showNotification(reason === 'destroyed' ? 'Race over - aircraft destroyed' : 'Race abandoned');
   };
 
   // Initialize leaderboard
   const leaderboard = new Leaderboard(container, networkManager);
+  networkManager.onLeaderboard = (board) => {
+    leaderboard.setHistory(board);
+  };
 
   // Wire up sound toggle
   hud.onSoundToggle = () => {
@@ -503,6 +813,12 @@ function startGame(planeType, planeColor) {
   const maxSubSteps = CONFIG.physics?.maxSubSteps ?? 5;
   let physicsAccumulator = 0;
   let viewTogglePressed = false;
+  let raceMenuPressed = false;
+  let saveReplayPressed = false;
+  let missilePressed = false;
+  let flaresPressed = false;
+  let cycleTargetPressed = false;
+  let reloadPressed = false;
 
   // Main update callback
   function update(deltaTime) {
@@ -511,11 +827,16 @@ function startGame(planeType, planeColor) {
     const input = inputHandler.getState();
 
     // 2. Fixed timestep physics update
+    previousPosition.copy(aircraft.position);
     physicsAccumulator += deltaTime;
     let subSteps = 0;
     while (physicsAccumulator >= fixedStep && subSteps < maxSubSteps) {
-      updatePhysics(aircraft, input, fixedStep);
+      // Wreckage doesn't fly - hold position until respawn
+      if (aircraft.alive) {
+        updatePhysics(aircraft, input, fixedStep);
+      }
       physicsAccumulator -= fixedStep;
+      flightRecorder.recordStep(aircraft, physicsAccumulator * 1000);
       subSteps += 1;
     }
     if (subSteps === maxSubSteps) {
@@ -523,11 +844,63 @@ function startGame(planeType, planeColor) {
       physicsAccumulator = 0;
     }
 
+    // 2.5 Terrain collision along the path flown this frame
+    terrainCollision.update(aircraft, previousPosition);
+
+    // Mouse aim point stays put in the world while the nose swings toward it
+    mouseInput?.trackAircraft(aircraft.forward);
+
+    // 2.6 Race gates along the same path
+    if (aircraft.alive) {
+      checkpointManager.update(previousPosition, aircraft.position);
+      if (checkpointManager.getProgress()?.started) {
+        ghostManager.record(aircraft, checkpointManager.getElapsed());
+      }
+    }
+    ghostManager.update(deltaTime);
+    raceUI.updatePanel(checkpointManager.getProgress());
+
+    const raceMenuActive = keyboardInput.isActionActive('raceMenu');
+    if (raceMenuActive && !raceMenuPressed) {
+      raceUI.toggleMenu(checkpointManager.isActive());
+    }
+    raceMenuPressed = raceMenuActive;
+
+    const saveReplayActive = keyboardInput.isActionActive('saveReplay');
+    if (saveReplayActive && !saveReplayPressed) {
+      hud.showNotification(flightRecorder.download() ? 'Flight recording saved' : 'Nothing recorded yet');
+    }
+    saveReplayPressed = saveReplayActive;
+
     // 3. Check for firing (after input update)
     if (inputHandler.isFiring()) {
       combatManager.fire();
     }
 
+    const missileActive = inputHandler.isMissileActive();
+    if (missileActive && !missilePressed) {
+      combatManager.missiles.launch();
+    }
+    missilePressed = missileActive;
+
+    const flaresActive = inputHandler.isFlaresActive();
+    if (flaresActive && !flaresPressed) {
+      combatManager.missiles.dropFlares();
+    }
+    flaresPressed = flaresActive;
+
+    const cycleTargetActive = inputHandler.isCycleTargetActive();
+    if (cycleTargetActive && !cycleTargetPressed) {
+      gunsight.cycle(aircraft, combatManager.getEnemies());
+    }
+    cycleTargetPressed = cycleTargetActive;
+
+    const reloadActive = inputHandler.isReloadActive();
+    if (reloadActive && !reloadPressed) {
+      combatManager.reload();
+    }
+    reloadPressed = reloadActive;
+
     // 4. Send local position to server (throttled to 10Hz internally)
     networkManager.sendPosition(aircraft);
 
@@ -538,7 +911,7 @@ function startGame(planeType, planeColor) {
     combatManager.update(deltaTime);
 
     // 6.5 Toggle cockpit view
-    const viewToggleActive = keyboardInput.isActionActive('viewToggle');
+    const viewToggleActive = inputHandler.isViewToggleActive();
     if (viewToggleActive && !viewTogglePressed) {
       cameraController.toggleMode();
     }
@@ -569,10 +942,26 @@ function startGame(planeType, planeColor) {
     }
 
     // 8. Update HUD
-    hud.update(aircraft.getSpeed(), aircraft.getAltitude());
+    const agl = terrainCollision.heightAboveGround;
+    hud.update(aircraft.getSpeed(), aircraft.getAltitude(), agl);
+    hud.setTerrainWarning(aircraft.alive && terrainCollision.terrainAhead !== null);
+    const gun = combatManager.getGunState();
     cockpitOverlay.setVisible(inCockpit);
-    cockpitOverlay.update(aircraft.getSpeed(), aircraft.getAltitude(), aircraft.throttle ?? 0);
+    cockpitOverlay.update(aircraft.getSpeed(), aircraft.getAltitude(), aircraft.throttle ?? 0, agl);
+    cockpitOverlay.updateGun(gun);
     hud.updateCrosshair(camera, aircraft, THREE);
+    gunsight.update(camera, aircraft, combatManager.getEnemies(), (target) => combatManager.getLead(target));
+    hud.updateLockBox(camera, combatManager.missiles.getLockState());
+    hud.setMissileWarning(aircraft.alive ? combatManager.missiles.getWarning() : null);
+    hud.updateWeapons(combatManager.missiles.missilesLeft, combatManager.missiles.flaresLeft);
+    hud.updateGun(gun);
+    if (mouseInput) {
+      hud.updateMouseAimReticle(
+        mouseInput.getAimOffsetDegrees(),
+        mouseInput.isPointerLocked(),
+        inputHandler.isKeyboardSteering()
+      );
+    }
     hud.updateFlightStats(aircraft, CONFIG.debug.showFlightStats);
 
     // 9. Update leaderboard periodically (every 500ms, not every frame)
@@ -617,3 +1006,62 @@ function startGame(planeType, planeColor) {
   gameLoop.addCallback(update);
   gameLoop.start();
 }
+
+/**
+ * Play back a flight recording - no aircraft control and no server connection
+ * @param {Object} replay - From FlightRecorder.parse
+ */
+function startReplay(replay) {
+  console.log(`[Replay] Playing ${replay.pilot.name}'s recording (${Math.round((replay.end - replay.start) / 1000)}s)`);
+
+  // The entry screen connects for a callsign - replays don't need the server
+  networkManager.disconnect();
+
+  const container = document.getElementById('container');
+  setupResizeHandler(camera, renderer);
+  createAttribution();
+
+  const replayPlayer = new ReplayPlayer(scene, replay);
+
+  // Start in a chase view of the recorded pilot
+  const freeCamera = new FreeCamera(camera, renderer.domElement, { speed: CONFIG.replay?.freeCameraSpeed });
+  camera.position.copy(replayPlayer.pilot.position).add(new THREE.Vector3(0, 30, 80));
+  freeCamera.follow(replayPlayer.pilot);
+
+  const replayUI = new ReplayUI(container, {
+    speeds: CONFIG.replay?.speeds,
+    seekStep: CONFIG.replay?.seekStep,
+    title: `${replay.pilot.name} - ${new Date(replay.recordedAt).toLocaleString()}`
+  });
+  replayUI.onTogglePlay = () => replayPlayer.togglePlay();
+  replayUI.onSeek = (position) => replayPlayer.seek(replay.start + position);
+  replayUI.onSkip = (delta) => replayPlayer.seek(replayPlayer.time + delta);
+  replayUI.onSpeed = (speed) => replayPlayer.setSpeed(speed);
+  replayUI.onFollow = () => {
+    if (freeCamera.isFollowing()) {
+      freeCamera.stopFollowing();
+    } else {
+      freeCamera.follow(replayPlayer.pilot);
+    }
+  };
+  replayUI.onExit = () => window.location.reload();
+
+  const gameLoop = new GameLoop();
+  gameLoop.addCallback((deltaTime) => {
+    replayPlayer.update(deltaTime);
+    freeCamera.update(deltaTime);
+    replayUI.update({
+      position: replayPlayer.getPosition(),
+      duration: replayPlayer.getDuration(),
+      playing: replayPlayer.playing,
+      speed: replayPlayer.speed,
+      following: freeCamera.isFollowing()
+    });
+
+    // CRITICAL ORDER - camera matrix MUST update BEFORE tiles
+    camera.updateMatrixWorld();
+    tilesRenderer.update();
+    renderer.render(scene, camera);
+  });
+  gameLoop.start();
+}
@@ -1,8 +1,17 @@
+import * as THREE from 'three';
+
+// Scratch quaternions for slerp (avoid per-frame allocations)
+const _qOlder = new THREE.Quaternion();
+const _qNewer = new THREE.Quaternion();
+
 /**
  * PositionBuffer - buffers position updates for smooth interpolation
  *
  * Renders slightly in the past to always have two points to interpolate between,
  * eliminating jitter caused by network timing variations.
+ *
+ * Orientation is slerped when both samples carry a quaternion (needed for
+ * aerobatic attitudes); otherwise the Euler angles are lerped as before.
  */
 export class PositionBuffer {
   /**
@@ -10,17 +19,18 @@ export class PositionBuffer {
    */
   constructor(bufferSize = 4) {
     this.bufferSize = bufferSize;
-    this.buffer = [];  // Array of { position, rotation, velocity, timestamp }
+    this.buffer = [];  // Array of { position, rotation, quaternion, velocity, timestamp }
   }
 
   /**
    * Add a new position update to the buffer
-   * @param {Object} state - { position, rotation, velocity, timestamp }
+   * @param {Object} state - { position, rotation, quaternion?, velocity, timestamp }
    */
   push(state) {
     this.buffer.push({
       position: { ...state.position },
       rotation: { ...state.rotation },
+      quaternion: state.quaternion ? { ...state.quaternion } : null,
       velocity: state.velocity ? { ...state.velocity } : { x: 0, y: 0, z: 0 },
       timestamp: state.timestamp || Date.now()
     });
@@ -35,9 +45,10 @@ export class PositionBuffer {
    * Get interpolated state at current render time
    * Renders slightly in the past to have two points to interpolate between
    * @param {number} renderDelay - How far in the past to render (ms)
+   * @param {number} now - Current time on the timestamps' clock (replays run their own)
    * @returns {Object|null} Interpolated state or null if buffer empty
    */
-  getInterpolatedState(renderDelay = 100) {
+  getInterpolatedState(renderDelay = 100, now = Date.now()) {
     if (this.buffer.length === 0) {
       return null;
     }
@@ -47,7 +58,7 @@ export class PositionBuffer {
     }
 
     // Render time is slightly in the past
-    const renderTime = Date.now() - renderDelay;
+    const renderTime = now - renderDelay;
 
     // Find the two states to interpolate between
     let older = null;
@@ -78,6 +89,7 @@ export class PositionBuffer {
             z: latest.position.z + latest.velocity.z * dt
           },
           rotation: latest.rotation,
+          quaternion: latest.quaternion,
           velocity: latest.velocity,
           timestamp: renderTime
         };
@@ -111,6 +123,7 @@ export class PositionBuffer {
         y: this.lerpAngle(older.rotation.y, newer.rotation.y, clampedT),
         z: this.lerpAngle(older.rotation.z, newer.rotation.z, clampedT)
       },
+      quaternion: this.slerp(older.quaternion, newer.quaternion, clampedT),
       velocity: newer.velocity,
       timestamp: renderTime
     };
@@ -134,15 +147,29 @@ export class PositionBuffer {
     return a + delta * t;
   }
 
+  /**
+   * Spherical interpolation between two { x, y, z, w } quaternions
+   * @returns {Object|null} Interpolated quaternion, or null unless both are present
+   */
+  slerp(a, b, t) {
+    if (!a || !b) return null;
+    _qOlder.set(a.x, a.y, a.z, a.w);
+    _qNewer.set(b.x, b.y, b.z, b.w);
+    // slerp takes the shortest arc, so q and -q don't spin the long way round
+    _qOlder.slerp(_qNewer, t);
+    return { x: _qOlder.x, y: _qOlder.y, z: _qOlder.z, w: _qOlder.w };
+  }
+
   /**
    * Check if buffer has recent data
    * @param {number} maxAge - Maximum age in milliseconds
+   * @param {number} now - Current time on the timestamps' clock
    * @returns {boolean}
    */
-  hasRecentData(maxAge = 2000) {
+  hasRecentData(maxAge = 2000, now = Date.now()) {
     if (this.buffer.length === 0) return false;
     const latest = this.buffer[this.buffer.length - 1];
-    return Date.now() - latest.timestamp < maxAge;
+    return now - latest.timestamp < maxAge;
   }
 
   /**
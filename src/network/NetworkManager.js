@@ -5,9 +5,40 @@
  * - Auto-connect on initialization
  * - Auto-reconnect with exponential backoff
  * - Throttled position updates (10Hz)
- * - Persistent player ID (localStorage)
+ * - Persistent player ID (localStorage) with lifetime stats kept by the server
  * - Visibility change handling (reconnect when tab becomes visible)
+ * - Rooms (public auto-fill or private by code; rejoins the same room)
+ * - Binary protocol for high-frequency messages, negotiated on join
+ * - Interest-managed snapshots (distant players arrive less often or not at all)
+ * - Room chat, with chat blocks re-sent on every join
+ * - Team deathmatch rooms (team assignment, team scores and rounds)
  */
+
+// Binary protocol versions this client can speak (mirrors server/protocol.js)
+const PROTOCOL_VERSIONS = [1, 2];
+
+const MessageType = {
+  POSITION: 1,
+  PLAYERS: 2,
+  SHOOT: 3,
+  PLAYER_SHOOT: 4,
+  HIT_CONFIRMED: 5
+};
+
+// Weapons a hit can come from (HIT_CONFIRMED weapon byte)
+const HIT_WEAPONS = ['gun', 'missile'];
+
+// Quantization (see server/protocol.js for the frame layouts)
+const POSITION_SCALE = 100;
+const ANGLE_SCALE = 32767 / Math.PI;
+const VELOCITY_SCALE = 10;
+const DIRECTION_SCALE = 32767;
+const QUATERNION_SCALE = 32767;
+const PLAYERS_HEADER_SIZE = 14;
+const PLAYER_ENTRY_SIZE = 33;
+const QUATERNION_SIZE = 8;  // v2+: orientation quaternion after position/entry fields
+const SUMMARY_ENTRY_SIZE = 5;
+
 export class NetworkManager {
   /**
    * @param {string} url - WebSocket server URL (ws:// or wss://)
@@ -29,11 +60,27 @@ export class NetworkManager {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000;
+    this.stopped = false;  // Set by disconnect() - no automatic reconnects
 
     // Aircraft customization
     this.planeType = 'f16';
     this.planeColor = 'red';
 
+    // Room request for the next join ('public', 'new', or a room code).
+    // Set to the joined room's id so reconnects land back in the same room.
+    this.room = 'public';
+    this.roomInfo = null; // { id, type, mode, weapons, code, maxPlayers } from join_accepted
+    this.mode = 'ffa';    // Mode for new rooms: 'ffa' or 'teams'
+    this.weapons = 'hitscan';  // Guns for new rooms: 'hitscan' or 'ballistic'
+    this.team = null;     // Our team in a team room
+    this.match = null;    // Latest team match state (join_accepted / match_state)
+    this.profile = null;  // Lifetime stats for this player ID (profile / join_accepted)
+    this.chatBlocked = new Set();  // Player IDs we never exchange chat with
+
+    // Negotiated binary protocol version (0 = JSON) and slot -> player identity
+    this.protocolVersion = 0;
+    this.roster = new Map();
+
     // Callbacks (set by consumer)
     this.onPlayersUpdate = null;
     this.onPlayerJoined = null;
@@ -42,6 +89,13 @@ export class NetworkManager {
     this.onPingUpdate = null;
     this.onNameUpdate = null;
     this.onError = null;
+    this.onRoomJoined = null;
+    this.onProfile = null;
+    this.onLeaderboard = null;
+    this.onAnnouncement = null;
+    this.onChat = null;
+    this.onMatchState = null;
+    this.onRaceStart = null;
 
     // Position send throttling (10Hz = 100ms intervals)
     this.lastSendTime = 0;
@@ -54,7 +108,7 @@ export class NetworkManager {
 
     // Handle visibility change (reconnect when tab becomes visible)
     document.addEventListener('visibilitychange', () => {
-      if (document.visibilityState === 'visible' && !this.connected) {
+      if (document.visibilityState === 'visible' && !this.connected && !this.stopped) {
         console.log('[Network] Tab visible, reconnecting...');
         this.connect();
       }
@@ -90,10 +144,12 @@ export class NetworkManager {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       return; // Already connected
     }
+    this.stopped = false;
 
     try {
       console.log('[Network] Connecting to', this.url);
       this.ws = new WebSocket(this.url);
+      this.ws.binaryType = 'arraybuffer';
 
       this.ws.onopen = () => {
         console.log('[Network] Connected to game server');
@@ -103,6 +159,9 @@ export class NetworkManager {
 
         if (this.autoJoin || this.pendingJoin || this.shouldRejoin) {
           this.join();
+        } else {
+          // Entry screen pilot card - join_accepted carries the stats otherwise
+          this.send({ type: 'profile_request', id: this.playerId });
         }
 
         // Start keepalive ping every 30 seconds
@@ -111,8 +170,12 @@ export class NetworkManager {
 
       this.ws.onmessage = (event) => {
         try {
-          const msg = JSON.parse(event.data);
-          this.handleMessage(msg);
+          const msg = event.data instanceof ArrayBuffer
+            ? this.decodeBinary(event.data)
+            : JSON.parse(event.data);
+          if (msg) {
+            this.handleMessage(msg);
+          }
         } catch (e) {
           console.error('[Network] Failed to parse message:', e);
         }
@@ -121,8 +184,16 @@ export class NetworkManager {
       this.ws.onclose = (event) => {
         console.log('[Network] Disconnected:', event.code, event.reason || '');
         this.connected = false;
+        // The server forgets us on disconnect - allow the rejoin on reconnect
+        this.hasJoined = false;
+        this.protocolVersion = 0;
+        this.roster.clear();
         this.onConnectionChange?.(false);
         this.stopPingInterval();
+        // Kicked (4000) or banned (4001) - stay disconnected until the page is reloaded
+        if (event.code === 4000 || event.code === 4001) {
+          this.stopped = true;
+        }
         this.scheduleReconnect();
       };
 
@@ -142,13 +213,24 @@ export class NetworkManager {
   handleMessage(msg) {
     switch (msg.type) {
       case 'players':
-        // Remove self from players list before passing to callback
+        // Remove self from players list before passing to callback.
+        // Players missing from the snapshot haven't left - they're either
+        // skipped this tick (reduced rate) or listed in `far` (out of range).
         const otherPlayers = { ...msg.players };
         delete otherPlayers[this.playerId];
-        this.onPlayersUpdate?.(otherPlayers, msg.count);
+        this.onPlayersUpdate?.(otherPlayers, msg.count, msg.far || []);
         break;
 
       case 'player_joined':
+        if (typeof msg.slot === 'number') {
+          this.roster.set(msg.slot, {
+            id: msg.id,
+            name: msg.name,
+            planeType: msg.planeType,
+            planeColor: msg.planeColor,
+            team: msg.team ?? null
+          });
+        }
         if (msg.id !== this.playerId) {
           console.log('[Network] Player joined:', msg.name);
           this.onPlayerJoined?.(msg.id, msg.name);
@@ -156,6 +238,9 @@ export class NetworkManager {
         break;
 
       case 'player_left':
+        for (const [slot, entry] of this.roster) {
+          if (entry.id === msg.id) this.roster.delete(slot);
+        }
         console.log('[Network] Player left:', msg.id);
         this.onPlayerLeft?.(msg.id);
         break;
@@ -173,10 +258,69 @@ export class NetworkManager {
           this.playerName = msg.name;
           this.onNameUpdate?.(msg.name);
           console.log('[Network] Assigned callsign:', msg.name);
+        }
+        this.protocolVersion = msg.protocol || 0;
+        this.roster.clear();
+        for (const entry of msg.roster || []) {
+          this.roster.set(entry.slot, entry);
+        }
+        if (this.protocolVersion) {
+          console.log('[Network] Using binary protocol v' + this.protocolVersion);
         }
+        if (msg.profile) {
+          this.profile = msg.profile;
+          this.onProfile?.(msg.profile);
+        }
+        this.team = msg.team ?? null;
+        this.match = msg.match ?? null;
+        if (msg.room) {
+          this.roomInfo = msg.room;
+          this.room = msg.room.id;
+          console.log('[Network] Joined room:', msg.room.id);
+          this.onRoomJoined?.(msg.room);
+        }
+        if (this.match) {
+          this.onMatchState?.({ event: 'join', ...this.match });
+        }
+        break;
+
+      case 'match_state':
+        this.match = msg;
+        this.onMatchState?.(msg);
+        break;
+
+      case 'profile':
+        this.profile = msg.profile || null;
+        this.onProfile?.(this.profile);
+        break;
+
+      case 'leaderboard':
+        this.onLeaderboard?.(msg);
+        break;
+
+      case 'race_start':
+        if (typeof msg.routeId === 'string') {
+          this.onRaceStart?.(msg.routeId);
+        }
+        break;
+
+      case 'chat':
+        if (typeof msg.text === 'string') {
+          this.onChat?.(msg, msg.id === this.playerId);
+        }
+        break;
+
+      case 'announcement':
+        if (typeof msg.message === 'string') {
+          this.onAnnouncement?.(msg.message);
+        }
         break;
 
       case 'error':
+        // Rejected room requests leave us un-joined so join() can be retried
+        if (msg.code === 'room_not_found' || msg.code === 'room_full') {
+          this.hasJoined = false;
+        }
         this.onError?.(msg);
         break;
 
@@ -188,6 +332,19 @@ export class NetworkManager {
         }
         break;
 
+      // Combat messages - CombatManager and MissileManager wrap handleMessage
+      case 'player_shoot':
+      case 'hit_confirmed':
+      case 'player_destroyed':
+      case 'player_respawned':
+      case 'gun_state':
+      case 'streak':
+      case 'lock_warning':
+      case 'missile_launched':
+      case 'missile_detonated':
+      case 'flares':
+        break;
+
       default:
         console.log('[Network] Unknown message type:', msg.type);
     }
@@ -198,7 +355,143 @@ export class NetworkManager {
    */
   send(msg) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(msg));
+      const binary = this.protocolVersion ? this.encodeBinary(msg) : null;
+      this.ws.send(binary || JSON.stringify(msg));
+    }
+  }
+
+  /**
+   * Encode an outgoing message as a binary frame, if it has a binary form
+   * @param {Object} msg
+   * @returns {ArrayBuffer|null}
+   */
+  encodeBinary(msg) {
+    if (msg.type === 'position') {
+      const withQuaternion = this.protocolVersion >= 2 && msg.quaternion;
+      const view = new DataView(new ArrayBuffer(withQuaternion ? 39 + QUATERNION_SIZE : 39));
+      view.setUint8(0, this.protocolVersion);
+      view.setUint8(1, MessageType.POSITION);
+      writeVector(view, 2, msg.position, POSITION_SCALE, 'int32');
+      writeVector(view, 14, {
+        x: wrapAngle(msg.rotation.x),
+        y: wrapAngle(msg.rotation.y),
+        z: wrapAngle(msg.rotation.z)
+      }, ANGLE_SCALE);
+      writeVector(view, 20, msg.velocity, VELOCITY_SCALE);
+      view.setInt16(26, clampInt16(msg.speed * VELOCITY_SCALE), true);
+      view.setInt16(28, clampInt16(msg.verticalSpeed * VELOCITY_SCALE), true);
+      view.setUint8(30, Math.round(Math.max(0, Math.min(1, msg.throttle ?? 0)) * 255));
+      view.setFloat64(31, msg.timestamp, true);
+      if (withQuaternion) {
+        writeQuaternion(view, 39, msg.quaternion);
+      }
+      return view.buffer;
+    }
+
+    if (msg.type === 'shoot') {
+      const view = new DataView(new ArrayBuffer(32));
+      view.setUint8(0, this.protocolVersion);
+      view.setUint8(1, MessageType.SHOOT);
+      view.setUint32(2, msg.shotId >>> 0, true);
+      writeVector(view, 6, msg.position, POSITION_SCALE, 'int32');
+      writeVector(view, 18, msg.direction, DIRECTION_SCALE);
+      view.setFloat64(24, msg.timestamp, true);
+      return view.buffer;
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode a binary frame from the server into the equivalent JSON message
+   * @param {ArrayBuffer} buffer
+   * @returns {Object|null} Message, or null if it can't be decoded
+   */
+  decodeBinary(buffer) {
+    if (buffer.byteLength < 2) return null;
+    const view = new DataView(buffer);
+    const version = view.getUint8(0);
+    if (!PROTOCOL_VERSIONS.includes(version)) return null;
+
+    switch (view.getUint8(1)) {
+      case MessageType.PLAYERS: {
+        const timestamp = view.getFloat64(2, true);
+        const count = view.getUint16(10, true);
+        const entries = view.getUint16(12, true);
+        const entrySize = version >= 2 ? PLAYER_ENTRY_SIZE + QUATERNION_SIZE : PLAYER_ENTRY_SIZE;
+        const players = {};
+        const scores = {};
+
+        for (let i = 0; i < entries; i++) {
+          const offset = PLAYERS_HEADER_SIZE + i * entrySize;
+          const identity = this.roster.get(view.getUint16(offset, true));
+          if (!identity) continue;
+
+          const flags = view.getUint8(offset + 28);
+          players[identity.id] = {
+            name: identity.name,
+            planeType: identity.planeType,
+            planeColor: identity.planeColor,
+            team: identity.team ?? null,
+            position: readVector(view, offset + 2, POSITION_SCALE, 'int32'),
+            rotation: readVector(view, offset + 14, ANGLE_SCALE),
+            quaternion: (flags & 4) !== 0 ? readQuaternion(view, offset + PLAYER_ENTRY_SIZE) : null,
+            velocity: readVector(view, offset + 20, VELOCITY_SCALE),
+            throttle: view.getUint8(offset + 26) / 255,
+            health: view.getUint8(offset + 27),
+            alive: (flags & 1) !== 0,
+            protected: (flags & 2) !== 0,
+            lastUpdate: timestamp - view.getUint16(offset + 31, true)
+          };
+          scores[identity.id] = view.getUint16(offset + 29, true);
+        }
+
+        // Summary of players without an entry this tick (scores + out-of-range flag)
+        const far = [];
+        let offset = PLAYERS_HEADER_SIZE + entries * entrySize;
+        const summaryCount = buffer.byteLength >= offset + 2 ? view.getUint16(offset, true) : 0;
+        offset += 2;
+        for (let i = 0; i < summaryCount && offset + SUMMARY_ENTRY_SIZE <= buffer.byteLength; i++) {
+          const identity = this.roster.get(view.getUint16(offset, true));
+          if (identity) {
+            scores[identity.id] = view.getUint16(offset + 2, true);
+            if (view.getUint8(offset + 4)) far.push(identity.id);
+          }
+          offset += SUMMARY_ENTRY_SIZE;
+        }
+        return { type: 'players', players, scores, far, count, timestamp };
+      }
+
+      case MessageType.PLAYER_SHOOT: {
+        const shooter = this.roster.get(view.getUint16(2, true));
+        if (!shooter) return null;
+        return {
+          type: 'player_shoot',
+          shooterId: shooter.id,
+          position: readVector(view, 4, POSITION_SCALE, 'int32'),
+          direction: readVector(view, 16, DIRECTION_SCALE),
+          timestamp: view.getFloat64(22, true)
+        };
+      }
+
+      case MessageType.HIT_CONFIRMED: {
+        const shooter = this.roster.get(view.getUint16(2, true));
+        const target = this.roster.get(view.getUint16(4, true));
+        if (!shooter || !target) return null;
+        return {
+          type: 'hit_confirmed',
+          shooterId: shooter.id,
+          targetId: target.id,
+          shooterScore: view.getUint16(6, true),
+          targetHealth: view.getUint8(8),
+          timestamp: view.getFloat64(9, true),
+          weapon: buffer.byteLength >= 18 ? (HIT_WEAPONS[view.getUint8(17)] ?? 'gun') : 'gun'
+        };
+      }
+
+      default:
+        console.log('[Network] Unknown binary message type:', view.getUint8(1));
+        return null;
     }
   }
 
@@ -218,7 +511,13 @@ export class NetworkManager {
       type: 'join',
       id: this.playerId,
       planeType: this.planeType,
-      planeColor: this.planeColor
+      planeColor: this.planeColor,
+      room: this.room,
+      mode: this.mode,
+      weapons: this.weapons,
+      binary: PROTOCOL_VERSIONS,
+      interest: true,
+      blocked: [...this.chatBlocked]
     });
   }
 
@@ -246,6 +545,13 @@ export class NetworkManager {
         y: aircraft.rotation.y,
         z: aircraft.rotation.z
       },
+      // Full orientation - the Euler angles above flip through the vertical in aerobatic flight
+      quaternion: aircraft.quaternion ? {
+        x: aircraft.quaternion.x,
+        y: aircraft.quaternion.y,
+        z: aircraft.quaternion.z,
+        w: aircraft.quaternion.w
+      } : undefined,
       velocity: {
         x: aircraft.velocity.x,
         y: aircraft.velocity.y,
@@ -262,6 +568,7 @@ export class NetworkManager {
    * Schedule reconnection attempt with exponential backoff
    */
   scheduleReconnect() {
+    if (this.stopped) return;
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('[Network] Max reconnection attempts reached');
       return;
@@ -276,7 +583,7 @@ export class NetworkManager {
     console.log(`[Network] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
 
     setTimeout(() => {
-      if (!this.connected) {
+      if (!this.connected && !this.stopped) {
         this.connect();
       }
     }, delay);
@@ -314,7 +621,8 @@ export class NetworkManager {
   measurePing() {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.pingSentTime = Date.now();
-      this.send({ type: 'ping' });
+      // Report last RTT so the server can lag-compensate our hits
+      this.send({ type: 'ping', rtt: this.lastPing });
     }
   }
 
@@ -346,6 +654,74 @@ export class NetworkManager {
     return this.playerName;
   }
 
+  /**
+   * Names of every player in the room, including ones out of interest range
+   * @returns {Object} Map of playerId -> { name, team }
+   */
+  getKnownPlayers() {
+    const players = {};
+    for (const entry of this.roster.values()) {
+      players[entry.id] = { name: entry.name, team: entry.team ?? null };
+    }
+    return players;
+  }
+
+  /**
+   * A player's team in a team room
+   * @param {string} playerId
+   * @returns {string|null}
+   */
+  getTeam(playerId) {
+    if (playerId === this.playerId) return this.team;
+    for (const entry of this.roster.values()) {
+      if (entry.id === playerId) return entry.team ?? null;
+    }
+    return null;
+  }
+
+  /**
+   * Ask the server for a historical leaderboard (answered via onLeaderboard)
+   * @param {string} period - 'daily', 'weekly' or 'alltime'
+   * @param {string} metric - 'hits' or 'hpm' (hits per minute flown)
+   */
+  requestLeaderboard(period, metric) {
+    this.send({ type: 'leaderboard_request', period, metric });
+  }
+
+  /**
+   * Ask to teleport to a race route's start (answered via onRaceStart, or a
+   * race_refused error while in a fight)
+   * @param {string} routeId
+   */
+  requestRaceStart(routeId) {
+    this.send({ type: 'race_start', routeId });
+  }
+
+  /**
+   * Send a chat message to the room (echoed back via onChat once filtered)
+   * @param {string} text
+   */
+  sendChat(text) {
+    this.send({ type: 'chat', text });
+  }
+
+  /**
+   * Block or unblock chat with a player. Blocks are kept here and sent with
+   * every join, so they survive reconnects.
+   * @param {string} playerId
+   * @param {boolean} blocked
+   */
+  setChatBlocked(playerId, blocked) {
+    if (blocked) {
+      this.chatBlocked.add(playerId);
+    } else {
+      this.chatBlocked.delete(playerId);
+    }
+    if (this.hasJoined) {
+      this.send({ type: 'chat_block', id: playerId, blocked });
+    }
+  }
+
   /**
    * Set plane type
    * @param {string} planeType - Aircraft type ('f16', 'f22', 'f18', 'cessna')
@@ -388,10 +764,45 @@ export class NetworkManager {
     return this.planeColor;
   }
 
+  /**
+   * Set the mode of the room to find or create on the next join (joining
+   * by code takes the room's own mode)
+   * @param {'ffa'|'teams'} mode
+   */
+  setMode(mode) {
+    this.mode = mode === 'teams' ? 'teams' : 'ffa';
+  }
+
+  /**
+   * Set the guns of the room to find or create on the next join (joining
+   * by code takes the room's own guns)
+   * @param {'hitscan'|'ballistic'} weapons
+   */
+  setWeapons(weapons) {
+    this.weapons = weapons === 'ballistic' ? 'ballistic' : 'hitscan';
+  }
+
+  /**
+   * Set the room to request on the next join
+   * @param {string|null} room - 'public', 'new' (create private), or a room code
+   */
+  setRoom(room) {
+    this.room = room || 'public';
+  }
+
+  /**
+   * Get the room joined most recently
+   * @returns {{id: string, type: string, code: string|null, maxPlayers: number}|null}
+   */
+  getRoom() {
+    return this.roomInfo;
+  }
+
   /**
    * Disconnect from server
    */
   disconnect() {
+    this.stopped = true;
     this.stopPingInterval();
     if (this.ws) {
       this.ws.close();
@@ -402,3 +813,67 @@ export class NetworkManager {
     this.pendingJoin = false;
   }
 }
+
+function clampInt16(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value || 0)));
+}
+
+function wrapAngle(angle) {
+  const wrapped = ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+  return wrapped - Math.PI;
+}
+
+/**
+ * Write a quantized {x, y, z} as three Int16 (default) or Int32 values
+ */
+function writeVector(view, offset, v, scale, type = 'int16') {
+  if (type === 'int32') {
+    view.setInt32(offset, Math.round((v?.x || 0) * scale), true);
+    view.setInt32(offset + 4, Math.round((v?.y || 0) * scale), true);
+    view.setInt32(offset + 8, Math.round((v?.z || 0) * scale), true);
+  } else {
+    view.setInt16(offset, clampInt16((v?.x || 0) * scale), true);
+    view.setInt16(offset + 2, clampInt16((v?.y || 0) * scale), true);
+    view.setInt16(offset + 4, clampInt16((v?.z || 0) * scale), true);
+  }
+}
+
+/**
+ * Read a quantized {x, y, z} written by writeVector (or the server encoder)
+ */
+function readVector(view, offset, scale, type = 'int16') {
+  if (type === 'int32') {
+    return {
+      x: view.getInt32(offset, true) / scale,
+      y: view.getInt32(offset + 4, true) / scale,
+      z: view.getInt32(offset + 8, true) / scale
+    };
+  }
+  return {
+    x: view.getInt16(offset, true) / scale,
+    y: view.getInt16(offset + 2, true) / scale,
+    z: view.getInt16(offset + 4, true) / scale
+  };
+}
+
+/**
+ * Write a unit quaternion as four Int16 values (QUATERNION_SCALE)
+ */
+function writeQuaternion(view, offset, q) {
+  view.setInt16(offset, clampInt16(q.x * QUATERNION_SCALE), true);
+  view.setInt16(offset + 2, clampInt16(q.y * QUATERNION_SCALE), true);
+  view.setInt16(offset + 4, clampInt16(q.z * QUATERNION_SCALE), true);
+  view.setInt16(offset + 6, clampInt16(q.w * QUATERNION_SCALE), true);
+}
+
+/**
+ * Read a quantized quaternion written by writeQuaternion (or the server encoder)
+ */
+function readQuaternion(view, offset) {
+  return {
+    x: view.getInt16(offset, true) / QUATERNION_SCALE,
+    y: view.getInt16(offset + 2, true) / QUATERNION_SCALE,
+    z: view.getInt16(offset + 4, true) / QUATERNION_SCALE,
+    w: view.getInt16(offset + 6, true) / QUATERNION_SCALE
+  };
+}
@@ -16,30 +16,63 @@ export class PlayerSync {
     this.scene = scene;
     this.remotePlayers = new Map();  // playerId -> RemoteAircraft
     this.hitboxMeshes = [];          // Array of hitbox meshes for raycasting
+    this.lastSeen = new Map();       // playerId -> clock time of last snapshot mention
+
+    // Drop players the server hasn't mentioned for this long (e.g. a
+    // player_left missed while reconnecting)
+    this.forgetAfter = 10000;
+
+    // Time source for lastSeen and interpolation - replays run their own clock
+    this.clock = Date.now;
+  }
+
+  /**
+   * Use a different time source (replay playback can pause, seek and speed up)
+   * @param {Function} clock - Returns the current time in ms
+   */
+  setClock(clock) {
+    this.clock = clock;
+    for (const aircraft of this.remotePlayers.values()) {
+      aircraft.clock = clock;
+    }
   }
 
   /**
-   * Update all remote players from server broadcast data
-   * Creates new players, updates existing, removes missing
+   * Update remote players from server broadcast data
+   * Creates new players and updates existing ones. Players missing from the
+   * snapshot are kept: the server skips distant players on some ticks, and
+   * real departures arrive as `player_left` (see removePlayer). Players not
+   * mentioned at all for `forgetAfter` ms are dropped as a fallback.
    * @param {Object} playersData - Map of playerId -> player state from server
+   * @param {string[]} [outOfRangeIds] - Players beyond interest range (hidden until back in range)
    */
-  updatePlayers(playersData) {
-    const receivedIds = new Set(Object.keys(playersData));
+  updatePlayers(playersData, outOfRangeIds = []) {
+    const now = this.clock();
 
     // Update existing players or create new ones
     for (const [id, data] of Object.entries(playersData)) {
-      if (this.remotePlayers.has(id)) {
-        // Update existing player
-        this.remotePlayers.get(id).setNetworkState(data);
+      this.lastSeen.set(id, now);
+      const aircraft = this.remotePlayers.get(id);
+      if (aircraft) {
+        if (!aircraft.inRange) {
+          aircraft.setInRange(true);
+        }
+        aircraft.setNetworkState(data);
       } else {
-        // Create new player
         this.addPlayer(id, data.name, data);
       }
     }
 
-    // Remove players that are no longer in server data
-    for (const [id, aircraft] of this.remotePlayers) {
-      if (!receivedIds.has(id)) {
+    for (const id of outOfRangeIds) {
+      this.lastSeen.set(id, now);
+      const aircraft = this.remotePlayers.get(id);
+      if (aircraft?.inRange) {
+        aircraft.setInRange(false);
+      }
+    }
+
+    for (const id of this.remotePlayers.keys()) {
+      if (now - (this.lastSeen.get(id) ?? 0) > this.forgetAfter) {
         this.removePlayer(id);
       }
     }
@@ -62,8 +95,10 @@ export class PlayerSync {
     // Extract aircraft customization from initialData
     const planeColor = initialData?.planeColor || 'blue';
     const planeType = initialData?.planeType || 'f16';
+    const team = initialData?.team ?? null;
 
-    const aircraft = new RemoteAircraft(playerId, playerName, planeColor, planeType);
+    const aircraft = new RemoteAircraft(playerId, playerName, planeColor, planeType, team);
+    aircraft.clock = this.clock;
 
     if (initialData) {
       // Set initial network state
@@ -78,13 +113,19 @@ export class PlayerSync {
         );
         aircraft.mesh.position.copy(aircraft.position);
       }
-      if (initialData.rotation) {
+      if (initialData.quaternion) {
+        const q = initialData.quaternion;
+        aircraft.quaternion.set(q.x, q.y, q.z, q.w).normalize();
+        aircraft.rotation.setFromQuaternion(aircraft.quaternion, 'YXZ');
+        aircraft.mesh.quaternion.copy(aircraft.quaternion);
+      } else if (initialData.rotation) {
         aircraft.rotation.set(
           initialData.rotation.x,
           initialData.rotation.y,
           initialData.rotation.z
         );
-        aircraft.mesh.rotation.copy(aircraft.rotation);
+        aircraft.quaternion.setFromEuler(aircraft.rotation);
+        aircraft.mesh.quaternion.copy(aircraft.quaternion);
       }
     }
 
@@ -103,6 +144,7 @@ export class PlayerSync {
    * @param {string} playerId - Player to remove
    */
   removePlayer(playerId) {
+    this.lastSeen.delete(playerId);
     const aircraft = this.remotePlayers.get(playerId);
     if (aircraft) {
       console.log(`[PlayerSync] Removing remote player: ${aircraft.playerName} (${playerId})`);
@@ -160,11 +202,23 @@ export class PlayerSync {
   }
 
   /**
-   * Get all hitbox meshes for raycasting
+   * All remote aircraft
+   * @returns {Iterable<RemoteAircraft>}
+   */
+  getPlayers() {
+    return this.remotePlayers.values();
+  }
+
+  /**
+   * Get hitbox meshes for raycasting
+   * Skips destroyed and spawn-protected aircraft
    * @returns {THREE.Mesh[]}
    */
   getHitboxMeshes() {
-    return this.hitboxMeshes;
+    return this.hitboxMeshes.filter((mesh) => {
+      const aircraft = this.remotePlayers.get(mesh.userData.playerId);
+      return aircraft ? aircraft.isTargetable() : false;
+    });
   }
 
   /**
@@ -179,6 +233,7 @@ export class PlayerSync {
       aircraft.dispose();
     }
     this.remotePlayers.clear();
+    this.lastSeen.clear();
     this.hitboxMeshes = [];
   }
 }
@@ -25,27 +25,40 @@ export class RemoteAircraft {
    * @param {string} playerName - Display name for the player
    * @param {string} planeColor - Accent color ('red', 'blue', etc.)
    * @param {string} planeType - Aircraft type ('f16', 'f22', 'f18', 'cessna')
+   * @param {string|null} [team] - Team in team deathmatch rooms ('red', 'blue')
    */
-  constructor(playerId, playerName, planeColor = 'blue', planeType = 'f16') {
+  constructor(playerId, playerName, planeColor = 'blue', planeType = 'f16', team = null) {
     this.playerId = playerId;
     this.playerName = playerName;
     this.planeColor = planeColor;
     this.planeType = planeType;
+    this.team = team;
 
     // Current interpolated state
     this.position = new THREE.Vector3();
-    this.rotation = new THREE.Euler(0, 0, 0, 'XYZ');
+    this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');  // Same order the local Aircraft sends
+    this.quaternion = new THREE.Quaternion();
     this.velocity = new THREE.Vector3();
 
     // Buffered interpolation for smooth movement
     this.positionBuffer = new PositionBuffer(4);  // 4 samples
+    this.renderDelay = 100;  // ms in the past to render (see update)
+    this.clock = Date.now;   // Time source for interpolation (replays substitute their own)
     this.lastUpdateTime = 0;
 
+    // Combat state from server
+    this.alive = true;
+    this.health = CONFIG.combat?.maxHealth ?? 100;
+    this.protectedUntil = 0;  // performance.now() time spawn protection ends
+
+    // Interest management: false while the server reports us out of range
+    this.inRange = true;
+
     // Create visual mesh with model and color
     this.mesh = this.createMesh(planeType, planeColor);
 
     // Create floating name label (position adjusted for scale)
-    this.label = this.createLabel(playerName);
+    this.label = this.createLabel(playerName, team);
     this.mesh.add(this.label);
 
     // Create hitbox mesh for raycasting (added to scene by PlayerSync)
@@ -163,11 +176,12 @@ export class RemoteAircraft {
   }
 
   /**
-   * Get hitbox radius for collision detection
+   * Get hitbox radius for collision detection (per aircraft type)
    * @returns {number} Hitbox radius in meters
    */
   getHitboxRadius() {
-    const baseRadius = CONFIG.aircraft?.hitboxRadius || 15;
+    const baseRadius = CONFIG.aircraft?.types?.[this.planeType]?.profile?.hitboxRadius
+      ?? CONFIG.aircraft?.hitboxRadius ?? 15;
     return baseRadius;
   }
 
@@ -204,9 +218,10 @@ export class RemoteAircraft {
   /**
    * Create floating name label above aircraft using Canvas texture
    * @param {string} name - Player name to display
+   * @param {string|null} [team] - Tints the label in the team's color
    * @returns {THREE.Sprite}
    */
-  createLabel(name) {
+  createLabel(name, team = null) {
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
     canvas.width = 256;
@@ -215,6 +230,14 @@ export class RemoteAircraft {
     // Draw background
     context.fillStyle = 'rgba(0, 0, 0, 0.5)';
     context.fillRect(0, 0, canvas.width, canvas.height);
+    const teamColor = CONFIG.aircraft?.colorSwatches?.[team];
+    if (teamColor) {
+      context.globalAlpha = 0.55;
+      context.fillStyle = teamColor;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.globalAlpha = 1;
+      context.fillRect(0, canvas.height - 6, canvas.width, 6);
+    }
 
     // Draw text
     context.font = 'bold 32px system-ui, sans-serif';
@@ -239,14 +262,28 @@ export class RemoteAircraft {
    * @param {Object} data - Network state { position, rotation, velocity, timestamp }
    */
   setNetworkState(data) {
+    // Late joiners learn about destroyed/protected players from the snapshot
+    if (typeof data.alive === 'boolean' && data.alive !== this.alive) {
+      this.setAlive(data.alive);
+    }
+    if (typeof data.health === 'number') {
+      this.health = data.health;
+    }
+    // Spawn protection follows the server, which ends it early once the
+    // player opens fire - held until a snapshot says it's over
+    if (typeof data.protected === 'boolean') {
+      this.protectedUntil = data.protected ? Infinity : 0;
+    }
+
     // Push to buffer for smooth interpolation
     this.positionBuffer.push({
       position: data.position,
       rotation: data.rotation,
+      quaternion: data.quaternion,
       velocity: data.velocity || { x: 0, y: 0, z: 0 },
-      timestamp: data.lastUpdate || Date.now()
+      timestamp: data.lastUpdate || this.clock()
     });
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock();
   }
 
   /**
@@ -255,12 +292,19 @@ export class RemoteAircraft {
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(deltaTime) {
-    // Get interpolated state from buffer (100ms render delay)
-    const state = this.positionBuffer.getInterpolatedState(100);
+    // Get interpolated state from buffer (100ms render delay by default)
+    const state = this.positionBuffer.getInterpolatedState(this.renderDelay, this.clock());
 
     if (state) {
       this.position.set(state.position.x, state.position.y, state.position.z);
-      this.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+      if (state.quaternion) {
+        // Aerobatic clients: quaternion is authoritative, Euler kept in sync for readers
+        this.quaternion.set(state.quaternion.x, state.quaternion.y, state.quaternion.z, state.quaternion.w).normalize();
+        this.rotation.setFromQuaternion(this.quaternion, 'YXZ');
+      } else {
+        this.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z, 'YXZ');
+        this.quaternion.setFromEuler(this.rotation);
+      }
       if (state.velocity) {
         this.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
       }
@@ -268,23 +312,83 @@ export class RemoteAircraft {
 
     // Sync mesh with interpolated state
     this.mesh.position.copy(this.position);
-    this.mesh.rotation.copy(this.rotation);
+    this.mesh.quaternion.copy(this.quaternion);
 
     // Sync hitbox mesh position (hitbox doesn't rotate, stays as sphere)
     if (this.hitboxMesh) {
       this.hitboxMesh.position.copy(this.position);
     }
 
+    // Blink while spawn protected
+    if (this.alive && this.inRange) {
+      const now = performance.now();
+      if (this.protectedUntil > now) {
+        this.mesh.visible = Math.floor(now / 150) % 2 === 0;
+      } else {
+        this.protectedUntil = 0;
+        this.mesh.visible = true;
+      }
+    }
+
     // Note: Sprite label automatically faces camera
   }
 
+  /**
+   * Mark aircraft as destroyed (hidden, not hittable) or alive again
+   * @param {boolean} alive
+   */
+  setAlive(alive) {
+    this.alive = alive;
+    this.mesh.visible = alive && this.inRange;
+    if (this.hitboxMesh) {
+      this.hitboxMesh.visible = alive && this.inRange;
+    }
+    if (alive) {
+      this.health = CONFIG.combat?.maxHealth ?? 100;
+      // Drop stale samples so it doesn't glide from the crash site to the spawn point
+      this.positionBuffer.clear();
+    }
+  }
+
+  /**
+   * Hide the aircraft while it's beyond interest range, show it again on return
+   * @param {boolean} inRange
+   */
+  setInRange(inRange) {
+    this.inRange = inRange;
+    this.mesh.visible = inRange && this.alive;
+    if (this.hitboxMesh) {
+      this.hitboxMesh.visible = inRange && this.alive;
+    }
+    if (inRange) {
+      // Don't glide from where it was last seen
+      this.positionBuffer.clear();
+    }
+  }
+
+  /**
+   * Start spawn protection (aircraft blinks and can't be targeted)
+   * @param {number} duration - Protection time in milliseconds
+   */
+  setProtected(duration) {
+    this.protectedUntil = performance.now() + duration;
+  }
+
+  /**
+   * Whether this aircraft can currently be hit
+   * @returns {boolean}
+   */
+  isTargetable() {
+    return this.alive && this.inRange && this.protectedUntil <= performance.now();
+  }
+
   /**
    * Check if aircraft data is stale (no updates received recently)
    * @param {number} timeout - Staleness threshold in milliseconds
    * @returns {boolean}
    */
   isStale(timeout = 5000) {
-    return !this.positionBuffer.hasRecentData(timeout);
+    return !this.positionBuffer.hasRecentData(timeout, this.clock());
   }
 
   /**
@@ -37,11 +37,14 @@ export class Aircraft {
    * @param {string} planeColor - Color of plane ('red', 'blue', 'green', etc.)
    * @param {string} planeType - Type of plane ('f16', 'f22', 'f18', 'cessna')
    * @param {number} initialHeading - Initial heading in degrees (0 = north, 90 = east)
+   * @param {string} flightModel - 'arcade' (clamped Euler) or 'aerobatic' (quaternion, unlimited attitude)
    */
-  constructor(initialPosition, planeColor = 'red', planeType = 'f16', initialHeading = 0) {
+  constructor(initialPosition, planeColor = 'red', planeType = 'f16', initialHeading = 0,
+    flightModel = CONFIG.physics?.flightModel ?? 'arcade') {
     // Store plane type and color
     this.planeType = planeType;
     this.planeColor = planeColor;
+    this.flightModel = flightModel;
 
     // Convert heading to yaw (radians, Three.js convention)
     // Heading: 0 = north (+Z), 90 = east (-X), 180 = south (-Z), 270 = west (+X)
@@ -51,6 +54,9 @@ export class Aircraft {
     // State
     this.position = initialPosition.clone();
     this.rotation = new THREE.Euler(0, yaw, 0, 'YXZ');
+    // Orientation as a quaternion - integrated directly in aerobatic mode,
+    // derived from rotation in arcade mode (see updateMatrices)
+    this.quaternion = new THREE.Quaternion().setFromEuler(this.rotation);
 
     // Arcade flight state
     this.pitch = 0;    // radians (positive = nose up)
@@ -82,6 +88,10 @@ export class Aircraft {
     // Computed forward vector (updated by updateMatrices)
     this.forward = new THREE.Vector3(0, 0, -1);
 
+    // Combat state (server is authoritative for health)
+    this.alive = true;
+    this.health = CONFIG.combat?.maxHealth ?? 100;
+
     // Create visual mesh with selected plane type and color
     this.mesh = this.createMesh(planeType, planeColor);
 
@@ -206,7 +216,8 @@ export class Aircraft {
    * @returns {number} Hitbox radius in meters
    */
   getHitboxRadius() {
-    const baseRadius = CONFIG.aircraft?.hitboxRadius || 15;
+    const baseRadius = CONFIG.aircraft?.types?.[this.planeType]?.profile?.hitboxRadius
+      ?? CONFIG.aircraft?.hitboxRadius ?? 15;
     return baseRadius * AIRCRAFT_SCALE;
   }
 
@@ -239,21 +250,66 @@ export class Aircraft {
   }
 
   /**
-   * Update the forward vector based on current rotation
-   * Also syncs mesh transform with state
+   * Whether orientation is integrated as a quaternion (no attitude limits)
+   * @returns {boolean}
+   */
+  isAerobatic() {
+    return this.flightModel === 'aerobatic';
+  }
+
+  /**
+   * Update the forward vector based on current orientation
+   * Also syncs rotation/quaternion with each other and the mesh with state
    */
   updateMatrices() {
-    // Calculate forward vector from rotation
+    if (this.isAerobatic()) {
+      // Quaternion is the source of truth; Euler + pitch/roll/yaw mirror it for HUD/network
+      this.quaternion.normalize();
+      this.rotation.setFromQuaternion(this.quaternion, 'YXZ');
+      this.pitch = -this.rotation.x;
+      this.roll = this.rotation.z;
+      this.yaw = this.rotation.y;
+    } else {
+      this.quaternion.setFromEuler(this.rotation);
+    }
+
+    // Calculate forward vector from orientation
     // Default forward is -Z in Three.js
     this.forward.set(0, 0, -1);
-    this.forward.applyEuler(this.rotation);
+    this.forward.applyQuaternion(this.quaternion);
     this.forward.normalize();
 
     // Sync mesh with state
     this.mesh.position.copy(this.position);
-    this.mesh.rotation.copy(this.rotation);
+    this.mesh.quaternion.copy(this.quaternion);
   }
 
+  /**
+   * Repaint the aircraft (team rooms assign a color after joining)
+   * @param {string} planeColor
+   */
+  setColor(planeColor) {
+    if (planeColor === this.planeColor) return;
+    this.planeColor = planeColor;
+    const replacement = this.createMesh(this.planeType, planeColor).children[0];
+    for (const child of [...this.mesh.children]) {
+      this.mesh.remove(child);
+      child.traverse((node) => {
+        node.geometry?.dispose();
+        node.material?.dispose();
+      });
+    }
+    this.mesh.add(replacement);
+  }
+
+  /**
+   * Show or hide the aircraft mesh (hidden while destroyed)
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+
   /**
    * Teleport aircraft to a new position, facing a target
    * @param {THREE.Vector3} newPosition - Position to teleport to
@@ -278,6 +334,7 @@ export class Aircraft {
 
     // Set rotation (no roll). Three.js uses positive X = nose down, so invert.
     this.rotation.set(-pitch, yaw, 0, 'YXZ');
+    this.quaternion.setFromEuler(this.rotation);
 
     // Sync arcade state
     this.pitch = pitch;
@@ -6,6 +6,10 @@ const FOLLOW = CONFIG.camera.follow;
 /**
  * CameraController - Smooth follow camera with damping
  * Follows behind and above the aircraft, looking ahead
+ *
+ * Arcade aircraft are followed by heading only (the horizon stays level).
+ * Aerobatic aircraft get a chase camera that rolls and pitches with a damped
+ * copy of the aircraft quaternion, so loops and inverted flight never flip it.
  */
 export class CameraController {
   constructor(camera, aircraft) {
@@ -22,6 +26,7 @@ export class CameraController {
     this.targetLookAt = new THREE.Vector3();
     this.offset = new THREE.Vector3();
     this.up = new THREE.Vector3(0, 1, 0);
+    this.chaseQuaternion = new THREE.Quaternion();  // Damped aircraft orientation (aerobatic)
 
     // Initialize camera position behind aircraft
     this.initializePosition();
@@ -35,6 +40,7 @@ export class CameraController {
     this.offset.set(0, FOLLOW.height, FOLLOW.distance);
     this.offset.applyEuler(yawOnly);
     this.camera.position.copy(this.aircraft.position).add(this.offset);
+    this.chaseQuaternion.copy(this.aircraft.quaternion);
     this.camera.fov = this.followFov;
     this.camera.updateProjectionMatrix();
 
@@ -60,6 +66,11 @@ export class CameraController {
       return;
     }
 
+    if (this.aircraft.isAerobatic?.()) {
+      this.updateChase(deltaTime);
+      return;
+    }
+
     // Create yaw-only rotation for camera positioning
     // This prevents camera from banking/pitching with the aircraft
     const yawOnly = new THREE.Euler(0, this.aircraft.rotation.y, 0, 'XYZ');
@@ -86,6 +97,29 @@ export class CameraController {
     this.updateFov(deltaTime, this.followFov);
   }
 
+  /**
+   * Follow camera for aerobatic flight - offsets and up vector come from a
+   * slerped copy of the aircraft orientation instead of Euler yaw
+   * @param {number} deltaTime
+   */
+  updateChase(deltaTime) {
+    const t = 1 - Math.exp(-FOLLOW.damping * deltaTime);
+    this.chaseQuaternion.slerp(this.aircraft.quaternion, t);
+
+    this.offset.set(0, FOLLOW.height, FOLLOW.distance).applyQuaternion(this.chaseQuaternion);
+    this.targetPosition.copy(this.aircraft.position).add(this.offset);
+
+    this.offset.set(0, 0, -FOLLOW.lookAhead).applyQuaternion(this.chaseQuaternion);
+    this.targetLookAt.copy(this.aircraft.position).add(this.offset);
+
+    this.camera.position.lerp(this.targetPosition, t);
+    this.up.set(0, 1, 0).applyQuaternion(this.chaseQuaternion);
+    this.camera.up.copy(this.up);
+    this.camera.lookAt(this.targetLookAt);
+
+    this.updateFov(deltaTime, this.followFov);
+  }
+
   updateCockpit(deltaTime) {
     const radius = this.aircraft.getHitboxRadius?.() ?? 2;
     const cockpitOffset = CONFIG.camera?.cockpit?.offsetScale ?? { x: 0, y: 0.2, z: -0.6 };
@@ -93,9 +127,9 @@ export class CameraController {
     const lookAhead = CONFIG.camera?.cockpit?.lookAhead ?? 200;
 
     if (seatOffset) {
-      const forward = new THREE.Vector3(0, 0, -1).applyEuler(this.aircraft.rotation).normalize();
-      const right = new THREE.Vector3(1, 0, 0).applyEuler(this.aircraft.rotation).normalize();
-      const up = new THREE.Vector3(0, 1, 0).applyEuler(this.aircraft.rotation).normalize();
+      const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.aircraft.quaternion).normalize();
+      const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.aircraft.quaternion).normalize();
+      const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.aircraft.quaternion).normalize();
       const seatDistance = radius;
 
       this.targetPosition.copy(this.aircraft.position)
@@ -108,18 +142,18 @@ export class CameraController {
         cockpitOffset.y * radius,
         cockpitOffset.z * radius
       );
-      this.offset.applyEuler(this.aircraft.rotation);
+      this.offset.applyQuaternion(this.aircraft.quaternion);
       this.targetPosition.copy(this.aircraft.position).add(this.offset);
     }
 
     this.offset.set(0, 0, -lookAhead);
-    this.offset.applyEuler(this.aircraft.rotation);
+    this.offset.applyQuaternion(this.aircraft.quaternion);
     this.targetLookAt.copy(this.aircraft.position).add(this.offset);
 
     const t = 1 - Math.exp(-FOLLOW.damping * deltaTime);
     this.camera.position.lerp(this.targetPosition, t);
 
-    this.up.set(0, 1, 0).applyEuler(this.aircraft.rotation);
+    this.up.set(0, 1, 0).applyQuaternion(this.aircraft.quaternion);
     this.camera.up.copy(this.up);
     this.camera.lookAt(this.targetLookAt);
 
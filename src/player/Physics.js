@@ -2,6 +2,22 @@ import * as THREE from 'three';
 import { CONFIG } from '../config.js';
 
 const PHYSICS = CONFIG.physics;
+const profileCache = new Map(); // planeType -> merged flight profile
+
+/**
+ * Get the flight model for an aircraft type: CONFIG.physics with the type's
+ * profile (CONFIG.aircraft.types[type].profile) applied on top
+ * @param {string} planeType
+ * @returns {Object}
+ */
+export function getFlightProfile(planeType) {
+  let profile = profileCache.get(planeType);
+  if (!profile) {
+    profile = { ...PHYSICS, ...(CONFIG.aircraft?.types?.[planeType]?.profile || {}) };
+    profileCache.set(planeType, profile);
+  }
+  return profile;
+}
 
 /**
  * Frame-rate independent exponential smoothing (smooth damp)
@@ -48,16 +64,18 @@ function lerp(current, target, t) {
  * @param {number} deltaTime - Time since last update in seconds
  */
 export function updatePhysics(aircraft, input, deltaTime) {
+  const physics = getFlightProfile(aircraft.planeType);
+
   // 1. Smooth throttle response (target -> actual)
   const throttleActive = input.throttleActive ?? true;
   let targetThrottle = input.throttle;
   if (throttleActive) {
     aircraft.trimSpeed = aircraft.speed;
   } else {
-    const holdSpeed = Math.max(0, aircraft.trimSpeed ?? (PHYSICS.cruiseSpeed ?? aircraft.speed));
-    const drag = PHYSICS.drag ?? 0;
-    const throttleAccel = PHYSICS.throttleAccel ?? 20;
-    const holdGain = PHYSICS.speedHoldGain ?? 0.6;
+    const holdSpeed = Math.max(0, aircraft.trimSpeed ?? (physics.cruiseSpeed ?? aircraft.speed));
+    const drag = physics.drag ?? 0;
+    const throttleAccel = physics.throttleAccel ?? 20;
+    const holdGain = physics.speedHoldGain ?? 0.6;
     const baseThrottle = throttleAccel > 0 ? (drag * holdSpeed) / throttleAccel : 0;
     const normalizedError = holdSpeed > 1 ? (holdSpeed - aircraft.speed) / holdSpeed : 0;
     targetThrottle = baseThrottle + normalizedError * holdGain;
@@ -67,39 +85,47 @@ export function updatePhysics(aircraft, input, deltaTime) {
   aircraft.actualThrottle = smoothDamp(
     aircraft.actualThrottle,
     aircraft.targetThrottle,
-    PHYSICS.throttleSmoothRate || 2.5,
+    physics.throttleSmoothRate || 2.5,
     deltaTime
   );
   aircraft.throttle = aircraft.actualThrottle; // Keep legacy property in sync
 
   // 2. Speed update (arcade kinematic model)
-  const accel = aircraft.actualThrottle * (PHYSICS.throttleAccel ?? 20);
+  const accel = aircraft.actualThrottle * (physics.throttleAccel ?? 20);
   aircraft.speed += accel * deltaTime;
 
   // Drag: proportional speed decay (frame-rate independent)
-  const drag = PHYSICS.drag ?? 0;
+  const drag = physics.drag ?? 0;
   if (drag > 0) {
     aircraft.speed = Math.max(0, aircraft.speed - aircraft.speed * drag * deltaTime);
   }
 
   // Clamp to speed limits
-  const minSpeed = PHYSICS.minSpeed ?? 0;
-  const maxSpeed = PHYSICS.maxSpeed ?? 150;
+  const minSpeed = physics.minSpeed ?? 0;
+  const maxSpeed = physics.maxSpeed ?? 150;
   aircraft.speed = Math.max(minSpeed, Math.min(maxSpeed, aircraft.speed));
 
+  // Aerobatic mode: quaternion body rates, no attitude clamps
+  if (aircraft.isAerobatic?.()) {
+    updateAerobatic(aircraft, input, deltaTime, physics);
+    enforceMinAltitude(aircraft, deltaTime, physics);
+    aircraft.updateMatrices();
+    return;
+  }
+
   // 3. Apply rotation from controls
-  applyRotation(aircraft, input, deltaTime, aircraft.speed);
+  applyRotation(aircraft, input, deltaTime, aircraft.speed, physics);
 
   // 4. Calculate lift + gravity (arcade)
-  const takeoffSpeed = PHYSICS.takeoffSpeed ?? 25;
+  const takeoffSpeed = physics.takeoffSpeed ?? 25;
   let verticalDelta = 0;
   if (aircraft.speed >= takeoffSpeed) {
-    const liftFactor = PHYSICS.liftFactor ?? 0.12;
+    const liftFactor = physics.liftFactor ?? 0.12;
     const lift = aircraft.speed * liftFactor * Math.cos(aircraft.roll);
     verticalDelta += lift * deltaTime;
   }
 
-  const gravity = PHYSICS.gravityFactor ?? 9.81;
+  const gravity = physics.gravityFactor ?? 9.81;
   verticalDelta -= gravity * deltaTime;
 
   aircraft.position.y += verticalDelta;
@@ -117,7 +143,7 @@ export function updatePhysics(aircraft, input, deltaTime) {
   aircraft.velocity.y += aircraft.verticalSpeed;
 
   // 7. Clamp minimum altitude (forgiving collision)
-  enforceMinAltitude(aircraft, deltaTime);
+  enforceMinAltitude(aircraft, deltaTime, physics);
 
   // 8. Final matrix update
   aircraft.updateMatrices();
@@ -129,13 +155,14 @@ export function updatePhysics(aircraft, input, deltaTime) {
  * @param {Object} input
  * @param {number} deltaTime
  * @param {number} speed - Current aircraft speed for speed-dependent control
+ * @param {Object} physics - Flight profile (see getFlightProfile)
  */
-function applyRotation(aircraft, input, deltaTime, speed) {
-  const inputSmoothRate = PHYSICS.inputSmoothRate || 6.0;
-  const curvePower = PHYSICS.inputCurvePower || 0.4;
-  const cruiseSpeed = PHYSICS.cruiseSpeed || 100;
-  const minSpeedFactor = PHYSICS.minSpeedFactor || 0.4;
-  const takeoffSpeed = PHYSICS.takeoffSpeed ?? 25;
+function applyRotation(aircraft, input, deltaTime, speed, physics) {
+  const inputSmoothRate = physics.inputSmoothRate || 6.0;
+  const curvePower = physics.inputCurvePower || 0.4;
+  const cruiseSpeed = physics.cruiseSpeed || 100;
+  const minSpeedFactor = physics.minSpeedFactor || 0.4;
+  const takeoffSpeed = physics.takeoffSpeed ?? 25;
 
   // Speed-dependent control authority
   const speedAuthority = Math.max(minSpeedFactor, Math.min(1.0, speed / cruiseSpeed));
@@ -153,11 +180,11 @@ function applyRotation(aircraft, input, deltaTime, speed) {
   aircraft.actualRoll = smoothDamp(aircraft.actualRoll, aircraft.targetRoll, inputSmoothRate, deltaTime);
 
   const pitchAuthority = Math.max(0.2, Math.min(1.0, speed / cruiseSpeed));
-  const pitchRate = (PHYSICS.pitchRate ?? 1.6) * pitchAuthority;
-  const rollRate = (PHYSICS.rollRate ?? 2.8) * speedAuthority;
-  const maxPitch = PHYSICS.maxPitch ?? 0.6;
-  const maxRoll = PHYSICS.maxRoll ?? 1.2;
-  const rollRecoveryRate = PHYSICS.rollRecoveryRate ?? 3.0;
+  const pitchRate = (physics.pitchRate ?? 1.6) * pitchAuthority;
+  const rollRate = (physics.rollRate ?? 2.8) * speedAuthority;
+  const maxPitch = physics.maxPitch ?? 0.6;
+  const maxRoll = physics.maxRoll ?? 1.2;
+  const rollRecoveryRate = physics.rollRecoveryRate ?? 3.0;
 
   // Pitch (positive = nose up). Always respond, weaker at low speed.
   aircraft.pitch += aircraft.actualPitch * pitchRate * deltaTime;
@@ -172,7 +199,7 @@ function applyRotation(aircraft, input, deltaTime, speed) {
   }
 
   // Yaw from bank (coordinated turn)
-  const turnRate = PHYSICS.turnRate ?? 2.4;
+  const turnRate = physics.turnRate ?? 2.4;
   const bankFactor = maxRoll > 0 ? aircraft.roll / maxRoll : 0;
   if (yawEnabled) {
     aircraft.yaw += bankFactor * turnRate * yawAuthority * deltaTime;
@@ -191,17 +218,82 @@ function applyRotation(aircraft, input, deltaTime, speed) {
   aircraft.rotation.set(-aircraft.pitch, aircraft.yaw, aircraft.roll, 'YXZ');
 }
 
+// Scratch objects for the aerobatic model (avoid per-step allocations)
+const _axisX = new THREE.Vector3(1, 0, 0);
+const _axisY = new THREE.Vector3(0, 1, 0);
+const _axisZ = new THREE.Vector3(0, 0, 1);
+const _step = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+
+/**
+ * Aerobatic flight: pitch/roll/yaw inputs are body-axis rates applied to the
+ * orientation quaternion, so loops, rolls and inverted flight have no limits
+ * and no gimbal lock. Speed trades against climb; below takeoff speed the
+ * aircraft sinks.
+ * @param {Aircraft} aircraft
+ * @param {Object} input
+ * @param {number} deltaTime
+ * @param {Object} physics - Flight profile (see getFlightProfile)
+ */
+function updateAerobatic(aircraft, input, deltaTime, physics) {
+  const aero = physics.aerobatic || {};
+  const inputSmoothRate = physics.inputSmoothRate || 6.0;
+  const curvePower = physics.inputCurvePower || 0.4;
+  const cruiseSpeed = physics.cruiseSpeed || 100;
+  const minSpeedFactor = physics.minSpeedFactor || 0.4;
+  const takeoffSpeed = physics.takeoffSpeed ?? 25;
+  const rateScale = aero.rateScale ?? 1;
+  const speed = aircraft.speed;
+
+  // Same input shaping as the arcade model
+  aircraft.targetPitch = applyResponseCurve(input.pitch, curvePower);
+  aircraft.targetRoll = applyResponseCurve(input.roll, curvePower);
+  aircraft.actualPitch = smoothDamp(aircraft.actualPitch, aircraft.targetPitch, inputSmoothRate, deltaTime);
+  aircraft.actualRoll = smoothDamp(aircraft.actualRoll, aircraft.targetRoll, inputSmoothRate, deltaTime);
+
+  const authority = Math.max(minSpeedFactor, Math.min(1.0, speed / cruiseSpeed));
+  const pitchRate = (physics.pitchRate ?? 1.6) * rateScale * authority;
+  const rollRate = (physics.rollRate ?? 2.8) * rateScale * authority;
+  const yawRate = (aero.yawRate ?? 0.6) * authority;
+
+  // Body-axis rotations, same signs as the arcade Euler (rotation.x = -pitch, rotation.z = roll)
+  const q = aircraft.quaternion;
+  q.multiply(_step.setFromAxisAngle(_axisX, -aircraft.actualPitch * pitchRate * deltaTime));
+  q.multiply(_step.setFromAxisAngle(_axisZ, aircraft.actualRoll * rollRate * deltaTime));
+  if (input.yaw) {
+    q.multiply(_step.setFromAxisAngle(_axisY, input.yaw * yawRate * deltaTime));
+  }
+  q.normalize();
+
+  _forward.set(0, 0, -1).applyQuaternion(q);
+
+  // Climbing bleeds speed, diving builds it
+  const gravity = physics.gravityFactor ?? 9.81;
+  aircraft.speed -= gravity * (aero.gravityCoupling ?? 1) * _forward.y * deltaTime;
+  aircraft.speed = Math.max(physics.minSpeed ?? 0, Math.min(physics.maxSpeed ?? 150, aircraft.speed));
+
+  // Fly along the nose, sinking as the wings stop flying
+  const sink = aircraft.speed < takeoffSpeed
+    ? (aero.stallSink ?? gravity) * (1 - aircraft.speed / takeoffSpeed)
+    : 0;
+  aircraft.velocity.copy(_forward).multiplyScalar(aircraft.speed);
+  aircraft.velocity.y -= sink;
+  aircraft.verticalSpeed = aircraft.velocity.y;
+  aircraft.position.addScaledVector(aircraft.velocity, deltaTime);
+}
+
 /**
  * Enforce minimum altitude with gentle bounce
  * @param {Aircraft} aircraft
  * @param {number} deltaTime - Time since last frame
+ * @param {Object} physics - Flight profile (see getFlightProfile)
  */
-function enforceMinAltitude(aircraft, deltaTime) {
+function enforceMinAltitude(aircraft, deltaTime, physics) {
   const altitude = aircraft.getAltitude();
 
-  if (altitude < PHYSICS.minAltitude) {
+  if (altitude < physics.minAltitude) {
     // Set to minimum altitude
-    aircraft.position.y = PHYSICS.minAltitude;
+    aircraft.position.y = physics.minAltitude;
 
     // Cancel downward vertical speed on ground contact
     if (aircraft.verticalSpeed < 0) {
@@ -209,8 +301,11 @@ function enforceMinAltitude(aircraft, deltaTime) {
     }
 
     // Soft roll recovery near ground to prevent perpetual banking
-    const groundLevelRate = 4.0;
-    aircraft.roll = smoothDamp(aircraft.roll, 0, groundLevelRate, deltaTime);
-    aircraft.rotation.z = aircraft.roll;
+    // (arcade only - aerobatic pilots keep whatever attitude they hold)
+    if (!aircraft.isAerobatic?.()) {
+      const groundLevelRate = 4.0;
+      aircraft.roll = smoothDamp(aircraft.roll, 0, groundLevelRate, deltaTime);
+      aircraft.rotation.z = aircraft.roll;
+    }
   }
 }
@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { LANDMARKS, ROUTES } from '../data/landmarks.js';
+import { latLonToLocal } from '../utils/coordinates.js';
+
+const RACE = CONFIG.race || {};
+
+/**
+ * CheckpointManager - gates, pass detection and timing for a race route
+ *
+ * Each gate is a ring facing along the route. A gate counts as passed when
+ * the path flown this frame crosses its plane, in the route direction,
+ * inside the ring. The clock starts at the first gate and stops at the last.
+ * Races are local - nothing is sent to the server.
+ */
+export class CheckpointManager {
+  /**
+   * @param {THREE.Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'race-gates';
+    this.scene.add(this.group);
+
+    this.routeId = null;
+    this.route = null;
+    this.gates = [];
+    this.meshes = [];
+    this.nextGate = 0;
+    this.startTime = null;  // performance.now() at the start gate
+    this.splits = [];       // ms since start at each gate
+    this.best = null;       // { time, splits } personal best for the route
+
+    // Callbacks
+    this.onGatePassed = null;  // (info) => void
+    this.onFinished = null;    // (result) => void
+    this.onAborted = null;     // (reason) => void
+
+    this._toPrevious = new THREE.Vector3();
+    this._toCurrent = new THREE.Vector3();
+    this._crossing = new THREE.Vector3();
+  }
+
+  /**
+   * Build the gates of a route in world coordinates
+   * @param {string} routeId - Key of ROUTES
+   * @returns {Object[]} [{ key, name, shortName, position, normal, radius }]
+   */
+  static getGates(routeId) {
+    const route = ROUTES[routeId];
+    if (!route) return [];
+
+    const { lat: refLat, lon: refLon } = CONFIG.startPosition;
+    const gates = route.checkpoints.map(key => {
+      const landmark = LANDMARKS[key];
+      const local = latLonToLocal(landmark.lat, landmark.lon, refLat, refLon);
+      return {
+        key,
+        name: landmark.name,
+        shortName: landmark.shortName,
+        position: new THREE.Vector3(local.x, landmark.altitude, local.z),
+        normal: new THREE.Vector3(),
+        radius: landmark.radius ?? RACE.gateRadius ?? 60
+      };
+    });
+
+    // Each gate faces along the route: from the previous gate toward the next
+    gates.forEach((gate, i) => {
+      const from = gates[i - 1]?.position ?? gate.position;
+      const to = gates[i + 1]?.position ?? gate.position;
+      gate.normal.subVectors(to, from).normalize();
+    });
+    return gates;
+  }
+
+  /**
+   * Where racers spawn: a straight run-up to the start gate, lined up with
+   * the second gate so they fly through the start in the route direction
+   * @param {Object[]} gates - From getGates
+   * @returns {{position: THREE.Vector3, lookAt: THREE.Vector3}}
+   */
+  static getStartPose(gates) {
+    const first = gates[0].position;
+    const direction = new THREE.Vector3(gates[0].normal.x, 0, gates[0].normal.z).normalize();
+    const startDistance = RACE.startDistance ?? 400;
+
+    const position = first.clone().addScaledVector(direction, -startDistance);
+    position.y = Math.max(first.y, Math.min(first.y + (RACE.startClimb ?? 100), RACE.maxStartAltitude ?? 500));
+    return { position, lookAt: first.clone() };
+  }
+
+  /**
+   * Set up a route and arm the start gate
+   * @param {string} routeId
+   * @returns {boolean} False if the route doesn't exist
+   */
+  start(routeId) {
+    const gates = CheckpointManager.getGates(routeId);
+    if (gates.length < 2) return false;
+
+    this.clear();
+    this.routeId = routeId;
+    this.route = ROUTES[routeId];
+    this.gates = gates;
+    this.best = CheckpointManager.loadBest(routeId);
+    this.meshes = gates.map(gate => this.createGateMesh(gate));
+    this.updateGateVisuals();
+
+    console.log(`[Race] ${this.route.name}: ${gates.length} gates`);
+    return true;
+  }
+
+  /**
+   * Ring mesh for a gate, facing along its normal
+   */
+  createGateMesh(gate) {
+    const mesh = new THREE.Mesh(
+      new THREE.TorusGeometry(gate.radius, Math.max(1.5, gate.radius * 0.06), 8, 48),
+      new THREE.MeshBasicMaterial({ color: 0xffd400, transparent: true, opacity: 0.9, depthWrite: false })
+    );
+    mesh.position.copy(gate.position);
+    mesh.lookAt(this._crossing.copy(gate.position).add(gate.normal));
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  /**
+   * Highlight the next gate, show the one after faintly, hide the rest
+   */
+  updateGateVisuals() {
+    this.meshes.forEach((mesh, i) => {
+      mesh.visible = i === this.nextGate || i === this.nextGate + 1;
+      const isNext = i === this.nextGate;
+      const isFinish = i === this.gates.length - 1;
+      mesh.material.color.set(isFinish ? 0xffffff : (isNext ? 0xffd400 : 0x4ade80));
+      mesh.material.opacity = isNext ? 0.9 : 0.35;
+    });
+  }
+
+  /**
+   * Check the path flown this frame against the next gate (call after physics)
+   * @param {THREE.Vector3} previousPosition
+   * @param {THREE.Vector3} position
+   */
+  update(previousPosition, position) {
+    if (!this.isActive()) return;
+
+    const gate = this.gates[this.nextGate];
+    if (this.crossesGate(gate, previousPosition, position)) {
+      this.passGate();
+    }
+
+    // Gentle pulse on the next gate
+    const mesh = this.meshes[this.nextGate];
+    if (mesh) {
+      mesh.scale.setScalar(1 + Math.sin(performance.now() * 0.006) * 0.04);
+    }
+  }
+
+  /**
+   * Whether the segment crosses the gate plane (front to back) inside the ring
+   */
+  crossesGate(gate, from, to) {
+    const before = this._toPrevious.subVectors(from, gate.position).dot(gate.normal);
+    const after = this._toCurrent.subVectors(to, gate.position).dot(gate.normal);
+    if (!(before < 0 && after >= 0)) return false;
+
+    const t = before / (before - after);
+    this._crossing.copy(from).lerp(to, t);
+    return this._crossing.distanceTo(gate.position) <= gate.radius;
+  }
+
+  passGate() {
+    const now = performance.now();
+    const index = this.nextGate;
+    const gate = this.gates[index];
+
+    if (index === 0) {
+      this.startTime = now;
+    }
+    const time = now - this.startTime;
+    this.splits.push(time);
+
+    const bestSplit = this.best?.splits?.[index];
+    const info = {
+      index,
+      total: this.gates.length,
+      name: gate.name,
+      time,
+      delta: typeof bestSplit === 'number' ? time - bestSplit : null
+    };
+
+    this.nextGate++;
+    if (this.nextGate >= this.gates.length) {
+      this.finish(time);
+      return;
+    }
+
+    this.updateGateVisuals();
+    this.onGatePassed?.(info);
+  }
+
+  finish(time) {
+    const previousBest = this.best;
+    const isBest = !previousBest || time < previousBest.time;
+    if (isBest) {
+      this.best = { time, splits: [...this.splits] };
+      CheckpointManager.saveBest(this.routeId, this.best);
+    }
+
+    const result = {
+      routeId: this.routeId,
+      routeName: this.route.name,
+      time,
+      splits: this.gates.map((gate, i) => ({
+        name: gate.shortName,
+        time: this.splits[i],
+        delta: typeof previousBest?.splits?.[i] === 'number' ? this.splits[i] - previousBest.splits[i] : null
+      })),
+      isBest,
+      previousBest: previousBest?.time ?? null
+    };
+
+    console.log(`[Race] Finished ${this.route.name} in ${(time / 1000).toFixed(3)}s${isBest ? ' (personal best)' : ''}`);
+    this.clear();
+    this.onFinished?.(result);
+  }
+
+  /**
+   * Stop the current race without a result
+   * @param {string} reason - e.g. 'abandoned', 'destroyed'
+   */
+  abort(reason) {
+    if (!this.isActive()) return;
+    console.log(`[Race] ${this.route.name} aborted: ${reason}`);
+    this.clear();
+    this.onAborted?.(reason);
+  }
+
+  isActive() {
+    return this.route !== null;
+  }
+
+  /**
+   * Race clock in ms (0 until the start gate is passed)
+   * @returns {number}
+   */
+  getElapsed() {
+    return this.startTime === null ? 0 : performance.now() - this.startTime;
+  }
+
+  /**
+   * Current progress for the race panel
+   * @returns {Object|null}
+   */
+  getProgress() {
+    if (!this.isActive()) return null;
+    return {
+      routeName: this.route.name,
+      nextGate: this.nextGate,
+      total: this.gates.length,
+      nextName: this.gates[this.nextGate]?.shortName ?? '',
+      started: this.startTime !== null,
+      elapsed: this.getElapsed(),
+      best: this.best?.time ?? null
+    };
+  }
+
+  /**
+   * Remove gates and reset timing
+   */
+  clear() {
+    for (const mesh of this.meshes) {
+      this.group.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+    this.meshes = [];
+    this.gates = [];
+    this.routeId = null;
+    this.route = null;
+    this.nextGate = 0;
+    this.startTime = null;
+    this.splits = [];
+  }
+
+  /**
+   * Personal best for a route from localStorage
+   * @param {string} routeId
+   * @returns {{time: number, splits: number[]}|null}
+   */
+  static loadBest(routeId) {
+    try {
+      const stored = localStorage.getItem(`flysf-race-best-${routeId}`);
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      // localStorage may be disabled, or the entry corrupted
+      return null;
+    }
+  }
+
+  static saveBest(routeId, best) {
+    try {
+      localStorage.setItem(`flysf-race-best-${routeId}`, JSON.stringify(best));
+    } catch (e) {
+      // localStorage may be disabled
+    }
+  }
+
+  dispose() {
+    this.clear();
+    this.scene.remove(this.group);
+  }
+}
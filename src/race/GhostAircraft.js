@@ -0,0 +1,108 @@
+import { RemoteAircraft } from '../network/RemoteAircraft.js';
+import { CONFIG } from '../config.js';
+
+// Values per frame in ghost.frames: x, y, z, qx, qy, qz, qw, throttle
+export const GHOST_FRAME_SIZE = 8;
+
+/**
+ * GhostAircraft - translucent replay of a recorded race run
+ *
+ * Frames are fed into the RemoteAircraft PositionBuffer just ahead of the
+ * replay clock, so playback uses the same interpolation as remote players.
+ * Not hittable: its hitbox is never added to the scene.
+ */
+export class GhostAircraft extends RemoteAircraft {
+  /**
+   * @param {Object} ghost - Ghost data (see GhostManager)
+   */
+  constructor(ghost) {
+    super(`ghost-${ghost.routeId}`, `${ghost.pilot} (ghost)`, ghost.planeColor, ghost.planeType);
+    this.ghost = ghost;
+    this.frameCount = Math.floor(ghost.frames.length / GHOST_FRAME_SIZE);
+    this.duration = (this.frameCount - 1) * ghost.interval;
+    this.renderDelay = 0;  // Frames are known ahead of time - no need to render in the past
+
+    this.startDate = null;  // Date.now() when the replay clock started
+    this.nextFrame = 0;     // Next frame to push into the buffer
+    this.throttle = 0;
+
+    this.makeTranslucent(CONFIG.race?.ghostOpacity ?? 0.35);
+    this.hold();
+  }
+
+  /**
+   * Fade every material (ModelManager hands out cloned materials)
+   * @param {number} opacity
+   */
+  makeTranslucent(opacity) {
+    this.mesh.traverse((child) => {
+      if (child.material && !child.isSprite) {
+        child.material.transparent = true;
+        child.material.opacity = opacity;
+        child.material.depthWrite = false;
+      }
+    });
+  }
+
+  /**
+   * Park at the first frame until the replay starts
+   */
+  hold() {
+    this.startDate = null;
+    this.nextFrame = 0;
+    this.setAlive(true);
+    this.positionBuffer.push(this.frameState(0, Date.now()));
+    this.update(0);
+  }
+
+  /**
+   * Start the replay clock (call when the racer crosses the start gate)
+   */
+  play() {
+    this.positionBuffer.clear();
+    this.startDate = Date.now();
+    this.nextFrame = 0;
+  }
+
+  /**
+   * Buffer state for one frame, timestamped on the replay clock
+   * @param {number} index - Frame index
+   * @param {number} timestamp - Date.now()-based time of the frame
+   * @returns {Object} PositionBuffer state
+   */
+  frameState(index, timestamp) {
+    const f = this.ghost.frames;
+    const i = index * GHOST_FRAME_SIZE;
+    return {
+      position: { x: f[i], y: f[i + 1], z: f[i + 2] },
+      rotation: { x: 0, y: 0, z: 0 },
+      quaternion: { x: f[i + 3], y: f[i + 4], z: f[i + 5], w: f[i + 6] },
+      timestamp
+    };
+  }
+
+  /**
+   * Advance the replay and update the mesh
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.startDate !== null) {
+      const elapsed = Date.now() - this.startDate;
+      // Keep one frame ahead of the clock so there's always a pair to interpolate
+      while (this.nextFrame < this.frameCount && this.nextFrame * this.ghost.interval <= elapsed + this.ghost.interval) {
+        this.positionBuffer.push(this.frameState(this.nextFrame, this.startDate + this.nextFrame * this.ghost.interval));
+        this.nextFrame++;
+      }
+
+      const frame = Math.min(this.frameCount - 1, Math.floor(elapsed / this.ghost.interval));
+      this.throttle = this.ghost.frames[frame * GHOST_FRAME_SIZE + 7];
+
+      // Linger at the finish briefly, then get out of the way
+      if (elapsed > this.duration + 2000 && this.alive) {
+        this.setAlive(false);
+      }
+    }
+
+    super.update(deltaTime);
+  }
+}
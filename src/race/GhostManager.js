@@ -0,0 +1,265 @@
+import { CONFIG } from '../config.js';
+import { ROUTES } from '../data/landmarks.js';
+import { GhostAircraft, GHOST_FRAME_SIZE } from './GhostAircraft.js';
+
+const GHOST_VERSION = 1;
+const MAX_FRAMES = 20 * 60 * 30;  // 30 minutes at 20Hz - anything bigger isn't a real run
+
+/**
+ * Round to a number of decimals (keeps exported JSON compact)
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * GhostManager - records race runs and replays them as ghosts
+ *
+ * A ghost is plain JSON:
+ *   { version, routeId, pilot, planeType, planeColor, time, splits,
+ *     interval, frames: [x, y, z, qx, qy, qz, qw, throttle, ...] }
+ * sampled every `interval` ms from the start gate. The personal best ghost
+ * for each route is kept in localStorage; imported ghosts last for the session.
+ */
+export class GhostManager {
+  /**
+   * @param {THREE.Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.interval = Math.round(1000 / (CONFIG.race?.ghostSampleRate ?? 10));
+
+    this.recording = null;  // Ghost being recorded
+    this.imported = new Map();  // routeId -> ghost chosen from a file
+    this.lastRun = null;    // Most recent finished run (for export from the finish screen)
+    this.ghostAircraft = null;
+  }
+
+  /**
+   * Ghost to race against on a route: an imported one, else the personal best
+   * @param {string} routeId
+   * @returns {Object|null}
+   */
+  getGhost(routeId) {
+    return this.imported.get(routeId) ?? GhostManager.loadBest(routeId);
+  }
+
+  /**
+   * Show the route's ghost parked at the start gate (call when a race is set up)
+   * @param {string} routeId
+   */
+  prepare(routeId) {
+    this.stopPlayback();
+    const ghost = this.getGhost(routeId);
+    if (!ghost) return;
+
+    this.ghostAircraft = new GhostAircraft(ghost);
+    this.scene.add(this.ghostAircraft.mesh);
+    console.log(`[Ghost] Racing ${ghost.pilot}'s ${(ghost.time / 1000).toFixed(3)}s on ${routeId}`);
+  }
+
+  /**
+   * Start recording and release the ghost (call at the start gate)
+   * @param {Object} meta - { routeId, pilot, planeType, planeColor }
+   */
+  start(meta) {
+    this.recording = {
+      version: GHOST_VERSION,
+      routeId: meta.routeId,
+      pilot: meta.pilot,
+      planeType: meta.planeType,
+      planeColor: meta.planeColor,
+      time: 0,
+      splits: [],
+      interval: this.interval,
+      frames: []
+    };
+    this.ghostAircraft?.play();
+  }
+
+  /**
+   * Sample the aircraft whenever the race clock reaches the next frame time
+   * @param {Aircraft} aircraft
+   * @param {number} elapsed - Race clock in ms
+   */
+  record(aircraft, elapsed) {
+    const ghost = this.recording;
+    if (!ghost) return;
+
+    const frameCount = ghost.frames.length / GHOST_FRAME_SIZE;
+    if (elapsed < frameCount * ghost.interval || frameCount >= MAX_FRAMES) return;
+
+    const { position: p, quaternion: q } = aircraft;
+    ghost.frames.push(
+      round(p.x, 1), round(p.y, 1), round(p.z, 1),
+      round(q.x, 4), round(q.y, 4), round(q.z, 4), round(q.w, 4),
+      round(aircraft.actualThrottle ?? aircraft.throttle ?? 0, 2)
+    );
+  }
+
+  /**
+   * Close the recording with the race result, keeping it if it's a new best
+   * @param {Object} result - From CheckpointManager.onFinished
+   * @returns {Object|null} The recorded ghost
+   */
+  finish(result) {
+    const ghost = this.recording;
+    this.recording = null;
+    if (!ghost || ghost.routeId !== result.routeId || ghost.frames.length < GHOST_FRAME_SIZE * 2) {
+      return null;
+    }
+
+    ghost.time = Math.round(result.time);
+    ghost.splits = result.splits.map(split => Math.round(split.time));
+    this.lastRun = ghost;
+
+    if (result.isBest) {
+      GhostManager.saveBest(ghost.routeId, ghost);
+    }
+    return ghost;
+  }
+
+  /**
+   * Drop the recording and the ghost (race aborted)
+   */
+  cancel() {
+    this.recording = null;
+    this.stopPlayback();
+  }
+
+  stopPlayback() {
+    if (!this.ghostAircraft) return;
+    this.scene.remove(this.ghostAircraft.mesh);
+    this.ghostAircraft.dispose();
+    this.ghostAircraft = null;
+  }
+
+  /**
+   * Advance ghost playback (call each frame)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    this.ghostAircraft?.update(deltaTime);
+  }
+
+  /**
+   * Use a ghost file as the opponent for its route (this session)
+   * @param {string} text - JSON file contents
+   * @returns {Object} The imported ghost
+   * @throws {Error} If the file isn't a valid ghost
+   */
+  importGhost(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a JSON file');
+    }
+
+    const ghost = GhostManager.validate(data);
+    this.imported.set(ghost.routeId, ghost);
+    console.log(`[Ghost] Imported ${ghost.pilot}'s ${ghost.routeId} ghost (${(ghost.time / 1000).toFixed(3)}s)`);
+    return ghost;
+  }
+
+  /**
+   * Forget an imported ghost (back to racing the personal best)
+   * @param {string} routeId
+   */
+  clearImported(routeId) {
+    this.imported.delete(routeId);
+  }
+
+  /**
+   * Download a ghost as a JSON file
+   * @param {Object} ghost
+   */
+  static exportGhost(ghost) {
+    const blob = new Blob([JSON.stringify(ghost)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `flyporto-ghost-${ghost.routeId}-${(ghost.time / 1000).toFixed(3)}s.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Check ghost data from a file or storage
+   * @param {Object} data
+   * @returns {Object} Normalized ghost
+   * @throws {Error} Describing the first problem found
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Not a ghost file');
+    }
+    if (data.version !== GHOST_VERSION) {
+      throw new Error(`Unsupported ghost version ${data.version}`);
+    }
+    // Own keys only - "__proto__" or "constructor" aren't routes
+    if (typeof data.routeId !== 'string' || !Object.hasOwn(ROUTES, data.routeId)) {
+      throw new Error(`Unknown route "${data.routeId}"`);
+    }
+    if (!(data.interval >= 10 && data.interval <= 1000)) {
+      throw new Error('Invalid sample interval');
+    }
+
+    const frames = data.frames;
+    if (!Array.isArray(frames) || frames.length < GHOST_FRAME_SIZE * 2 ||
+        frames.length % GHOST_FRAME_SIZE !== 0 || frames.length > MAX_FRAMES * GHOST_FRAME_SIZE) {
+      throw new Error('Invalid frame data');
+    }
+    if (!frames.every(Number.isFinite)) {
+      throw new Error('Frame data contains non-numbers');
+    }
+    if (!(data.time > 0)) {
+      throw new Error('Invalid race time');
+    }
+
+    const types = CONFIG.aircraft?.types ?? {};
+    return {
+      version: GHOST_VERSION,
+      routeId: data.routeId,
+      // Shown in the race menu - strip markup from shared files
+      pilot: String(data.pilot || 'Ghost').replace(/[<>&"']/g, '').slice(0, 20) || 'Ghost',
+      planeType: types[data.planeType] ? data.planeType : (CONFIG.aircraft?.defaultType ?? 'jet1'),
+      planeColor: typeof data.planeColor === 'string' ? data.planeColor : 'blue',
+      time: data.time,
+      splits: Array.isArray(data.splits) ? data.splits.filter(Number.isFinite) : [],
+      interval: data.interval,
+      frames
+    };
+  }
+
+  /**
+   * Personal best ghost for a route from localStorage
+   * @param {string} routeId
+   * @returns {Object|null}
+   */
+  static loadBest(routeId) {
+    try {
+      const stored = localStorage.getItem(`flysf-race-ghost-${routeId}`);
+      return stored ? GhostManager.validate(JSON.parse(stored)) : null;
+    } catch (e) {
+      // localStorage may be disabled, or the entry corrupted
+      return null;
+    }
+  }
+
+  static saveBest(routeId, ghost) {
+    try {
+      localStorage.setItem(`flysf-race-ghost-${routeId}`, JSON.stringify(ghost));
+    } catch (e) {
+      // localStorage may be disabled or full
+      console.warn('[Ghost] Could not save personal best ghost:', e.message);
+    }
+  }
+
+  dispose() {
+    this.stopPlayback();
+  }
+}
@@ -0,0 +1,386 @@
+import { ROUTES } from '../data/landmarks.js';
+import { CheckpointManager } from './CheckpointManager.js';
+import { GhostManager } from './GhostManager.js';
+
+/**
+ * Format milliseconds as m:ss.mmm
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+/**
+ * Format a split delta against the personal best (+1.234 / -0.567)
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatDelta(ms) {
+  if (ms === null) return '';
+  const sign = ms > 0 ? '+' : '-';
+  return `${sign}${(Math.abs(ms) / 1000).toFixed(3)}`;
+}
+
+/**
+ * RaceUI - route menu, in-race timer/splits panel and finish screen
+ */
+export class RaceUI {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   * @param {GhostManager} ghostManager - For ghost info, import and export
+   */
+  constructor(container, ghostManager = null) {
+    this.container = container;
+    this.ghostManager = ghostManager;
+    this.menuOpen = false;
+    this.racing = false;
+    this.ghostStatus = '';  // Result of the last import, shown in the menu
+
+    this.onStartRoute = null;  // Callback: (routeId) => void
+    this.onAbort = null;       // Callback: () => void
+
+    this.createMenu();
+    this.createPanel();
+    this.createFinishScreen();
+  }
+
+  createMenu() {
+    this.menu = document.createElement('div');
+    this.menu.id = 'race-menu';
+    this.menu.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: min(420px, 90vw);
+      max-height: 80vh;
+      overflow-y: auto;
+      background: rgba(10, 15, 25, 0.92);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 12px;
+      padding: 18px 20px;
+      font-family: system-ui, -apple-system, sans-serif;
+      color: white;
+      z-index: 1500;
+      display: none;
+    `;
+    // Keep clicks here from reaching the game (pointer lock for mouse aim)
+    this.menu.addEventListener('click', (event) => event.stopPropagation());
+    this.container.appendChild(this.menu);
+
+    // Ghost files are picked through a hidden file input
+    this.ghostInput = document.createElement('input');
+    this.ghostInput.type = 'file';
+    this.ghostInput.accept = '.json,application/json';
+    this.ghostInput.style.display = 'none';
+    this.ghostInput.addEventListener('change', () => this.importGhostFile());
+    this.container.appendChild(this.ghostInput);
+  }
+
+  /**
+   * Read the chosen ghost file and make it the opponent for its route
+   */
+  async importGhostFile() {
+    const file = this.ghostInput.files?.[0];
+    this.ghostInput.value = '';
+    if (!file || !this.ghostManager) return;
+
+    try {
+      const ghost = this.ghostManager.importGhost(await file.text());
+      this.ghostStatus = `Racing ${ghost.pilot} (${formatTime(ghost.time)}) on ${ROUTES[ghost.routeId].name}`;
+    } catch (e) {
+      console.warn('[Ghost] Import failed:', e.message);
+      this.ghostStatus = `Import failed: ${e.message}`;
+    }
+    if (this.menuOpen) {
+      this.renderMenu(this.racing);
+    }
+  }
+
+  /**
+   * Ghost line for a route row: who you'd race and export/clear links
+   * @param {string} routeId
+   * @returns {string} HTML
+   */
+  renderGhostLine(routeId) {
+    const ghost = this.ghostManager?.getGhost(routeId);
+    if (!ghost) return '';
+
+    const imported = this.ghostManager.imported.get(routeId) === ghost;
+    const linkStyle = 'color: #93c5fd; cursor: pointer; margin-left: 8px; text-decoration: underline;';
+    return `
+      <div style="font-size: 12px; color: rgba(255,255,255,0.75); margin-top: 4px;">
+        Ghost: ${imported ? ghost.pilot : 'your best'} ${formatTime(ghost.time)}
+        <span class="ghost-export" data-route="${routeId}" style="${linkStyle}">export</span>
+        ${imported ? `<span class="ghost-clear" data-route="${routeId}" style="${linkStyle}">clear</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Rebuild the route list (best times change between races)
+   * @param {boolean} racing - Show the abort button
+   */
+  renderMenu(racing) {
+    const routesHtml = Object.entries(ROUTES).map(([id, route]) => {
+      const best = CheckpointManager.loadBest(id);
+      return `
+        <div class="race-route" data-route="${id}" style="
+          padding: 10px 12px;
+          margin-bottom: 8px;
+          border: 1px solid rgba(255,255,255,0.15);
+          border-radius: 8px;
+          cursor: pointer;
+          background: rgba(255,255,255,0.04);
+        ">
+          <div style="display: flex; justify-content: space-between; font-weight: 600;">
+            <span>${route.name}</span>
+            <span style="color: #4ade80; font-variant-numeric: tabular-nums;">${best ? formatTime(best.time) : '--:--.---'}</span>
+          </div>
+          <div style="font-size: 12px; color: rgba(255,255,255,0.6); margin-top: 2px;">
+            ${route.description} &bull; ${route.checkpoints.length} gates
+          </div>
+          ${this.renderGhostLine(id)}
+        </div>
+      `;
+    }).join('');
+
+    this.menu.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+        <div style="font-size: 18px; font-weight: 700; letter-spacing: 1px;">RACES</div>
+        <div style="font-size: 12px; color: rgba(255,255,255,0.5);">M to close</div>
+      </div>
+      ${routesHtml}
+      ${this.ghostManager ? `
+        <button id="ghost-import" style="
+          width: 100%;
+          padding: 8px;
+          border: 1px dashed rgba(255,255,255,0.3);
+          border-radius: 8px;
+          background: transparent;
+          color: white;
+          cursor: pointer;
+        ">Import ghost file...</button>
+        <div style="font-size: 12px; color: rgba(255,255,255,0.7); margin-top: 6px; min-height: 14px;">${this.ghostStatus}</div>
+      ` : ''}
+      ${racing ? `
+        <button id="race-abort" style="
+          width: 100%;
+          margin-top: 6px;
+          padding: 10px;
+          border: none;
+          border-radius: 8px;
+          background: rgba(239, 68, 68, 0.8);
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+        ">Abandon current race</button>
+      ` : ''}
+    `;
+
+    this.menu.querySelectorAll('.race-route').forEach(element => {
+      element.addEventListener('click', () => {
+        this.hideMenu();
+        this.onStartRoute?.(element.dataset.route);
+      });
+    });
+    this.menu.querySelectorAll('.ghost-export').forEach(element => {
+      element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const ghost = this.ghostManager.getGhost(element.dataset.route);
+        if (ghost) GhostManager.exportGhost(ghost);
+      });
+    });
+    this.menu.querySelectorAll('.ghost-clear').forEach(element => {
+      element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.ghostManager.clearImported(element.dataset.route);
+        this.ghostStatus = '';
+        this.renderMenu(racing);
+      });
+    });
+    this.menu.querySelector('#ghost-import')?.addEventListener('click', () => this.ghostInput.click());
+    this.menu.querySelector('#race-abort')?.addEventListener('click', () => {
+      this.hideMenu();
+      this.onAbort?.();
+    });
+  }
+
+  /**
+   * Open the route menu
+   * @param {boolean} racing - A race is in progress
+   */
+  showMenu(racing = false) {
+    this.hideFinish();
+    this.racing = racing;
+    this.renderMenu(racing);
+    this.menu.style.display = 'block';
+    this.menuOpen = true;
+    // Release mouse aim so the menu can be clicked
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  hideMenu() {
+    this.menu.style.display = 'none';
+    this.menuOpen = false;
+  }
+
+  toggleMenu(racing = false) {
+    if (this.menuOpen) {
+      this.hideMenu();
+    } else {
+      this.showMenu(racing);
+    }
+  }
+
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'race-panel';
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 90px;
+      left: 50%;
+      transform: translateX(-50%);
+      min-width: 200px;
+      background: rgba(0, 0, 0, 0.6);
+      border-radius: 8px;
+      padding: 8px 16px;
+      font-family: system-ui, -apple-system, sans-serif;
+      color: white;
+      text-align: center;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.5);
+      pointer-events: none;
+      z-index: 900;
+      display: none;
+    `;
+    this.panel.innerHTML = `
+      <div id="race-route-name" style="font-size: 11px; letter-spacing: 1px; color: rgba(255,255,255,0.7); text-transform: uppercase;"></div>
+      <div id="race-time" style="font-size: 26px; font-weight: 700; font-variant-numeric: tabular-nums;">0:00.000</div>
+      <div id="race-gate" style="font-size: 13px;"></div>
+      <div id="race-split" style="font-size: 13px; font-weight: 600; min-height: 16px; font-variant-numeric: tabular-nums;"></div>
+    `;
+    this.container.appendChild(this.panel);
+
+    this.routeNameEl = this.panel.querySelector('#race-route-name');
+    this.timeEl = this.panel.querySelector('#race-time');
+    this.gateEl = this.panel.querySelector('#race-gate');
+    this.splitEl = this.panel.querySelector('#race-split');
+    this.splitTimer = null;
+  }
+
+  /**
+   * Refresh the race panel (call each frame)
+   * @param {Object|null} progress - From CheckpointManager.getProgress()
+   */
+  updatePanel(progress) {
+    if (!progress) {
+      this.panel.style.display = 'none';
+      return;
+    }
+
+    this.panel.style.display = 'block';
+    this.routeNameEl.textContent = progress.routeName;
+    this.timeEl.textContent = formatTime(progress.elapsed);
+    this.gateEl.textContent = progress.started
+      ? `Gate ${progress.nextGate + 1}/${progress.total} - ${progress.nextName}`
+      : `Fly through the start gate - ${progress.nextName}`;
+  }
+
+  /**
+   * Flash the split for a gate just passed
+   * @param {Object} info - From CheckpointManager.onGatePassed
+   */
+  showSplit(info) {
+    if (info.index === 0) return;  // Start gate - clock just started
+    const delta = formatDelta(info.delta);
+    this.splitEl.textContent = `${formatTime(info.time)}${delta ? `  ${delta}` : ''}`;
+    this.splitEl.style.color = info.delta === null ? 'white' : (info.delta <= 0 ? '#4ade80' : '#f87171');
+
+    clearTimeout(this.splitTimer);
+    this.splitTimer = setTimeout(() => {
+      this.splitEl.textContent = '';
+    }, 3000);
+  }
+
+  createFinishScreen() {
+    this.finishScreen = document.createElement('div');
+    this.finishScreen.id = 'race-finish';
+    this.finishScreen.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: min(360px, 90vw);
+      background: rgba(10, 15, 25, 0.92);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 12px;
+      padding: 18px 20px;
+      font-family: system-ui, -apple-system, sans-serif;
+      color: white;
+      text-align: center;
+      z-index: 1500;
+      display: none;
+    `;
+    this.finishScreen.addEventListener('click', (event) => event.stopPropagation());
+    this.container.appendChild(this.finishScreen);
+  }
+
+  /**
+   * Show the result of a finished race
+   * @param {Object} result - From CheckpointManager.onFinished, plus the run's `ghost`
+   */
+  showFinish(result) {
+    this.updatePanel(null);
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+
+    const rows = result.splits.slice(1).map(split => `
+      <tr>
+        <td style="text-align: left; padding: 2px 0;">${split.name}</td>
+        <td style="text-align: right;">${formatTime(split.time)}</td>
+        <td style="text-align: right; width: 70px; color: ${split.delta === null ? 'inherit' : (split.delta <= 0 ? '#4ade80' : '#f87171')};">
+          ${formatDelta(split.delta)}
+        </td>
+      </tr>
+    `).join('');
+
+    const bestLine = result.isBest
+      ? `<div style="color: #facc15; font-weight: 700; margin-bottom: 8px;">NEW PERSONAL BEST${result.previousBest !== null ? ` (${formatDelta(result.time - result.previousBest)})` : ''}</div>`
+      : `<div style="color: rgba(255,255,255,0.6); margin-bottom: 8px;">Best: ${formatTime(result.previousBest)}</div>`;
+
+    this.finishScreen.innerHTML = `
+      <div style="font-size: 12px; letter-spacing: 1px; color: rgba(255,255,255,0.7); text-transform: uppercase;">${result.routeName}</div>
+      <div style="font-size: 36px; font-weight: 800; font-variant-numeric: tabular-nums; margin: 4px 0;">${formatTime(result.time)}</div>
+      ${bestLine}
+      <table style="width: 100%; font-size: 13px; font-variant-numeric: tabular-nums; border-collapse: collapse; margin-bottom: 12px;">
+        ${rows}
+      </table>
+      ${result.ghost ? `
+        <button id="race-export" style="width: 100%; margin-bottom: 8px; padding: 8px; border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; background: transparent; color: white; cursor: pointer;">Export ghost of this run</button>
+      ` : ''}
+      <div style="display: flex; gap: 8px;">
+        <button id="race-again" style="flex: 1; padding: 10px; border: none; border-radius: 8px; background: #4ade80; color: #0a0f19; font-weight: 700; cursor: pointer;">Race again</button>
+        <button id="race-close" style="flex: 1; padding: 10px; border: none; border-radius: 8px; background: rgba(255,255,255,0.15); color: white; font-weight: 600; cursor: pointer;">Close</button>
+      </div>
+    `;
+    this.finishScreen.style.display = 'block';
+
+    this.finishScreen.querySelector('#race-again').addEventListener('click', () => {
+      this.hideFinish();
+      this.onStartRoute?.(result.routeId);
+    });
+    this.finishScreen.querySelector('#race-export')?.addEventListener('click', () => GhostManager.exportGhost(result.ghost));
+    this.finishScreen.querySelector('#race-close').addEventListener('click', () => this.hideFinish());
+  }
+
+  hideFinish() {
+    this.finishScreen.style.display = 'none';
+  }
+}
@@ -0,0 +1,264 @@
+import { CONFIG } from '../config.js';
+
+const REPLAY_FORMAT = 'flyporto-replay';
+const REPLAY_VERSION = 1;
+
+// Values per step in replay.steps: t, x, y, z, qx, qy, qz, qw, alive
+export const STEP_SIZE = 9;
+
+// Network messages kept in a recording. Our own shots never come back from
+// the server, so they're recorded from outgoing 'shoot' messages instead.
+const RECORDED_MESSAGES = new Set([
+  'players', 'player_shoot', 'hit_confirmed',
+  'player_destroyed', 'player_respawned', 'player_left'
+]);
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function isVector(v) {
+  return Number.isFinite(v?.x) && Number.isFinite(v?.y) && Number.isFinite(v?.z);
+}
+
+function isOptionalVector(v) {
+  return v === undefined || v === null || isVector(v);
+}
+
+/**
+ * Check a recorded [t, message] pair carries what ReplayPlayer reads from it
+ */
+function isValidEvent(event) {
+  if (!Array.isArray(event) || !Number.isFinite(event[0]) || typeof event[1]?.type !== 'string') {
+    return false;
+  }
+  const msg = event[1];
+  switch (msg.type) {
+    case 'players':
+      return msg.players !== null && typeof msg.players === 'object' &&
+        Object.values(msg.players).every(player =>
+          isVector(player?.position) &&
+          (isVector(player.rotation) || (isVector(player.quaternion) && Number.isFinite(player.quaternion.w))) &&
+          isOptionalVector(player.velocity)) &&
+        (msg.far === undefined || (Array.isArray(msg.far) && msg.far.every(id => typeof id === 'string')));
+    case 'player_shoot':
+      return isOptionalVector(msg.position) && isOptionalVector(msg.direction);
+    default:
+      return true;
+  }
+}
+
+/**
+ * FlightRecorder - records the session for the replay viewer
+ *
+ * Captures the local aircraft every physics step and the combat-relevant
+ * messages seen by NetworkManager, keeping the most recent
+ * CONFIG.replay.maxDuration. Times are ms since recording started; the
+ * Date.now() at that moment is stored so message timestamps stay meaningful.
+ */
+export class FlightRecorder {
+  /**
+   * @param {NetworkManager} networkManager
+   * @param {Object} options - Configuration options (CONFIG.replay)
+   */
+  constructor(networkManager, options = {}) {
+    this.networkManager = networkManager;
+    this.maxDuration = options.maxDuration ?? 10 * 60 * 1000;
+    this.snapshotInterval = options.snapshotInterval ?? 100;
+
+    this.startedAt = Date.now();
+    this.steps = [];   // Flat, STEP_SIZE values per physics step
+    this.events = [];  // [t, message]
+    this.lastSnapshot = -Infinity;
+    this.pilot = {};
+
+    this.hookNetwork();
+  }
+
+  /**
+   * Tap NetworkManager's incoming and outgoing messages
+   */
+  hookNetwork() {
+    const originalHandler = this.networkManager.handleMessage.bind(this.networkManager);
+    this.networkManager.handleMessage = (msg) => {
+      this.recordMessage(msg);
+      originalHandler(msg);
+    };
+
+    const originalSend = this.networkManager.send.bind(this.networkManager);
+    this.networkManager.send = (msg) => {
+      if (msg.type === 'shoot') {
+        this.recordMessage({
+          type: 'player_shoot',
+          shooterId: this.networkManager.getPlayerId(),
+          position: msg.position,
+          direction: msg.direction,
+          timestamp: msg.timestamp
+        });
+      }
+      return originalSend(msg);
+    };
+  }
+
+  /**
+   * Describe the local aircraft (stored in the replay file)
+   * @param {Object} pilot - { planeType, planeColor, flightModel }
+   */
+  setPilot(pilot) {
+    this.pilot = { ...pilot };
+  }
+
+  /**
+   * Milliseconds since recording started
+   * @returns {number}
+   */
+  now() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Record the aircraft after a physics step
+   * @param {Aircraft} aircraft
+   * @param {number} lag - ms between this step's simulated time and now (unconsumed accumulator)
+   */
+  recordStep(aircraft, lag = 0) {
+    const { position: p, quaternion: q } = aircraft;
+    this.steps.push(
+      round(this.now() - lag, 1),
+      round(p.x, 2), round(p.y, 2), round(p.z, 2),
+      round(q.x, 5), round(q.y, 5), round(q.z, 5), round(q.w, 5),
+      aircraft.alive ? 1 : 0
+    );
+    this.trim();
+  }
+
+  /**
+   * Keep a network message if the replay viewer needs it
+   * @param {Object} msg - Decoded message
+   */
+  recordMessage(msg) {
+    if (!RECORDED_MESSAGES.has(msg?.type)) return;
+
+    const t = this.now();
+    if (msg.type === 'players') {
+      // Snapshots arrive at the server tick rate - thin them out
+      if (t - this.lastSnapshot < this.snapshotInterval) return;
+      this.lastSnapshot = t;
+    }
+    this.events.push([t, msg]);
+  }
+
+  /**
+   * Drop data older than maxDuration (in one-minute chunks to keep it cheap)
+   */
+  trim() {
+    const cutoff = this.now() - this.maxDuration;
+    if (this.steps.length === 0 || this.steps[0] >= cutoff - 60000) return;
+
+    let step = 0;
+    while (step < this.steps.length && this.steps[step] < cutoff) {
+      step += STEP_SIZE;
+    }
+    this.steps.splice(0, step);
+
+    const event = this.events.findIndex(([t]) => t >= cutoff);
+    this.events.splice(0, event === -1 ? this.events.length : event);
+  }
+
+  /**
+   * Recorded length in ms
+   * @returns {number}
+   */
+  getDuration() {
+    if (this.steps.length === 0) return 0;
+    return this.steps[this.steps.length - STEP_SIZE] - this.steps[0];
+  }
+
+  /**
+   * Build the replay file contents
+   * @returns {Object}
+   */
+  toJSON() {
+    const start = this.steps.length > 0 ? this.steps[0] : 0;
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date(this.startedAt + start).toISOString(),
+      startedAt: this.startedAt,
+      pilot: {
+        id: this.networkManager.getPlayerId(),
+        name: this.networkManager.getPlayerName(),
+        ...this.pilot
+      },
+      room: this.networkManager.getRoom?.() ?? null,
+      start,
+      end: start + this.getDuration(),
+      steps: this.steps,
+      events: this.events
+    };
+  }
+
+  /**
+   * Download the recording as a JSON file
+   * @returns {boolean} False if nothing has been recorded yet
+   */
+  download() {
+    if (this.steps.length < STEP_SIZE * 2) return false;
+
+    const replay = this.toJSON();
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `flyporto-replay-${replay.recordedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`[Recorder] Saved ${(replay.end - replay.start) / 1000}s replay (${replay.events.length} events)`);
+    return true;
+  }
+
+  /**
+   * Parse and check a replay file
+   * @param {string} text - File contents
+   * @returns {Object} Replay data
+   * @throws {Error} If the file isn't a usable replay
+   */
+  static parse(text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a JSON file');
+    }
+
+    if (replay?.format !== REPLAY_FORMAT) {
+      throw new Error('Not a Fly Porto replay');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    const { steps, events } = replay;
+    if (!Array.isArray(steps) || steps.length < STEP_SIZE * 2 || steps.length % STEP_SIZE !== 0 ||
+        !steps.every(Number.isFinite)) {
+      throw new Error('Invalid flight data');
+    }
+    if (!Array.isArray(events) || !events.every(isValidEvent)) {
+      throw new Error('Invalid event data');
+    }
+    if (!Number.isFinite(replay.startedAt) || typeof replay.pilot?.id !== 'string') {
+      throw new Error('Missing replay header');
+    }
+
+    replay.start = steps[0];
+    replay.end = steps[steps.length - STEP_SIZE];
+    replay.pilot.name = String(replay.pilot.name || 'Pilot').slice(0, 20);
+    replay.pilot.planeType = CONFIG.aircraft?.types?.[replay.pilot.planeType]
+      ? replay.pilot.planeType
+      : (CONFIG.aircraft?.defaultType ?? 'jet1');
+    return replay;
+  }
+}
@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+const MOVE_KEYS = {
+  KeyW: 'forward',
+  KeyS: 'back',
+  KeyA: 'left',
+  KeyD: 'right',
+  KeyE: 'up',
+  KeyQ: 'down'
+};
+
+/**
+ * FreeCamera - fly-through camera for the replay viewer
+ *
+ * WASD moves, Q/E lowers/raises, Shift is faster, dragging looks around and
+ * the wheel changes speed. follow() switches to a chase view of an aircraft
+ * until any movement key is pressed.
+ */
+export class FreeCamera {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {HTMLElement} element - Element that receives drag-to-look
+   * @param {Object} options - { speed } in m/s
+   */
+  constructor(camera, element, options = {}) {
+    this.camera = camera;
+    this.element = element;
+    this.speed = options.speed ?? 80;
+
+    this.yaw = 0;
+    this.pitch = 0;
+    this.pressed = new Set();
+    this.dragging = false;
+    this.target = null;  // Object with position/quaternion to chase, or null
+
+    this._move = new THREE.Vector3();
+    this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this._chase = new THREE.Vector3();
+    this.syncFromCamera();
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleBlur = () => this.pressed.clear();
+
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur);
+    this.element.addEventListener('mousedown', this.handleMouseDown);
+    window.addEventListener('mousemove', this.handleMouseMove);
+    window.addEventListener('mouseup', this.handleMouseUp);
+    this.element.addEventListener('wheel', this.handleWheel, { passive: true });
+  }
+
+  /**
+   * Take yaw/pitch from the camera's current orientation
+   */
+  syncFromCamera() {
+    this._euler.setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.yaw = this._euler.y;
+    this.pitch = this._euler.x;
+  }
+
+  handleKeyDown(event) {
+    const tagName = event.target?.tagName?.toLowerCase();
+    if (tagName === 'input' || tagName === 'select') return;
+    if (MOVE_KEYS[event.code] || event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
+      this.pressed.add(event.code);
+      if (MOVE_KEYS[event.code]) this.stopFollowing();
+    }
+  }
+
+  handleKeyUp(event) {
+    this.pressed.delete(event.code);
+  }
+
+  handleMouseDown(event) {
+    if (event.button !== 0) return;
+    this.dragging = true;
+    this.stopFollowing();
+  }
+
+  handleMouseMove(event) {
+    if (!this.dragging) return;
+    const sensitivity = 0.003;
+    this.yaw -= event.movementX * sensitivity;
+    this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch - event.movementY * sensitivity));
+  }
+
+  handleMouseUp() {
+    this.dragging = false;
+  }
+
+  handleWheel(event) {
+    const factor = event.deltaY < 0 ? 1.2 : 1 / 1.2;
+    this.speed = Math.max(5, Math.min(1000, this.speed * factor));
+  }
+
+  /**
+   * Chase an aircraft
+   * @param {Object} target - Has position (Vector3) and quaternion
+   */
+  follow(target) {
+    this.target = target;
+  }
+
+  stopFollowing() {
+    if (!this.target) return;
+    this.target = null;
+    this.syncFromCamera();
+  }
+
+  isFollowing() {
+    return this.target !== null;
+  }
+
+  /**
+   * Move the camera (call each frame, in real time regardless of replay speed)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.target) {
+      // Behind and above the target along its nose
+      this._chase.set(0, 0, -1).applyQuaternion(this.target.quaternion);
+      this._chase.y = 0;
+      if (this._chase.lengthSq() < 1e-6) this._chase.set(0, 0, -1);
+      this._chase.normalize();
+      const desired = this._move.copy(this.target.position).addScaledVector(this._chase, -60);
+      desired.y += 18;
+      this.camera.position.lerp(desired, 1 - Math.exp(-4 * deltaTime));
+      this.camera.lookAt(this.target.position);
+      return;
+    }
+
+    this._euler.set(this.pitch, this.yaw, 0, 'YXZ');
+    this.camera.quaternion.setFromEuler(this._euler);
+
+    const move = this._move.set(0, 0, 0);
+    if (this.pressed.has('KeyW')) move.z -= 1;
+    if (this.pressed.has('KeyS')) move.z += 1;
+    if (this.pressed.has('KeyA')) move.x -= 1;
+    if (this.pressed.has('KeyD')) move.x += 1;
+    if (move.lengthSq() > 0) {
+      move.normalize().applyQuaternion(this.camera.quaternion);
+    }
+    if (this.pressed.has('KeyE')) move.y += 1;
+    if (this.pressed.has('KeyQ')) move.y -= 1;
+
+    const fast = this.pressed.has('ShiftLeft') || this.pressed.has('ShiftRight');
+    this.camera.position.addScaledVector(move, this.speed * (fast ? 4 : 1) * deltaTime);
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+    this.element.removeEventListener('mousedown', this.handleMouseDown);
+    window.removeEventListener('mousemove', this.handleMouseMove);
+    window.removeEventListener('mouseup', this.handleMouseUp);
+    this.element.removeEventListener('wheel', this.handleWheel);
+  }
+}
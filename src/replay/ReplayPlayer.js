@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { PlayerSync } from '../network/PlayerSync.js';
+import { RemoteAircraft } from '../network/RemoteAircraft.js';
+import { BulletEffects } from '../combat/BulletEffects.js';
+import { CONFIG } from '../config.js';
+import { STEP_SIZE } from './FlightRecorder.js';
+
+const _qA = new THREE.Quaternion();
+const _qB = new THREE.Quaternion();
+
+/**
+ * ReplayPlayer - plays a FlightRecorder file back into the scene
+ *
+ * Remote players go through PlayerSync on a replay clock (so pausing,
+ * seeking and speed changes interpolate correctly); the recorded pilot is
+ * drawn from the per-step flight data. Shots, hits and kills are shown with
+ * BulletEffects as the playhead passes them.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} replay - From FlightRecorder.parse
+   */
+  constructor(scene, replay) {
+    this.scene = scene;
+    this.replay = replay;
+    this.pilotId = replay.pilot.id;
+
+    this.time = replay.start;  // Playhead, ms since recording started
+    this.playing = true;
+    this.speed = 1;
+    this.eventIndex = 0;       // Next event to apply
+
+    this.playerSync = new PlayerSync(scene);
+    this.playerSync.setClock(() => this.getClock());
+    this.bulletEffects = new BulletEffects(scene);
+
+    // The recorded pilot - a RemoteAircraft mesh posed directly from the steps
+    this.pilot = new RemoteAircraft(this.pilotId, replay.pilot.name, replay.pilot.planeColor, replay.pilot.planeType);
+    this.pilotAlive = true;
+    this.scene.add(this.pilot.mesh);
+
+    this.seek(replay.start);
+  }
+
+  /**
+   * Replay time on the recording's wall clock (what message timestamps use)
+   * @returns {number}
+   */
+  getClock() {
+    return this.replay.startedAt + this.time;
+  }
+
+  getDuration() {
+    return this.replay.end - this.replay.start;
+  }
+
+  /**
+   * Playhead relative to the start of the recording
+   * @returns {number} ms
+   */
+  getPosition() {
+    return this.time - this.replay.start;
+  }
+
+  togglePlay() {
+    // Play from the top again once the end is reached
+    if (!this.playing && this.time >= this.replay.end) {
+      this.seek(this.replay.start);
+    }
+    this.playing = !this.playing;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Jump to a point in the recording. Rebuilds remote players by applying
+   * every earlier event without effects.
+   * @param {number} time - ms since recording started (clamped to the recording)
+   */
+  seek(time) {
+    this.time = Math.max(this.replay.start, Math.min(this.replay.end, time));
+
+    this.playerSync.dispose();
+    this.eventIndex = 0;
+    const events = this.replay.events;
+    while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.time) {
+      this.applyEvent(events[this.eventIndex][1], false);
+      this.eventIndex++;
+    }
+    this.updatePilot();
+  }
+
+  /**
+   * Advance the playhead (call each frame)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.playing) {
+      this.time = Math.min(this.replay.end, this.time + deltaTime * 1000 * this.speed);
+
+      const events = this.replay.events;
+      while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.time) {
+        this.applyEvent(events[this.eventIndex][1], true);
+        this.eventIndex++;
+      }
+
+      if (this.time >= this.replay.end) {
+        this.playing = false;
+      }
+    }
+
+    this.updatePilot();
+    this.playerSync.update(deltaTime);
+    this.bulletEffects.update();
+  }
+
+  /**
+   * Pose the recorded pilot at the playhead, interpolating between steps
+   */
+  updatePilot() {
+    const steps = this.replay.steps;
+    const count = steps.length / STEP_SIZE;
+
+    // Binary search for the last step at or before the playhead
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (steps[mid * STEP_SIZE] <= this.time) low = mid;
+      else high = mid - 1;
+    }
+
+    const a = low * STEP_SIZE;
+    const b = Math.min(low + 1, count - 1) * STEP_SIZE;
+    const span = steps[b] - steps[a];
+    const t = span > 0 ? Math.max(0, Math.min(1, (this.time - steps[a]) / span)) : 0;
+
+    this.pilot.position.set(
+      steps[a + 1] + (steps[b + 1] - steps[a + 1]) * t,
+      steps[a + 2] + (steps[b + 2] - steps[a + 2]) * t,
+      steps[a + 3] + (steps[b + 3] - steps[a + 3]) * t
+    );
+    _qA.set(steps[a + 4], steps[a + 5], steps[a + 6], steps[a + 7]);
+    _qB.set(steps[b + 4], steps[b + 5], steps[b + 6], steps[b + 7]);
+    this.pilot.quaternion.copy(_qA.slerp(_qB, t)).normalize();
+
+    this.pilotAlive = steps[a + 8] === 1;
+    this.pilot.mesh.visible = this.pilotAlive;
+    this.pilot.mesh.position.copy(this.pilot.position);
+    this.pilot.mesh.quaternion.copy(this.pilot.quaternion);
+  }
+
+  /**
+   * Position of any recorded aircraft (pilot or remote)
+   * @param {string} id
+   * @returns {THREE.Vector3|null}
+   */
+  getAircraftPosition(id) {
+    if (id === this.pilotId) return this.pilot.position;
+    return this.playerSync.getPlayer(id)?.position ?? null;
+  }
+
+  /**
+   * Apply a recorded message
+   * @param {Object} msg
+   * @param {boolean} withEffects - Show tracers/explosions (false while seeking)
+   */
+  applyEvent(msg, withEffects) {
+    switch (msg.type) {
+      case 'players': {
+        const others = { ...msg.players };
+        delete others[this.pilotId];
+        this.playerSync.updatePlayers(others, msg.far || []);
+        break;
+      }
+
+      case 'player_shoot':
+        if (withEffects && msg.position && msg.direction) {
+          const origin = new THREE.Vector3(msg.position.x, msg.position.y, msg.position.z);
+          const direction = new THREE.Vector3(msg.direction.x, msg.direction.y, msg.direction.z);
+          if (msg.shooterId === this.pilotId) {
+            this.bulletEffects.createMuzzleFlash(origin, direction);
+          }
+          this.bulletEffects.createTracer(origin, direction);
+        }
+        break;
+
+      case 'hit_confirmed': {
+        const target = this.playerSync.getPlayer(msg.targetId);
+        if (target && typeof msg.targetHealth === 'number') {
+          target.health = msg.targetHealth;
+        }
+        const position = this.getAircraftPosition(msg.targetId);
+        if (withEffects && position) {
+          this.bulletEffects.createHitMarker(position);
+        }
+        break;
+      }
+
+      case 'player_destroyed': {
+        const aircraft = this.playerSync.getPlayer(msg.id);
+        const position = this.getAircraftPosition(msg.id);
+        if (withEffects && position) {
+          this.bulletEffects.createExplosion(position);
+        }
+        aircraft?.setAlive(false);
+        break;
+      }
+
+      case 'player_respawned': {
+        const aircraft = this.playerSync.getPlayer(msg.id);
+        if (aircraft) {
+          aircraft.setAlive(true);
+          aircraft.setProtected(msg.protectedFor ?? CONFIG.combat?.spawnProtection ?? 3000);
+        }
+        break;
+      }
+
+      case 'player_left':
+        this.playerSync.removePlayer(msg.id);
+        break;
+    }
+  }
+
+  dispose() {
+    this.playerSync.dispose();
+    this.bulletEffects.dispose();
+    this.scene.remove(this.pilot.mesh);
+    this.pilot.dispose();
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatClock(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * ReplayUI - transport bar for the replay viewer
+ *
+ * Play/pause, seek slider, speed buttons and camera mode. Keys: Space
+ * play/pause, Left/Right seek, [ ] speed, F follow the recorded pilot.
+ */
+export class ReplayUI {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   * @param {Object} options - { speeds, seekStep, title }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.speeds = options.speeds ?? [0.25, 0.5, 1, 2, 4];
+    this.seekStep = options.seekStep ?? 5000;
+    this.seeking = false;  // True while the slider is being dragged
+
+    // Callbacks
+    this.onTogglePlay = null;  // () => void
+    this.onSeek = null;        // (positionMs) => void
+    this.onSkip = null;        // (deltaMs) => void
+    this.onSpeed = null;       // (speed) => void
+    this.onFollow = null;      // () => void
+    this.onExit = null;        // () => void
+
+    this.createBar(options.title ?? 'Replay');
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    window.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  createBar(title) {
+    this.bar = document.createElement('div');
+    this.bar.id = 'replay-bar';
+    this.bar.style.cssText = `
+      position: fixed;
+      left: 50%;
+      bottom: 20px;
+      transform: translateX(-50%);
+      width: min(720px, 94vw);
+      background: rgba(10, 15, 25, 0.85);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 12px;
+      padding: 10px 14px;
+      font-family: system-ui, -apple-system, sans-serif;
+      color: white;
+      z-index: 1500;
+      user-select: none;
+    `;
+
+    const buttonStyle = `
+      padding: 6px 10px;
+      border: none;
+      border-radius: 6px;
+      background: rgba(255,255,255,0.12);
+      color: white;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+    const speedButtons = this.speeds.map(speed => `
+      <button class="replay-speed" data-speed="${speed}" style="${buttonStyle} padding: 6px 8px;">${speed}x</button>
+    `).join('');
+
+    this.bar.innerHTML = `
+      <div style="display: flex; justify-content: space-between; font-size: 12px; color: rgba(255,255,255,0.7); margin-bottom: 6px;">
+        <span id="replay-title"></span>
+        <span>WASD/QE move &bull; drag to look &bull; wheel speed &bull; F follow</span>
+      </div>
+      <input id="replay-seek" type="range" min="0" max="1000" value="0" step="1" style="width: 100%; cursor: pointer;">
+      <div style="display: flex; align-items: center; gap: 6px; margin-top: 6px;">
+        <button id="replay-play" style="${buttonStyle} width: 70px;">Pause</button>
+        <span id="replay-time" style="font-variant-numeric: tabular-nums; font-size: 13px; min-width: 90px;">0:00 / 0:00</span>
+        <div style="flex: 1;"></div>
+        ${speedButtons}
+        <button id="replay-follow" style="${buttonStyle}">Follow</button>
+        <button id="replay-exit" style="${buttonStyle} background: rgba(239, 68, 68, 0.8);">Exit</button>
+      </div>
+    `;
+    this.container.appendChild(this.bar);
+
+    this.bar.querySelector('#replay-title').textContent = title;
+    this.playButton = this.bar.querySelector('#replay-play');
+    this.timeEl = this.bar.querySelector('#replay-time');
+    this.seekInput = this.bar.querySelector('#replay-seek');
+    this.followButton = this.bar.querySelector('#replay-follow');
+
+    this.playButton.addEventListener('click', () => this.onTogglePlay?.());
+    this.followButton.addEventListener('click', () => this.onFollow?.());
+    this.bar.querySelector('#replay-exit').addEventListener('click', () => this.onExit?.());
+    this.bar.querySelectorAll('.replay-speed').forEach(button => {
+      button.addEventListener('click', () => this.onSpeed?.(Number(button.dataset.speed)));
+    });
+
+    // Seeking replays every event from the start, so only do it once the
+    // slider is released; while dragging just the clock follows
+    this.seekInput.addEventListener('input', () => {
+      this.seeking = true;
+    });
+    this.seekInput.addEventListener('change', () => {
+      this.seeking = false;
+      this.onSeek?.(this.getSeekTime());
+      this.seekInput.blur();  // Give the keys back to the camera
+    });
+    this.duration = 0;
+  }
+
+  handleKeyDown(event) {
+    const tagName = event.target?.tagName?.toLowerCase();
+    if (tagName === 'input' && event.target !== this.seekInput) return;
+
+    const index = this.speeds.indexOf(this.speed);
+    switch (event.code) {
+      case 'Space':
+        event.preventDefault();
+        this.onTogglePlay?.();
+        break;
+      case 'ArrowLeft':
+        event.preventDefault();
+        this.onSkip?.(-this.seekStep);
+        break;
+      case 'ArrowRight':
+        event.preventDefault();
+        this.onSkip?.(this.seekStep);
+        break;
+      case 'BracketLeft':
+        if (index > 0) this.onSpeed?.(this.speeds[index - 1]);
+        break;
+      case 'BracketRight':
+        if (index < this.speeds.length - 1) this.onSpeed?.(this.speeds[index + 1]);
+        break;
+      case 'KeyF':
+        this.onFollow?.();
+        break;
+    }
+  }
+
+  /**
+   * Refresh the bar (call each frame)
+   * @param {Object} state - { position, duration, playing, speed, following }
+   */
+  update(state) {
+    this.duration = state.duration;
+    this.speed = state.speed;
+
+    this.playButton.textContent = state.playing ? 'Pause' : 'Play';
+    const position = this.seeking ? this.getSeekTime() : state.position;
+    this.timeEl.textContent = `${formatClock(position)} / ${formatClock(state.duration)}`;
+    if (!this.seeking && state.duration > 0) {
+      this.seekInput.value = String(Math.round(state.position / state.duration * 1000));
+    }
+
+    this.bar.querySelectorAll('.replay-speed').forEach(button => {
+      const active = Number(button.dataset.speed) === state.speed;
+      button.style.background = active ? '#4ade80' : 'rgba(255,255,255,0.12)';
+      button.style.color = active ? '#0a0f19' : 'white';
+    });
+    this.followButton.style.background = state.following ? '#4ade80' : 'rgba(255,255,255,0.12)';
+    this.followButton.style.color = state.following ? '#0a0f19' : 'white';
+  }
+
+  /**
+   * Replay time (ms from the start) under the slider
+   * @returns {number}
+   */
+  getSeekTime() {
+    return Number(this.seekInput.value) / 1000 * this.duration;
+  }
+
+  /**
+   * Clean up listeners and DOM
+   */
+  destroy() {
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.bar.remove();
+  }
+}
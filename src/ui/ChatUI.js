@@ -0,0 +1,409 @@
+import { CONFIG } from '../config.js';
+import { KeyboardInput } from '../input/KeyboardInput.js';
+
+const MUTED_KEY = 'flysf-chat-muted';
+const BLOCKED_KEY = 'flysf-chat-blocked';
+
+const HELP_TEXT = 'Commands: /mute name, /unmute name, /block name, /unblock name. ' +
+  'Mute hides a pilot\'s messages; block also stops yours reaching them. Click a name for the same options.';
+
+/**
+ * Load a saved player list (playerId -> name)
+ * @param {string} key
+ * @returns {Map<string, string>}
+ */
+function loadList(key) {
+  try {
+    return new Map(Object.entries(JSON.parse(localStorage.getItem(key)) || {}));
+  } catch (e) {
+    return new Map();
+  }
+}
+
+function saveList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(Object.fromEntries(list)));
+  } catch (e) {
+    // localStorage unavailable - the list lasts for this session only
+  }
+}
+
+/**
+ * ChatUI - room chat log and the text overlay for typing
+ *
+ * Enter opens the overlay (flight keys are ignored until it closes),
+ * Enter again sends, Escape cancels. While flying only the last few
+ * messages show, and fade out; with the overlay open the whole history
+ * can be scrolled and names clicked to mute or block that pilot.
+ *
+ * Muted pilots are hidden on this client only. Blocked pilots are also
+ * sent to the server (onBlockChange) so neither side's messages reach the
+ * other. Both lists are remembered by player ID.
+ */
+export class ChatUI {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   * @param {Object} [options]
+   * @param {boolean} [options.touch=false] - Keep the log clear of the touch controls
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.maxLength = CONFIG.chat?.maxLength ?? 120;
+    this.visibleMessages = CONFIG.chat?.visibleMessages ?? 6;
+    this.historySize = CONFIG.chat?.historySize ?? 50;
+    this.messageLifetime = CONFIG.chat?.messageLifetime ?? 12000;
+
+    this.messages = [];  // [{ id, name, text, self, system, at }], oldest first
+    this.senders = new Map();  // lowercase name -> { id, name }, for commands
+    this.muted = loadList(MUTED_KEY);
+    this.blocked = loadList(BLOCKED_KEY);
+    this.isOpen = false;
+    this.selected = null;  // { id, name } whose actions are showing
+
+    // Callbacks
+    this.onSend = null;         // (text) => void
+    this.onBlockChange = null;  // (playerId, blocked) => void
+    this.onOpenChange = null;   // (open) => void
+
+    this.createElements(options.touch === true);
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    window.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  createElements(touch) {
+    this.panel = document.createElement('div');
+    this.panel.id = 'chat';
+    this.panel.style.cssText = `
+      position: fixed;
+      left: 10px;
+      bottom: ${touch ? 'calc(40% + 10px)' : '80px'};
+      width: min(380px, 70vw);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 13px;
+      color: white;
+      z-index: 1200;
+      pointer-events: none;
+    `;
+    // Keep clicks here from reaching the game (pointer lock for mouse aim),
+    // and from taking focus off the text field (which closes the overlay)
+    this.panel.addEventListener('click', (event) => event.stopPropagation());
+    this.panel.addEventListener('mousedown', (event) => {
+      if (event.target !== this.input) event.preventDefault();
+    });
+
+    this.log = document.createElement('div');
+    this.log.style.cssText = `
+      max-height: 40vh;
+      overflow-y: hidden;
+      padding: 4px 6px;
+      border-radius: 6px;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+    `;
+    this.panel.appendChild(this.log);
+
+    // Mute / block buttons for the clicked name
+    this.actions = document.createElement('div');
+    this.actions.style.cssText = `
+      display: none;
+      gap: 6px;
+      align-items: center;
+      margin-top: 4px;
+      padding: 6px;
+      background: rgba(10, 15, 25, 0.9);
+      border-radius: 6px;
+    `;
+    this.panel.appendChild(this.actions);
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.maxLength = this.maxLength;
+    this.input.placeholder = 'Say something (Enter to send, Esc to cancel, /help)';
+    this.input.style.cssText = `
+      display: none;
+      width: 100%;
+      box-sizing: border-box;
+      margin-top: 4px;
+      padding: 8px 10px;
+      border: 1px solid rgba(255,255,255,0.25);
+      border-radius: 6px;
+      background: rgba(10, 15, 25, 0.9);
+      color: white;
+      font: inherit;
+      outline: none;
+    `;
+    this.input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.submit();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+    });
+    // Clicking or tapping anywhere else cancels
+    this.input.addEventListener('blur', () => this.close());
+    this.panel.appendChild(this.input);
+
+    this.container.appendChild(this.panel);
+  }
+
+  /**
+   * Enter opens the overlay (unless another text field has focus)
+   */
+  handleKeyDown(event) {
+    if (this.isOpen || event.key !== 'Enter' || event.repeat) return;
+    if (KeyboardInput.shouldIgnoreEventTarget(event.target)) return;
+    event.preventDefault();
+    this.open();
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    // Release mouse aim so names can be clicked
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    this.panel.style.pointerEvents = 'auto';
+    this.log.style.overflowY = 'auto';
+    this.log.style.background = 'rgba(0, 0, 0, 0.55)';
+    this.input.style.display = 'block';
+    this.input.value = '';
+    this.render();
+    this.log.scrollTop = this.log.scrollHeight;
+    this.input.focus();
+    this.onOpenChange?.(true);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.selected = null;
+    this.input.blur();
+    this.panel.style.pointerEvents = 'none';
+    this.log.style.overflowY = 'hidden';
+    this.log.style.background = 'transparent';
+    this.input.style.display = 'none';
+    this.render();
+    this.onOpenChange?.(false);
+  }
+
+  /**
+   * Send the typed message (or run a command) and close
+   */
+  submit() {
+    const text = this.input.value.trim();
+    this.close();
+    if (!text) return;
+    if (text.startsWith('/')) {
+      this.runCommand(text);
+    } else {
+      this.send(text);
+    }
+  }
+
+  /**
+   * Send a message to the room (also used by the quick-chat menu)
+   * @param {string} text
+   */
+  send(text) {
+    this.onSend?.(text.slice(0, this.maxLength));
+  }
+
+  /**
+   * /mute, /unmute, /block, /unblock or /help
+   * @param {string} text - Command line including the slash
+   */
+  runCommand(text) {
+    const [command, ...rest] = text.slice(1).split(' ');
+    const name = rest.join(' ').trim();
+    const action = command.toLowerCase();
+    if (!['mute', 'unmute', 'block', 'unblock'].includes(action)) {
+      this.addSystemMessage(HELP_TEXT);
+      return;
+    }
+    if (!name) {
+      this.addSystemMessage(`Usage: /${action} name`);
+      return;
+    }
+
+    const list = action === 'unmute' ? this.muted : action === 'unblock' ? this.blocked : null;
+    const target = this.findPlayer(name, list);
+    if (!target) {
+      this.addSystemMessage(`No pilot called ${name} has chatted recently.`);
+      return;
+    }
+    if (action === 'mute' || action === 'unmute') {
+      this.setMuted(target.id, target.name, action === 'mute');
+    } else {
+      this.setBlocked(target.id, target.name, action === 'block');
+    }
+  }
+
+  /**
+   * Look a pilot up by callsign among recent senders (and a saved list)
+   * @param {string} name
+   * @param {Map} [list] - Muted or blocked list, for lifting one by name
+   * @returns {{ id, name }|null}
+   */
+  findPlayer(name, list = null) {
+    const lower = name.toLowerCase();
+    for (const [id, savedName] of list ?? []) {
+      if (savedName.toLowerCase() === lower) return { id, name: savedName };
+    }
+    return this.senders.get(lower) ?? null;
+  }
+
+  setMuted(playerId, name, muted) {
+    if (muted) {
+      this.muted.set(playerId, name);
+    } else {
+      this.muted.delete(playerId);
+    }
+    saveList(MUTED_KEY, this.muted);
+    this.addSystemMessage(muted ? `${name} muted.` : `${name} unmuted.`);
+  }
+
+  setBlocked(playerId, name, blocked) {
+    if (blocked) {
+      this.blocked.set(playerId, name);
+    } else {
+      this.blocked.delete(playerId);
+    }
+    saveList(BLOCKED_KEY, this.blocked);
+    this.onBlockChange?.(playerId, blocked);
+    this.addSystemMessage(blocked ? `${name} blocked.` : `${name} unblocked.`);
+  }
+
+  /**
+   * Player IDs to send to the server with join
+   * @returns {string[]}
+   */
+  getBlockedIds() {
+    return [...this.blocked.keys()];
+  }
+
+  /**
+   * Show a chat message from the server
+   * @param {Object} msg - { id, name, text }
+   * @param {boolean} self - Sent by the local player
+   */
+  addMessage(msg, self = false) {
+    if (this.muted.has(msg.id) || this.blocked.has(msg.id)) return;
+    if (!self) {
+      this.senders.set(msg.name.toLowerCase(), { id: msg.id, name: msg.name });
+    }
+    this.push({ id: msg.id, name: msg.name, text: msg.text, self, system: false });
+  }
+
+  /**
+   * Show a line from the game itself (command results, rate limit notices)
+   * @param {string} text
+   */
+  addSystemMessage(text) {
+    this.push({ id: null, name: null, text, self: false, system: true });
+  }
+
+  push(message) {
+    message.at = performance.now();
+    this.messages.push(message);
+    if (this.messages.length > this.historySize) {
+      this.messages.shift();
+    }
+    this.render();
+    if (this.isOpen) {
+      this.log.scrollTop = this.log.scrollHeight;
+    }
+    // Fade the line out once it's old
+    setTimeout(() => this.render(), this.messageLifetime + 50);
+  }
+
+  /**
+   * Rebuild the log: everything while open, recent lines while flying
+   */
+  render() {
+    const now = performance.now();
+    const shown = this.isOpen
+      ? this.messages
+      : this.messages.filter(m => now - m.at < this.messageLifetime).slice(-this.visibleMessages);
+
+    this.log.replaceChildren(...shown.map(message => this.createLine(message)));
+    this.renderActions();
+  }
+
+  createLine(message) {
+    const line = document.createElement('div');
+    line.style.cssText = 'padding: 1px 0; word-wrap: break-word;';
+    if (message.system) {
+      line.style.color = '#fcd34d';
+      line.textContent = message.text;
+      return line;
+    }
+
+    const name = document.createElement('span');
+    name.textContent = `${message.name}: `;
+    name.style.cssText = `font-weight: 600; color: ${message.self ? '#86efac' : '#93c5fd'};`;
+    if (this.isOpen && !message.self) {
+      name.style.cursor = 'pointer';
+      name.title = 'Mute or block';
+      name.addEventListener('click', () => {
+        this.selected = { id: message.id, name: message.name };
+        this.renderActions();
+        this.input.focus();
+      });
+    }
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(message.text));
+    return line;
+  }
+
+  /**
+   * Mute / block buttons for the selected pilot
+   */
+  renderActions() {
+    if (!this.isOpen || !this.selected) {
+      this.actions.style.display = 'none';
+      return;
+    }
+    const { id, name } = this.selected;
+    const label = document.createElement('span');
+    label.textContent = name;
+    label.style.cssText = 'flex: 1; font-weight: 600;';
+
+    const button = (text, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = text;
+      element.style.cssText = `
+        padding: 3px 8px;
+        border: none;
+        border-radius: 4px;
+        background: rgba(255,255,255,0.15);
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+      `;
+      element.addEventListener('click', () => {
+        onClick();
+        this.selected = null;
+        this.render();
+        this.input.focus();
+      });
+      return element;
+    };
+
+    this.actions.replaceChildren(
+      label,
+      button('Mute', () => this.setMuted(id, name, true)),
+      button('Block', () => this.setBlocked(id, name, true)),
+      button('Cancel', () => {})
+    );
+    this.actions.style.display = 'flex';
+  }
+
+  destroy() {
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.panel.remove();
+  }
+}
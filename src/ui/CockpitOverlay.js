@@ -1,3 +1,5 @@
+import { CONFIG } from '../config.js';
+
 /**
  * CockpitOverlay - Immersive cockpit frame + simple instrument panel
  * Pure HTML/CSS overlay for cockpit view mode.
@@ -37,6 +39,7 @@ export class CockpitOverlay {
           <div class="tape-label">ALT</div>
           <div class="tape-value" id="cockpit-altitude">---</div>
           <div class="tape-unit">M</div>
+          <div class="tape-sub" id="cockpit-agl">AGL ---</div>
         </div>
       </div>
       <div class="cockpit-panel">
@@ -55,6 +58,16 @@ export class CockpitOverlay {
             <div class="gauge-bar"><span class="ok"></span></div>
           </div>
         </div>
+        <div class="panel-row">
+          <div class="panel-gauge">
+            <div class="gauge-label" id="cockpit-gun-label">GUN</div>
+            <div class="gauge-bar"><span id="cockpit-ammo"></span></div>
+          </div>
+          <div class="panel-gauge">
+            <div class="gauge-label" id="cockpit-heat-label">HEAT</div>
+            <div class="gauge-bar"><span id="cockpit-heat"></span></div>
+          </div>
+        </div>
         <div class="panel-row">
           <div class="panel-chip">AUTO-TRIM</div>
           <div class="panel-chip">RADAR</div>
@@ -67,7 +80,12 @@ export class CockpitOverlay {
     this.container.appendChild(this.element);
     this.speedEl = this.element.querySelector('#cockpit-speed');
     this.altitudeEl = this.element.querySelector('#cockpit-altitude');
+    this.aglEl = this.element.querySelector('#cockpit-agl');
     this.throttleEl = this.element.querySelector('#cockpit-throttle');
+    this.gunLabelEl = this.element.querySelector('#cockpit-gun-label');
+    this.ammoEl = this.element.querySelector('#cockpit-ammo');
+    this.heatLabelEl = this.element.querySelector('#cockpit-heat-label');
+    this.heatEl = this.element.querySelector('#cockpit-heat');
 
     this.addStyles();
     this.setVisible(false);
@@ -210,6 +228,18 @@ export class CockpitOverlay {
         opacity: 0.6;
       }
 
+      .tape-sub {
+        margin-top: 6px;
+        font-size: 11px;
+        letter-spacing: 1px;
+        opacity: 0.8;
+      }
+
+      .tape-sub.low {
+        color: #ff6b6b;
+        opacity: 1;
+      }
+
       .hud-center {
         display: flex;
         flex-direction: column;
@@ -317,6 +347,10 @@ export class CockpitOverlay {
         width: 90%;
       }
 
+      .gauge-bar span.hot {
+        background: linear-gradient(90deg, rgba(255, 90, 60, 0.3), rgba(255, 90, 60, 0.9));
+      }
+
       .panel-chip {
         flex: 1;
         text-align: center;
@@ -348,12 +382,32 @@ export class CockpitOverlay {
     this.element.classList.toggle('visible', isVisible);
   }
 
-  update(speed, altitude, throttle = 0.4) {
+  update(speed, altitude, throttle = 0.4, agl = null) {
     if (!this.speedEl || !this.altitudeEl || !this.throttleEl) return;
 
     const knots = Math.round(speed * 1.944);
     this.speedEl.textContent = knots.toString().padStart(3, '0');
     this.altitudeEl.textContent = Math.round(altitude).toString().padStart(4, '0');
     this.throttleEl.style.width = `${Math.round(throttle * 100)}%`;
+
+    if (this.aglEl) {
+      this.aglEl.textContent = agl === null ? 'AGL ---' : `AGL ${Math.round(agl)}`;
+      this.aglEl.classList.toggle('low', agl !== null && agl < (CONFIG.collision?.warningAGL ?? 60));
+    }
+  }
+
+  /**
+   * Gun gauges: rounds left (reload progress while reloading) and barrel heat
+   * @param {Object} gun - CombatManager.getGunState()
+   */
+  updateGun(gun) {
+    if (!this.ammoEl || !this.heatEl) return;
+
+    const reloading = gun.reload !== null;
+    this.gunLabelEl.textContent = reloading ? 'RELOAD' : `GUN ${gun.ammo}`;
+    this.ammoEl.style.width = `${Math.round((reloading ? gun.reload : gun.ammo / gun.magazine) * 100)}%`;
+    this.heatLabelEl.textContent = gun.overheated ? 'OVERHEAT' : 'HEAT';
+    this.heatEl.style.width = `${Math.round(gun.heat * 100)}%`;
+    this.heatEl.classList.toggle('hot', gun.overheated || gun.heat > 0.7);
   }
 }
@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { ModelManager } from '../core/ModelManager.js';
 import { CONFIG } from '../config.js';
 
+const COLOR_KEY = 'flysf-plane-color';
+
 /**
  * Entry Screen - Aircraft selection and loading progress
  * Shows while tiles preload in the background
@@ -9,9 +11,16 @@ import { CONFIG } from '../config.js';
 export class EntryScreen {
   constructor() {
     this.selectedType = CONFIG.aircraft?.defaultType || 'jet1';
-    this.selectedColor = 'red';
+    this.selectedColor = this.loadColor();
+    this.selectedRoom = 'public';  // 'public', 'new', or 'join' (uses roomCode)
+    this.selectedMode = 'ffa';     // 'ffa' or 'teams' (public and new rooms)
+    this.selectedWeapons = 'hitscan';  // 'hitscan' or 'ballistic' (public and new rooms)
+    this.selectedFlightModel = CONFIG.physics?.flightModel || 'arcade';
+    this.selectedControls = CONFIG.mouse?.defaultScheme || 'keyboard';  // 'keyboard' or 'mouse'
+    this.roomCode = this.getRoomCodeFromUrl();
     this.isReady = false;
     this.onReady = null;  // Callback when user clicks "Take Off!"
+    this.onReplay = null; // Callback with the text of a chosen replay file
 
     // 3D Preview rendering
     this.previewScene = null;
@@ -42,6 +51,11 @@ export class EntryScreen {
       </div>
     `).join('');
 
+    const swatches = CONFIG.aircraft?.colorSwatches || {};
+    const colorOptionsHtml = (CONFIG.aircraft?.colors || []).map(color => `
+      <div class="color-dot${color === this.selectedColor ? ' selected' : ''}" data-color="${color}"
+        title="${color}" style="background: ${swatches[color] || color}"></div>
+    `).join('');
 
     this.overlay.innerHTML = `
       <div class="entry-container">
@@ -52,6 +66,8 @@ export class EntryScreen {
         <div class="input-group">
           <label>Callsign</label>
           <div class="callsign-note" id="callsign-text">Connecting...</div>
+          <div class="entry-error" id="entry-error"></div>
+          <div class="pilot-card" id="pilot-card"></div>
         </div>
 
         <div class="aircraft-selection">
@@ -59,12 +75,64 @@ export class EntryScreen {
           <div class="aircraft-options">
             ${typeOptionsHtml}
           </div>
+          <div class="aircraft-stats" id="aircraft-stats"></div>
         </div>
 
         <div class="preview-section">
           <div class="preview-container" id="aircraft-preview"></div>
         </div>
 
+        <div class="color-selection">
+          <label>Color</label>
+          <div class="color-options">
+            ${colorOptionsHtml}
+          </div>
+          <div class="color-note">Team games paint you in your team's color</div>
+        </div>
+
+        <div class="room-selection">
+          <label>Room</label>
+          <div class="room-options">
+            <div class="room-option selected" data-room="public">Public</div>
+            <div class="room-option" data-room="new">Create private</div>
+            <div class="room-option" data-room="join">Join with code</div>
+          </div>
+          <input class="room-code-input" id="room-code-input" type="text" maxlength="5"
+            placeholder="Room code" autocomplete="off" spellcheck="false" />
+        </div>
+
+        <div class="room-selection">
+          <label>Mode</label>
+          <div class="choice-options" data-choice="mode">
+            <div class="choice-option" data-value="ffa">Free-for-all<span>Every pilot for themselves</span></div>
+            <div class="choice-option" data-value="teams">Team deathmatch<span>Red vs blue, timed rounds</span></div>
+          </div>
+        </div>
+
+        <div class="room-selection">
+          <label>Guns</label>
+          <div class="choice-options" data-choice="weapons">
+            <div class="choice-option" data-value="hitscan">Hitscan<span>Instant hits down the nose</span></div>
+            <div class="choice-option" data-value="ballistic">Ballistic<span>Rounds fly and drop - lead your target</span></div>
+          </div>
+        </div>
+
+        <div class="room-selection">
+          <label>Flight model</label>
+          <div class="choice-options" data-choice="flightModel">
+            <div class="choice-option" data-value="arcade">Arcade<span>Assisted, self-leveling</span></div>
+            <div class="choice-option" data-value="aerobatic">Aerobatic<span>Loops, rolls, inverted</span></div>
+          </div>
+        </div>
+
+        <div class="room-selection">
+          <label>Controls</label>
+          <div class="choice-options" data-choice="controls">
+            <div class="choice-option" data-value="keyboard">Keyboard<span>Arrows to steer</span></div>
+            <div class="choice-option" data-value="mouse">Mouse aim<span>Point to fly, click to fire</span></div>
+          </div>
+        </div>
+
         <div class="loading-section">
           <div class="progress-bar">
             <div class="progress-fill" id="loading-progress"></div>
@@ -80,6 +148,11 @@ export class EntryScreen {
         <div class="controls-hint">
           <p><strong>W/S</strong> - Throttle &bull; <strong>A/D</strong> - Rudder &bull; <strong>Arrows</strong> - Roll + Pitch &bull; <strong>Space</strong> - Fire &bull; <strong>V</strong> - View</p>
           <p class="tile-hint">Tiles stream in HD as you fly - new areas may take a moment to sharpen</p>
+          <p class="replay-hint">
+            <a href="#" id="replay-link">Watch a flight recording</a>
+            <span id="replay-status"></span>
+            <input type="file" id="replay-file" accept=".json,application/json" hidden>
+          </p>
         </div>
       </div>
     `;
@@ -88,6 +161,7 @@ export class EntryScreen {
     document.body.appendChild(this.overlay);
 
     this.setupEventListeners();
+    this.renderStats(this.selectedType);
 
   }
 
@@ -221,6 +295,42 @@ export class EntryScreen {
         box-sizing: border-box;
       }
 
+      .pilot-card {
+        display: none;
+        grid-template-columns: repeat(5, 1fr);
+        gap: 6px;
+        margin-top: 8px;
+        padding: 10px 12px;
+        border-radius: 10px;
+        background: rgba(74, 222, 128, 0.08);
+        border: 1px solid rgba(74, 222, 128, 0.25);
+        text-align: center;
+      }
+
+      .pilot-card.visible {
+        display: grid;
+      }
+
+      .pilot-card .pilot-stat {
+        font-size: 15px;
+        font-weight: 700;
+        font-variant-numeric: tabular-nums;
+        color: white;
+      }
+
+      .pilot-card .pilot-label {
+        font-size: 10px;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: rgba(255, 255, 255, 0.55);
+      }
+
+      .pilot-card .pilot-new {
+        grid-column: 1 / -1;
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.7);
+      }
+
       .aircraft-selection {
         margin-bottom: 16px;
         text-align: left;
@@ -266,6 +376,137 @@ export class EntryScreen {
         color: rgba(255, 255, 255, 0.5);
       }
 
+      .room-selection {
+        margin-bottom: 16px;
+        text-align: left;
+      }
+
+      .room-selection > label {
+        display: block;
+        margin-bottom: 8px;
+        font-weight: 600;
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.8);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      }
+
+      .room-options {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 8px;
+      }
+
+      .room-option {
+        padding: 10px 6px;
+        border: 2px solid rgba(255, 255, 255, 0.15);
+        border-radius: 10px;
+        cursor: pointer;
+        transition: all 0.25s ease;
+        text-align: center;
+        background: rgba(255, 255, 255, 0.03);
+        font-size: 12px;
+        font-weight: 600;
+        color: rgba(255, 255, 255, 0.9);
+      }
+
+      .room-option:hover {
+        border-color: rgba(255, 255, 255, 0.3);
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      .room-option.selected {
+        border-color: #4ade80;
+        background: rgba(74, 222, 128, 0.15);
+      }
+
+      .choice-options {
+        display: grid;
+        grid-template-columns: repeat(2, 1fr);
+        gap: 8px;
+      }
+
+      .choice-option {
+        padding: 10px 6px;
+        border: 2px solid rgba(255, 255, 255, 0.15);
+        border-radius: 10px;
+        cursor: pointer;
+        transition: all 0.25s ease;
+        text-align: center;
+        background: rgba(255, 255, 255, 0.03);
+        font-size: 12px;
+        font-weight: 600;
+        color: rgba(255, 255, 255, 0.9);
+      }
+
+      .choice-option span {
+        display: block;
+        margin-top: 2px;
+        font-size: 10px;
+        font-weight: 400;
+        color: rgba(255, 255, 255, 0.5);
+      }
+
+      .choice-option:hover {
+        border-color: rgba(255, 255, 255, 0.3);
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      .choice-option.selected {
+        border-color: #4ade80;
+        background: rgba(74, 222, 128, 0.15);
+      }
+
+      .room-code-input {
+        display: none;
+        width: 100%;
+        margin-top: 8px;
+        padding: 10px 14px;
+        border: 2px solid rgba(255, 255, 255, 0.15);
+        border-radius: 10px;
+        background: rgba(255, 255, 255, 0.05);
+        color: white;
+        font-size: 16px;
+        font-weight: 600;
+        letter-spacing: 4px;
+        text-transform: uppercase;
+        box-sizing: border-box;
+      }
+
+      .room-code-input.visible {
+        display: block;
+      }
+
+      .aircraft-stats {
+        display: grid;
+        grid-template-columns: auto 1fr auto;
+        gap: 4px 8px;
+        align-items: center;
+        margin-top: 10px;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.7);
+      }
+
+      .stat-bar {
+        height: 6px;
+        border-radius: 3px;
+        background: rgba(255, 255, 255, 0.1);
+        overflow: hidden;
+      }
+
+      .stat-fill {
+        height: 100%;
+        border-radius: 3px;
+        background: #4ade80;
+        transition: width 0.25s ease;
+      }
+
+      .stat-value {
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+        color: rgba(255, 255, 255, 0.9);
+      }
+
       .color-selection {
         margin-bottom: 16px;
         text-align: left;
@@ -287,6 +528,12 @@ export class EntryScreen {
         box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
       }
 
+      .color-note {
+        margin-top: 6px;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.45);
+      }
+
       .color-dot:hover {
         transform: scale(1.15);
       }
@@ -411,6 +658,29 @@ export class EntryScreen {
         color: rgba(255, 255, 255, 0.7);
       }
 
+      .replay-hint {
+        margin-top: 10px;
+      }
+
+      .replay-hint a {
+        color: rgba(168, 237, 234, 0.9);
+      }
+
+      .entry-error {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #f87171;
+      }
+
+      .entry-error:empty {
+        display: none;
+      }
+
+      #replay-status {
+        margin-left: 6px;
+        color: #f87171;
+      }
+
       .tile-hint {
         margin-top: 10px;
         padding: 8px 12px;
@@ -595,13 +865,169 @@ export class EntryScreen {
         aircraftOptions.forEach(o => o.classList.remove('selected'));
         option.classList.add('selected');
         this.selectedType = option.dataset.type;
+        this.renderStats(this.selectedType);
         this.updatePreviewModel();
       });
     });
 
+    // Color selection
+    const colorDots = this.overlay.querySelectorAll('.color-dot');
+    colorDots.forEach(dot => {
+      dot.addEventListener('click', () => {
+        colorDots.forEach(d => d.classList.toggle('selected', d === dot));
+        this.selectedColor = dot.dataset.color;
+        this.updatePreviewModel();
+      });
+    });
+
+    // Room selection
+    const roomOptions = this.overlay.querySelectorAll('.room-option');
+    const roomCodeInput = document.getElementById('room-code-input');
+    const selectRoom = (room) => {
+      this.selectedRoom = room;
+      roomOptions.forEach(o => o.classList.toggle('selected', o.dataset.room === room));
+      roomCodeInput.classList.toggle('visible', room === 'join');
+    };
+    roomOptions.forEach(option => {
+      option.addEventListener('click', () => {
+        selectRoom(option.dataset.room);
+        if (option.dataset.room === 'join') {
+          roomCodeInput.focus();
+        }
+      });
+    });
+    roomCodeInput.addEventListener('input', () => {
+      this.roomCode = roomCodeInput.value.trim().toUpperCase();
+    });
+    // Invite links (?room=CODE) preselect the join option
+    if (this.roomCode) {
+      roomCodeInput.value = this.roomCode;
+      selectRoom('join');
+    }
+
+    // Mode, guns, flight model and control scheme selection
+    const choiceFields = {
+      mode: 'selectedMode',
+      weapons: 'selectedWeapons',
+      flightModel: 'selectedFlightModel',
+      controls: 'selectedControls'
+    };
+    this.overlay.querySelectorAll('.choice-options').forEach(group => {
+      const field = choiceFields[group.dataset.choice];
+      const options = group.querySelectorAll('.choice-option');
+      options.forEach(option => {
+        option.classList.toggle('selected', option.dataset.value === this[field]);
+        option.addEventListener('click', () => {
+          this[field] = option.dataset.value;
+          options.forEach(o => o.classList.toggle('selected', o === option));
+        });
+      });
+    });
+
     // Fly button
     const flyButton = document.getElementById('fly-button');
     flyButton.addEventListener('click', () => this.triggerStart());
+
+    // Replay viewer - pick a file saved in-game with B
+    const replayFile = document.getElementById('replay-file');
+    document.getElementById('replay-link').addEventListener('click', (event) => {
+      event.preventDefault();
+      replayFile.click();
+    });
+    replayFile.addEventListener('change', async () => {
+      const file = replayFile.files?.[0];
+      replayFile.value = '';
+      if (file) {
+        this.setReplayStatus('');
+        this.onReplay?.(await file.text());
+      }
+    });
+  }
+
+  /**
+   * Show why a replay file couldn't be opened
+   * @param {string} message
+   */
+  setReplayStatus(message) {
+    const status = document.getElementById('replay-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+
+  /**
+   * Show the flight profile of an aircraft type as bars scaled against the
+   * best value across all types
+   * @param {string} typeId
+   */
+  renderStats(typeId) {
+    const container = document.getElementById('aircraft-stats');
+    const types = Object.values(CONFIG.aircraft?.types || {});
+    const profile = CONFIG.aircraft?.types?.[typeId]?.profile;
+    if (!container || !profile) return;
+
+    const knots = 1.94384;
+    const stats = [
+      { key: 'maxSpeed', label: 'Top speed', format: v => `${Math.round(v * knots)} kts` },
+      { key: 'throttleAccel', label: 'Acceleration', format: v => `${v} m/s²` },
+      { key: 'rollRate', label: 'Roll rate', format: v => `${Math.round(v * 180 / Math.PI)}°/s` },
+      { key: 'pitchRate', label: 'Pitch rate', format: v => `${Math.round(v * 180 / Math.PI)}°/s` },
+      { key: 'turnRate', label: 'Turn rate', format: v => `${Math.round(v * 180 / Math.PI)}°/s` },
+      // Lower is better for these two - bars show the inverse
+      { key: 'takeoffSpeed', label: 'Takeoff speed', format: v => `${Math.round(v * knots)} kts`, inverse: true },
+      { key: 'hitboxRadius', label: 'Target size', format: v => `${v} m`, inverse: true }
+    ];
+
+    container.innerHTML = stats.map(({ key, label, format, inverse }) => {
+      const values = types.map(t => t.profile?.[key]).filter(v => typeof v === 'number');
+      const value = profile[key];
+      const ratio = inverse
+        ? Math.min(...values) / value
+        : value / Math.max(...values);
+      return `
+        <span>${label}</span>
+        <div class="stat-bar"><div class="stat-fill" style="width: ${Math.round(ratio * 100)}%"></div></div>
+        <span class="stat-value">${format(value)}</span>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Color from the last sortie (saved by NetworkManager), or red
+   * @returns {string}
+   */
+  loadColor() {
+    try {
+      const color = localStorage.getItem(COLOR_KEY);
+      if (CONFIG.aircraft?.colors?.includes(color)) return color;
+    } catch (e) {
+      // localStorage may be disabled
+    }
+    return 'red';
+  }
+
+  /**
+   * Read a room code from the page URL (?room=CODE), if present
+   * @returns {string}
+   */
+  getRoomCodeFromUrl() {
+    try {
+      const code = new URLSearchParams(window.location.search).get('room') || '';
+      return code.trim().toUpperCase().slice(0, 5);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the room to request on join ('public', 'new', or a room code)
+   * @returns {string}
+   */
+  getRoomRequest() {
+    if (this.selectedRoom === 'join') {
+      return this.roomCode || 'public';
+    }
+    return this.selectedRoom;
   }
 
   /**
@@ -614,6 +1040,51 @@ export class EntryScreen {
     }
   }
 
+  /**
+   * Show why the server turned this player away (e.g. a ban)
+   * @param {string} message
+   */
+  setError(message) {
+    const error = document.getElementById('entry-error');
+    if (error) {
+      error.textContent = message;
+    }
+  }
+
+  /**
+   * Show lifetime stats for this player ID (from the server's profile store)
+   * @param {Object|null} profile - { hits, kills, deaths, timeFlown (s), distanceFlown (m), sorties }
+   */
+  setProfile(profile) {
+    const card = document.getElementById('pilot-card');
+    if (!card) return;
+    if (!profile) {
+      card.classList.remove('visible');
+      return;
+    }
+
+    if (!profile.sorties) {
+      card.innerHTML = '<div class="pilot-new">New pilot - lifetime stats start with your first sortie</div>';
+    } else {
+      const hours = Math.floor(profile.timeFlown / 3600);
+      const minutes = Math.floor(profile.timeFlown % 3600 / 60);
+      const stats = [
+        { label: 'Hits', value: profile.hits },
+        { label: 'Kills', value: profile.kills },
+        { label: 'Deaths', value: profile.deaths },
+        { label: 'Flown', value: hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m` },
+        { label: 'Distance', value: `${(profile.distanceFlown / 1000).toFixed(profile.distanceFlown < 10000 ? 1 : 0)} km` }
+      ];
+      card.innerHTML = stats.map(({ label, value }) => `
+        <div>
+          <div class="pilot-stat">${value}</div>
+          <div class="pilot-label">${label}</div>
+        </div>
+      `).join('');
+    }
+    card.classList.add('visible');
+  }
+
   /**
    * Trigger game start if ready
    */
@@ -623,7 +1094,12 @@ export class EntryScreen {
       if (this.onReady) {
         this.onReady({
           planeType: this.selectedType,
-          planeColor: this.selectedColor
+          planeColor: this.selectedColor,
+          room: this.getRoomRequest(),
+          mode: this.selectedMode,
+          weapons: this.selectedWeapons,
+          flightModel: this.selectedFlightModel,
+          controls: this.selectedControls
         });
       }
     }
@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+const MS_TO_KNOTS = 1.94384;
+const AIM_DISTANCE = 500;  // meters - matches the crosshair projection in HUD
+
+const _toTarget = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _screen = new THREE.Vector3();
+
+/**
+ * Gunsight - target designator, lead pipper and off-screen arrows
+ *
+ * The designator holds the nearest enemy in front of the nose until the
+ * pilot cycles to another (nearest first) or the target is gone. A box
+ * marks it with range and closure rate, and the pipper shows where to put
+ * the crosshair for the gun to hit it. Enemies off screen get an arrow at
+ * the screen edge.
+ */
+export class Gunsight {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.maxRange = CONFIG.gunsight?.maxRange ?? 4000;
+    this.frontCone = CONFIG.gunsight?.frontCone ?? 60;
+    this.maxArrows = CONFIG.gunsight?.maxArrows ?? 6;
+    this.targetId = null;
+    this.manual = false;  // Picked with the cycle key (kept while it stays valid)
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.box = document.createElement('div');
+    this.box.id = 'gunsight-box';
+    this.box.style.cssText = `
+      position: fixed;
+      transform: translate(-50%, -50%);
+      width: 30px;
+      height: 30px;
+      border: 1.5px solid #7dff9a;
+      pointer-events: none;
+      display: none;
+      z-index: 100;
+    `;
+    this.info = document.createElement('div');
+    this.info.style.cssText = `
+      position: absolute;
+      left: 100%;
+      top: 50%;
+      transform: translateY(-50%);
+      margin-left: 8px;
+      color: #7dff9a;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 11px;
+      font-weight: 700;
+      line-height: 1.3;
+      white-space: pre;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+    `;
+    this.box.appendChild(this.info);
+    this.container.appendChild(this.box);
+
+    this.pipper = document.createElement('div');
+    this.pipper.id = 'gunsight-pipper';
+    this.pipper.style.cssText = `
+      position: fixed;
+      transform: translate(-50%, -50%);
+      pointer-events: none;
+      display: none;
+      z-index: 100;
+    `;
+    this.pipper.innerHTML = `
+      <svg width="26" height="26" viewBox="0 0 26 26">
+        <circle cx="13" cy="13" r="10" fill="none" stroke="#7dff9a" stroke-width="1.5"/>
+        <circle cx="13" cy="13" r="1.8" fill="#7dff9a"/>
+      </svg>
+    `;
+    this.container.appendChild(this.pipper);
+
+    this.arrows = [];
+    for (let i = 0; i < this.maxArrows; i++) {
+      const arrow = document.createElement('div');
+      arrow.style.cssText = `
+        position: fixed;
+        width: 0;
+        height: 0;
+        border-top: 8px solid transparent;
+        border-bottom: 8px solid transparent;
+        border-left: 14px solid rgba(255, 90, 90, 0.85);
+        transform-origin: 50% 50%;
+        pointer-events: none;
+        display: none;
+        z-index: 100;
+      `;
+      this.container.appendChild(arrow);
+      this.arrows.push(arrow);
+    }
+  }
+
+  /**
+   * Angle off the nose and range to an aircraft
+   * @returns {{ angle: number, range: number }} Degrees and meters
+   */
+  aspect(aircraft, target) {
+    _toTarget.subVectors(target.position, aircraft.position);
+    const range = _toTarget.length();
+    const angle = range > 0 ? THREE.MathUtils.radToDeg(aircraft.getForwardVector().angleTo(_toTarget)) : 0;
+    return { angle, range };
+  }
+
+  /**
+   * Designate the next enemy in range, nearest first
+   * @param {Aircraft} aircraft - Local aircraft
+   * @param {RemoteAircraft[]} enemies
+   */
+  cycle(aircraft, enemies) {
+    const candidates = enemies
+      .map(enemy => ({ enemy, range: this.aspect(aircraft, enemy).range }))
+      .filter(({ range }) => range <= this.maxRange)
+      .sort((a, b) => a.range - b.range)
+      .map(({ enemy }) => enemy);
+    if (candidates.length === 0) return;
+
+    const index = candidates.findIndex(enemy => enemy.playerId === this.targetId);
+    this.targetId = candidates[(index + 1) % candidates.length].playerId;
+    this.manual = true;
+  }
+
+  /**
+   * Keep the designated target, or fall back to the nearest enemy in front
+   * @returns {RemoteAircraft|null}
+   */
+  designate(aircraft, enemies) {
+    const current = enemies.find(enemy => enemy.playerId === this.targetId);
+    if (current && this.aspect(aircraft, current).range <= this.maxRange &&
+        (this.manual || this.aspect(aircraft, current).angle <= this.frontCone)) {
+      return current;
+    }
+
+    let best = null;
+    let bestRange = this.maxRange;
+    for (const enemy of enemies) {
+      const { angle, range } = this.aspect(aircraft, enemy);
+      if (angle <= this.frontCone && range <= bestRange) {
+        best = enemy;
+        bestRange = range;
+      }
+    }
+    this.targetId = best?.playerId ?? null;
+    this.manual = false;
+    return best;
+  }
+
+  /**
+   * Project a world point to screen pixels
+   * @returns {{ x, y, ndcX, ndcY, behind: boolean, visible: boolean }} Pixels and normalized device coordinates
+   */
+  project(camera, point) {
+    _screen.copy(point).project(camera);
+    const behind = _screen.z >= 1;
+    return {
+      x: (_screen.x * 0.5 + 0.5) * window.innerWidth,
+      y: (-_screen.y * 0.5 + 0.5) * window.innerHeight,
+      ndcX: _screen.x,
+      ndcY: _screen.y,
+      behind,
+      visible: !behind && Math.abs(_screen.x) <= 1 && Math.abs(_screen.y) <= 1
+    };
+  }
+
+  /**
+   * Redraw the sight (call every frame)
+   * @param {THREE.Camera} camera
+   * @param {Aircraft} aircraft - Local aircraft
+   * @param {RemoteAircraft[]} enemies - From CombatManager.getEnemies()
+   * @param {function(RemoteAircraft): Object} getLead - CombatManager.getLead
+   */
+  update(camera, aircraft, enemies, getLead) {
+    const target = aircraft.alive ? this.designate(aircraft, enemies) : null;
+    this.updateArrows(camera, aircraft.alive ? enemies : [], target);
+
+    if (!target) {
+      this.box.style.display = 'none';
+      this.pipper.style.display = 'none';
+      return;
+    }
+
+    const screen = this.project(camera, target.position);
+    if (!screen.visible) {
+      this.box.style.display = 'none';
+      this.pipper.style.display = 'none';
+      return;
+    }
+
+    // Closure: how fast the range is shrinking
+    _toTarget.subVectors(target.position, aircraft.position);
+    _relative.subVectors(target.velocity, aircraft.velocity);
+    const range = _toTarget.length();
+    const closure = range > 0 ? -_relative.dot(_toTarget) / range : 0;
+    const rangeText = range >= 1000 ? `${(range / 1000).toFixed(1)} km` : `${Math.round(range)} m`;
+    const closureKnots = Math.round(closure * MS_TO_KNOTS);
+    this.info.textContent = `${rangeText}\n${closureKnots >= 0 ? '+' : ''}${closureKnots} kt`;
+    this.box.style.left = `${screen.x}px`;
+    this.box.style.top = `${screen.y}px`;
+    this.box.style.display = 'block';
+
+    // Pipper: where the crosshair (the nose, AIM_DISTANCE ahead) must sit
+    const lead = getLead(target);
+    const pipper = this.project(camera, aircraft.position.clone().addScaledVector(lead.direction, AIM_DISTANCE));
+    if (pipper.behind) {
+      this.pipper.style.display = 'none';
+    } else {
+      this.pipper.style.left = `${pipper.x}px`;
+      this.pipper.style.top = `${pipper.y}px`;
+      this.pipper.style.opacity = lead.inRange ? '1' : '0.35';
+      this.pipper.style.display = 'block';
+    }
+  }
+
+  /**
+   * Arrows at the screen edge toward enemies that are off screen
+   */
+  updateArrows(camera, enemies, target) {
+    const margin = 28;
+    const halfWidth = window.innerWidth / 2;
+    const halfHeight = window.innerHeight / 2;
+    let used = 0;
+
+    // The designated target gets an arrow first
+    const ordered = target ? [target, ...enemies.filter(enemy => enemy !== target)] : enemies;
+    for (const enemy of ordered) {
+      if (used >= this.arrows.length) break;
+      const screen = this.project(camera, enemy.position);
+      if (screen.visible) continue;
+
+      // Direction from screen centre (mirrored when behind the camera)
+      let dx = screen.ndcX * halfWidth;
+      let dy = -screen.ndcY * halfHeight;
+      if (screen.behind) {
+        dx = -dx;
+        dy = -dy;
+      }
+      if (dx === 0 && dy === 0) dy = 1;
+
+      // Push out to the edge along that direction
+      const scale = Math.min((halfWidth - margin) / Math.abs(dx || 1e-6), (halfHeight - margin) / Math.abs(dy || 1e-6));
+      const arrow = this.arrows[used++];
+      arrow.style.left = `${halfWidth + dx * scale - 7}px`;
+      arrow.style.top = `${halfHeight + dy * scale - 8}px`;
+      arrow.style.transform = `rotate(${Math.atan2(dy, dx)}rad)`;
+      arrow.style.borderLeftColor = enemy === target ? '#7dff9a' : 'rgba(255, 90, 90, 0.85)';
+      arrow.style.display = 'block';
+    }
+
+    for (let i = used; i < this.arrows.length; i++) {
+      this.arrows[i].style.display = 'none';
+    }
+  }
+}
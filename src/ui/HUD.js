@@ -1,3 +1,5 @@
+import { CONFIG } from '../config.js';
+
 /**
  * HUD - Heads-Up Display for flight information
  * Shows speed (knots), altitude (meters), connection status, ping, and control hints
@@ -12,7 +14,7 @@ export class HUD {
     this.element.innerHTML = `
       <div id="hud-speed">0 kts</div>
       <div id="hud-altitude">0m</div>
-      <div id="hud-hints">W/S: Throttle | A/D: Rudder | Arrows: Roll + Pitch | Space: Fire | V: View</div>
+      <div id="hud-hints">W/S: Throttle | A/D: Rudder | Arrows: Roll + Pitch | Space: Fire | R: Reload | E: Missile | Q: Flares | T: Target | V: View</div>
     `;
     container.appendChild(this.element);
 
@@ -20,6 +22,42 @@ export class HUD {
     this.altitudeEl = document.getElementById('hud-altitude');
     this.hintsEl = document.getElementById('hud-hints');
 
+    // Height above ground (below altitude)
+    this.aglEl = document.createElement('div');
+    this.aglEl.id = 'hud-agl';
+    this.aglEl.style.cssText = `
+      position: absolute;
+      top: 56px;
+      right: 20px;
+      color: rgba(255,255,255,0.85);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 14px;
+      font-weight: bold;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+    `;
+    this.element.appendChild(this.aglEl);
+
+    // Terrain warning (center, hidden by default)
+    this.terrainWarning = document.createElement('div');
+    this.terrainWarning.id = 'hud-terrain-warning';
+    this.terrainWarning.style.cssText = `
+      position: fixed;
+      top: 30%;
+      left: 50%;
+      transform: translateX(-50%);
+      color: #ff3333;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 32px;
+      font-weight: 800;
+      letter-spacing: 4px;
+      text-shadow: 0 0 12px rgba(255,0,0,0.6), 2px 2px 4px rgba(0,0,0,0.8);
+      pointer-events: none;
+      display: none;
+      z-index: 1000;
+    `;
+    this.terrainWarning.textContent = 'PULL UP';
+    container.appendChild(this.terrainWarning);
+
     // Score display (below altitude)
     this.scoreDisplay = document.createElement('div');
     this.scoreDisplay.id = 'hud-score';
@@ -94,6 +132,14 @@ export class HUD {
     // Mouse aim reticle (shows where mouse is pointing)
     this.createMouseAimReticle();
 
+    // Health bar and respawn overlay
+    this.createHealthBar();
+    this.createRespawnOverlay();
+
+    // Missile lock box, threat warning and weapon counts
+    this.createMissileDisplay();
+    this.createGunGauge();
+
     // Sound toggle
     this.createSoundToggle();
 
@@ -261,6 +307,306 @@ export class HUD {
     }
   }
 
+  /**
+   * Create the missile lock box, threat warning and weapon counts
+   */
+  createMissileDisplay() {
+    this.lockBox = document.createElement('div');
+    this.lockBox.id = 'hud-lock-box';
+    this.lockBox.style.cssText = `
+      position: fixed;
+      transform: translate(-50%, -50%);
+      width: 48px;
+      height: 48px;
+      border: 2px dashed #ffd166;
+      pointer-events: none;
+      display: none;
+      z-index: 100;
+    `;
+    this.lockLabel = document.createElement('div');
+    this.lockLabel.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 50%;
+      transform: translateX(-50%);
+      margin-top: 3px;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 11px;
+      font-weight: 700;
+      letter-spacing: 1px;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+    `;
+    this.lockBox.appendChild(this.lockLabel);
+    this.container.appendChild(this.lockBox);
+
+    // Threat warning (above PULL UP, hidden by default)
+    this.missileWarning = document.createElement('div');
+    this.missileWarning.id = 'hud-missile-warning';
+    this.missileWarning.style.cssText = `
+      position: fixed;
+      top: 22%;
+      left: 50%;
+      transform: translateX(-50%);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 26px;
+      font-weight: 800;
+      letter-spacing: 4px;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      pointer-events: none;
+      display: none;
+      z-index: 1000;
+    `;
+    this.container.appendChild(this.missileWarning);
+
+    // Missiles and flares left (just above the health bar)
+    this.weaponsDisplay = document.createElement('div');
+    this.weaponsDisplay.id = 'hud-weapons';
+    this.weaponsDisplay.style.cssText = `
+      position: fixed;
+      bottom: 70px;
+      left: 50%;
+      transform: translateX(-50%);
+      color: rgba(255,255,255,0.85);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 12px;
+      font-weight: 700;
+      letter-spacing: 1px;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+      pointer-events: none;
+      z-index: 100;
+    `;
+    this.container.appendChild(this.weaponsDisplay);
+  }
+
+  /**
+   * Create the gun gauge: rounds left and barrel heat (above the missile counts)
+   */
+  createGunGauge() {
+    this.gunGauge = document.createElement('div');
+    this.gunGauge.id = 'hud-gun';
+    this.gunGauge.style.cssText = `
+      position: fixed;
+      bottom: 88px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      color: rgba(255,255,255,0.85);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 12px;
+      font-weight: 700;
+      letter-spacing: 1px;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+      pointer-events: none;
+      z-index: 100;
+    `;
+    this.gunGauge.innerHTML = `
+      <span data-gun-text style="min-width: 84px; text-align: right;"></span>
+      <div style="width: 80px; height: 5px; background: rgba(255,255,255,0.2); border-radius: 3px; overflow: hidden;">
+        <div data-gun-heat style="height: 100%; width: 0%;"></div>
+      </div>
+    `;
+    this.gunText = this.gunGauge.querySelector('[data-gun-text]');
+    this.gunHeat = this.gunGauge.querySelector('[data-gun-heat]');
+    this.container.appendChild(this.gunGauge);
+  }
+
+  /**
+   * Update the gun gauge
+   * @param {Object} gun - CombatManager.getGunState()
+   */
+  updateGun(gun) {
+    const text = gun.reload !== null
+      ? `RELOAD ${Math.round(gun.reload * 100)}%`
+      : gun.overheated ? 'OVERHEAT' : `GUN ${gun.ammo}`;
+    if (this.gunText.textContent !== text) {
+      this.gunText.textContent = text;
+    }
+    const color = gun.overheated ? '#ff3333' : gun.heat > 0.7 ? '#ffb020' : '#7dff9a';
+    this.gunText.style.color = gun.overheated || gun.reload !== null ? color : '';
+    this.gunHeat.style.width = `${Math.round(gun.heat * 100)}%`;
+    this.gunHeat.style.background = color;
+  }
+
+  /**
+   * Draw the lock box over the seeker's target
+   * @param {THREE.Camera} camera - The game camera
+   * @param {Object|null} lock - { position, locked, progress } or null
+   */
+  updateLockBox(camera, lock) {
+    if (!lock) {
+      this.lockBox.style.display = 'none';
+      return;
+    }
+    this._lockPoint = (this._lockPoint ?? lock.position.clone()).copy(lock.position).project(camera);
+    if (this._lockPoint.z >= 1) {
+      this.lockBox.style.display = 'none';  // Behind the camera
+      return;
+    }
+
+    // Box shrinks onto the target as the lock builds
+    const size = lock.locked ? 40 : Math.round(64 - lock.progress * 20);
+    this.lockBox.style.left = `${(this._lockPoint.x * 0.5 + 0.5) * window.innerWidth}px`;
+    this.lockBox.style.top = `${(-this._lockPoint.y * 0.5 + 0.5) * window.innerHeight}px`;
+    this.lockBox.style.width = `${size}px`;
+    this.lockBox.style.height = `${size}px`;
+    this.lockBox.style.borderStyle = lock.locked ? 'solid' : 'dashed';
+    this.lockBox.style.borderColor = lock.locked ? '#ff3333' : '#ffd166';
+    this.lockLabel.style.color = lock.locked ? '#ff3333' : '#ffd166';
+    this.lockLabel.textContent = lock.locked ? 'LOCK' : '';
+    this.lockBox.style.display = 'block';
+  }
+
+  /**
+   * Show or hide the flashing threat warning
+   * @param {'missile'|'locked'|null} state - Missile inbound, or an enemy has a lock on us
+   */
+  setMissileWarning(state) {
+    if (!state) {
+      this.missileWarning.style.display = 'none';
+      return;
+    }
+    const period = state === 'missile' ? 150 : 400;
+    const on = Math.floor(performance.now() / period) % 2 === 0;
+    this.missileWarning.textContent = state === 'missile' ? 'MISSILE' : 'LOCKED';
+    this.missileWarning.style.color = state === 'missile' ? '#ff3333' : '#ffb020';
+    this.missileWarning.style.display = on ? 'block' : 'none';
+  }
+
+  /**
+   * Update the missile and flare counts
+   * @param {number} missiles
+   * @param {number} flares
+   */
+  updateWeapons(missiles, flares) {
+    const text = `MSL ${missiles} | FLR ${flares}`;
+    if (this.weaponsDisplay.textContent !== text) {
+      this.weaponsDisplay.textContent = text;
+    }
+  }
+
+  /**
+   * Create health bar (bottom-center, above control hints)
+   */
+  createHealthBar() {
+    this.healthBar = document.createElement('div');
+    this.healthBar.id = 'hud-health';
+    this.healthBar.style.cssText = `
+      position: fixed;
+      bottom: 56px;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 200px;
+      height: 10px;
+      background: rgba(0, 0, 0, 0.5);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 5px;
+      overflow: hidden;
+      pointer-events: none;
+      z-index: 100;
+    `;
+
+    this.healthFill = document.createElement('div');
+    this.healthFill.style.cssText = `
+      width: 100%;
+      height: 100%;
+      background: #44ff44;
+      transition: width 0.2s ease-out, background 0.2s ease-out;
+    `;
+    this.healthBar.appendChild(this.healthFill);
+    this.container.appendChild(this.healthBar);
+  }
+
+  /**
+   * Update health bar
+   * @param {number} health - Current health
+   * @param {number} maxHealth - Maximum health
+   */
+  updateHealth(health, maxHealth = 100) {
+    if (!this.healthFill) return;
+
+    const fraction = Math.max(0, Math.min(1, health / maxHealth));
+    let color = '#44ff44';
+    if (fraction <= 0.3) {
+      color = '#ff4444';
+    } else if (fraction <= 0.6) {
+      color = '#ffff44';
+    }
+    this.healthFill.style.width = `${Math.round(fraction * 100)}%`;
+    this.healthFill.style.background = color;
+  }
+
+  /**
+   * Create the "shot down" overlay with respawn countdown (hidden by default)
+   */
+  createRespawnOverlay() {
+    this.respawnOverlay = document.createElement('div');
+    this.respawnOverlay.id = 'hud-respawn';
+    this.respawnOverlay.style.cssText = `
+      position: fixed;
+      top: 35%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      color: white;
+      font-family: system-ui, -apple-system, sans-serif;
+      text-align: center;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      pointer-events: none;
+      z-index: 1000;
+      display: none;
+    `;
+    this.respawnTitle = document.createElement('div');
+    this.respawnTitle.style.cssText = 'font-size: 40px; font-weight: bold; color: #ff4444;';
+    this.respawnSubtitle = document.createElement('div');
+    this.respawnSubtitle.style.cssText = 'font-size: 18px; margin-top: 8px;';
+    this.respawnCountdown = document.createElement('div');
+    this.respawnCountdown.style.cssText = 'font-size: 24px; margin-top: 16px;';
+
+    this.respawnOverlay.appendChild(this.respawnTitle);
+    this.respawnOverlay.appendChild(this.respawnSubtitle);
+    this.respawnOverlay.appendChild(this.respawnCountdown);
+    this.container.appendChild(this.respawnOverlay);
+
+    this._respawnTimer = null;
+  }
+
+  /**
+   * Show "shot down" overlay with a countdown until respawn
+   * @param {string|null} killerName - Who destroyed us (null if unknown)
+   * @param {number} respawnIn - Milliseconds until respawn
+   */
+  showRespawnCountdown(killerName, respawnIn, cause = 'shot_down') {
+    this.hideRespawnCountdown();
+
+    const respawnAt = performance.now() + respawnIn;
+    this.respawnTitle.textContent = cause === 'crash' ? 'CRASHED' : 'SHOT DOWN';
+    this.respawnSubtitle.textContent = killerName ? `by ${killerName}` : '';
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((respawnAt - performance.now()) / 1000));
+      this.respawnCountdown.textContent = remaining > 0
+        ? `Respawning in ${remaining}...`
+        : 'Respawning...';
+    };
+    tick();
+    this._respawnTimer = setInterval(tick, 250);
+    this.respawnOverlay.style.display = 'block';
+  }
+
+  /**
+   * Hide the respawn overlay
+   */
+  hideRespawnCountdown() {
+    if (this._respawnTimer) {
+      clearInterval(this._respawnTimer);
+      this._respawnTimer = null;
+    }
+    if (this.respawnOverlay) {
+      this.respawnOverlay.style.display = 'none';
+    }
+  }
+
   /**
    * Create sound toggle button
    */
@@ -298,7 +644,7 @@ export class HUD {
    * @param {number} speed - Speed in m/s
    * @param {number} altitude - Altitude in meters
    */
-  update(speed, altitude) {
+  update(speed, altitude, agl = null) {
     // Speed: m/s to knots (1 m/s = 1.944 knots)
     const knots = Math.round(speed * 1.944);
     this.speedEl.textContent = `${knots} kts`;
@@ -306,6 +652,28 @@ export class HUD {
     // Altitude: meters (rounded)
     const alt = Math.round(altitude);
     this.altitudeEl.textContent = `${alt}m`;
+
+    // Height above ground, when terrain below has loaded
+    if (agl === null) {
+      this.aglEl.textContent = 'AGL ---';
+      this.aglEl.style.color = 'rgba(255,255,255,0.85)';
+    } else {
+      this.aglEl.textContent = `AGL ${Math.round(agl)}m`;
+      this.aglEl.style.color = agl < (CONFIG.collision?.warningAGL ?? 60) ? '#ff4444' : 'rgba(255,255,255,0.85)';
+    }
+  }
+
+  /**
+   * Show or hide the flashing PULL UP warning
+   * @param {boolean} active
+   */
+  setTerrainWarning(active) {
+    if (active) {
+      const on = Math.floor(performance.now() / 250) % 2 === 0;
+      this.terrainWarning.style.display = on ? 'block' : 'none';
+    } else {
+      this.terrainWarning.style.display = 'none';
+    }
   }
 
   /**
@@ -347,7 +715,11 @@ export class HUD {
    * @param {number} playerCount - Number of players online
    */
   updateConnectionStatus(connected, playerCount = 0) {
-    if (connected) {
+    if (connected && this.room?.code) {
+      // Private rooms show the real count alongside the code to share
+      this.connectionStatus.style.color = '#44ff44';
+      this.connectionStatus.textContent = `Room ${this.room.code}: ${playerCount} player${playerCount !== 1 ? 's' : ''}`;
+    } else if (connected) {
       // Generate a stable random offset that changes every ~30 seconds
       // This creates a natural-looking player count fluctuation
       if (!this._playerCountOffset || !this._playerCountOffsetTime || Date.now() - this._playerCountOffsetTime > 30000) {
@@ -363,6 +735,14 @@ export class HUD {
     }
   }
 
+  /**
+   * Set the room shown in the connection status
+   * @param {{id: string, code: string|null}|null} room
+   */
+  setRoom(room) {
+    this.room = room;
+  }
+
   /**
    * Update ping display
    * @param {number} ping - Ping in milliseconds
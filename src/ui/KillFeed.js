@@ -0,0 +1,235 @@
+import { CONFIG } from '../config.js';
+
+const WEAPON_LABELS = { gun: 'GUN', missile: 'MSL' };
+
+/**
+ * @typedef {Object} Pilot
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} color - Team color (team rooms only)
+ * @property {boolean} me - The local player
+ */
+
+/**
+ * KillFeed - room-wide hit and kill feed, and streak announcements
+ *
+ * Every confirmed hit and destruction in the room gets a line with the
+ * shooter, weapon and victim; repeated hits by the same shooter on the same
+ * target share a line with a count. Streaks and shutdowns (counted by the
+ * server) show one at a time as a banner under the top of the screen.
+ */
+export class KillFeed {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.maxEntries = CONFIG.killFeed?.maxEntries ?? 6;
+    this.entryLifetime = CONFIG.killFeed?.entryLifetime ?? 6000;
+    this.hitMergeWindow = CONFIG.killFeed?.hitMergeWindow ?? 2000;
+    this.announcementDuration = CONFIG.killFeed?.announcementDuration ?? 2500;
+    this.entries = [];  // { row, countEl, kind, shooterId, targetId, weapon, count, updatedAt }
+    this.announcements = [];  // { text, color } waiting for the banner
+    this.bannerTimer = null;
+
+    this.createElements();
+    this.timer = setInterval(() => this.prune(), 500);
+  }
+
+  createElements() {
+    // Left of the connection status and leaderboard column
+    this.element = document.createElement('div');
+    this.element.id = 'kill-feed';
+    this.element.style.cssText = `
+      position: fixed;
+      top: calc(var(--top-banner-height, 0px) + 10px);
+      right: 190px;
+      display: flex;
+      flex-direction: column;
+      align-items: flex-end;
+      gap: 3px;
+      max-width: 320px;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 13px;
+      color: white;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.7);
+      pointer-events: none;
+      z-index: 1000;
+    `;
+    this.container.appendChild(this.element);
+
+    this.banner = document.createElement('div');
+    this.banner.id = 'announcement';
+    this.banner.style.cssText = `
+      position: fixed;
+      top: calc(var(--top-banner-height, 0px) + 52px);
+      left: 50%;
+      transform: translateX(-50%);
+      display: none;
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 22px;
+      font-weight: 800;
+      letter-spacing: 1px;
+      text-align: center;
+      white-space: nowrap;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      pointer-events: none;
+      z-index: 1000;
+    `;
+    this.container.appendChild(this.banner);
+  }
+
+  /**
+   * A confirmed hit
+   * @param {Pilot} shooter
+   * @param {Pilot} target
+   * @param {string} weapon - 'gun' or 'missile'
+   */
+  addHit(shooter, target, weapon) {
+    const now = performance.now();
+    const entry = this.entries.find(e =>
+      e.kind === 'hit' && e.shooterId === shooter.id && e.targetId === target.id &&
+      e.weapon === weapon && now - e.updatedAt <= this.hitMergeWindow);
+    if (entry) {
+      entry.count += 1;
+      entry.updatedAt = now;
+      entry.countEl.textContent = `x${entry.count}`;
+      return;
+    }
+    this.addEntry('hit', shooter, target, WEAPON_LABELS[weapon] ?? 'GUN', weapon);
+  }
+
+  /**
+   * An aircraft went down
+   * @param {Pilot|null} killer - null for crashes
+   * @param {Pilot} victim
+   * @param {string|null} weapon
+   * @param {string} cause - 'shot_down' or 'crash'
+   */
+  addKill(killer, victim, weapon, cause) {
+    const label = cause === 'crash' || !killer
+      ? 'CRASHED'
+      : `${WEAPON_LABELS[weapon] ?? 'KILL'} ✖`;
+    this.addEntry('kill', killer, victim, label, weapon);
+  }
+
+  addEntry(kind, shooter, target, label, weapon) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 8px;
+      border-radius: 6px;
+      background: rgba(0, 0, 0, ${kind === 'kill' ? 0.6 : 0.4});
+      opacity: ${kind === 'kill' ? 1 : 0.85};
+      transition: opacity 0.4s;
+    `;
+
+    const badge = document.createElement('span');
+    badge.style.cssText = `
+      font-size: 10px;
+      font-weight: 700;
+      letter-spacing: 1px;
+      padding: 1px 5px;
+      border-radius: 4px;
+      background: ${kind === 'kill' ? 'rgba(239, 68, 68, 0.85)' : 'rgba(255, 255, 255, 0.2)'};
+    `;
+    badge.textContent = label;
+
+    // Crashes read "victim CRASHED"
+    if (shooter) {
+      row.append(this.createName(shooter), badge, this.createName(target));
+    } else {
+      row.append(this.createName(target), badge);
+    }
+
+    const countEl = document.createElement('span');
+    countEl.style.cssText = 'font-size: 11px; opacity: 0.8;';
+    row.appendChild(countEl);
+    this.element.appendChild(row);
+
+    this.entries.push({
+      row,
+      countEl,
+      kind,
+      shooterId: shooter?.id ?? null,
+      targetId: target.id,
+      weapon,
+      count: 1,
+      updatedAt: performance.now()
+    });
+    while (this.entries.length > this.maxEntries) {
+      this.entries.shift().row.remove();
+    }
+  }
+
+  /**
+   * Pilot name (set as text - names come from other players)
+   * @param {Pilot} pilot
+   */
+  createName(pilot) {
+    const name = document.createElement('span');
+    name.textContent = pilot.me ? `${pilot.name} (you)` : pilot.name;
+    name.style.color = pilot.color ?? (pilot.me ? '#ffd166' : 'white');
+    name.style.fontWeight = pilot.me ? '800' : '600';
+    return name;
+  }
+
+  /**
+   * Streak or shutdown banner
+   * @param {Object} msg - streak message { event: 'streak'|'shutdown', streak }
+   * @param {Pilot} player - Pilot on the streak, or who ended it
+   * @param {Pilot|null} victim - Whose streak was ended (shutdown only)
+   */
+  announce(msg, player, victim) {
+    if (msg.event === 'shutdown') {
+      const ended = victim?.me ? 'your' : `${victim?.name ?? 'Unknown'}'s`;
+      this.announcements.push({
+        text: `SHUTDOWN! ${player.me ? 'You' : player.name} ended ${ended} ${msg.streak}-kill streak`,
+        color: '#ff6b6b'
+      });
+    } else {
+      this.announcements.push({
+        text: player.me ? `${msg.streak} in a row!` : `${player.name}: ${msg.streak} in a row`,
+        color: player.color ?? '#ffd166'
+      });
+    }
+    if (!this.bannerTimer) {
+      this.showNextAnnouncement();
+    }
+  }
+
+  showNextAnnouncement() {
+    const next = this.announcements.shift();
+    if (!next) {
+      this.banner.style.display = 'none';
+      this.bannerTimer = null;
+      return;
+    }
+    this.banner.textContent = next.text;
+    this.banner.style.color = next.color;
+    this.banner.style.display = 'block';
+    this.bannerTimer = setTimeout(() => this.showNextAnnouncement(), this.announcementDuration);
+  }
+
+  /**
+   * Fade out lines older than entryLifetime
+   */
+  prune() {
+    const now = performance.now();
+    this.entries = this.entries.filter((entry) => {
+      if (now - entry.updatedAt <= this.entryLifetime) return true;
+      entry.row.style.opacity = '0';
+      setTimeout(() => entry.row.remove(), 400);
+      return false;
+    });
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+    clearTimeout(this.bannerTimer);
+    this.element.remove();
+    this.banner.remove();
+  }
+}
@@ -0,0 +1,156 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * QuickChatMenu - radial menu of canned phrases for touch devices
+ *
+ * A CHAT button above the fire button opens a ring of phrases around the
+ * middle of the screen; tapping one sends it, the centre button opens the
+ * text overlay instead, and tapping anywhere else closes the menu.
+ */
+export class QuickChatMenu {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   * @param {string[]} [phrases] - Clockwise from the top
+   */
+  constructor(container, phrases = CONFIG.chat?.quickPhrases ?? []) {
+    this.container = container;
+    this.phrases = phrases;
+    this.isOpen = false;
+
+    // Callbacks
+    this.onSelect = null;    // (text) => void
+    this.onKeyboard = null;  // () => void
+
+    this.createButton();
+    this.createMenu();
+  }
+
+  createButton() {
+    this.button = document.createElement('div');
+    this.button.id = 'touch-chat';
+    this.button.style.cssText = `
+      position: fixed;
+      right: 30px;
+      bottom: calc(50% + 55px);
+      width: 50px;
+      height: 50px;
+      background: rgba(80, 140, 255, 0.3);
+      border: 2px solid rgba(120, 170, 255, 0.5);
+      border-radius: 50%;
+      backdrop-filter: blur(4px);
+      -webkit-backdrop-filter: blur(4px);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: system-ui, sans-serif;
+      font-size: 11px;
+      font-weight: 600;
+      letter-spacing: 0.5px;
+      color: rgba(255, 255, 255, 0.9);
+      text-shadow: 0 1px 2px rgba(0,0,0,0.3);
+      user-select: none;
+      touch-action: none;
+      z-index: 100;
+    `;
+    this.button.textContent = 'CHAT';
+    this.button.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.toggle();
+    });
+    this.container.appendChild(this.button);
+  }
+
+  createMenu() {
+    this.menu = document.createElement('div');
+    this.menu.id = 'quick-chat';
+    this.menu.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.35);
+      z-index: 1300;
+      display: none;
+      touch-action: none;
+    `;
+    this.menu.addEventListener('touchstart', (e) => {
+      if (e.target === this.menu) {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    // Ring radius fits the smaller screen dimension
+    const radius = 'min(34vw, 34vh, 160px)';
+    this.phrases.forEach((phrase, index) => {
+      const angle = (index / this.phrases.length) * Math.PI * 2;
+      const item = this.createItem(phrase, () => {
+        this.close();
+        this.onSelect?.(phrase);
+      });
+      item.style.left = `calc(50% + ${Math.sin(angle).toFixed(3)} * ${radius})`;
+      item.style.top = `calc(50% - ${Math.cos(angle).toFixed(3)} * ${radius})`;
+      this.menu.appendChild(item);
+    });
+
+    const keyboard = this.createItem('Type...', () => {
+      this.close();
+      this.onKeyboard?.();
+    });
+    keyboard.style.left = '50%';
+    keyboard.style.top = '50%';
+    keyboard.style.background = 'rgba(255, 255, 255, 0.2)';
+    this.menu.appendChild(keyboard);
+
+    this.container.appendChild(this.menu);
+  }
+
+  /**
+   * One round phrase button, centred on its left/top
+   */
+  createItem(label, onTap) {
+    const item = document.createElement('div');
+    item.textContent = label;
+    item.style.cssText = `
+      position: absolute;
+      transform: translate(-50%, -50%);
+      min-width: 76px;
+      padding: 10px 12px;
+      background: rgba(10, 15, 25, 0.85);
+      border: 1px solid rgba(255,255,255,0.25);
+      border-radius: 22px;
+      font-family: system-ui, sans-serif;
+      font-size: 14px;
+      font-weight: 600;
+      color: white;
+      text-align: center;
+      user-select: none;
+    `;
+    item.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      onTap();
+    });
+    return item;
+  }
+
+  open() {
+    this.menu.style.display = 'block';
+    this.isOpen = true;
+  }
+
+  close() {
+    this.menu.style.display = 'none';
+    this.isOpen = false;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  destroy() {
+    this.button.remove();
+    this.menu.remove();
+  }
+}
@@ -0,0 +1,194 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatClock(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * TeamMatchUI - team scores, round clock and the end-of-round win screen
+ *
+ * Only shown in team deathmatch rooms. The server sends match state on
+ * join and whenever a score changes or a round ends or starts; the clocks
+ * count down locally in between.
+ */
+export class TeamMatchUI {
+  /**
+   * @param {HTMLElement} container - Parent container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.swatches = CONFIG.aircraft?.colorSwatches ?? {};
+    this.topCount = CONFIG.teams?.winScreenTop ?? 3;
+    this.match = null;
+    this.receivedAt = 0;
+    this.team = null;
+
+    this.createElements();
+    this.timer = setInterval(() => this.renderClocks(), 250);
+  }
+
+  createElements() {
+    this.bar = document.createElement('div');
+    this.bar.id = 'team-score';
+    this.bar.style.cssText = `
+      position: fixed;
+      top: calc(var(--top-banner-height, 0px) + 10px);
+      left: 50%;
+      transform: translateX(-50%);
+      display: none;
+      align-items: center;
+      gap: 10px;
+      padding: 4px 12px;
+      border-radius: 10px;
+      background: rgba(0, 0, 0, 0.55);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      font-family: system-ui, -apple-system, sans-serif;
+      font-size: 15px;
+      font-weight: 700;
+      color: white;
+      text-shadow: 1px 1px 2px rgba(0,0,0,0.7);
+      pointer-events: none;
+      z-index: 1000;
+    `;
+    this.container.appendChild(this.bar);
+
+    this.winScreen = document.createElement('div');
+    this.winScreen.id = 'team-win';
+    this.winScreen.style.cssText = `
+      position: fixed;
+      top: 30%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      display: none;
+      min-width: 260px;
+      padding: 18px 28px;
+      border-radius: 12px;
+      background: rgba(0, 0, 0, 0.7);
+      font-family: system-ui, -apple-system, sans-serif;
+      color: white;
+      text-align: center;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      pointer-events: none;
+      z-index: 1100;
+    `;
+    this.container.appendChild(this.winScreen);
+  }
+
+  /**
+   * Our team, shown in the score bar
+   * @param {string|null} team
+   */
+  setTeam(team) {
+    this.team = team;
+    this.render();
+  }
+
+  /**
+   * Apply match state from the server (null outside team rooms)
+   * @param {Object|null} match - { event, round, state, scores, scoreLimit, timeLeft, nextRoundIn, winner, top? }
+   */
+  update(match) {
+    // Updates during the intermission don't repeat the round's top pilots
+    if (match?.state === 'intermission' && !match.top && this.match?.top) {
+      match = { ...match, top: this.match.top };
+    }
+    this.match = match;
+    this.receivedAt = performance.now();
+    this.render();
+  }
+
+  render() {
+    const match = this.match;
+    if (!match) {
+      this.bar.style.display = 'none';
+      this.winScreen.style.display = 'none';
+      return;
+    }
+
+    const teams = Object.keys(match.scores);
+    const teamScore = (team) => `
+      <span style="color: ${this.swatches[team] ?? team}; ${team === this.team ? 'text-decoration: underline;' : ''}">
+        ${team.toUpperCase()} ${match.scores[team]}
+      </span>
+    `;
+    this.bar.innerHTML = `
+      ${teams.map(teamScore).join('<span style="opacity: 0.5;">-</span>')}
+      <span style="font-size: 12px; font-weight: 500; opacity: 0.8;">
+        R${match.round} &bull; to ${match.scoreLimit} &bull; <span data-clock></span>
+      </span>
+    `;
+    this.bar.style.display = 'flex';
+
+    if (match.state === 'intermission') {
+      this.renderWinScreen(match);
+    } else {
+      this.winScreen.style.display = 'none';
+    }
+    this.renderClocks();
+  }
+
+  renderWinScreen(match) {
+    const winnerColor = this.swatches[match.winner] ?? 'white';
+    const title = match.winner
+      ? `${match.winner.toUpperCase()} TEAM WINS`
+      : 'DRAW';
+    const subtitle = !match.winner ? '' : match.winner === this.team ? 'Victory!' : this.team ? 'Defeat' : '';
+    const scores = Object.entries(match.scores)
+      .map(([team, score]) => `<span style="color: ${this.swatches[team] ?? team};">${team.toUpperCase()} ${score}</span>`)
+      .join(' &nbsp;-&nbsp; ');
+    this.winScreen.innerHTML = `
+      <div style="font-size: 34px; font-weight: bold; color: ${winnerColor};">${title}</div>
+      ${subtitle ? `<div style="font-size: 16px; margin-top: 4px;">${subtitle}</div>` : ''}
+      <div style="font-size: 22px; font-weight: bold; margin: 12px 0;">${scores}</div>
+    `;
+
+    // Top pilots (names are set as text - they come from other players)
+    for (const [index, player] of (match.top ?? []).slice(0, this.topCount).entries()) {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 16px; font-size: 14px; padding: 2px 0;';
+      const name = document.createElement('span');
+      name.textContent = `${index + 1}. ${player.name}`;
+      name.style.color = this.swatches[player.team] ?? 'white';
+      const score = document.createElement('span');
+      score.textContent = player.score;
+      row.append(name, score);
+      this.winScreen.appendChild(row);
+    }
+
+    const next = document.createElement('div');
+    next.style.cssText = 'font-size: 13px; opacity: 0.8; margin-top: 10px;';
+    next.innerHTML = 'Next round in <span data-next></span>';
+    this.winScreen.appendChild(next);
+    this.winScreen.style.display = 'block';
+  }
+
+  /**
+   * Count the round clock and intermission down between server updates
+   */
+  renderClocks() {
+    if (!this.match) return;
+    const elapsed = performance.now() - this.receivedAt;
+    const clock = this.bar.querySelector('[data-clock]');
+    if (clock) {
+      clock.textContent = this.match.state === 'playing'
+        ? formatClock(this.match.timeLeft - elapsed)
+        : 'round over';
+    }
+    const next = this.winScreen.querySelector('[data-next]');
+    if (next) {
+      next.textContent = `${Math.max(0, Math.ceil((this.match.nextRoundIn - elapsed) / 1000))}s`;
+    }
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+    this.bar.remove();
+    this.winScreen.remove();
+  }
+}
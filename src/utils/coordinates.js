@@ -16,6 +16,24 @@ export function latLonAltToCartesian(lat, lon, altitude, ellipsoid) {
   return position;
 }
 
+/**
+ * Convert latitude/longitude to local game coordinates around a reference point
+ * Matches the ReorientationPlugin frame (X west, Y up, Z north). Flat-earth
+ * approximation - good to a few meters within the ~20km play area.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} refLat - Reference (world origin) latitude in degrees
+ * @param {number} refLon - Reference (world origin) longitude in degrees
+ * @returns {{x: number, z: number}} Local position in meters
+ */
+export function latLonToLocal(lat, lon, refLat, refLon) {
+  const EARTH_RADIUS = 6371000;
+  const refLatRad = refLat * Math.PI / 180;
+  const x = -EARTH_RADIUS * degreesToRadians(lon - refLon) * Math.cos(refLatRad);
+  const z = EARTH_RADIUS * degreesToRadians(lat - refLat);
+  return { x, z };
+}
+
 /**
  * Convert degrees to radians
  * @param {number} degrees
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import { computeBoundsTree, acceleratedRaycast } from 'three-mesh-bvh';
+import { CONFIG } from '../config.js';
+
+const _sphere = new THREE.Sphere();
+
+/**
+ * TerrainCollision - raycasts against the streamed 3D Tiles
+ *
+ * Each frame spends at most `raysPerFrame` rays:
+ * - a sweep along the path flown since last frame (always first - crashes)
+ * - probes that take turns with the remaining budget:
+ *   - straight down for height above ground (AGL)
+ *   - ahead along the velocity for the terrain warning
+ *
+ * Only geometry that has streamed in can be hit; where nothing is loaded the
+ * physics minAltitude clamp still applies. A ray only tests visible tiles
+ * whose bounding sphere it reaches, and those get a BVH (three-mesh-bvh) the
+ * first time, so a ray costs a tree walk rather than every triangle.
+ */
+export class TerrainCollision {
+  /**
+   * @param {THREE.Object3D} tilesGroup - tilesRenderer.group
+   */
+  constructor(tilesGroup) {
+    const settings = CONFIG.collision || {};
+    this.tilesGroup = tilesGroup;
+    this.enabled = settings.enabled !== false;
+    this.raysPerFrame = Math.max(1, settings.raysPerFrame ?? 3);
+    this.clearance = settings.clearance ?? 4;              // meters - aircraft hull
+    this.groundProbeDistance = settings.groundProbeDistance ?? 3000;
+    this.lookAheadTime = settings.lookAheadTime ?? 3;      // seconds of flight to check ahead
+    this.maxSweep = settings.maxSweep ?? 500;              // meters
+
+    this.raycaster = new THREE.Raycaster();
+    this.raycaster.firstHitOnly = true; // one hit per tile (see cast)
+    this._hits = [];
+    this.probes = [this.probeGround, this.probeAhead];
+    this.nextProbe = 0;
+
+    // Latest results
+    this.groundHeight = null;       // world Y of terrain below, null if none loaded
+    this.heightAboveGround = null;  // meters, null if no ground in range
+    this.terrainAhead = null;       // distance to terrain along the flight path, null if clear
+
+    this.onCrash = null;  // Callback: (hit) => void
+
+    this._direction = new THREE.Vector3();
+    this._down = new THREE.Vector3(0, -1, 0);
+  }
+
+  /**
+   * Check the path flown this frame and refresh the probes
+   * @param {Aircraft} aircraft
+   * @param {THREE.Vector3} previousPosition - Aircraft position before this frame's physics
+   * @returns {Object|null} Crash intersection, if the aircraft hit geometry
+   */
+  update(aircraft, previousPosition) {
+    if (!this.enabled || !aircraft.alive) return null;
+
+    let budget = this.raysPerFrame;
+
+    // 1. Sweep from last frame's position through the current one
+    budget--;
+    const crash = this.sweep(previousPosition, aircraft.position);
+    if (crash) {
+      this.onCrash?.(crash);
+      return crash;
+    }
+
+    // 2. Probes share what's left of the budget, round-robin
+    let used = 0;
+    while (budget > 0 && used < this.probes.length) {
+      this.probes[(this.nextProbe + used) % this.probes.length].call(this, aircraft);
+      budget--;
+      used++;
+    }
+    this.nextProbe = (this.nextProbe + Math.max(used, 1)) % this.probes.length;
+
+    return null;
+  }
+
+  /**
+   * Raycast the segment between two positions (plus hull clearance)
+   * @returns {Object|null} First intersection
+   */
+  sweep(from, to) {
+    this._direction.subVectors(to, from);
+    const length = this._direction.length();
+    // Nothing to check when stationary; jumps longer than maxSweep are teleports
+    if (length < 1e-3 || length > this.maxSweep) return null;
+    this._direction.divideScalar(length);
+    return this.cast(from, this._direction, length + this.clearance);
+  }
+
+  /**
+   * Height above the ground directly below
+   */
+  probeGround(aircraft) {
+    const hit = this.cast(aircraft.position, this._down, this.groundProbeDistance);
+    this.groundHeight = hit ? hit.point.y : null;
+    this.heightAboveGround = hit ? hit.distance : null;
+  }
+
+  /**
+   * Distance to terrain along the current velocity
+   */
+  probeAhead(aircraft) {
+    const speed = aircraft.velocity.length();
+    if (speed < 1) {
+      this.terrainAhead = null;
+      return;
+    }
+    this._direction.copy(aircraft.velocity).divideScalar(speed);
+    const hit = this.cast(aircraft.position, this._direction, speed * this.lookAheadTime);
+    this.terrainAhead = hit ? hit.distance : null;
+  }
+
+  /**
+   * Raycast against the loaded tiles
+   * @returns {Object|null} Nearest visible intersection
+   */
+  cast(origin, direction, far) {
+    const ray = this.raycaster.ray;
+    this.raycaster.set(origin, direction);
+    this.raycaster.near = 0;
+    this.raycaster.far = far;
+
+    const hits = this._hits;
+    hits.length = 0;
+    this.tilesGroup.traverseVisible((object) => {
+      if (!object.isMesh) return;
+      const geometry = object.geometry;
+      if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+      _sphere.copy(geometry.boundingSphere).applyMatrix4(object.matrixWorld);
+      if (ray.origin.distanceTo(_sphere.center) - _sphere.radius > far || !ray.intersectsSphere(_sphere)) {
+        return;
+      }
+      // Built once per tile, and only for tiles a ray actually reaches
+      if (!geometry.boundsTree) computeBoundsTree.call(geometry);
+      acceleratedRaycast.call(object, this.raycaster, hits);
+    });
+
+    let nearest = null;
+    for (const hit of hits) {
+      if (!nearest || hit.distance < nearest.distance) nearest = hit;
+    }
+    return nearest;
+  }
+
+  /**
+   * Forget probe results (after respawn/teleport)
+   */
+  reset() {
+    this.groundHeight = null;
+    this.heightAboveGround = null;
+    this.terrainAhead = null;
+  }
+}